@@ -0,0 +1,148 @@
+/**
+ * Program recordings cut from the stream archive (see stream-archive.js).
+ *
+ * A slot's audio is taken from the archive between its start and end, moved
+ * earlier by the stream offset. The result goes through the same checks and
+ * naming as a slot recorded on its own, and can replace an earlier recording
+ * of the slot, which is how a day is re-cut after the offset was corrected.
+ * Cuts are marked `source: 'archive'` in their recording info.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { cutArchive } from './stream-archive.js';
+import { icySidecarPath } from './stream-capture.js';
+import { cueSheetPath } from './dtmf-analyzer.js';
+import { partialPath, readRecordingInfo, recordingFileName } from './recording-files.js';
+import { recordVerification, verifyRecording } from './recording-verify.js';
+
+const fsp = fs.promises;
+
+// Audio starting this late into the slot makes the cut a partial recording.
+const GRACE_PERIOD_SECONDS = 5;
+
+/**
+ * Where the recording of timeline `slot` goes: the complete and the partial
+ * name.
+ */
+export function slotRecordingPaths(recordBase, slot) {
+  const duration = Math.round((slot.end - slot.start) / 1000);
+  const hour = String(Math.floor(slot.secondsSinceMidnight / 3600)).padStart(2, '0');
+  const file = path.join(recordBase, ...slot.date.split('-'), recordingFileName(hour, slot.program_code, duration));
+  return { file, partial: partialPath(file) };
+}
+
+async function removeRecording(file, catalog) {
+  if (!fs.existsSync(file)) return false;
+  await fsp.unlink(file);
+  await fsp.unlink(icySidecarPath(file)).catch(() => {});
+  await fsp.unlink(cueSheetPath(file)).catch(() => {});
+  if (catalog) await catalog.remove(file);
+  return true;
+}
+
+/**
+ * Cuts timeline `slot` (from buildTimeline) out of the archive, verifies it
+ * and catalogs it. An earlier recording of the slot is replaced according to
+ * `replace`: 'none' keeps it, 'archive' only replaces an earlier cut (not a
+ * recording captured per slot), 'all' replaces it regardless.
+ *
+ * @param {object} opts
+ * @param {string} opts.archiveDir
+ * @param {string} opts.recordBase
+ * @param {number} opts.offsetSeconds stream offset to cut with (STREAM_OFFSET_SECONDS)
+ * @param {import('./recording-catalog.js').RecordingCatalog} [opts.catalog]
+ * @param {'none'|'archive'|'all'} [opts.replace]
+ * @param {number} [opts.minSeconds] shorter cuts are discarded
+ * @param {Function} [opts.log]
+ * @returns {Promise<{ action: 'cut'|'kept'|'missing'|'discarded', file: string, replaced: string[], verified?: object, cut?: object, startOffsetSeconds?: number }>}
+ *   'kept' when an earlier recording stays, 'missing' when the archive has
+ *   no audio for the slot (nothing is changed then); `replaced` lists
+ *   earlier recordings removed or overwritten; `startOffsetSeconds` is how
+ *   far into the program a cut begins
+ */
+export async function cutSlotRecording(slot, { archiveDir, recordBase, offsetSeconds, catalog = null, replace = 'archive', minSeconds = 0, log = () => {} }) {
+  const fromMs = slot.start - offsetSeconds * 1000;
+  const toMs = slot.end - offsetSeconds * 1000;
+  const scheduledDuration = Math.round((slot.end - slot.start) / 1000);
+  const paths = slotRecordingPaths(recordBase, slot);
+  const tempFile = `${paths.file}.tmp`;
+  const tempSidecar = `${icySidecarPath(paths.file)}.tmp`;
+
+  const existing = [paths.file, paths.partial].find(f => fs.existsSync(f));
+  if (existing && (replace === 'none' || (replace === 'archive' && (await readRecordingInfo(existing)).source !== 'archive'))) {
+    return { action: 'kept', file: existing, replaced: [] };
+  }
+
+  await fsp.mkdir(path.dirname(paths.file), { recursive: true });
+  const cut = await cutArchive(archiveDir, fromMs, toMs, tempFile);
+  if (cut.bytes === 0) {
+    await fsp.unlink(tempFile).catch(() => {});
+    return { action: 'missing', file: paths.file, replaced: [] };
+  }
+
+  const lead = (cut.firstAudioAt - fromMs) / 1000;
+  const partial = lead > GRACE_PERIOD_SECONDS;
+  const startOffsetSeconds = partial ? Math.round(lead) : 0;
+  const file = partial ? paths.partial : paths.file;
+  const info = {
+    source: 'archive',
+    date: slot.date,
+    slotStart: slot.secondsSinceMidnight,
+    timeText: slot.timeText,
+    programCode: slot.program_code,
+    programTitle: slot.program_title,
+    seriesTitle: slot.series_title,
+    scheduledDuration,
+    streamOffsetSeconds: offsetSeconds,
+    partial,
+    startOffsetSeconds,
+    startDelaySeconds: Math.round(lead * 10) / 10,
+    ...(slot.provisional ? { provisional: true, basedOn: slot.basedOn } : {})
+  };
+  await fsp.writeFile(tempSidecar, JSON.stringify({
+    recording: info,
+    cut: {
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      chunks: cut.chunks.map(f => path.relative(archiveDir, f)),
+      cutAt: new Date().toISOString()
+    },
+    bytes: cut.bytes,
+    gaps: cut.gaps
+  }, null, 2));
+
+  // The new cut takes the place of the old one, whichever name that had.
+  const replaced = [];
+  if (fs.existsSync(file)) replaced.push(file);
+  await fsp.rename(tempFile, file);
+  await fsp.rename(tempSidecar, icySidecarPath(file));
+  const other = partial ? paths.file : paths.partial;
+  if (await removeRecording(other, catalog)) replaced.push(other);
+  log(`[Archive] Cut ${path.basename(file)} (${cut.seconds.toFixed(1)}s from ${cut.chunks.length} chunk(s), offset ${offsetSeconds}s${replaced.length ? `, replacing ${replaced.map(f => path.basename(f)).join(', ')}` : ''}).`);
+  cut.gaps.forEach(g => log(`[Archive]   Gap of ${g.seconds}s at ${g.offsetSeconds}s (${g.reason}).`));
+
+  const verified = await verifyRecording(file, {
+    expectedSeconds: scheduledDuration - startOffsetSeconds,
+    duration: cut.seconds,
+    minSeconds,
+    gaps: cut.gaps.length,
+    programCode: slot.program_code,
+    log
+  });
+  if (verified.tooShort) {
+    log(`[Verification] Recording TOO SHORT (${verified.actualDuration.toFixed(1)}s < ${minSeconds}s). Deleting.`);
+    await removeRecording(file, catalog);
+    return { action: 'discarded', file, replaced, verified };
+  }
+  const finalFile = await recordVerification(file, verified, {
+    startOffsetSeconds,
+    reason: cut.lastAudioAt < toMs - GRACE_PERIOD_SECONDS * 1000 ? 'archive ends early' : 'short',
+    log
+  });
+  if (catalog) {
+    if (finalFile !== file) await catalog.remove(file);
+    await catalog.add(finalFile);
+  }
+  return { action: 'cut', file: finalFile, replaced, verified, cut, startOffsetSeconds };
+}
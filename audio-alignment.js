@@ -0,0 +1,162 @@
+/**
+ * Offset calibration without the #4 tone: the opening of a new recording is
+ * lined up against an earlier airing of the same program, and how much
+ * later (or earlier) the program's audio arrives in it shows how far its
+ * boundary is off.
+ *
+ * Both files are decoded to 8 kHz mono PCM and reduced to their level in
+ * 20 ms steps. A minute of the new recording, starting `maxLagSeconds` in,
+ * is compared with the earlier airing at every lag up to `maxLagSeconds`
+ * either way; the lag where the levels correlate best is the match. Levels
+ * rather than samples keep this cheap and indifferent to the stream's
+ * encoding, and a program's opening (theme, announcer) has a level pattern
+ * that doesn't happen twice a few seconds apart.
+ *
+ * The score is the correlation at the match. It counts as 'high'
+ * confidence only when it is also clearly better than the best lag more
+ * than a second away; music with a steady beat matches itself at several
+ * lags.
+ */
+
+import { spawn } from 'child_process';
+
+export const ALIGNMENT_SAMPLE_RATE = 8000;
+
+const STEP_SECONDS = 0.02;
+const STEP_SAMPLES = ALIGNMENT_SAMPLE_RATE * STEP_SECONDS;
+const FULL_SCALE = 32768 * 32768;
+const FLOOR_DB = -60;
+
+export const DEFAULT_ALIGNMENT_SETTINGS = {
+  maxLagSeconds: 30,  // furthest the boundary is looked for either way
+  windowSeconds: 60,  // length of the new recording compared
+  minScore: 0.5,      // below this there is no match at all
+  highScore: 0.8,     // correlation for 'high' confidence...
+  minMargin: 0.15,    // ...and by how much it beats the runner-up
+  runnerUpSeconds: 1  // how far from the match the runner-up must be
+};
+
+/**
+ * Level in dB of each 20 ms step of 16-bit mono PCM `pcm` (silence is
+ * clamped to -60 dB).
+ * @returns {Float32Array}
+ */
+export function levelEnvelope(pcm) {
+  const steps = Math.floor(pcm.length / 2 / STEP_SAMPLES);
+  const levels = new Float32Array(steps);
+  for (let s = 0; s < steps; s++) {
+    let energy = 0;
+    for (let i = 0; i < STEP_SAMPLES; i++) {
+      const v = pcm.readInt16LE((s * STEP_SAMPLES + i) * 2);
+      energy += v * v;
+    }
+    levels[s] = energy > 0 ? Math.max(FLOOR_DB, 10 * Math.log10(energy / STEP_SAMPLES / FULL_SCALE)) : FLOOR_DB;
+  }
+  return levels;
+}
+
+/**
+ * Finds where `recording`'s opening lines up with `reference` (both
+ * levelEnvelope results).
+ * @returns {{ lagSeconds: number, score: number, margin: number, confidence: 'none'|'low'|'high' }|null}
+ *   `lagSeconds` is how much later the audio comes in `recording` than in
+ *   `reference`; null when either is too short to compare
+ */
+export function alignEnvelopes(reference, recording, settings = {}) {
+  const { maxLagSeconds, windowSeconds, minScore, highScore, minMargin, runnerUpSeconds } = { ...DEFAULT_ALIGNMENT_SETTINGS, ...settings };
+  const maxLag = Math.round(maxLagSeconds / STEP_SECONDS);
+  const width = Math.round(windowSeconds / STEP_SECONDS);
+  if (recording.length < maxLag + width || reference.length < width) return null;
+
+  const segment = recording.subarray(maxLag, maxLag + width);
+  let mean = 0;
+  for (const v of segment) mean += v;
+  mean /= width;
+  let norm = 0;
+  for (const v of segment) norm += (v - mean) ** 2;
+  // Silence or a constant tone has nothing to line up
+  if (norm < width * 0.01) return { lagSeconds: 0, score: 0, margin: 0, confidence: 'none' };
+
+  // recording[maxLag + i] matches reference[maxLag - lag + i]
+  const scores = new Map();
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    const start = maxLag - lag;
+    if (start < 0 || start + width > reference.length) continue;
+    let sum = 0;
+    let sumSq = 0;
+    let cross = 0;
+    for (let i = 0; i < width; i++) {
+      const r = reference[start + i];
+      sum += r;
+      sumSq += r * r;
+      cross += (segment[i] - mean) * r;
+    }
+    const refNorm = sumSq - sum * sum / width;
+    scores.set(lag, refNorm > 0 ? cross / Math.sqrt(norm * refNorm) : 0);
+  }
+  if (scores.size === 0) return null;
+
+  let best = null;
+  for (const [lag, score] of scores) {
+    if (best === null || score > scores.get(best)) best = lag;
+  }
+  const apart = Math.round(runnerUpSeconds / STEP_SECONDS);
+  let runnerUp = -1;
+  for (const [lag, score] of scores) {
+    if (Math.abs(lag - best) > apart) runnerUp = Math.max(runnerUp, score);
+  }
+
+  // Between steps: the top of the parabola through the match and its neighbours
+  let lag = best;
+  const before = scores.get(best - 1);
+  const after = scores.get(best + 1);
+  if (before !== undefined && after !== undefined) {
+    const curve = before - 2 * scores.get(best) + after;
+    if (curve < 0) lag += 0.5 * (before - after) / curve;
+  }
+
+  const score = Math.max(0, scores.get(best));
+  const margin = score - Math.max(0, runnerUp);
+  return {
+    lagSeconds: Math.round(lag * STEP_SECONDS * 100) / 100,
+    score: Math.round(score * 100) / 100,
+    margin: Math.round(margin * 100) / 100,
+    confidence: score < minScore ? 'none' : score >= highScore && margin >= minMargin ? 'high' : 'low'
+  };
+}
+
+/**
+ * The level envelope of the first `seconds` of `filePath`. Resolves to null
+ * when ffmpeg can't be run.
+ */
+export function decodeOpening(filePath, seconds, { timeoutMs = 2 * 60 * 1000 } = {}) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    const ffmpeg = spawn('ffmpeg', ['-v', 'error', '-t', String(seconds), '-i', filePath, '-f', 's16le', '-ar', String(ALIGNMENT_SAMPLE_RATE), '-ac', '1', 'pipe:1']);
+    const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), timeoutMs);
+
+    ffmpeg.stdout.on('data', data => chunks.push(data));
+    ffmpeg.stderr.on('data', () => { /* decode errors are checkDecodeIntegrity's job */ });
+    ffmpeg.on('error', () => {
+      clearTimeout(timer);
+      resolve(null);
+    });
+    ffmpeg.on('close', () => {
+      clearTimeout(timer);
+      resolve(levelEnvelope(Buffer.concat(chunks)));
+    });
+  });
+}
+
+/**
+ * Lines up the opening of `filePath` against `referenceFile`. Resolves to
+ * `{ available: false }` when ffmpeg can't be run, else `{ available: true }`
+ * with alignEnvelopes' result (`lagSeconds` null when a file is too short).
+ */
+export async function alignOpenings(referenceFile, filePath, settings = {}) {
+  const { maxLagSeconds, windowSeconds } = { ...DEFAULT_ALIGNMENT_SETTINGS, ...settings };
+  const reference = await decodeOpening(referenceFile, windowSeconds + 2 * maxLagSeconds);
+  const recording = reference && await decodeOpening(filePath, windowSeconds + maxLagSeconds);
+  if (!recording) return { available: false };
+  return { available: true, ...(alignEnvelopes(reference, recording, settings) || { lagSeconds: null, score: 0, margin: 0, confidence: 'none' }) };
+}
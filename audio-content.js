@@ -0,0 +1,218 @@
+/**
+ * Content checks for finished recordings: long silences, audio that is too
+ * quiet, and audio that repeats (a frozen stream replaying its buffer).
+ *
+ * The file is decoded to 8 kHz mono PCM and its level is followed in 100 ms
+ * windows, stepped every 20 ms. A repeat is a stretch where every window's
+ * level matches the one a fixed period earlier; a period of 1-20 s covers
+ * stream buffers, and no real programme stays that regular for long. A few
+ * steps in a row may differ, since a period that isn't a whole number of
+ * steps puts sharp changes into neighbouring windows; windows that are
+ * silent both times neither extend nor break a repeat.
+ *
+ * Result: 'ok', 'suspect' (kept and played, but flagged) or 'rejected' (the
+ * player uses another airing instead).
+ */
+
+import { spawn } from 'child_process';
+
+export const CONTENT_SAMPLE_RATE = 8000;
+
+const STEP_SECONDS = 0.02;
+const WINDOW_STEPS = 5;
+const FULL_SCALE = 32768 * 32768;
+
+export const DEFAULT_CONTENT_THRESHOLDS = {
+  silenceDb: -50,             // windows quieter than this are silence
+  suspectSilenceSeconds: 30,  // longest silence
+  rejectSilenceSeconds: 300,
+  rejectSilentFraction: 0.5,  // of the whole file
+  lowLoudnessDb: -35,         // mean level of the non-silent audio
+  suspectRepeatSeconds: 30,   // longest repeat
+  rejectRepeatSeconds: 120,
+  minRepeatPeriodSeconds: 1,
+  maxRepeatPeriodSeconds: 20,
+  repeatToleranceDb: 1,
+  repeatMaxMisses: 3          // steps in a row that may differ within a repeat
+};
+
+function toDb(energy, samples) {
+  return energy > 0 && samples > 0 ? 10 * Math.log10(energy / samples / FULL_SCALE) : -120;
+}
+
+const round1 = n => Math.round(n * 10) / 10;
+
+/**
+ * Judges the measurements of a file against `thresholds`.
+ * @returns {{ result: 'ok'|'suspect'|'rejected', score: number, issues: Array<{ type: string, severity: 'suspect'|'rejected', detail: string }> }}
+ */
+export function judgeContent(stats, thresholds = {}) {
+  const t = { ...DEFAULT_CONTENT_THRESHOLDS, ...thresholds };
+  const issues = [];
+  const add = (type, severity, detail) => issues.push({ type, severity, detail });
+
+  if (stats.seconds <= 0) {
+    add('no-audio', 'rejected', 'Nothing could be decoded');
+  } else {
+    const silentFraction = stats.silentSeconds / stats.seconds;
+    if (stats.longestSilenceSeconds >= t.rejectSilenceSeconds || silentFraction >= t.rejectSilentFraction) {
+      add('silence', 'rejected', `${stats.silentSeconds}s silent (${Math.round(silentFraction * 100)}%), longest ${stats.longestSilenceSeconds}s at ${stats.longestSilenceAt}s`);
+    } else if (stats.longestSilenceSeconds >= t.suspectSilenceSeconds) {
+      add('silence', 'suspect', `${stats.longestSilenceSeconds}s of silence at ${stats.longestSilenceAt}s`);
+    }
+    if (stats.meanDb !== null && stats.meanDb < t.lowLoudnessDb) {
+      add('low-loudness', 'suspect', `Mean level ${stats.meanDb} dBFS (< ${t.lowLoudnessDb})`);
+    }
+    if (stats.longestRepeatSeconds >= t.suspectRepeatSeconds) {
+      add('repeat', stats.longestRepeatSeconds >= t.rejectRepeatSeconds ? 'rejected' : 'suspect',
+        `Audio repeats every ${stats.repeatPeriodSeconds}s for ${stats.longestRepeatSeconds}s, ending at ${stats.repeatEndsAt}s`);
+    }
+  }
+
+  const score = Math.max(0, 100 - issues.reduce((sum, i) => sum + (i.severity === 'rejected' ? 60 : 25), 0));
+  const result = issues.some(i => i.severity === 'rejected') ? 'rejected' : issues.length > 0 ? 'suspect' : 'ok';
+  return { result, score, issues };
+}
+
+/**
+ * Measures 16-bit little-endian mono PCM fed in with `write`; `finish`
+ * returns the measurements with judgeContent's verdict.
+ */
+export class ContentAnalyzer {
+  constructor({ sampleRate = CONTENT_SAMPLE_RATE, thresholds = {} } = {}) {
+    this.thresholds = { ...DEFAULT_CONTENT_THRESHOLDS, ...thresholds };
+    this.stepSamples = Math.round(sampleRate * STEP_SECONDS);
+    this.minLag = Math.round(this.thresholds.minRepeatPeriodSeconds / STEP_SECONDS);
+    this.maxLag = Math.round(this.thresholds.maxRepeatPeriodSeconds / STEP_SECONDS);
+
+    this.leftover = null;
+    this.stepEnergy = 0;
+    this.stepFill = 0;
+    this.steps = 0;
+    this.recent = new Float64Array(WINDOW_STEPS); // energies of the last steps
+    this.levels = new Float32Array(this.maxLag + 1); // window levels, a ring
+    this.runs = new Int32Array(this.maxLag + 1); // matching steps so far, per lag
+    this.misses = new Int32Array(this.maxLag + 1); // steps in a row that didn't
+
+    this.silentSteps = 0;
+    this.silenceRun = 0;
+    this.longestSilence = 0;
+    this.longestSilenceEnd = 0;
+    this.loudEnergy = 0;
+    this.loudSamples = 0;
+    this.longestRepeat = 0;
+    this.repeatLag = 0;
+    this.repeatEnd = 0;
+  }
+
+  write(buf) {
+    if (this.leftover) {
+      buf = Buffer.concat([this.leftover, buf]);
+      this.leftover = null;
+    }
+    const end = buf.length - (buf.length % 2);
+    if (end < buf.length) this.leftover = buf.subarray(end);
+    for (let i = 0; i < end; i += 2) {
+      const s = buf.readInt16LE(i);
+      this.stepEnergy += s * s;
+      if (++this.stepFill === this.stepSamples) this.endStep();
+    }
+  }
+
+  endStep() {
+    const energy = this.stepEnergy;
+    const step = this.steps++;
+    this.stepEnergy = 0;
+    this.stepFill = 0;
+    this.recent[step % WINDOW_STEPS] = energy;
+
+    let windowEnergy = 0;
+    for (let i = 0; i < WINDOW_STEPS; i++) windowEnergy += this.recent[i];
+    const level = toDb(windowEnergy, Math.min(step + 1, WINDOW_STEPS) * this.stepSamples);
+    const t = this.thresholds;
+    const loud = level >= t.silenceDb;
+
+    if (loud) {
+      this.silenceRun = 0;
+      this.loudEnergy += energy;
+      this.loudSamples += this.stepSamples;
+    } else {
+      this.silentSteps++;
+      if (++this.silenceRun > this.longestSilence) {
+        this.longestSilence = this.silenceRun;
+        this.longestSilenceEnd = step + 1;
+      }
+    }
+
+    const size = this.levels.length;
+    for (let lag = this.minLag; lag <= this.maxLag; lag++) {
+      if (lag > step) break;
+      const earlier = this.levels[(step - lag) % size];
+      if (!loud && earlier < t.silenceDb) continue;
+      if (loud && earlier >= t.silenceDb && Math.abs(level - earlier) <= t.repeatToleranceDb) {
+        this.misses[lag] = 0;
+        if (++this.runs[lag] > this.longestRepeat) {
+          this.longestRepeat = this.runs[lag];
+          this.repeatLag = lag;
+          this.repeatEnd = step + 1;
+        }
+      } else if (this.runs[lag] > 0 && ++this.misses[lag] <= t.repeatMaxMisses) {
+        this.runs[lag]++;
+      } else {
+        this.runs[lag] = 0;
+        this.misses[lag] = 0;
+      }
+    }
+    this.levels[step % size] = level;
+  }
+
+  finish() {
+    if (this.stepFill > 0) {
+      // Scale the last, short step up so it counts like the others.
+      this.stepEnergy *= this.stepSamples / this.stepFill;
+      this.endStep();
+    }
+    const stats = {
+      seconds: round1(this.steps * STEP_SECONDS),
+      silentSeconds: round1(this.silentSteps * STEP_SECONDS),
+      longestSilenceSeconds: round1(this.longestSilence * STEP_SECONDS),
+      longestSilenceAt: round1((this.longestSilenceEnd - this.longestSilence) * STEP_SECONDS),
+      meanDb: this.loudSamples > 0 ? round1(toDb(this.loudEnergy, this.loudSamples)) : null,
+      longestRepeatSeconds: round1(this.longestRepeat * STEP_SECONDS),
+      repeatPeriodSeconds: round1(this.repeatLag * STEP_SECONDS),
+      repeatEndsAt: round1(this.repeatEnd * STEP_SECONDS)
+    };
+    return { ...judgeContent(stats, this.thresholds), ...stats };
+  }
+}
+
+/**
+ * Decodes `filePath` with ffmpeg and analyzes it. Resolves to
+ * `{ available: false }` when ffmpeg can't be run or doesn't finish within
+ * `timeoutMs` (then with `timedOut`: a report on part of the file would
+ * misjudge the whole), else `{ available: true }` with ContentAnalyzer's
+ * report.
+ */
+export function analyzeAudioContent(filePath, { thresholds, timeoutMs = 10 * 60 * 1000 } = {}) {
+  return new Promise((resolve) => {
+    const analyzer = new ContentAnalyzer({ thresholds });
+    const ffmpeg = spawn('ffmpeg', ['-v', 'error', '-i', filePath, '-f', 's16le', '-ar', String(CONTENT_SAMPLE_RATE), '-ac', '1', 'pipe:1']);
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      ffmpeg.kill('SIGKILL');
+    }, timeoutMs);
+
+    ffmpeg.stdout.on('data', data => analyzer.write(data));
+    ffmpeg.stderr.on('data', () => { /* decode errors are checkDecodeIntegrity's job */ });
+    ffmpeg.on('error', (e) => {
+      clearTimeout(timer);
+      resolve({ available: false, error: e.message });
+    });
+    ffmpeg.on('close', () => {
+      clearTimeout(timer);
+      if (timedOut) resolve({ available: false, timedOut: true, error: `decoding took over ${Math.round(timeoutMs / 1000)}s` });
+      else resolve({ available: true, ...analyzer.finish() });
+    });
+  });
+}
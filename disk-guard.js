@@ -0,0 +1,71 @@
+/**
+ * Free space checks for the recordings disk.
+ *
+ * `check(neededBytes)` compares the free space with `minFreeBytes` plus what
+ * the recording still needs. When it falls short it asks `prune` to free the
+ * difference and looks again. The resulting state is:
+ *   'ok'    there is room for the recording and the floor,
+ *   'low'   the floor is kept but the recording may not fit,
+ *   'full'  even after pruning the free space is under the floor; nothing
+ *           should be written until a later check clears it.
+ *
+ * Events:
+ *   'state' { state, previous, freeBytes, requiredBytes }   the state changed
+ *   'prune' { wantedBytes, freedBytes }                     emergency pruning ran
+ */
+
+import { EventEmitter } from 'events';
+import { freeBytesAt } from './retention-policy.js';
+
+export class DiskGuard extends EventEmitter {
+  /**
+   * @param {string} dir a directory on the disk to watch
+   * @param {object} opts
+   * @param {number} opts.minFreeBytes free space that must always remain
+   * @param {(bytes: number) => Promise<number>} [opts.prune] frees about `bytes`, resolves to what it freed
+   * @param {(dir: string) => Promise<number|null>} [opts.freeBytes] free space lookup (null = unknown)
+   */
+  constructor(dir, { minFreeBytes, prune = async () => 0, freeBytes = freeBytesAt }) {
+    super();
+    this.dir = dir;
+    this.minFreeBytes = minFreeBytes;
+    this.prune = prune;
+    this.freeBytes = freeBytes;
+    this.state = 'ok';
+    this.checking = null;
+  }
+
+  /**
+   * Checks (and if needed frees) room for `neededBytes` more. Concurrent
+   * calls share one check.
+   * @returns {Promise<{ state: string, freeBytes: number|null }>}
+   */
+  check(neededBytes = 0) {
+    if (!this.checking) {
+      this.checking = this.run(neededBytes).finally(() => { this.checking = null; });
+    }
+    return this.checking;
+  }
+
+  async run(neededBytes) {
+    const requiredBytes = this.minFreeBytes + Math.max(0, neededBytes);
+    let free = await this.freeBytes(this.dir);
+    if (free === null) return { state: this.state, freeBytes: null }; // can't tell; carry on
+
+    if (free < requiredBytes) {
+      const wantedBytes = requiredBytes - free;
+      const freedBytes = await this.prune(wantedBytes);
+      this.emit('prune', { wantedBytes, freedBytes });
+      const after = await this.freeBytes(this.dir);
+      if (after !== null) free = after;
+    }
+
+    const state = free >= requiredBytes ? 'ok' : free >= this.minFreeBytes ? 'low' : 'full';
+    if (state !== this.state) {
+      const previous = this.state;
+      this.state = state;
+      this.emit('state', { state, previous, freeBytes: free, requiredBytes });
+    }
+    return { state, freeBytes: free };
+  }
+}
@@ -23,69 +23,287 @@ export async function getFileDuration(filePath) {
 }
 
 /**
- * Analyzes a recorded file for DTMF tones.
- * @param {string} filePath - Absolute path to the file.
- * @param {number} delayMs - Optional delay before starting analysis (default 0).
+ * Decodes the whole file and reports whether it decoded cleanly.
+ * Resolves to { available, ok, errors, frameErrors }: `available` is false
+ * when ffmpeg couldn't be run, `ok` is false when decoding failed outright,
+ * `errors` holds ffmpeg's first error lines (a truncated last frame still
+ * decodes with one) and `frameErrors` counts the frames that failed.
  */
-export async function analyzeFileForDTMF(filePath, delayMs = 0) {
-    if (!fs.existsSync(filePath)) {
-        log(`[DTMF] Error: File not found: ${filePath}`);
-        return;
+export function checkDecodeIntegrity(filePath, { timeoutMs = 5 * 60 * 1000 } = {}) {
+    return new Promise((resolve) => {
+        const errors = [];
+        let pending = '';
+        let decoderLines = 0;
+        let streamLines = 0;
+        const ffmpeg = spawn('ffmpeg', ['-v', 'error', '-i', filePath, '-f', 'null', '-']);
+        const timer = setTimeout(() => {
+            errors.unshift(`Timed out after ${timeoutMs / 1000}s`);
+            ffmpeg.kill('SIGKILL');
+        }, timeoutMs);
+
+        // A bad frame is reported by the decoder ("[mp3float @ 0x..] Header
+        // missing"), by ffmpeg ("Error while decoding stream #0:0: ..."), or both.
+        const addLine = (line) => {
+            line = line.trim();
+            if (!line) return;
+            if (line.startsWith('[')) decoderLines++;
+            else if (line.startsWith('Error while decoding')) streamLines++;
+            if (errors.length < 20) errors.push(line);
+        };
+        ffmpeg.stderr.on('data', (data) => {
+            const lines = (pending + data).split('\n');
+            pending = lines.pop();
+            lines.forEach(addLine);
+        });
+        ffmpeg.on('error', (e) => {
+            clearTimeout(timer);
+            resolve({ available: false, ok: false, errors: [e.message], frameErrors: null });
+        });
+        ffmpeg.on('close', (code) => {
+            clearTimeout(timer);
+            addLine(pending);
+            resolve({ available: true, ok: code === 0, errors, frameErrors: Math.max(decoderLines, streamLines) });
+        });
+    });
+}
+
+// ======================== CUE TONES ==========================
+//
+// The network marks points in the stream with DTMF sequences, such as "#4"
+// 20 seconds before the end of the hour. Every digit the detector hears is
+// grouped into sequences (digits less than `gapSeconds` apart), and each
+// sequence is matched against named cue patterns; what doesn't match is
+// still reported, with a null name, so an unknown cue shows up in the sheet.
+// The detector reports a digit once the next sound begins, so a digit's
+// `end` is that moment and its `start` the length it was heard before it.
+
+const SAMPLE_RATE = 8000;
+
+// The detector works in blocks of this many samples and only reports a
+// digit heard in at least two of them in a row.
+const BLOCK_SAMPLES = 92;
+const FULL_CONFIDENCE_BLOCKS = 4; // ~46ms, the shortest standard tone
+
+export const DEFAULT_CUE_PATTERNS = [
+    { name: 'hour-end', digits: '#4' }
+];
+
+export const DEFAULT_CUE_GAP_SECONDS = 0.2;
+
+/**
+ * The cue sheet that belongs to recording `mp3File`.
+ */
+export function cueSheetPath(mp3File) {
+    return mp3File.replace(/\.mp3$/i, '') + '.cues.json';
+}
+
+/**
+ * A writer of raw s16le PCM, in pieces of any size, into detector `dds`.
+ * The detector reads each chunk from the start of its ArrayBuffer and in
+ * whole samples, so a pooled or odd-length chunk would misalign it; it gets
+ * fresh, even-length copies, with an odd last byte carried over.
+ * @returns {(pcm: Buffer) => void}
+ */
+export function pcmWriter(dds) {
+    let odd = null;
+    return (pcm) => {
+        if (odd) pcm = Buffer.concat([odd, pcm]);
+        const length = pcm.length - (pcm.length % 2);
+        odd = length < pcm.length ? Buffer.from(pcm.subarray(length)) : null;
+        if (length === 0 || !dds.writable) return;
+        const copy = Buffer.alloc(length);
+        pcm.copy(copy, 0, 0, length);
+        dds.write(copy);
+    };
+}
+
+/**
+ * Groups detected `digits` ({ digit, start, end, confidence }, in order)
+ * into sequences and those into cues. Patterns are tried longest first at
+ * each position; runs of digits no pattern covers become unnamed cues.
+ * @returns {Array<{ name: string|null, digits: string, start: number, end: number, timestamp: number, confidence: number }>}
+ *   `timestamp` is where the first digit was detected (its end), the point
+ *   calibration has always measured from
+ */
+export function decodeCues(digits, { patterns = DEFAULT_CUE_PATTERNS, gapSeconds = DEFAULT_CUE_GAP_SECONDS } = {}) {
+    const sorted = [...patterns].sort((a, b) => b.digits.length - a.digits.length);
+    const sequences = [];
+    for (const d of digits) {
+        const seq = sequences[sequences.length - 1];
+        if (seq && d.end - seq[seq.length - 1].end <= gapSeconds) seq.push(d);
+        else sequences.push([d]);
     }
 
-    if (delayMs > 0) {
-        log(`[DTMF] Scheduling analysis for ${path.basename(filePath)} in ${delayMs / 1000}s...`);
-        await sleep(delayMs);
+    const cues = [];
+    const cue = (name, run) => cues.push({
+        name,
+        digits: run.map(d => d.digit).join(''),
+        start: run[0].start,
+        end: run[run.length - 1].end,
+        timestamp: run[0].end,
+        confidence: Math.min(...run.map(d => d.confidence))
+    });
+    for (const seq of sequences) {
+        const text = seq.map(d => d.digit).join('');
+        let unknown = [];
+        for (let i = 0; i < seq.length;) {
+            const pattern = sorted.find(p => text.startsWith(p.digits, i));
+            if (!pattern) {
+                unknown.push(seq[i++]);
+                continue;
+            }
+            if (unknown.length) cue(null, unknown);
+            unknown = [];
+            cue(pattern.name, seq.slice(i, i + pattern.digits.length));
+            i += pattern.digits.length;
+        }
+        if (unknown.length) cue(null, unknown);
     }
+    return cues;
+}
 
-    // Get duration first
+/**
+ * Decodes `filePath` (or a window of it) and finds its cue tones.
+ * @param {string} filePath
+ * @param {object} [opts]
+ * @param {number} [opts.lastSeconds] only decode this much of the end
+ * @param {number} [opts.start] ...or from here (seconds)
+ * @param {number} [opts.end] ...to here
+ * @param {object[]} [opts.patterns] `{ name, digits }` to recognize
+ * @param {number} [opts.gapSeconds] longest pause within a sequence
+ * @returns {Promise<object>} `{ available: false, error }` when ffmpeg can't
+ *   be run, else `{ available: true, duration, window: { start, end }, digits, cues }`.
+ *   Times are seconds into the file, and each cue and digit also has
+ *   `fromEnd`; with `lastSeconds` and no known duration, `start`/`end` are
+ *   into the window
+ */
+export async function analyzeFileForCues(filePath, { lastSeconds = null, start = null, end = null, patterns, gapSeconds, timeoutMs = 10 * 60 * 1000 } = {}) {
     const duration = await getFileDuration(filePath);
-    log(`[DTMF] Starting analysis of ${path.basename(filePath)} (Duration: ${duration.toFixed(2)}s)...`);
+    const input = lastSeconds
+        ? ['-sseof', `-${lastSeconds}`]
+        : [...(start ? ['-ss', String(start)] : []), ...(end !== null ? ['-t', String(end - (start || 0))] : [])];
 
     return new Promise((resolve) => {
-        const format = {
-            sampleRate: 8000,
-            bitDepth: 16,
-            channels: 1,
-        };
-
-        const dds = new DtmfDetectionStream({ format });
-        let tonesFound = [];
-        let lastDigit = null;
-        let lastTimestamp = 0;
-
-        dds.on('dtmf', data => {
-            const timeDiff = data.timestamp - lastTimestamp;
-            if (lastDigit === '#' && data.digit === '4' && timeDiff <= 0.2) {
-                const fromEnd = duration ? (duration - lastTimestamp).toFixed(3) : 'unknown';
-                log(`[DTMF] ${path.basename(filePath)}: Detected "#4" at ${lastTimestamp.toFixed(3)}s (${fromEnd}s from end)`);
-                tonesFound.push({ digit: '#4', timestamp: lastTimestamp, fromEnd: parseFloat(fromEnd) });
-            }
-            lastDigit = data.digit;
-            lastTimestamp = data.timestamp;
+        const dds = new DtmfDetectionStream({ format: { sampleRate: SAMPLE_RATE, bitDepth: 16, channels: 1 } });
+        const digits = [];
+        let decodedBytes = 0;
+        // `count` is the detector's run of blocks for the digit it reports
+        dds.on('dtmf', ({ digit, timestamp }) => {
+            const blocks = Number.isFinite(dds.count) ? dds.count : 2;
+            digits.push({
+                digit,
+                start: Math.max(0, timestamp - blocks * BLOCK_SAMPLES / SAMPLE_RATE),
+                end: timestamp,
+                confidence: Math.round(Math.min(1, blocks / FULL_CONFIDENCE_BLOCKS) * 100) / 100
+            });
         });
 
-        const ffmpeg = spawn('ffmpeg', [
-            '-i', filePath,
-            '-f', 's16le',
-            '-ar', '8000',
-            '-ac', '1',
-            'pipe:1'
-        ]);
-
+        const ffmpeg = spawn('ffmpeg', ['-v', 'error', ...input, '-i', filePath, '-f', 's16le', '-ar', String(SAMPLE_RATE), '-ac', '1', 'pipe:1']);
+        const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), timeoutMs);
+        const write = pcmWriter(dds);
         ffmpeg.stdout.on('data', (data) => {
-            if (dds.writable) dds.write(data);
+            decodedBytes += data.length;
+            write(data);
         });
-
-        ffmpeg.on('close', (code) => {
-            if (tonesFound.length === 0) {
-                log(`[DTMF] ${path.basename(filePath)}: No tones found.`);
-            } else {
-                log(`[DTMF] ${path.basename(filePath)}: Analysis complete. Found ${tonesFound.length} digits.`);
-            }
-            resolve(tonesFound);
+        ffmpeg.stderr.on('data', () => { /* decode errors are checkDecodeIntegrity's job */ });
+        ffmpeg.on('error', (e) => {
+            clearTimeout(timer);
+            resolve({ available: false, error: e.message });
+        });
+        ffmpeg.on('close', () => {
+            clearTimeout(timer);
+            dds.end(() => finish());
         });
 
-        ffmpeg.stderr.on('data', () => { /* ignore ffmpeg noise */ });
+        const finish = () => {
+            const decoded = decodedBytes / 2 / SAMPLE_RATE;
+            // Where the decoded audio starts in the file, and where the file ends
+            let offset = start || 0;
+            let fileEnd = duration || null;
+            if (lastSeconds) {
+                offset = duration ? Math.max(0, duration - decoded) : 0;
+                fileEnd = offset + decoded;
+            } else if (end === null) {
+                fileEnd = offset + decoded;
+            }
+            const place = (t) => Math.round((offset + t) * 1000) / 1000;
+            const fromEnd = (t) => fileEnd === null ? null : Math.round((fileEnd - offset - t) * 1000) / 1000;
+            const cues = decodeCues(digits, { patterns, gapSeconds }).map(c => ({
+                ...c, start: place(c.start), end: place(c.end), timestamp: place(c.timestamp), fromEnd: fromEnd(c.timestamp)
+            }));
+            resolve({
+                available: true,
+                duration,
+                window: { start: place(0), end: place(decoded) },
+                digits: digits.map(d => ({ ...d, start: place(d.start), end: place(d.end), fromEnd: fromEnd(d.end) })),
+                cues
+            });
+        };
     });
 }
+
+/**
+ * Writes the cue sheet for `file` from an analyzeFileForCues result, via
+ * temp + rename.
+ */
+export async function writeCueSheet(file, result, { patterns = DEFAULT_CUE_PATTERNS } = {}) {
+    const sheet = {
+        file: path.basename(file),
+        analyzedAt: new Date().toISOString(),
+        duration: result.duration,
+        window: result.window,
+        patterns,
+        cues: result.cues,
+        digits: result.digits
+    };
+    const target = cueSheetPath(file);
+    const tmpName = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpName, JSON.stringify(sheet, null, 2));
+    await fs.promises.rename(tmpName, target);
+    return target;
+}
+
+/**
+ * The 'hour-end' cues in `cues` (from analyzeFileForCues), as
+ * analyzeFileForDTMF reports them.
+ */
+export function hourEndTones(cues) {
+    return cues.filter(c => c.name === 'hour-end').map(c => ({ digit: '#4', timestamp: c.timestamp, fromEnd: c.fromEnd, confidence: c.confidence }));
+}
+
+/**
+ * Analyzes a recorded file for DTMF tones.
+ * @param {string} filePath - Absolute path to the file.
+ * @param {number} delayMs - Optional delay before starting analysis (default 0).
+ * @param {object} [opts]
+ * @param {number} [opts.tailSeconds] - Only decode this much of the end of the file.
+ * @returns {Promise<Array<{ digit: '#4', timestamp: number, fromEnd: number, confidence: number }>>}
+ */
+export async function analyzeFileForDTMF(filePath, delayMs = 0, { tailSeconds = null } = {}) {
+    if (!fs.existsSync(filePath)) {
+        log(`[DTMF] Error: File not found: ${filePath}`);
+        return;
+    }
+
+    if (delayMs > 0) {
+        log(`[DTMF] Scheduling analysis for ${path.basename(filePath)} in ${delayMs / 1000}s...`);
+        await sleep(delayMs);
+    }
+
+    log(`[DTMF] Starting analysis of ${path.basename(filePath)}${tailSeconds ? ` (last ${tailSeconds}s)` : ''}...`);
+    const result = await analyzeFileForCues(filePath, { lastSeconds: tailSeconds });
+    if (!result.available) {
+        log(`[DTMF] ${path.basename(filePath)}: Cannot decode (${result.error}).`);
+        return [];
+    }
+    const tones = hourEndTones(result.cues);
+    for (const tone of tones) {
+        log(`[DTMF] ${path.basename(filePath)}: Detected "#4" at ${tone.timestamp.toFixed(3)}s (${tone.fromEnd}s from end)`);
+    }
+    if (tones.length === 0) {
+        log(`[DTMF] ${path.basename(filePath)}: No tones found.`);
+    } else {
+        log(`[DTMF] ${path.basename(filePath)}: Analysis complete. Found ${tones.length} digits.`);
+    }
+    return tones;
+}
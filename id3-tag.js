@@ -0,0 +1,161 @@
+/**
+ * Minimal ID3v2 support for recordings: writes a v2.4 tag of UTF-8 text
+ * frames (and TXXX user frames) at the start of an MP3, and reads v2.3/v2.4
+ * text frames back.
+ *
+ * The tag is written with padding, so rewriting it later usually fits in the
+ * space already there and doesn't move the audio.
+ */
+
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+
+const fsp = fs.promises;
+const HEADER_BYTES = 10;
+const PADDING_BYTES = 2048;
+
+function syncsafe(n) {
+  return Buffer.from([(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f]);
+}
+
+function unsyncsafe(buf, at) {
+  return (buf[at] << 21) | (buf[at + 1] << 14) | (buf[at + 2] << 7) | buf[at + 3];
+}
+
+function frame(id, body) {
+  return Buffer.concat([Buffer.from(id, 'latin1'), syncsafe(body.length), Buffer.alloc(2), body]);
+}
+
+function textFrame(id, text) {
+  return frame(id, Buffer.concat([Buffer.from([3]), Buffer.from(String(text), 'utf8')]));
+}
+
+function userFrame(description, value) {
+  return frame('TXXX', Buffer.concat([Buffer.from([3]), Buffer.from(description, 'utf8'), Buffer.from([0]), Buffer.from(String(value), 'utf8')]));
+}
+
+/**
+ * Builds the frames of a tag.
+ * @param {{ text?: Object<string, string>, user?: Object<string, string> }} fields
+ *   `text` maps frame ids (TIT2, TALB, ...) to values, `user` maps TXXX
+ *   descriptions to values; empty values are left out
+ */
+function buildFrames({ text = {}, user = {} }) {
+  const frames = [];
+  for (const [id, value] of Object.entries(text)) {
+    if (value !== undefined && value !== null && value !== '') frames.push(textFrame(id, value));
+  }
+  for (const [description, value] of Object.entries(user)) {
+    if (value !== undefined && value !== null && value !== '') frames.push(userFrame(description, value));
+  }
+  return Buffer.concat(frames);
+}
+
+function header(size) {
+  return Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([4, 0, 0]), syncsafe(size)]);
+}
+
+/**
+ * Total size (header included) of the ID3v2 tag at the start of `buf`, or 0.
+ */
+export function id3TagSize(buf) {
+  if (buf.length < HEADER_BYTES || buf.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const footer = buf[5] & 0x10 ? HEADER_BYTES : 0;
+  return HEADER_BYTES + unsyncsafe(buf, 6) + footer;
+}
+
+function decodeText(body) {
+  const enc = body[0];
+  const data = body.subarray(1);
+  let text;
+  if (enc === 0) text = data.toString('latin1');
+  else if (enc === 3) text = data.toString('utf8');
+  else if (enc === 2) text = Buffer.from(data).swap16().toString('utf16le');
+  else text = data[0] === 0xfe ? Buffer.from(data.subarray(2)).swap16().toString('utf16le') : data.subarray(2).toString('utf16le');
+  return text.replace(/\0+$/, '');
+}
+
+/**
+ * Parses the text frames of the tag at the start of `buf`.
+ * @returns {{ version: number, size: number, text: Object<string, string>, user: Object<string, string> }|null}
+ */
+export function parseId3Tag(buf) {
+  const size = id3TagSize(buf);
+  if (!size) return null;
+  const version = buf[3];
+  const tag = { version, size, text: {}, user: {} };
+  let pos = HEADER_BYTES;
+  const end = Math.min(size, buf.length);
+  while (pos + HEADER_BYTES <= end) {
+    const id = buf.toString('latin1', pos, pos + 4);
+    if (!/^[A-Z0-9]{4}$/.test(id)) break; // padding
+    const frameSize = version >= 4 ? unsyncsafe(buf, pos + 4) : buf.readUInt32BE(pos + 4);
+    const body = buf.subarray(pos + HEADER_BYTES, pos + HEADER_BYTES + frameSize);
+    if (id === 'TXXX') {
+      const [description, ...value] = decodeText(body).split('\0');
+      tag.user[description] = value.join('\0');
+    } else if (id[0] === 'T') {
+      tag.text[id] = decodeText(body);
+    }
+    pos += HEADER_BYTES + frameSize;
+  }
+  return tag;
+}
+
+/**
+ * Reads the ID3v2 tag of `file` (null if it has none).
+ */
+export async function readId3Tag(file) {
+  const fh = await fsp.open(file, 'r');
+  try {
+    const head = Buffer.alloc(HEADER_BYTES);
+    await fh.read(head, 0, HEADER_BYTES, 0);
+    const size = id3TagSize(head);
+    if (!size) return null;
+    const buf = Buffer.alloc(size);
+    await fh.read(buf, 0, size, 0);
+    return parseId3Tag(buf);
+  } finally {
+    await fh.close();
+  }
+}
+
+/**
+ * Replaces the ID3v2 tag of `file` (see buildFrames for `fields`). The new
+ * tag is written in place when it fits in the old one, otherwise the file is
+ * rewritten through a temp file. Resolves to the tag's size, which is where
+ * the audio starts.
+ */
+export async function writeId3Tag(file, fields) {
+  const frames = buildFrames(fields);
+  const fh = await fsp.open(file, 'r+');
+  let oldSize;
+  try {
+    const head = Buffer.alloc(HEADER_BYTES);
+    await fh.read(head, 0, HEADER_BYTES, 0);
+    oldSize = id3TagSize(head);
+    // Footers aren't written here, so only a tag without one is reused.
+    if (oldSize && !(head[5] & 0x10) && frames.length + HEADER_BYTES <= oldSize) {
+      const body = Buffer.concat([frames, Buffer.alloc(oldSize - HEADER_BYTES - frames.length)]);
+      await fh.write(Buffer.concat([header(body.length), body]), 0, oldSize, 0);
+      return oldSize;
+    }
+  } finally {
+    await fh.close();
+  }
+
+  const body = Buffer.concat([frames, Buffer.alloc(PADDING_BYTES)]);
+  const tag = Buffer.concat([header(body.length), body]);
+  const tmpName = `${file}.${process.pid}.id3.tmp`;
+  const out = fs.createWriteStream(tmpName);
+  out.write(tag);
+  try {
+    await pipeline(fs.createReadStream(file, { start: oldSize }), out);
+    await fsp.rename(tmpName, file);
+  } catch (e) {
+    // Don't leave a half-written copy behind, least of all on a full disk.
+    await fsp.unlink(tmpName).catch(() => {});
+    throw e;
+  }
+  return tag.length;
+}
@@ -0,0 +1,156 @@
+/**
+ * DTMF cues in the stream while it is being captured, instead of from the
+ * finished file.
+ *
+ * The MP3 bytes of a capture are fed in as they arrive (see the 'audio'
+ * event of StreamCapture, RecordingSession and StreamArchive) and decoded
+ * by ffmpeg into the same detector analyzeFileForDTMF uses. Each connection
+ * gets its own decoder, since a new connection starts a new MP3 stream.
+ *
+ * A cue is placed in wall-clock time the way the archive places audio: the
+ * frames fed so far are taken to play back to back, ending when the newest
+ * of them arrived. That is when the cue went out on the stream as far as
+ * this machine can tell, which is what the offset is measured against.
+ *
+ * Events:
+ *   'cue'    { digit, at, atMs, file }   a '#' with a digit right after it (`digit` is e.g. '#4')
+ *   'error'  Error                       the decoder can't be run; detection stops
+ */
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import DtmfDetectionStream from 'dtmf-detection-stream';
+import { pcmWriter } from './dtmf-analyzer.js';
+import { parseFrameHeader } from './mp3-frames.js';
+
+const SAMPLE_RATE = 8000;
+
+export const DEFAULT_DECODER = {
+  command: 'ffmpeg',
+  args: ['-v', 'error', '-f', 'mp3', '-i', 'pipe:0', '-f', 's16le', '-ar', String(SAMPLE_RATE), '-ac', '1', 'pipe:1']
+};
+
+// A '#' and the digit after it this close together make one cue.
+const PAIR_SECONDS = 0.2;
+
+// A reconnect replays buffered audio; the same cue again this close to the
+// first is the same cue.
+const REPEAT_MS = 5000;
+
+/**
+ * Adds up the play time of MP3 data fed in arbitrary pieces.
+ */
+export class FrameClock {
+  constructor() {
+    this.seconds = 0;
+    this.carry = Buffer.alloc(0);
+  }
+
+  /**
+   * Counts the whole frames now available; returns the total seconds.
+   */
+  push(data) {
+    const buf = this.carry.length > 0 ? Buffer.concat([this.carry, data]) : data;
+    let i = 0;
+    while (i + 4 <= buf.length) {
+      const h = parseFrameHeader(buf, i);
+      if (!h) {
+        i++;
+        continue;
+      }
+      if (i + h.length > buf.length) break;
+      this.seconds += h.duration;
+      i += h.length;
+    }
+    this.carry = Buffer.from(buf.subarray(i));
+    return this.seconds;
+  }
+}
+
+export class LiveDtmfDetector extends EventEmitter {
+  /**
+   * @param {object} [opts]
+   * @param {{ command: string, args: string[] }} [opts.decoder] turns MP3 on stdin into 8 kHz mono s16le on stdout
+   */
+  constructor({ decoder = DEFAULT_DECODER } = {}) {
+    super();
+    this.decoder = decoder;
+    this.current = null;
+    this.retired = [];
+    this.closing = new Set();
+    this.failed = false;
+    this.lastCue = null;
+  }
+
+  /**
+   * Feeds MP3 `data` that arrived at `at` (ms) from connection `segment` of
+   * the capture into `file`. Once another connection is fed, the earlier one
+   * is done with: captures overlap at a handoff, and only the newer counts.
+   */
+  write(data, at, file, segment = 0) {
+    if (this.failed) return;
+    const key = `${file}\n${segment}`;
+    if (this.retired.includes(key)) return;
+    if (this.current && this.current.key !== key) this.close(this.current);
+    if (!this.current) this.current = this.open(key, file);
+    const d = this.current;
+    d.audioSeconds = d.clock.push(data);
+    d.lastArrival = at;
+    d.child.stdin.write(data);
+  }
+
+  open(key, file) {
+    const child = spawn(this.decoder.command, this.decoder.args);
+    const dds = new DtmfDetectionStream({ format: { sampleRate: SAMPLE_RATE, bitDepth: 16, channels: 1 } });
+    const d = { key, file, child, clock: new FrameClock(), audioSeconds: 0, lastArrival: null };
+    // Done once the decoder has exited and the detector has had all its output
+    d.closed = Promise.all([
+      new Promise(resolve => child.on('close', resolve)),
+      new Promise(resolve => child.stdout.on('close', () => dds.end(resolve)))
+    ]);
+
+    child.stdout.on('data', pcmWriter(dds));
+    child.stdin.on('error', () => { /* the decoder exited; 'close' follows */ });
+    child.stderr.on('data', () => { /* decode errors are checkDecodeIntegrity's job */ });
+    child.on('error', (err) => {
+      if (this.failed) return;
+      this.failed = true;
+      if (this.current === d) this.current = null;
+      this.emit('error', err);
+    });
+
+    let last = null;
+    dds.on('dtmf', ({ digit, timestamp }) => {
+      if (last && last.digit === '#' && digit !== '#' && timestamp - last.timestamp <= PAIR_SECONDS) {
+        this.cue(d, `#${digit}`, last.timestamp);
+      }
+      last = { digit, timestamp };
+    });
+    return d;
+  }
+
+  // `seconds` into what decoder `d` was fed
+  cue(d, digit, seconds) {
+    const atMs = Math.round(d.lastArrival - (d.audioSeconds - seconds) * 1000);
+    if (this.lastCue && this.lastCue.digit === digit && Math.abs(this.lastCue.atMs - atMs) < REPEAT_MS) return;
+    this.lastCue = { digit, atMs };
+    this.emit('cue', { digit, at: new Date(atMs).toISOString(), atMs, file: d.file });
+  }
+
+  close(d) {
+    if (this.current === d) this.current = null;
+    this.retired = [...this.retired.slice(-9), d.key];
+    d.child.stdin.end();
+    this.closing.add(d);
+    d.closed.then(() => this.closing.delete(d));
+  }
+
+  /**
+   * Ends the current decoder; resolves once every decoder has finished (and
+   * reported its last cues).
+   */
+  async stop() {
+    if (this.current) this.close(this.current);
+    await Promise.all([...this.closing].map(d => d.closed));
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * MPEG audio frame scanning, enough to cut captured streams on frame
+ * boundaries and to know how long each piece plays without a decoder.
+ */
+
+import { id3TagSize } from './id3-tag.js';
+
+const SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// kbps by bitrate index; keys are `${mpeg1 ? 1 : 2}${layer}` (layer 1-3).
+const BITRATES = {
+  11: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  12: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  13: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  21: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  22: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  23: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+/**
+ * Parses the frame header at `buf[i]`.
+ * @returns {{ length: number, samples: number, sampleRate: number, bitrate: number, duration: number }|null}
+ *   `length` in bytes, `bitrate` in kbps, `duration` in seconds; null if
+ *   there is no valid header (free-format frames aren't supported)
+ */
+export function parseFrameHeader(buf, i) {
+  if (i + 4 > buf.length || buf[i] !== 0xff || (buf[i + 1] & 0xe0) !== 0xe0) return null;
+  const version = (buf[i + 1] >> 3) & 3; // 3: MPEG 1, 2: MPEG 2, 0: MPEG 2.5
+  const layer = 4 - ((buf[i + 1] >> 1) & 3); // 4 is reserved
+  const bitrateIndex = buf[i + 2] >> 4;
+  const rateIndex = (buf[i + 2] >> 2) & 3;
+  const padding = (buf[i + 2] >> 1) & 1;
+  if (version === 1 || layer === 4 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const mpeg1 = version === 3;
+  const bitrate = BITRATES[`${mpeg1 ? 1 : 2}${layer}`][bitrateIndex];
+  const sampleRate = SAMPLE_RATES[version][rateIndex];
+  const samples = layer === 1 ? 384 : layer === 3 && !mpeg1 ? 576 : 1152;
+  const length = layer === 1
+    ? (Math.floor(12 * bitrate * 1000 / sampleRate) + padding) * 4
+    : Math.floor(samples / 8 * bitrate * 1000 / sampleRate) + padding;
+  return { length, samples, sampleRate, bitrate, duration: samples / sampleRate };
+}
+
+/**
+ * Finds the frames in `buf`, skipping an ID3v2 tag and any bytes that aren't
+ * frames (a capture can start or end mid-frame). A header only counts when
+ * another one follows it, or when its frame ends the buffer exactly.
+ * @returns {{ frames: Array<{ offset: number, length: number, duration: number }>, duration: number, skipped: number }}
+ */
+export function scanFrames(buf) {
+  const frames = [];
+  let duration = 0;
+  let skipped = 0;
+  let i = id3TagSize(buf);
+  while (i + 4 <= buf.length) {
+    const h = parseFrameHeader(buf, i);
+    if (h && i + h.length <= buf.length) {
+      const next = i + h.length;
+      if (next + 4 > buf.length ? next === buf.length : parseFrameHeader(buf, next)) {
+        frames.push({ offset: i, length: h.length, duration: h.duration });
+        duration += h.duration;
+        i = next;
+        continue;
+      }
+    }
+    i++;
+    skipped++;
+  }
+  skipped += buf.length - i;
+  return { frames, duration, skipped };
+}
@@ -0,0 +1,233 @@
+/**
+ * Calibration of the stream offset (the recorder's STREAM_OFFSET_SECONDS).
+ *
+ * Each measurement is kept as an observation of the offset it implies: the
+ * one that would have put the recording's boundary exactly where it
+ * belongs. Measurements come from the #4 tone at the end of the hour
+ * (method 'tone') and from lining a program's opening up with an earlier
+ * airing (method 'alignment', see audio-alignment.js); an alignment
+ * carries its own confidence, and a 'low' one is recorded but not used.
+ * The offset in use follows the median of the recent observations, once
+ * enough of them agree; one false detection is an outlier and moves
+ * nothing. An operator can pin the offset (calibration then only records
+ * observations) or revert the last change.
+ *
+ * offset.json:
+ *   { offset, lastUpdated, pinned: { at, note }|null, resetAt,
+ *     observations: [{ at, method, file, drift, offsetUsed, measured, outlier,
+ *                      toneFromEnd? | reference?, lagSeconds?, score?, confidence? }],
+ *     history: [{ at, offset, previous, reason, observations?, undid? }] }
+ * Observations from before `resetAt` (set by a revert) are no longer used.
+ * A file with only `offset` (the old format) reads as having no history,
+ * and observations without a `method` are tones.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const fsp = fs.promises;
+
+export const CALIBRATION_DEFAULTS = {
+  windowSize: 7,         // newest observations the estimate looks at
+  maxAgeDays: 14,        // ...and none older than this
+  minObservations: 3,    // agreeing observations needed before the offset moves
+  outlierSeconds: 5,     // this far from the window's median is an outlier
+  minChangeSeconds: 0.5  // smaller moves aren't made
+};
+
+const MAX_OBSERVATIONS = 200;
+const MAX_HISTORY = 50;
+
+/**
+ * Brings an offset into [-1800, 1800) seconds, to 0.1s: the stream is never
+ * more than half an hour off, so a whole hour more or less is the same.
+ */
+export function normalizeOffset(seconds) {
+  let n = (seconds + 1800) % 3600;
+  if (n < 0) n += 3600;
+  return Math.round((n - 1800) * 10) / 10;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * The offset the recent `observations` agree on (leaving out those with
+ * 'low' confidence of their own).
+ * @returns {{ offset: number|null, confidence: 'none'|'low'|'high', inliers: object[], outliers: object[], spread: number|null }}
+ *   `confidence` is 'high' once at least `minObservations` observations lie
+ *   within `outlierSeconds` of the median; `spread` is their median distance
+ *   from `offset`
+ */
+export function estimateOffset(observations, { now = Date.now(), since = null, ...settings } = {}) {
+  const { windowSize, maxAgeDays, minObservations, outlierSeconds } = { ...CALIBRATION_DEFAULTS, ...settings };
+  const oldest = Math.max(now - maxAgeDays * 86400 * 1000, since ? Date.parse(since) : -Infinity);
+  const window = observations.filter(o => o.confidence !== 'low' && Date.parse(o.at) >= oldest).slice(-windowSize);
+  if (window.length === 0) return { offset: null, confidence: 'none', inliers: [], outliers: [], spread: null };
+
+  // The lower middle, not the mean of two, so that something lies near it
+  const sorted = window.map(o => o.measured).sort((a, b) => a - b);
+  const center = sorted[Math.floor((sorted.length - 1) / 2)];
+  const inliers = window.filter(o => Math.abs(o.measured - center) <= outlierSeconds);
+  const outliers = window.filter(o => !inliers.includes(o));
+  const offset = Math.round(median(inliers.map(o => o.measured)) * 10) / 10;
+  return {
+    offset,
+    confidence: inliers.length >= minObservations ? 'high' : 'low',
+    inliers,
+    outliers,
+    spread: Math.round(median(inliers.map(o => Math.abs(o.measured - offset))) * 10) / 10
+  };
+}
+
+/**
+ * offset.json, reloaded when it changes on disk (so the recorder picks up
+ * what the CLI does) and rewritten atomically.
+ */
+export class OffsetCalibrationFile {
+  /**
+   * @param {string} filePath
+   * @param {object} [opts]
+   * @param {number} [opts.defaultOffset] offset until the file has one
+   * @param {object} [opts.settings] overrides for CALIBRATION_DEFAULTS
+   */
+  constructor(filePath, { defaultOffset = 0, settings = {} } = {}) {
+    this.filePath = filePath;
+    this.defaultOffset = defaultOffset;
+    this.settings = { ...CALIBRATION_DEFAULTS, ...settings };
+    this.mtimeMs = null;
+    this.state = this.parse({});
+  }
+
+  parse(data) {
+    return {
+      offset: typeof data.offset === 'number' ? data.offset : this.defaultOffset,
+      lastUpdated: data.lastUpdated || null,
+      pinned: data.pinned || null,
+      resetAt: data.resetAt || null,
+      observations: Array.isArray(data.observations) ? data.observations : [],
+      history: Array.isArray(data.history) ? data.history : []
+    };
+  }
+
+  get offset() {
+    return this.state.offset;
+  }
+
+  /**
+   * Reads the file if it changed. Resolves to the state; an unreadable file
+   * keeps the last one.
+   */
+  async load() {
+    let stats;
+    try {
+      stats = await fsp.stat(this.filePath);
+    } catch (e) {
+      return this.state;
+    }
+    if (stats.mtimeMs === this.mtimeMs) return this.state;
+    try {
+      this.state = this.parse(JSON.parse(await fsp.readFile(this.filePath, 'utf-8')));
+      this.mtimeMs = stats.mtimeMs;
+    } catch (e) { /* half-written or hand-edited badly; keep what we had */ }
+    return this.state;
+  }
+
+  async save() {
+    const s = this.state;
+    s.observations = s.observations.slice(-MAX_OBSERVATIONS);
+    s.history = s.history.slice(-MAX_HISTORY);
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fsp.writeFile(tmp, JSON.stringify(s, null, 2));
+    await fsp.rename(tmp, this.filePath);
+    this.mtimeMs = (await fsp.stat(this.filePath)).mtimeMs;
+  }
+
+  estimate({ now = Date.now() } = {}) {
+    return estimateOffset(this.state.observations, { ...this.settings, now, since: this.state.resetAt });
+  }
+
+  setOffset(offset, reason, extra = {}) {
+    const at = new Date().toISOString();
+    this.state.history.push({ at, offset, previous: this.state.offset, reason, ...extra });
+    this.state.offset = offset;
+    this.state.lastUpdated = at;
+  }
+
+  /**
+   * Records that the boundary of `file`, recorded with `offsetUsed`, was
+   * `drift` seconds off, as measured by `method`; `details` (such as
+   * `toneFromEnd`, or an alignment's `score` and `confidence`) are kept with
+   * it. Moves the offset to the new estimate unless it is pinned, the
+   * estimate isn't confident or the move is too small.
+   * @returns {Promise<{ observation: object, estimate: object, changed: boolean, previous: number, offset: number }>}
+   */
+  async observe({ file, drift, offsetUsed, method = 'tone', at = new Date().toISOString(), ...details }) {
+    await this.load();
+    const observation = { at, method, file, drift, offsetUsed, measured: normalizeOffset(offsetUsed + drift), outlier: false, ...details };
+    this.state.observations.push(observation);
+    const estimate = this.estimate({ now: Date.parse(at) });
+    observation.outlier = estimate.outliers.includes(observation);
+
+    const previous = this.state.offset;
+    const changed = !this.state.pinned && estimate.confidence === 'high' &&
+      Math.abs(estimate.offset - previous) >= this.settings.minChangeSeconds;
+    if (changed) this.setOffset(estimate.offset, 'calibration', { observations: estimate.inliers.length });
+    await this.save();
+    return { observation, estimate, changed, previous, offset: this.state.offset };
+  }
+
+  /**
+   * The offset the last tone observed in `file` implied, or null: the best
+   * idea of where that recording's boundary really was.
+   */
+  toneMeasurement(file) {
+    const tone = this.state.observations.filter(o => o.file === file && (o.method || 'tone') === 'tone').pop();
+    return tone ? tone.measured : null;
+  }
+
+  /**
+   * Fixes the offset (at `offset`, or where it is); calibration keeps
+   * recording observations but no longer changes it.
+   */
+  async pin(offset = null, note = null) {
+    await this.load();
+    if (offset !== null && offset !== this.state.offset) this.setOffset(offset, 'pinned');
+    this.state.pinned = { at: new Date().toISOString(), note };
+    await this.save();
+    return this.state;
+  }
+
+  async unpin() {
+    await this.load();
+    this.state.pinned = null;
+    await this.save();
+    return this.state;
+  }
+
+  /**
+   * Goes back to the offset before the last change not yet reverted, and
+   * starts the estimate afresh from the observations made after now.
+   * Resolves to the history entry undone, or null if there was none.
+   */
+  async revert() {
+    await this.load();
+    // Each revert in the history cancels the change before it, like an undo stack
+    let pending = 0;
+    const last = [...this.state.history].reverse().find(h => {
+      if (h.reason === 'reverted') pending++;
+      else if (pending > 0) pending--;
+      else return true;
+      return false;
+    });
+    if (!last) return null;
+    this.setOffset(last.previous, 'reverted', { undid: last.at });
+    this.state.resetAt = this.state.lastUpdated;
+    await this.save();
+    return last;
+  }
+}
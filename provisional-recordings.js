@@ -0,0 +1,89 @@
+/**
+ * Recordings made while their day's schedule was provisional.
+ *
+ * A provisional schedule (schedule-fallback.js) guesses the day's programs:
+ * last week's entries, program codes included, or hourly placeholders. What
+ * is recorded under it is what really aired in the slot, but its label is a
+ * guess, so its info and catalog entry carry `provisional` (and `basedOn`,
+ * the day the guess was copied from). The player uses such a recording only
+ * for its own day, and retention doesn't count it as an airing of its code,
+ * so it can't push out the genuine recording of that code.
+ *
+ * Once the real schedule for the day is in, each one is relabelled after the
+ * slot that really starts when it does, if that slot is as long as the one
+ * recorded. Otherwise it matches no real slot: it is marked `superseded`,
+ * never played again, and left for retention to remove.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { icySidecarPath } from './stream-capture.js';
+import { cueSheetPath } from './dtmf-analyzer.js';
+import { freeRecordingPath, recordingFileName, updateRecordingInfo } from './recording-files.js';
+
+const fsp = fs.promises;
+
+/**
+ * Pairs each provisional entry of `entries` (catalog entries of one day,
+ * with `file`) with the real slot of that day (from daySlots/buildTimeline)
+ * it was recorded for, or null when there is none.
+ * @returns {Array<{ entry: object, slot: object|null }>}
+ */
+export function planRelabel(entries, slots) {
+  return entries
+    .filter(e => e.provisional && !e.superseded)
+    .map((entry) => {
+      const slot = slots.find(s => s.secondsSinceMidnight === entry.slotStart &&
+        Math.round((s.end - s.start) / 1000) === entry.scheduledDuration);
+      return { entry, slot: slot || null };
+    });
+}
+
+async function moveRecording(from, to) {
+  await fsp.rename(from, to);
+  await fsp.rename(icySidecarPath(from), icySidecarPath(to)).catch(() => {});
+  await fsp.rename(cueSheetPath(from), cueSheetPath(to)).catch(() => {});
+}
+
+/**
+ * Relabels (or supersedes) the provisional recordings of `dateStr` after its
+ * real `slots`, renaming the files and updating their info and `catalog`.
+ * Resolves to `{ relabelled, superseded }` counts.
+ */
+export async function relabelProvisional(catalog, dateStr, slots, { log = () => {} } = {}) {
+  const entries = (await catalog.list()).filter(e => e.date === dateStr);
+  const counts = { relabelled: 0, superseded: 0 };
+  for (const { entry, slot } of planRelabel(entries, slots)) {
+    const hour = String(Math.floor(entry.slotStart / 3600)).padStart(2, '0');
+    const name = slot && path.join(path.dirname(entry.file),
+      recordingFileName(hour, slot.program_code, entry.scheduledDuration, { partial: entry.partial }));
+    // A recording already under the real name (another copy of the slot) stays.
+    const target = name && (name === entry.file ? name : freeRecordingPath(name));
+    try {
+      if (!target) {
+        await updateRecordingInfo(entry.file, { superseded: true });
+        await catalog.add(entry.file);
+        log(`[Provisional] ${entry.path} matches no slot of the real ${dateStr} schedule; superseded.`);
+        counts.superseded++;
+        continue;
+      }
+      if (target !== entry.file) await moveRecording(entry.file, target);
+      await updateRecordingInfo(target, {
+        programCode: slot.program_code,
+        programTitle: slot.program_title,
+        seriesTitle: slot.series_title,
+        timeText: slot.timeText,
+        provisional: false,
+        basedOn: null,
+        relabelledFrom: entry.code
+      });
+      if (target !== entry.file) await catalog.remove(entry.file);
+      await catalog.add(target);
+      log(`[Provisional] ${entry.path} relabelled as ${slot.program_code}${target !== entry.file ? ` (${path.basename(target)})` : ''}.`);
+      counts.relabelled++;
+    } catch (e) {
+      log(`[Provisional] Could not relabel ${entry.path}: ${e.message}`);
+    }
+  }
+  return counts;
+}
@@ -0,0 +1,305 @@
+/**
+ * Persistent index of the recordings under the recordings tree, kept in
+ * `<base>/catalog.json` so lookups don't have to walk the directories.
+ *
+ * The recorder adds each recording when it is finalized and removes it when
+ * it deletes the file; recordings.js writes it too (rebuild, retention,
+ * verify, recut), and the player drops a recording it finds too short to
+ * air. Each change holds `catalog.json.lock` from reading the file to
+ * saving it (atomically), so changes from all of them apply one at a time;
+ * a lock left by a process that died is taken over. Readers reload the file
+ * when it changes. `rebuild` regenerates it from the files on disk.
+ *
+ * Entry: { path, date, slotStart, code, programTitle, seriesTitle,
+ *          scheduledDuration, duration, partial, startOffsetSeconds,
+ *          verification, integrity, provisional, basedOn, superseded,
+ *          bytes, addedAt }
+ * `path` is relative to the base; `slotStart` (seconds since midnight) is
+ * null when the file has no metadata, as the name only gives the hour a slot
+ * starts in; `verification` is the result
+ * ('ok', 'short', ...) and `integrity` the decode status ('ok', 'damaged',
+ * 'corrupt'), each null if the file was never checked. `provisional`,
+ * `basedOn` and `superseded` are as in provisional-recordings.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { isPartialRecording, pickRecording, readRecordingInfo } from './recording-files.js';
+
+const fsp = fs.promises;
+
+export const CATALOG_FILE_NAME = 'catalog.json';
+
+let tmpCounter = 0;
+
+// A lock held this long belongs to a process that hung (or died without
+// its pid being checkable); until then another change waits for it.
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 50;
+
+const NAME_RE = /^(\d{2})-(.+?)(?:-(\d+))?(?:\.\d+)?(\.partial)?\.mp3$/;
+const DATE_DIR_RE = /(\d{4})[\\/](\d{2})[\\/](\d{2})$/;
+
+/**
+ * What can be told about a recording from its path alone
+ * (`YYYY/MM/DD/HH-CODE-DURATION[.N][.partial].mp3`), or null for other files.
+ * `hour` is the hour its slot starts in; the minute isn't in the name.
+ */
+export function parseRecordingPath(file) {
+  const name = path.basename(file).match(NAME_RE);
+  const day = path.dirname(file).match(DATE_DIR_RE);
+  if (!name || !day) return null;
+  return {
+    date: `${day[1]}-${day[2]}-${day[3]}`,
+    hour: parseInt(name[1], 10),
+    code: name[2],
+    scheduledDuration: name[3] ? parseInt(name[3], 10) : null,
+    partial: Boolean(name[4])
+  };
+}
+
+/**
+ * Where `entry` belongs in a day's order, in seconds since midnight: its
+ * `slotStart`, or the start of its hour when that isn't known.
+ */
+export function entryStart(entry) {
+  return typeof entry.slotStart === 'number' ? entry.slotStart : parseInt(path.basename(entry.path), 10) * 3600;
+}
+
+async function lockIsStale(lockFile) {
+  try {
+    const [owner, stats] = await Promise.all([fsp.readFile(lockFile, 'utf-8'), fsp.stat(lockFile)]);
+    const pid = parseInt(owner, 10);
+    if (pid && pid !== process.pid) {
+      try {
+        process.kill(pid, 0);
+      } catch (e) {
+        if (e.code === 'ESRCH') return true;
+      }
+    }
+    return Date.now() - stats.mtimeMs > LOCK_STALE_MS;
+  } catch (e) {
+    return false; // released meanwhile
+  }
+}
+
+// Creates `lockFile` (holding our pid) once no live process holds it.
+async function acquireLock(lockFile) {
+  await fsp.mkdir(path.dirname(lockFile), { recursive: true });
+  for (;;) {
+    try {
+      const handle = await fsp.open(lockFile, 'wx');
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      return;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    if (await lockIsStale(lockFile)) await fsp.unlink(lockFile).catch(() => {});
+    else await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+async function listRecordings(dir) {
+  let results = [];
+  try {
+    for (const entry of await fsp.readdir(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) results = results.concat(await listRecordings(full));
+      else if (entry.name.endsWith('.mp3')) results.push(full);
+    }
+  } catch (e) { /* ignore */ }
+  return results;
+}
+
+export class RecordingCatalog {
+  /**
+   * @param {string} recordBase root of the recordings tree
+   * @param {object} [opts]
+   * @param {string} [opts.file] catalog file (default: `<recordBase>/catalog.json`)
+   */
+  constructor(recordBase, { file = path.join(recordBase, CATALOG_FILE_NAME) } = {}) {
+    this.recordBase = recordBase;
+    this.file = file;
+    this.lockFile = `${file}.lock`;
+    this.mtimeMs = null;
+    this.ino = null;
+    this.entries = new Map(); // relative path -> entry
+    this.changing = null;
+  }
+
+  // Runs `fn` after the changes queued before it, holding the lock, so that
+  // no two changes (from any process) interleave their read, update and save.
+  change(fn) {
+    this.changing = (this.changing || Promise.resolve()).catch(() => {}).then(async () => {
+      await acquireLock(this.lockFile);
+      try {
+        return await fn();
+      } finally {
+        await fsp.unlink(this.lockFile).catch(() => {});
+      }
+    });
+    return this.changing;
+  }
+
+  /**
+   * (Re)reads the catalog file if it changed. Resolves to whether a readable
+   * catalog exists.
+   */
+  async load() {
+    let stats;
+    try {
+      stats = await fsp.stat(this.file);
+    } catch (e) {
+      this.mtimeMs = null;
+      this.entries = new Map();
+      return false;
+    }
+    // Every save renames a new file into place, so the inode changes too.
+    if (stats.mtimeMs === this.mtimeMs && stats.ino === this.ino) return true;
+    try {
+      const data = JSON.parse(await fsp.readFile(this.file, 'utf-8'));
+      this.entries = new Map((data.recordings || []).map(e => [e.path, e]));
+    } catch (e) {
+      this.mtimeMs = null;
+      this.entries = new Map();
+      return false;
+    }
+    this.mtimeMs = stats.mtimeMs;
+    this.ino = stats.ino;
+    return true;
+  }
+
+  async save() {
+    const recordings = [...this.entries.values()]
+      .sort((a, b) => a.date.localeCompare(b.date) || entryStart(a) - entryStart(b) || a.path.localeCompare(b.path));
+    const tmpName = `${this.file}.${process.pid}.${++tmpCounter}.tmp`;
+    await fsp.mkdir(path.dirname(this.file), { recursive: true });
+    await fsp.writeFile(tmpName, JSON.stringify({ version: 1, updatedAt: new Date().toISOString(), recordings }, null, 2));
+    await fsp.rename(tmpName, this.file);
+    const stats = await fsp.stat(this.file);
+    this.mtimeMs = stats.mtimeMs;
+    this.ino = stats.ino;
+  }
+
+  relative(file) {
+    return path.relative(this.recordBase, path.resolve(this.recordBase, file));
+  }
+
+  absolute(entry) {
+    return path.join(this.recordBase, entry.path);
+  }
+
+  /**
+   * Builds the entry for `file` from its name, its metadata and its size.
+   * Returns null for files that aren't named like recordings.
+   */
+  async describe(file) {
+    const parsed = parseRecordingPath(file);
+    if (!parsed) return null;
+    const info = await readRecordingInfo(file);
+    const stats = await fsp.stat(file);
+    const verification = info.verification || {};
+    return {
+      path: this.relative(file),
+      date: info.date || parsed.date,
+      slotStart: typeof info.slotStart === 'number' ? info.slotStart : null,
+      code: info.programCode || parsed.code,
+      programTitle: info.programTitle || null,
+      seriesTitle: info.seriesTitle || null,
+      scheduledDuration: info.scheduledDuration || parsed.scheduledDuration,
+      duration: verification.actualDuration || info.actualDuration || null,
+      partial: isPartialRecording(file),
+      startOffsetSeconds: info.startOffsetSeconds || 0,
+      verification: verification.result || null,
+      integrity: info.integrity ? info.integrity.status : null,
+      provisional: Boolean(info.provisional),
+      basedOn: info.basedOn || null,
+      superseded: Boolean(info.superseded),
+      bytes: stats.size,
+      addedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Adds or refreshes `file` and saves. Resolves to its entry.
+   */
+  add(file) {
+    return this.change(async () => {
+      await this.load();
+      const entry = await this.describe(file);
+      if (!entry) return null;
+      this.entries.set(entry.path, entry);
+      await this.save();
+      return entry;
+    });
+  }
+
+  /**
+   * Drops `files` (paths of recordings) and saves if anything changed.
+   */
+  remove(...files) {
+    return this.change(async () => {
+      await this.load();
+      let changed = false;
+      for (const file of files) {
+        changed = this.entries.delete(this.relative(file)) || changed;
+      }
+      if (changed) await this.save();
+      return changed;
+    });
+  }
+
+  /**
+   * Regenerates the catalog from the `.mp3` files on disk. Resolves to the
+   * number of recordings found.
+   */
+  rebuild() {
+    return this.change(async () => {
+      const entries = new Map();
+      for (const file of await listRecordings(this.recordBase)) {
+        try {
+          const entry = await this.describe(file);
+          if (entry) entries.set(entry.path, entry);
+        } catch (e) { /* vanished while scanning */ }
+      }
+      this.entries = entries;
+      await this.save();
+      return entries.size;
+    });
+  }
+
+  /**
+   * Every entry (with `file`, its absolute path), oldest first.
+   */
+  async list() {
+    await this.load();
+    return [...this.entries.values()]
+      .map(e => ({ ...e, file: this.absolute(e) }))
+      .sort((a, b) => a.date.localeCompare(b.date) || entryStart(a) - entryStart(b));
+  }
+
+  async byCode(code) {
+    return (await this.list()).filter(e => e.code === code);
+  }
+
+  /**
+   * Finds the best recording of `code` for the slot on `dateStr`, with the
+   * same ordering and result as findRecording in recording-files.js.
+   * Entries whose file has gone missing are skipped.
+   */
+  async find(dateStr, code, { maxDaysBack = 30, exclude = [] } = {}) {
+    const candidates = await this.byCode(code);
+    const skip = [...exclude];
+    for (;;) {
+      const found = pickRecording(candidates, dateStr, { maxDaysBack, exclude: skip });
+      if (!found) return null;
+      if (!fs.existsSync(found.file)) {
+        skip.push(found.file);
+        continue;
+      }
+      const info = await readRecordingInfo(found.file);
+      return { file: found.file, date: found.date, partial: found.partial, startOffsetSeconds: found.partial ? found.startOffsetSeconds : 0, info, entry: found };
+    }
+  }
+}
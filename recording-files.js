@@ -0,0 +1,240 @@
+/**
+ * Naming, metadata and lookup of recordings under the recordings tree
+ * (`<base>/YYYY/MM/DD/HH-CODE-DURATION.mp3`).
+ *
+ * What a recording contains (program, titles, slot, offsets, verification)
+ * is kept in the `recording` section of its `.icy.json` sidecar and, as a
+ * copy, in its ID3 tag, so either one identifies the file on its own.
+ *
+ * A recording that is missing the start of its program (a late join, or one
+ * cut short) is kept as `HH-CODE-DURATION.partial.mp3`. Its
+ * `startOffsetSeconds` says how far into the program it begins. A second
+ * recording of the same slot (after a restart, say) never replaces the first:
+ * it is kept as `HH-CODE-DURATION.2[.partial].mp3`, and so on.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { icySidecarPath } from './stream-capture.js';
+import { cueSheetPath } from './dtmf-analyzer.js';
+import { readId3Tag, writeId3Tag } from './id3-tag.js';
+
+const fsp = fs.promises;
+
+export function recordingFileName(hour, code, durationSeconds, { partial = false } = {}) {
+  return `${hour}-${code || 'UNK'}-${durationSeconds}${partial ? '.partial' : ''}.mp3`;
+}
+
+export function isPartialRecording(file) {
+  return /\.partial\.mp3$/.test(file);
+}
+
+export function partialPath(file) {
+  return isPartialRecording(file) ? file : file.replace(/\.mp3$/, '.partial.mp3');
+}
+
+/**
+ * `file`, or the first numbered copy of its name (see above) when a
+ * recording or sidecar is already there.
+ */
+export function freeRecordingPath(file) {
+  const taken = f => fs.existsSync(f) || fs.existsSync(icySidecarPath(f));
+  if (!taken(file)) return file;
+  const [, stem, partial = ''] = file.match(/^(.*?)(\.partial)?\.mp3$/);
+  for (let n = 2; ; n++) {
+    const copy = `${stem}.${n}${partial}.mp3`;
+    if (!taken(copy)) return copy;
+  }
+}
+
+/**
+ * Deletes recording `file` with its sidecar and cue sheet (a missing one is
+ * fine). Dropping it from the catalog is up to the caller.
+ */
+export async function deleteRecordingFiles(file) {
+  await fsp.unlink(file).catch(e => { if (e.code !== 'ENOENT') throw e; });
+  await fsp.unlink(icySidecarPath(file)).catch(() => {});
+  await fsp.unlink(cueSheetPath(file)).catch(() => {});
+}
+
+function dayDir(recordBase, dateStr) {
+  return path.join(recordBase, ...dateStr.split('-'));
+}
+
+// TXXX frame holding the whole `recording` section as JSON.
+const ID3_INFO_KEY = '3ABN_RECORDING';
+
+async function readSidecar(file) {
+  try {
+    return JSON.parse(await fsp.readFile(icySidecarPath(file), 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * What `file` contains: the `recording` section of its sidecar, else the
+ * copy in its ID3 tag, else {}. Fields (all optional): date, slotStart,
+ * timeText, programCode, programTitle, seriesTitle, scheduledDuration,
+ * streamOffsetSeconds, startDelaySeconds, partial, startOffsetSeconds,
+ * reason, verification, integrity, source ('archive' for cuts from the
+ * stream archive).
+ */
+export async function readRecordingInfo(file) {
+  const sidecar = await readSidecar(file);
+  if (sidecar && sidecar.recording) return sidecar.recording;
+  try {
+    const tag = await readId3Tag(file);
+    if (tag && tag.user[ID3_INFO_KEY]) return JSON.parse(tag.user[ID3_INFO_KEY]);
+  } catch (e) { /* no tag */ }
+  return {};
+}
+
+function slotDateTime(info) {
+  if (!info.date || typeof info.slotStart !== 'number') return info.date;
+  const secs = info.slotStart % 86400;
+  const hh = String(Math.floor(secs / 3600)).padStart(2, '0');
+  const mm = String(Math.floor((secs % 3600) / 60)).padStart(2, '0');
+  return `${info.date}T${hh}:${mm}`;
+}
+
+function id3Fields(info, station) {
+  return {
+    text: {
+      TIT2: info.programTitle || info.programCode,
+      TALB: info.seriesTitle,
+      TPE1: station || '3ABN Radio',
+      TDRC: slotDateTime(info),
+      TLEN: info.verification && info.verification.actualDuration
+        ? String(Math.round(info.verification.actualDuration * 1000))
+        : null
+    },
+    user: {
+      '3ABN_PROGRAM_CODE': info.programCode,
+      [ID3_INFO_KEY]: JSON.stringify(info)
+    }
+  };
+}
+
+/**
+ * Merges `patch` into the `recording` section of `file`'s sidecar and
+ * rewrites its ID3 tag to match. Returns the merged section.
+ */
+export async function updateRecordingInfo(file, patch = {}) {
+  const data = (await readSidecar(file)) || {};
+  data.recording = { ...data.recording, ...patch };
+  const station = data.station && data.station.name;
+  data.audioOffset = await writeId3Tag(file, id3Fields(data.recording, station));
+  await fsp.writeFile(icySidecarPath(file), JSON.stringify(data, null, 2));
+  return data.recording;
+}
+
+// Frame errors a recording may have and still count as intact: the frame cut
+// off where a capture (or a segment) stopped. Beyond `corruptAbove` there is
+// too little audio left between the errors to be worth playing.
+export const INTEGRITY_LIMITS = { tolerance: 5, corruptAbove: 100 };
+
+/**
+ * The `integrity` record for a decode check (checkDecodeIntegrity's result),
+ * or null if the decoder wasn't available. `status` is 'ok', 'damaged'
+ * (plays, with glitches) or 'corrupt' (doesn't decode; never played).
+ */
+export function integrityFromDecode(check, { tolerance, corruptAbove } = INTEGRITY_LIMITS) {
+  if (!check || !check.available) return null;
+  const frameErrors = typeof check.frameErrors === 'number' ? check.frameErrors : check.errors.length;
+  const status = !check.ok || frameErrors > corruptAbove ? 'corrupt' : frameErrors > tolerance ? 'damaged' : 'ok';
+  return { status, frameErrors, errors: check.errors.slice(0, 5), checkedAt: new Date().toISOString() };
+}
+
+/**
+ * Whether the player may use a recording, judged from its catalog entry
+ * (`verification` and `integrity` are result strings) or its recording info.
+ * A `superseded` recording (see provisional-recordings.js) is never used.
+ */
+export function isPlayable(entryOrInfo) {
+  const result = v => (v && typeof v === 'object' ? v.result || v.status : v);
+  return result(entryOrInfo.verification) !== 'rejected' && result(entryOrInfo.integrity) !== 'corrupt' &&
+    !entryOrInfo.superseded;
+}
+
+/**
+ * Renames `file` (and its sidecar) to a free partial name and records `info`
+ * (e.g. `startOffsetSeconds`, `reason`) like updateRecordingInfo. Returns
+ * the new path.
+ */
+export async function markPartial(file, info = {}) {
+  const target = isPartialRecording(file) ? file : freeRecordingPath(partialPath(file));
+  if (target !== file) {
+    await fsp.rename(file, target);
+    await fsp.rename(icySidecarPath(file), icySidecarPath(target)).catch(() => {});
+  }
+  await updateRecordingInfo(target, { ...info, partial: true });
+  return target;
+}
+
+async function recordingsFor(recordBase, dateStr, code) {
+  try {
+    const files = await fsp.readdir(dayDir(recordBase, dateStr));
+    return files
+      .filter(f => f.endsWith('.mp3') && (f.includes(`-${code}-`) || f.endsWith(`${code}.mp3`)))
+      .map(f => path.join(dayDir(recordBase, dateStr), f));
+  } catch (e) {
+    return [];
+  }
+}
+
+// A recording made under a provisional schedule is what aired in its slot
+// that day, but its program code is only a guess: it stands in for no other day.
+function fitsDay(infoOrCandidate, recordedOn, dateStr) {
+  return !infoOrCandidate.provisional || recordedOn === dateStr;
+}
+
+/**
+ * Chooses the best of `candidates` (`{ file, date, partial }`, all for one
+ * program) for the slot on `dateStr`:
+ *   1. a complete recording from that day,
+ *   2. the newest complete recording from up to `maxDaysBack` earlier days,
+ *   3. a partial recording, that day's first, else the newest earlier one.
+ * Files in `exclude`, recordings from after `dateStr`, candidates that
+ * aren't playable (see isPlayable) and `provisional` ones from other days
+ * are skipped.
+ */
+export function pickRecording(candidates, dateStr, { maxDaysBack = 30, exclude = [] } = {}) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const oldest = new Date(Date.UTC(y, m - 1, d - maxDaysBack)).toISOString().slice(0, 10);
+  const usable = candidates
+    .filter(c => c.date <= dateStr && c.date >= oldest && !exclude.includes(c.file) && isPlayable(c) && fitsDay(c, c.date, dateStr))
+    .sort((a, b) => b.date.localeCompare(a.date));
+  return usable.find(c => !c.partial) || usable.find(c => c.partial) || null;
+}
+
+/**
+ * Finds the best recording of `code` for the slot on `dateStr` (see
+ * pickRecording) by looking through the day directories.
+ *
+ * @returns {Promise<{ file: string, date: string, partial: boolean, startOffsetSeconds: number, info: object }|null>}
+ *   `info` is the file's readRecordingInfo
+ */
+export async function findRecording(recordBase, dateStr, code, { maxDaysBack = 30, exclude = [] } = {}) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const candidates = [];
+  for (let i = 0; i <= maxDaysBack; i++) {
+    const day = new Date(Date.UTC(y, m - 1, d - i)).toISOString().slice(0, 10);
+    for (const file of await recordingsFor(recordBase, day, code)) {
+      candidates.push({ file, date: day, partial: isPartialRecording(file) });
+    }
+  }
+
+  // Whether a recording is playable (or provisional) is only known from its metadata.
+  const skip = [...exclude];
+  let found;
+  let info;
+  for (;;) {
+    found = pickRecording(candidates, dateStr, { maxDaysBack, exclude: skip });
+    if (!found) return null;
+    info = await readRecordingInfo(found.file);
+    if (isPlayable(info) && fitsDay(info, found.date, dateStr)) break;
+    skip.push(found.file);
+  }
+  return { file: found.file, date: found.date, partial: found.partial, startOffsetSeconds: found.partial ? info.startOffsetSeconds || 0 : 0, info };
+}
@@ -0,0 +1,177 @@
+/**
+ * Startup recovery of recordings left unfinished by a crash or restart.
+ *
+ * While a slot records, the recorder writes `<name>.mp3.seg<N>.tmp` segments
+ * and `<name>.icy.json.tmp`; at the slot end they become `<name>.mp3.tmp`,
+ * which is renamed into place. A recorder that dies in between leaves these
+ * files behind. `recoverOrphans` finds them, stitches any segments, probes
+ * the result, and either keeps it as a partial recording or deletes it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { icySidecarPath } from './stream-capture.js';
+import { freeRecordingPath, integrityFromDecode, partialPath, readRecordingInfo, updateRecordingInfo } from './recording-files.js';
+
+const fsp = fs.promises;
+
+const ORPHAN_PATTERNS = [
+  { kind: 'segment', re: /^(.+\.mp3)\.seg(\d+)\.tmp$/ },
+  { kind: 'temp', re: /^(.+\.mp3)\.tmp$/ },
+  { kind: 'sidecar', re: /^(.+)\.icy\.json\.tmp$/, mp3: true },
+  { kind: 'stray', re: /^(.+)\.icy\.json\.tmp\.\d+\.tmp$/, mp3: true },
+  { kind: 'stray', re: /^(.+\.mp3)\.\d+\.id3\.tmp$/ }
+];
+
+async function listFiles(dir) {
+  let results = [];
+  try {
+    for (const entry of await fsp.readdir(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) results = results.concat(await listFiles(full));
+      else results.push(full);
+    }
+  } catch (e) { /* ignore */ }
+  return results;
+}
+
+/**
+ * Groups the leftover temp files under `recordBase` by the recording they
+ * belong to.
+ * @returns {Promise<Array<{ file: string, tempFile: string|null, segments: string[], sidecar: string|null, strays: string[] }>>}
+ *   `file` is the recording's final name; `segments` are in index order
+ */
+export async function findOrphans(recordBase) {
+  const groups = new Map();
+  for (const f of await listFiles(recordBase)) {
+    for (const { kind, re, mp3 } of ORPHAN_PATTERNS) {
+      const m = f.match(re);
+      if (!m) continue;
+      const file = mp3 ? `${m[1]}.mp3` : m[1];
+      if (!groups.has(file)) groups.set(file, { file, tempFile: null, segments: [], sidecar: null, strays: [] });
+      const group = groups.get(file);
+      if (kind === 'segment') group.segments.push({ index: parseInt(m[2], 10), file: f });
+      else if (kind === 'temp') group.tempFile = f;
+      else if (kind === 'sidecar') group.sidecar = f;
+      else group.strays.push(f);
+      break;
+    }
+  }
+  return [...groups.values()].map(g => ({
+    ...g,
+    segments: g.segments.sort((a, b) => a.index - b.index).map(s => s.file)
+  }));
+}
+
+async function sizeOf(file) {
+  try {
+    return (await fsp.stat(file)).size;
+  } catch (e) {
+    return 0;
+  }
+}
+
+// Segments are only deleted once stitching finished, so when they are still
+// there they are the complete copy and any `.mp3.tmp` may be cut short.
+async function stitchSegments(segments, outFile) {
+  const out = fs.createWriteStream(outFile);
+  for (const seg of segments) {
+    if (await sizeOf(seg) === 0) continue;
+    await pipeline(fs.createReadStream(seg), out, { end: false });
+  }
+  out.end();
+  await new Promise((resolve, reject) => {
+    out.once('close', resolve);
+    out.once('error', reject);
+  });
+}
+
+async function removeAll(files) {
+  for (const f of files) {
+    await fsp.unlink(f).catch(() => {});
+  }
+}
+
+/**
+ * Recovers one group from `findOrphans`.
+ * @param {object} opts
+ * @param {number} opts.minSeconds shorter recordings are discarded
+ * @param {(file: string) => Promise<number>} opts.getDuration
+ * @param {(file: string) => Promise<{ available: boolean, ok: boolean, errors: string[], frameErrors?: number }>} opts.checkDecode
+ * @returns {Promise<{ action: 'finalized'|'completed'|'discarded', file: string, reason: string, duration?: number }>}
+ */
+export async function recoverOrphan(group, { minSeconds, getDuration, checkDecode }) {
+  const target = partialPath(group.file);
+  const tempFile = group.tempFile || `${group.file}.tmp`;
+  const discard = async (reason, duration) => {
+    await removeAll([tempFile, ...group.segments, ...(group.sidecar ? [group.sidecar] : []), ...group.strays]);
+    return { action: 'discarded', file: group.file, reason, duration };
+  };
+
+  await removeAll(group.strays);
+  if (!group.tempFile && !group.sidecar && group.segments.length === 0) {
+    return { action: 'completed', file: group.file, reason: 'removed leftover temp files' };
+  }
+  // Died right after the rename: only the sidecar is left to move into place.
+  if (fs.existsSync(group.file) && group.sidecar && group.segments.length === 0 && !group.tempFile &&
+    !fs.existsSync(icySidecarPath(group.file))) {
+    await fsp.rename(group.sidecar, icySidecarPath(group.file));
+    return { action: 'completed', file: group.file, reason: 'sidecar moved into place' };
+  }
+
+  if (group.segments.length > 0) await stitchSegments(group.segments, tempFile);
+  if (await sizeOf(tempFile) === 0) return discard('no audio');
+
+  const decode = await checkDecode(tempFile);
+  const integrity = integrityFromDecode(decode);
+  if (integrity && integrity.status === 'corrupt') {
+    return discard(`does not decode (${decode.ok ? `${integrity.frameErrors} frame errors` : decode.errors[0] || 'unknown error'})`);
+  }
+
+  const duration = await getDuration(tempFile);
+  if (duration < minSeconds) return discard(`too short (${duration.toFixed(1)}s < ${minSeconds}s)`, duration);
+
+  // The slot may have been recorded again since (or be, once the recorder is
+  // back): neither copy replaces the other.
+  const file = freeRecordingPath(target);
+  await fsp.rename(tempFile, file);
+  if (group.sidecar) await fsp.rename(group.sidecar, icySidecarPath(file));
+  await removeAll(group.segments);
+  const info = await readRecordingInfo(file);
+  await updateRecordingInfo(file, {
+    partial: true,
+    startOffsetSeconds: info.startOffsetSeconds || 0,
+    reason: 'recovered',
+    recoveredAt: new Date().toISOString(),
+    actualDuration: duration,
+    integrity
+  });
+  const note = integrity ? `${integrity.frameErrors} frame error(s)` : 'decoder unavailable';
+  return { action: 'finalized', file, reason: `${duration.toFixed(1)}s, ${note}`, duration };
+}
+
+/**
+ * Finds and recovers every orphaned recording under `recordBase`, logging
+ * each decision. Resolves to the per-recording results.
+ */
+export async function recoverOrphans(recordBase, { log = () => {}, ...opts }) {
+  const results = [];
+  for (const group of await findOrphans(recordBase)) {
+    try {
+      const result = await recoverOrphan(group, opts);
+      if (result.action === 'finalized') {
+        log(`[Recovery] Kept ${path.basename(result.file)} as a partial recording (${result.reason}).`);
+      } else if (result.action === 'completed') {
+        log(`[Recovery] Finished ${path.basename(result.file)}: ${result.reason}.`);
+      } else {
+        log(`[Recovery] Discarded orphaned ${path.basename(group.file)}: ${result.reason}.`);
+      }
+      results.push(result);
+    } catch (e) {
+      log(`[Recovery] Could not recover ${path.basename(group.file)}: ${e.message}`);
+      results.push({ action: 'failed', file: group.file, reason: e.message });
+    }
+  }
+  return results;
+}
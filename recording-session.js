@@ -0,0 +1,353 @@
+/**
+ * One program's recording, kept alive across stream failures.
+ *
+ * The stream is captured into numbered segment files. A watchdog checks the
+ * current segment's file growth; when the capture ends, fails, or the file
+ * stops growing for `stallTimeoutMs`, a new segment is started. `stop`
+ * concatenates the segments into the output file and writes the sidecar with
+ * the ICY metadata (byte offsets relative to the stitched file), the
+ * segments and the gaps between them.
+ *
+ * The stream can be a single URL or a StreamSourcePool; with a pool, each
+ * segment records from the pool's active stream and a failed segment is
+ * reported to it, so the next segment fails over to a backup.
+ *
+ * Events:
+ *   'segment'  { index, file }                 a segment capture was started
+ *   'restart'  { index, reason, delayMs }      the segment failed; the next one starts after delayMs
+ *   'connected', 'metadata', 'error'           forwarded from the current StreamCapture
+ *   'audio'    { data, at, segment }           forwarded likewise, with the segment index
+ */
+
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { pipeline } from 'stream/promises';
+import { StreamCapture } from './stream-capture.js';
+
+const fsp = fs.promises;
+
+// Silence this long at the start, or before a clean stop, counts as a gap.
+const GAP_TOLERANCE_MS = 2000;
+
+/**
+ * File name of segment `index` for the recording being written to `outFile`.
+ */
+export function segmentPath(outFile, index) {
+  return `${outFile.replace(/\.tmp$/, '')}.seg${index}.tmp`;
+}
+
+/**
+ * Works out the gaps in a recording from its segments. A gap runs from the
+ * last audio of one segment with data to the first audio of the next (or
+ * from the session start / to the session stop when data is missing there).
+ * Segments are `{ bytes, firstDataAt, lastDataAt, endReason }`; the last one
+ * has endReason 'stopped' if it was still running at the stop.
+ * `byteOffset` is where the gap falls in the stitched file.
+ */
+export function computeGaps(segments, startedAt, stoppedAt) {
+  const gaps = [];
+  const gap = (from, to, byteOffset, reason) => {
+    if (to > from) {
+      gaps.push({
+        byteOffset,
+        offsetSeconds: Math.round((from - startedAt) / 100) / 10,
+        seconds: Math.round((to - from) / 100) / 10,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        reason
+      });
+    }
+  };
+
+  let offset = 0;
+  let previous = null; // last segment that had data
+  segments.forEach((seg, i) => {
+    if (!seg.bytes) return;
+    if (previous) {
+      gap(previous.lastDataAt, seg.firstDataAt, offset, previous.endReason);
+    } else if (i > 0 || seg.firstDataAt - startedAt > GAP_TOLERANCE_MS) {
+      gap(startedAt, seg.firstDataAt, 0, i > 0 ? segments[0].endReason : 'no data');
+    }
+    offset += seg.bytes;
+    previous = seg;
+  });
+
+  const last = segments[segments.length - 1];
+  if (!previous) {
+    gap(startedAt, stoppedAt, 0, last ? last.endReason : 'no data');
+  } else if (previous !== last || previous.endReason !== 'stopped' ||
+    stoppedAt - previous.lastDataAt > GAP_TOLERANCE_MS) {
+    gap(previous.lastDataAt, stoppedAt, offset, previous.endReason === 'stopped' ? 'no data' : previous.endReason);
+  }
+  return gaps;
+}
+
+export class RecordingSession extends EventEmitter {
+  /**
+   * @param {string|import('./stream-sources.js').StreamSourcePool} source stream URL or pool
+   * @param {string} outFile stitched output file
+   * @param {object} [opts]
+   * @param {string|null} [opts.sidecarFile] metadata sidecar (null for none)
+   * @param {number} [opts.stallTimeoutMs] restart when the segment file hasn't grown for this long
+   * @param {number} [opts.watchIntervalMs] how often the watchdog checks
+   * @param {number} [opts.restartDelayMs] first retry delay, doubled per failed attempt without data
+   * @param {number} [opts.maxRestartDelayMs]
+   * @param {object} [opts.captureOptions] passed to each StreamCapture
+   * @param {object} [opts.info] written to the sidecar as `recording` (program, slot, ...)
+   */
+  constructor(source, outFile, {
+    sidecarFile = null,
+    stallTimeoutMs = 20000,
+    watchIntervalMs = 2000,
+    restartDelayMs = 1000,
+    maxRestartDelayMs = 30000,
+    captureOptions = {},
+    info = {}
+  } = {}) {
+    super();
+    this.pool = typeof source === 'string' ? null : source;
+    this.url = typeof source === 'string' ? source : null;
+    this.outFile = outFile;
+    this.sidecarFile = sidecarFile;
+    this.stallTimeoutMs = stallTimeoutMs;
+    this.watchIntervalMs = watchIntervalMs;
+    this.restartDelayMs = restartDelayMs;
+    this.maxRestartDelayMs = maxRestartDelayMs;
+    this.captureOptions = captureOptions;
+    this.info = info;
+
+    this.segments = []; // { file, url, origin, capture, startedAt, size, grewAt, endReason, ... }
+    this.startedAt = null;
+    this.stoppedAt = null;
+    this.station = null;
+    this.stopping = false;
+    this.stopped = null;
+    this.failuresWithoutData = 0;
+    this.watchTimer = null;
+    this.watching = false;
+    this.restartTimer = null;
+  }
+
+  get bytes() {
+    return this.segments.reduce((sum, seg) => sum + seg.capture.bytes, 0);
+  }
+
+  start() {
+    this.startedAt = Date.now();
+    this.startSegment();
+    this.watchTimer = setInterval(() => {
+      if (this.watching) return;
+      this.watching = true;
+      this.watch()
+        .catch(err => this.emit('error', err))
+        .finally(() => { this.watching = false; });
+    }, this.watchIntervalMs);
+    return this;
+  }
+
+  async startSegment() {
+    let stream = { url: this.url, origin: this.url };
+    if (this.pool) {
+      try {
+        stream = await this.pool.acquire();
+      } catch (err) {
+        this.emit('error', err);
+        this.scheduleRestart(this.nextDelay(false));
+        return;
+      }
+    }
+    if (this.stopping) return;
+
+    const index = this.segments.length;
+    const file = segmentPath(this.outFile, index);
+    const capture = new StreamCapture(stream.url, file, { ...this.captureOptions, sidecarFile: null });
+    const seg = { index, file, url: stream.url, origin: stream.origin, capture, startedAt: Date.now(), size: 0, grewAt: Date.now(), endReason: null };
+    this.segments.push(seg);
+
+    capture.on('connected', (info) => {
+      this.station = info;
+      this.emit('connected', info);
+    });
+    capture.on('metadata', m => this.emit('metadata', { ...m, segment: index }));
+    capture.on('audio', a => this.emit('audio', { ...a, segment: index }));
+    capture.on('error', (err) => {
+      if (!seg.endReason) seg.endReason = err.message;
+      this.emit('error', err);
+    });
+    capture.on('end', ({ reason }) => {
+      if (!seg.endReason) seg.endReason = reason;
+    });
+
+    capture.start();
+    this.emit('segment', { index, file, url: stream.url });
+  }
+
+  // Restart delay: doubles for each attempt in a row that got no data.
+  nextDelay(gotData) {
+    this.failuresWithoutData = gotData ? 1 : this.failuresWithoutData + 1;
+    return Math.min(this.restartDelayMs * 2 ** (this.failuresWithoutData - 1), this.maxRestartDelayMs);
+  }
+
+  scheduleRestart(delayMs) {
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (!this.stopping) this.startSegment();
+    }, delayMs);
+  }
+
+  current() {
+    return this.segments[this.segments.length - 1];
+  }
+
+  /**
+   * Restarts the capture if the current segment ended, failed or stalled.
+   */
+  async watch() {
+    const seg = this.current();
+    if (this.stopping || this.restartTimer || !seg) return;
+    const { state } = seg.capture;
+
+    let reason = null;
+    if (state === 'ended' || state === 'failed') {
+      reason = seg.endReason || state;
+    } else {
+      let size = seg.size;
+      try {
+        size = (await fsp.stat(seg.file)).size;
+      } catch (e) { /* not created yet */ }
+      if (size > seg.size) {
+        seg.size = size;
+        seg.grewAt = Date.now();
+      } else if (Date.now() - seg.grewAt > this.stallTimeoutMs) {
+        reason = `stalled (no data for ${Math.round((Date.now() - seg.grewAt) / 1000)}s)`;
+        seg.endReason = reason;
+      }
+    }
+    if (!reason || this.stopping) return;
+
+    const delayMs = this.nextDelay(seg.capture.bytes > 0);
+    if (this.pool) this.pool.fail(seg.url, reason);
+    this.emit('restart', { index: seg.index, reason, delayMs });
+    await seg.capture.stop();
+    this.writeSidecar().catch(err => this.emit('error', err));
+    this.scheduleRestart(delayMs);
+  }
+
+  describeSegments() {
+    let offset = 0;
+    return this.segments.map((seg) => {
+      const { capture } = seg;
+      const info = {
+        index: seg.index,
+        url: seg.url,
+        origin: seg.origin,
+        byteOffset: offset,
+        bytes: capture.bytes,
+        startedAt: new Date(seg.startedAt).toISOString(),
+        firstDataAt: capture.firstDataAt ? new Date(capture.firstDataAt).toISOString() : null,
+        lastDataAt: capture.lastDataAt ? new Date(capture.lastDataAt).toISOString() : null,
+        endReason: seg.endReason
+      };
+      offset += capture.bytes;
+      return info;
+    });
+  }
+
+  gaps() {
+    const segs = this.segments.map(seg => ({
+      bytes: seg.capture.bytes,
+      firstDataAt: seg.capture.firstDataAt,
+      lastDataAt: seg.capture.lastDataAt,
+      endReason: seg.endReason || 'stopped'
+    }));
+    return computeGaps(segs, this.startedAt, this.stoppedAt || Date.now());
+  }
+
+  // Streams that contributed audio, in order of first use.
+  sources() {
+    return [...new Set(this.segments.filter(seg => seg.capture.bytes > 0).map(seg => seg.url))];
+  }
+
+  // ICY metadata from all segments, positioned in the stitched file.
+  metadata() {
+    const merged = [];
+    let offset = 0;
+    for (const seg of this.segments) {
+      for (const m of seg.capture.metadata) {
+        const last = merged[merged.length - 1];
+        if (last && last.raw === m.raw) continue;
+        merged.push({ ...m, byteOffset: m.byteOffset + offset, elapsedMs: m.elapsedMs + (seg.startedAt - this.startedAt) });
+      }
+      offset += seg.capture.bytes;
+    }
+    return merged;
+  }
+
+  writeSidecar() {
+    this.sidecarWrite = (this.sidecarWrite || Promise.resolve())
+      .catch(() => {})
+      .then(async () => {
+        if (!this.sidecarFile) return;
+        const data = {
+          recording: this.info,
+          sources: this.sources(),
+          station: this.station,
+          startedAt: new Date(this.startedAt).toISOString(),
+          stoppedAt: this.stoppedAt ? new Date(this.stoppedAt).toISOString() : null,
+          bytes: this.bytes,
+          segments: this.describeSegments(),
+          gaps: this.gaps(),
+          metadata: this.metadata()
+        };
+        const tmpName = `${this.sidecarFile}.${process.pid}.tmp`;
+        await fsp.writeFile(tmpName, JSON.stringify(data, null, 2));
+        await fsp.rename(tmpName, this.sidecarFile);
+      });
+    return this.sidecarWrite;
+  }
+
+  /**
+   * Stops capturing, stitches the segments into `outFile` and writes the
+   * sidecar. Calling it again resolves to the same result.
+   * @returns {Promise<{ bytes: number, sources: string[], segments: object[], gaps: object[], metadata: object[] }>}
+   */
+  stop() {
+    if (!this.stopped) {
+      this.stopping = true;
+      this.stopped = this.shutdown();
+    }
+    return this.stopped;
+  }
+
+  async shutdown() {
+    clearInterval(this.watchTimer);
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    if (this.segments.length > 0) await this.current().capture.stop();
+    this.stoppedAt = Date.now();
+
+    await this.stitch();
+    await this.writeSidecar();
+    return { bytes: this.bytes, sources: this.sources(), segments: this.describeSegments(), gaps: this.gaps(), metadata: this.metadata() };
+  }
+
+  async stitch() {
+    const withData = this.segments.filter(seg => seg.capture.bytes > 0);
+    if (withData.length === 1) {
+      await fsp.rename(withData[0].file, this.outFile);
+    } else if (withData.length > 1) {
+      const out = fs.createWriteStream(this.outFile);
+      for (const seg of withData) {
+        await pipeline(fs.createReadStream(seg.file), out, { end: false });
+      }
+      out.end();
+      await new Promise((resolve, reject) => {
+        out.once('close', resolve);
+        out.once('error', reject);
+      });
+    }
+    for (const seg of this.segments) {
+      await fsp.unlink(seg.file).catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * The checks a finished recording goes through before it is cataloged, for
+ * recordings captured per slot and those cut from the stream archive alike:
+ * its length against the slot, its content (see audio-content.js) and
+ * whether it decodes cleanly.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { checkDecodeIntegrity, getFileDuration } from './dtmf-analyzer.js';
+import { analyzeAudioContent } from './audio-content.js';
+import { freeRecordingPath, integrityFromDecode, isPartialRecording, markPartial, partialPath, updateRecordingInfo } from './recording-files.js';
+
+// A recording this much shorter than expected is kept as a partial.
+const SHORT_TOLERANCE_SECONDS = 5;
+
+/**
+ * Checks `file` and logs the findings.
+ * @param {object} opts
+ * @param {number} opts.expectedSeconds how much of the program the file should hold
+ * @param {number} [opts.duration] the file's length if already known, instead of probing it
+ * @param {number} [opts.minSeconds] below this the file isn't worth keeping (and isn't checked further)
+ * @param {number|null} [opts.gaps] number of gaps in the capture, for the record
+ * @param {string} [opts.programCode] for the log
+ * @param {Function} [opts.log]
+ * @returns {Promise<{ tooShort: boolean, actualDuration: number, short?: boolean, playable?: boolean, verification?: object, integrity?: object|null }>}
+ *   `verification` and `integrity` as stored in the recording info
+ */
+export async function verifyRecording(file, { expectedSeconds, duration = null, minSeconds = 0, gaps = null, programCode = 'the program', log = () => {} }) {
+  const actualDuration = duration ?? await getFileDuration(file);
+  if (actualDuration < minSeconds) return { tooShort: true, actualDuration };
+  const short = actualDuration < expectedSeconds - SHORT_TOLERANCE_SECONDS;
+  let playable = true;
+
+  // A full-length file can still be dead air or a frozen stream on repeat.
+  const { available: contentChecked, ...content } = await analyzeAudioContent(file);
+  const contentResult = contentChecked ? content.result : 'ok';
+  if (contentChecked) {
+    playable = content.result !== 'rejected';
+    log(`[Verification] Content ${content.result} (score ${content.score}, mean ${content.meanDb ?? '-'} dBFS).`);
+    content.issues.forEach(i => log(`[Verification]   ${i.severity}: ${i.detail}`));
+    if (!playable) log(`[Verification] Rejected; the player will use another airing of ${programCode}.`);
+  } else if (content.timedOut) {
+    log(`[Verification] Content not checked: ${content.error}.`);
+  }
+
+  // Corrupt frames make mpv quit mid-program; find them now, not at air time.
+  const integrity = integrityFromDecode(await checkDecodeIntegrity(file));
+  if (integrity) {
+    log(`[Verification] Decode integrity ${integrity.status} (${integrity.frameErrors} frame error(s)).`);
+    if (integrity.status === 'corrupt') {
+      playable = false;
+      log(`[Verification] Corrupt; the player will use another airing of ${programCode}.`);
+    }
+  }
+
+  return {
+    tooShort: false,
+    actualDuration,
+    short,
+    playable,
+    verification: {
+      result: contentResult === 'rejected' ? 'rejected' : short ? 'short' : contentResult,
+      actualDuration: Math.round(actualDuration * 10) / 10,
+      expectedDuration: expectedSeconds,
+      gaps,
+      content: contentChecked ? content : null,
+      verifiedAt: new Date().toISOString()
+    },
+    integrity
+  };
+}
+
+/**
+ * Records the outcome of verifyRecording (and `info`) in `file`'s sidecar and
+ * ID3 tag. A short recording becomes a partial one, with `reason`. Resolves
+ * to the recording's path, which changes when it does.
+ */
+export async function recordVerification(file, verified, { info = {}, startOffsetSeconds = 0, reason = 'short', log = () => {} } = {}) {
+  const { actualDuration, verification, integrity } = verified;
+  const meta = { ...info, verification, integrity };
+  if (verified.short) {
+    const partialFile = isPartialRecording(file) ? file : freeRecordingPath(partialPath(file));
+    const target = await markPartial(file, { ...meta, startOffsetSeconds, reason, actualDuration })
+      .catch(e => {
+        // Tagging needs room for a copy of the file, which a nearly full
+        // disk may not have; the partial name is what matters.
+        log(`[Metadata] Could not tag ${path.basename(file)}: ${e.message}`);
+        return fs.existsSync(partialFile) ? partialFile : file;
+      });
+    log(`[Verification] Recording short (${actualDuration.toFixed(1)}s < ${verification.expectedDuration}s${reason === 'short' ? '' : `, ${reason}`}). Kept as partial: ${path.basename(target)}`);
+    return target;
+  }
+  await updateRecordingInfo(file, meta).catch(e => log(`[Metadata] Could not tag ${path.basename(file)}: ${e.message}`));
+  log(`[Verification] Recording duration OK (${actualDuration.toFixed(1)}s / ${verification.expectedDuration}s).`);
+  return file;
+}
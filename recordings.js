@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+/**
+ * Command line tool for the recordings catalog.
+ *
+ *   node recordings.js rebuild        regenerate catalog.json from the files on disk
+ *   node recordings.js list [CODE]    list cataloged recordings (of one program)
+ *   node recordings.js info FILE      show the metadata stored with a recording
+ *   node recordings.js retention [--apply]
+ *                                     report what the retention policy would remove
+ *                                     (and remove it with --apply)
+ *   node recordings.js verify [--all | FILE...]
+ *                                     decode recordings and record their integrity
+ *                                     (default: the cataloged ones never checked)
+ *   node recordings.js recut DATE [--offset S] [--force]
+ *                                     cut DATE's programs again from the stream archive,
+ *                                     with the saved offset (or S); earlier cuts are
+ *                                     replaced, slot recordings only with --force
+ *   node recordings.js cues [--last S | --from S --to S] FILE...
+ *                                     find the DTMF cues in recordings (or a window of
+ *                                     them) and write their cue sheets
+ *   node recordings.js offset [pin [S] [--note TEXT] | unpin | revert]
+ *                                     show the stream offset with its calibration (recent
+ *                                     measurements and changes), pin it (at S) against
+ *                                     calibration, or undo its last change
+ *
+ * The recordings tree defaults to ~/0Radio/3abn and the stream archive to
+ * ~/0Radio/3abn-archive; set RECORD_BASE or ARCHIVE_DIR to use others.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { RecordingCatalog } from './recording-catalog.js';
+import { integrityFromDecode, readRecordingInfo, updateRecordingInfo } from './recording-files.js';
+import { analyzeFileForCues, checkDecodeIntegrity, writeCueSheet } from './dtmf-analyzer.js';
+import { CorrectionsFile } from './schedule-corrections.js';
+import { DEFAULT_SCHEDULE_TIMEZONE, addDays } from './schedule-time.js';
+import { buildTimeline } from './schedule-timeline.js';
+import { archiveEnd } from './stream-archive.js';
+import { cutSlotRecording } from './archive-cutter.js';
+import { OffsetCalibrationFile } from './offset-calibration.js';
+import { RetentionPolicyFile, applyRetentionPlan, formatRetentionPlan, freeBytesAt, planRetention, playerWindowFiles } from './retention-policy.js';
+
+const RECORD_BASE = process.env.RECORD_BASE || path.join(os.homedir(), '0Radio', '3abn');
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(os.homedir(), '0Radio', '3abn-archive');
+const OFFSET_FILE = path.join(RECORD_BASE, 'offset.json');
+const MIN_PARTIAL_SECONDS = 60;
+const RETENTION_POLICY_FILE = path.join(os.homedir(), '0Radio', 'retention.json');
+const SCHEDULE_CORRECTIONS_FILE = path.join(os.homedir(), '0Radio', 'schedule-corrections.json');
+const SCHED_TMP_DIR = '/tmp/3abn-sched';
+const PLAYER_DELAY_SECONDS = 2 * 3600;
+
+function usage() {
+  console.error('Usage: node recordings.js rebuild | list [CODE] | info FILE | retention [--apply] | verify [--all | FILE...] | recut DATE [--offset S] [--force] | cues [--last S | --from S --to S] FILE... | offset [pin [S] [--note TEXT] | unpin | revert]');
+  process.exit(2);
+}
+
+async function requireCatalog(catalog) {
+  if (!(await catalog.load())) {
+    console.error(`No catalog at ${catalog.file}; run "node recordings.js rebuild" first.`);
+    process.exit(1);
+  }
+}
+
+// The cached schedules as the player sees them, for working out what it needs.
+async function loadSchedule(dateStr) {
+  try {
+    const raw = JSON.parse(await fs.promises.readFile(path.join(SCHED_TMP_DIR, `${dateStr}.json`), 'utf-8'));
+    return await new CorrectionsFile(SCHEDULE_CORRECTIONS_FILE).apply(raw);
+  } catch (e) {
+    return null;
+  }
+}
+
+function formatTime(secs) {
+  const h = String(Math.floor(secs / 3600)).padStart(2, '0');
+  const m = String(Math.floor((secs % 3600) / 60)).padStart(2, '0');
+  return `${h}:${m}`;
+}
+
+async function cuesCommand(args) {
+  const option = (name) => {
+    const i = args.indexOf(name);
+    if (i < 0) return null;
+    const value = parseFloat(args[i + 1]);
+    if (Number.isNaN(value) || value < 0) usage();
+    args.splice(i, 2);
+    return value;
+  };
+  const window = { lastSeconds: option('--last'), start: option('--from'), end: option('--to') };
+  if (args.length === 0 || (window.lastSeconds !== null && (window.start !== null || window.end !== null))) usage();
+  for (const arg of args) {
+    const file = path.resolve(arg);
+    const result = await analyzeFileForCues(file, window);
+    if (!result.available) {
+      console.error(`Cannot run the decoder: ${result.error}`);
+      process.exit(1);
+    }
+    const sheet = await writeCueSheet(file, result);
+    console.log(`${path.relative(RECORD_BASE, file)}: ${result.cues.length} cue(s) in ${result.window.start}-${result.window.end}s -> ${path.basename(sheet)}`);
+    for (const c of result.cues) {
+      console.log(`  ${String(c.start).padStart(9)}s  ${(c.name || 'unknown').padEnd(10)} ${c.digits.padEnd(6)} confidence ${c.confidence}${c.fromEnd !== null ? `, ${c.fromEnd}s from end` : ''}`);
+    }
+  }
+}
+
+function showOffset(calibration) {
+  const { offset, pinned, observations, history, resetAt } = calibration.state;
+  console.log(`Stream offset ${offset}s${pinned ? ` (pinned ${pinned.at}${pinned.note ? `: ${pinned.note}` : ''})` : ''}`);
+  const estimate = calibration.estimate();
+  console.log(estimate.offset === null
+    ? 'Estimate: no recent observations.'
+    : `Estimate: ${estimate.offset}s from ${estimate.inliers.length} of ${estimate.inliers.length + estimate.outliers.length} recent observation(s) (${estimate.confidence} confidence, spread ${estimate.spread}s).`);
+  if (resetAt) console.log(`Observations before ${resetAt} are not used (reverted).`);
+  if (observations.length > 0) console.log('Observations:');
+  for (const o of observations.slice(-10)) {
+    const how = o.method === 'alignment'
+      ? `${o.lagSeconds}s against ${o.reference} (score ${o.score})`
+      : `#4 ${o.live ? 'heard live ' : ''}at ${o.toneFromEnd}s from end`;
+    const flag = o.outlier ? '  [outlier]' : o.confidence === 'low' ? '  [low confidence]' : '';
+    console.log(`  ${o.at}  ${how}, offset ${o.offsetUsed}s -> ${o.measured}s${flag}  ${o.file}`);
+  }
+  if (history.length > 0) console.log('Changes:');
+  for (const h of history.slice(-10)) {
+    console.log(`  ${h.at}  ${h.previous}s -> ${h.offset}s  ${h.reason}${h.observations ? ` (${h.observations} observations)` : ''}`);
+  }
+}
+
+async function offsetCommand([action, ...args]) {
+  const calibration = new OffsetCalibrationFile(OFFSET_FILE);
+  await calibration.load();
+  if (!action) {
+    showOffset(calibration);
+  } else if (action === 'pin') {
+    const noteArg = args.indexOf('--note');
+    const note = noteArg >= 0 ? args.splice(noteArg, 2)[1] || null : null;
+    const offset = args.length > 0 ? parseFloat(args[0]) : null;
+    if (offset !== null && (Number.isNaN(offset) || Math.abs(offset) >= 1800)) usage();
+    await calibration.pin(offset, note);
+    console.log(`Pinned the stream offset at ${calibration.offset}s.`);
+  } else if (action === 'unpin') {
+    await calibration.unpin();
+    console.log(`Unpinned; calibration may move the offset from ${calibration.offset}s again.`);
+  } else if (action === 'revert') {
+    const undone = await calibration.revert();
+    if (!undone) {
+      console.log('No change to revert.');
+    } else {
+      console.log(`Reverted the ${undone.reason} change of ${undone.at}: offset back to ${calibration.offset}s.`);
+    }
+  } else {
+    usage();
+  }
+}
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+  const catalog = new RecordingCatalog(RECORD_BASE);
+
+  if (command === 'rebuild') {
+    console.log(`Rebuilding ${catalog.file} from ${RECORD_BASE}...`);
+    console.log(`Indexed ${await catalog.rebuild()} recordings.`);
+  } else if (command === 'list') {
+    await requireCatalog(catalog);
+    const entries = arg ? await catalog.byCode(arg) : await catalog.list();
+    for (const e of entries) {
+      const flags = [
+        e.partial ? 'partial' : null,
+        e.provisional ? `provisional${e.basedOn ? `, from ${e.basedOn}` : ''}` : null,
+        e.superseded ? 'superseded' : null,
+        e.verification && e.verification !== 'ok' ? e.verification : null,
+        e.integrity && e.integrity !== 'ok' ? e.integrity : null
+      ].filter(Boolean);
+      const title = [e.seriesTitle, e.programTitle].filter(Boolean).join(': ');
+      // Without metadata only the hour of the slot is known
+      const time = e.slotStart === null ? `${path.basename(e.path).slice(0, 2)}:??` : formatTime(e.slotStart);
+      console.log(`${e.date} ${time}  ${e.code.padEnd(12)} ${String(e.duration ? Math.round(e.duration) : '?').padStart(5)}s  ${title}${flags.length ? ` [${flags.join(', ')}]` : ''}`);
+    }
+    console.log(`${entries.length} recording(s).`);
+  } else if (command === 'info' && arg) {
+    console.log(JSON.stringify(await readRecordingInfo(path.resolve(arg)), null, 2));
+  } else if (command === 'retention' && (!arg || arg === '--apply')) {
+    await requireCatalog(catalog);
+    const policy = await new RetentionPolicyFile(RETENTION_POLICY_FILE, {
+      onErrors: errors => errors.forEach(e => console.error(`Ignoring ${e}`))
+    }).load();
+    const protectedFiles = await playerWindowFiles(catalog, loadSchedule, {
+      delaySeconds: PLAYER_DELAY_SECONDS,
+      timezone: DEFAULT_SCHEDULE_TIMEZONE
+    });
+    const plan = planRetention(await catalog.list(), policy, { protectedFiles, freeBytes: await freeBytesAt(RECORD_BASE) });
+    console.log(`${protectedFiles.size} file(s) protected for the player.`);
+    formatRetentionPlan(plan).forEach(line => console.log(line));
+    if (arg === '--apply') {
+      console.log(`Removed ${await applyRetentionPlan(plan, catalog, { log: console.log })} recording(s).`);
+    } else {
+      console.log('Dry run; pass --apply to carry it out.');
+    }
+  } else if (command === 'verify') {
+    const args = process.argv.slice(3);
+    const hasCatalog = await catalog.load();
+    let files;
+    if (args.length > 0 && args[0] !== '--all') {
+      files = args.map(f => path.resolve(f));
+    } else {
+      await requireCatalog(catalog);
+      files = (await catalog.list()).filter(e => args[0] === '--all' || !e.integrity).map(e => e.file);
+    }
+    let corrupt = 0;
+    for (const file of files) {
+      if (!fs.existsSync(file)) {
+        console.log(`missing  ${file}`);
+        continue;
+      }
+      const check = await checkDecodeIntegrity(file);
+      const integrity = integrityFromDecode(check);
+      if (!integrity) {
+        console.error(`Cannot run the decoder: ${check.errors[0]}`);
+        process.exit(1);
+      }
+      await updateRecordingInfo(file, { integrity });
+      if (hasCatalog && catalog.entries.has(catalog.relative(file))) await catalog.add(file);
+      if (integrity.status === 'corrupt') corrupt++;
+      console.log(`${integrity.status.padEnd(8)} ${String(integrity.frameErrors).padStart(5)} frame error(s)  ${path.relative(RECORD_BASE, file)}`);
+      if (integrity.status !== 'ok') integrity.errors.forEach(line => console.log(`           ${line}`));
+    }
+    console.log(`Verified ${files.length} recording(s); ${corrupt} corrupt.`);
+    if (corrupt > 0) process.exitCode = 1;
+  } else if (command === 'recut' && /^\d{4}-\d{2}-\d{2}$/.test(arg || '')) {
+    const args = process.argv.slice(4);
+    const force = args.includes('--force');
+    const offsetArg = args.indexOf('--offset');
+    let offsetSeconds = offsetArg >= 0 ? parseFloat(args[offsetArg + 1]) : NaN;
+    if (offsetArg < 0) {
+      offsetSeconds = (await new OffsetCalibrationFile(OFFSET_FILE, { defaultOffset: null }).load()).offset;
+      if (offsetSeconds === null) {
+        console.error(`No offset in ${OFFSET_FILE}; pass --offset.`);
+        process.exit(1);
+      }
+    }
+    if (typeof offsetSeconds !== 'number' || Number.isNaN(offsetSeconds)) usage();
+
+    await requireCatalog(catalog);
+    const days = await Promise.all([-1, 0, 1].map(d => loadSchedule(addDays(arg, d))));
+    if (!days[1]) {
+      console.error(`No cached schedule for ${arg} in ${SCHED_TMP_DIR}.`);
+      process.exit(1);
+    }
+    // Only programs whose audio is all in finished chunks
+    const until = (await archiveEnd(ARCHIVE_DIR)) || 0;
+    const slots = buildTimeline(days, DEFAULT_SCHEDULE_TIMEZONE)
+      .filter(s => s.date === arg && s.end - offsetSeconds * 1000 <= until);
+    console.log(`Re-cutting ${slots.length} program(s) of ${arg} from ${ARCHIVE_DIR} with offset ${offsetSeconds}s...`);
+    for (const slot of slots) {
+      const result = await cutSlotRecording(slot, {
+        archiveDir: ARCHIVE_DIR,
+        recordBase: RECORD_BASE,
+        offsetSeconds,
+        catalog,
+        replace: force ? 'all' : 'archive',
+        minSeconds: MIN_PARTIAL_SECONDS
+      });
+      const flags = result.verified && result.verified.verification && result.verified.verification.result !== 'ok'
+        ? ` [${result.verified.verification.result}]`
+        : '';
+      console.log(`${result.action.padEnd(9)} ${formatTime(slot.secondsSinceMidnight)}  ${path.relative(RECORD_BASE, result.file)}${flags}`);
+    }
+  } else if (command === 'cues') {
+    await cuesCommand(process.argv.slice(3));
+  } else if (command === 'offset') {
+    await offsetCommand(process.argv.slice(3));
+  } else {
+    usage();
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,386 @@
+/**
+ * Retention of recordings: which cataloged recordings to keep, delete or
+ * move to an archive.
+ *
+ * The policy file (e.g. ~/0Radio/retention.json) looks like:
+ *
+ *   {
+ *     "dryRun": false,
+ *     "quotaGB": 200,          // total size of the recordings tree
+ *     "minFreeGB": 5,          // free space to keep on its disk
+ *     "default": { "keepLast": 1 },
+ *     "rules": [
+ *       { "series": "Sabbath School", "keepLast": 4 },
+ *       { "code": "ABC*", "keepDays": 90 },
+ *       { "code": "XYZ", "keepForever": true },
+ *       { "series": "Archive Me", "keepLast": 2, "archive": "/mnt/archive/3abn" }
+ *     ]
+ *   }
+ *
+ * Rules match a program `code` (`*` is a wildcard) or a `series` title (case
+ * insensitive); the first match applies, else `default`. A recording is kept
+ * if it is one of the `keepLast` newest complete airings of its program or
+ * is less than `keepDays` old; partial recordings, provisional ones (made
+ * under a stand-in schedule, so their code is a guess) and ones the player
+ * won't use (rejected content, corrupt files) don't count as airings and are
+ * kept only while no usable complete airing is as new. Recordings that fall out are deleted, or moved
+ * under `archive` if the rule names one. Then, oldest first, recordings are
+ * removed until the tree fits `quotaGB` and the disk has `minFreeGB` free,
+ * taking other copies of a program before its last one. `keepForever`
+ * recordings and protected files (the ones the player is about to need) are
+ * never touched.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { icySidecarPath } from './stream-capture.js';
+import { cueSheetPath } from './dtmf-analyzer.js';
+import { isPlayable } from './recording-files.js';
+import { entryStart } from './recording-catalog.js';
+import { addDays, instantToZoned } from './schedule-time.js';
+import { buildTimeline } from './schedule-timeline.js';
+
+const fsp = fs.promises;
+const GB = 1024 ** 3;
+const DAY_MS = 24 * 3600 * 1000;
+
+export const DEFAULT_RETENTION = { keepLast: 1 };
+
+function isCount(v) {
+  return Number.isInteger(v) && v >= 0;
+}
+
+function parseRule(rule, label, errors) {
+  if (!rule || typeof rule !== 'object') {
+    errors.push(`${label}: not an object`);
+    return null;
+  }
+  const out = {};
+  for (const key of ['keepLast', 'keepDays']) {
+    if (rule[key] === undefined) continue;
+    if (!isCount(rule[key])) {
+      errors.push(`${label}: ${key} must be a whole number >= 0`);
+      return null;
+    }
+    out[key] = rule[key];
+  }
+  if (rule.keepForever) out.keepForever = true;
+  if (rule.archive !== undefined) {
+    if (typeof rule.archive !== 'string' || !path.isAbsolute(rule.archive)) {
+      errors.push(`${label}: archive must be an absolute directory`);
+      return null;
+    }
+    out.archive = rule.archive;
+  }
+  if (!out.keepForever && out.keepLast === undefined && out.keepDays === undefined) {
+    errors.push(`${label}: needs keepLast, keepDays or keepForever`);
+    return null;
+  }
+  return out;
+}
+
+function wildcard(pattern) {
+  return new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+}
+
+/**
+ * Validates a policy file's contents.
+ * @returns {{ policy: object, errors: string[] }} invalid rules are dropped
+ */
+export function parseRetentionPolicy(data) {
+  const errors = [];
+  const policy = { dryRun: false, quotaBytes: null, minFreeBytes: null, default: DEFAULT_RETENTION, rules: [] };
+  if (!data || typeof data !== 'object') return { policy, errors: ['Policy must be an object'] };
+
+  policy.dryRun = Boolean(data.dryRun);
+  for (const [key, target] of [['quotaGB', 'quotaBytes'], ['minFreeGB', 'minFreeBytes']]) {
+    if (data[key] === undefined || data[key] === null) continue;
+    if (typeof data[key] !== 'number' || !(data[key] > 0)) errors.push(`${key} must be a positive number`);
+    else policy[target] = data[key] * GB;
+  }
+  if (data.default !== undefined) {
+    policy.default = parseRule(data.default, 'default', errors) || DEFAULT_RETENTION;
+  }
+  (Array.isArray(data.rules) ? data.rules : []).forEach((rule, i) => {
+    const label = `rule ${i + 1}${rule && rule.code ? ` (${rule.code})` : rule && rule.series ? ` (${rule.series})` : ''}`;
+    if (!rule || (typeof rule.code !== 'string' && typeof rule.series !== 'string')) {
+      errors.push(`${label}: needs a code or series`);
+      return;
+    }
+    const parsed = parseRule(rule, label, errors);
+    if (!parsed) return;
+    if (rule.code) parsed.code = wildcard(rule.code);
+    if (rule.series) parsed.series = rule.series.toLowerCase();
+    parsed.label = label;
+    policy.rules.push(parsed);
+  });
+  return { policy, errors };
+}
+
+function ruleFor(entry, policy) {
+  return policy.rules.find(r =>
+    (!r.code || r.code.test(entry.code)) &&
+    (!r.series || (entry.seriesTitle || '').toLowerCase() === r.series)
+  ) || policy.default;
+}
+
+function ageDays(entry, now) {
+  return Math.floor((now - Date.parse(`${entry.date}T00:00:00Z`)) / DAY_MS);
+}
+
+// A complete recording the player will use.
+function isUsable(entry) {
+  return !entry.partial && !entry.provisional && isPlayable(entry);
+}
+
+function newestFirst(a, b) {
+  return b.date.localeCompare(a.date) || entryStart(b) - entryStart(a);
+}
+
+/**
+ * Works out what the policy does to the catalog `entries` (with `file`, as
+ * from RecordingCatalog.list()).
+ * @param {object} opts
+ * @param {number} [opts.now]
+ * @param {Set<string>|string[]} [opts.protectedFiles] never removed
+ * @param {number|null} [opts.freeBytes] free space on the recordings disk
+ * @returns {{ remove: Array<{ entry: object, action: 'delete'|'archive', target?: string, reason: string }>,
+ *             kept: number, totalBytes: number, bytesAfter: number, warnings: string[] }}
+ */
+export function planRetention(entries, policy, { now = Date.now(), protectedFiles = [], freeBytes = null } = {}) {
+  const isProtected = new Set(protectedFiles);
+  const remove = [];
+  const warnings = [];
+  const removing = new Set();
+  const dispose = (entry, rule, reason) => {
+    removing.add(entry.file);
+    remove.push(rule.archive
+      ? { entry, action: 'archive', target: path.join(rule.archive, entry.path), reason }
+      : { entry, action: 'delete', reason });
+  };
+
+  // Per-program rules
+  const byCode = new Map();
+  for (const entry of entries) {
+    if (!byCode.has(entry.code)) byCode.set(entry.code, []);
+    byCode.get(entry.code).push(entry);
+  }
+  for (const list of byCode.values()) {
+    list.sort(newestFirst);
+    const complete = list.filter(isUsable);
+    for (const entry of list) {
+      const rule = ruleFor(entry, policy);
+      if (rule.keepForever || isProtected.has(entry.file)) continue;
+      if (!isUsable(entry)) {
+        const superseded = complete.some(c => newestFirst(c, entry) <= 0);
+        const kind = entry.partial ? 'partial' : entry.provisional ? 'provisional recording' : 'unplayable recording';
+        if (superseded) dispose(entry, rule, `${kind} superseded by a complete airing`);
+        continue;
+      }
+      const rank = complete.indexOf(entry);
+      const inLast = rule.keepLast !== undefined && rank < rule.keepLast;
+      const young = rule.keepDays !== undefined && ageDays(entry, now) < rule.keepDays;
+      if (inLast || young) continue;
+      const reasons = [];
+      if (rule.keepLast !== undefined) reasons.push(`not among last ${rule.keepLast}`);
+      if (rule.keepDays !== undefined) reasons.push(`older than ${rule.keepDays} days`);
+      dispose(entry, rule, reasons.join(', '));
+    }
+  }
+
+  // Global limits: oldest first, other copies before a program's last one
+  const totalBytes = entries.reduce((sum, e) => sum + (e.bytes || 0), 0);
+  let bytesAfter = totalBytes - remove.reduce((sum, r) => sum + (r.entry.bytes || 0), 0);
+  let free = freeBytes === null ? null : freeBytes + (totalBytes - bytesAfter);
+  const overQuota = () => policy.quotaBytes !== null && bytesAfter > policy.quotaBytes;
+  const lowSpace = () => policy.minFreeBytes !== null && free !== null && free < policy.minFreeBytes;
+
+  if (overQuota() || lowSpace()) {
+    const remaining = entries
+      .filter(e => !removing.has(e.file) && !isProtected.has(e.file) && !ruleFor(e, policy).keepForever)
+      .sort((a, b) => -newestFirst(a, b));
+    const lastCopies = new Set([...byCode.values()].map(list => (list.find(e => isUsable(e) && !removing.has(e.file)) || {}).file));
+    const order = [...remaining.filter(e => !lastCopies.has(e.file)), ...remaining.filter(e => lastCopies.has(e.file))];
+    for (const entry of order) {
+      if (!overQuota() && !lowSpace()) break;
+      const why = overQuota() ? `over the ${(policy.quotaBytes / GB).toFixed(1)} GB quota` : `less than ${(policy.minFreeBytes / GB).toFixed(1)} GB free`;
+      dispose(entry, ruleFor(entry, policy), why);
+      bytesAfter -= entry.bytes || 0;
+      if (free !== null) free += entry.bytes || 0;
+    }
+    if (overQuota()) warnings.push(`Still over quota after removing everything allowed (${(bytesAfter / GB).toFixed(1)} GB)`);
+    if (lowSpace()) warnings.push(`Still below the free space floor after removing everything allowed (${(free / GB).toFixed(1)} GB free)`);
+  }
+
+  return { remove, kept: entries.length - remove.length, totalBytes, bytesAfter, warnings };
+}
+
+/**
+ * What to remove, ignoring the policy's limits, to free `bytesNeeded` when
+ * the disk is about to fill up. Candidates are taken in this order until
+ * enough is freed:
+ *   1. what the policy removes anyway (planRetention, dryRun or not),
+ *   2. partial, provisional and unplayable recordings, oldest first,
+ *   3. older copies of a program that has a newer complete one, oldest first,
+ *   4. the last copy of each program, oldest first.
+ * Protected and `keepForever` recordings are still never touched, and
+ * recordings of archiving rules are archived rather than deleted.
+ * @returns the same shape as planRetention, plus `freedBytes`
+ */
+export function planEmergencyPrune(entries, policy, { now = Date.now(), protectedFiles = [], bytesNeeded }) {
+  const isProtected = new Set(protectedFiles);
+  const base = planRetention(entries, policy, { now, protectedFiles });
+  const remove = [];
+  const removing = new Set();
+  let freedBytes = 0;
+  const take = (entry, reason, planned) => {
+    if (freedBytes >= bytesNeeded || removing.has(entry.file)) return;
+    const rule = ruleFor(entry, policy);
+    removing.add(entry.file);
+    remove.push(planned || (rule.archive
+      ? { entry, action: 'archive', target: path.join(rule.archive, entry.path), reason }
+      : { entry, action: 'delete', reason }));
+    freedBytes += entry.bytes || 0;
+  };
+
+  base.remove.forEach(r => take(r.entry, r.reason, { ...r, reason: `disk full; ${r.reason}` }));
+
+  const candidates = entries
+    .filter(e => !isProtected.has(e.file) && !ruleFor(e, policy).keepForever)
+    .sort((a, b) => -newestFirst(a, b));
+  const newest = new Map();
+  for (const entry of [...entries].sort(newestFirst)) {
+    if (isUsable(entry) && !newest.has(entry.code)) newest.set(entry.code, entry.file);
+  }
+  candidates.filter(e => !isUsable(e)).forEach(e => take(e, `disk full; ${e.partial ? 'partial' : e.provisional ? 'provisional' : 'unplayable'} recording`));
+  candidates.filter(e => isUsable(e) && newest.get(e.code) !== e.file).forEach(e => take(e, 'disk full; older copy'));
+  candidates.forEach(e => take(e, 'disk full; last copy'));
+
+  const totalBytes = entries.reduce((sum, e) => sum + (e.bytes || 0), 0);
+  const warnings = freedBytes < bytesNeeded
+    ? [`Could only free ${(freedBytes / GB).toFixed(2)} of ${(bytesNeeded / GB).toFixed(2)} GB needed`]
+    : [];
+  return { remove, kept: entries.length - remove.length, totalBytes, bytesAfter: totalBytes - freedBytes, freedBytes, warnings };
+}
+
+/**
+ * Human-readable lines describing a plan (the dry-run report).
+ */
+export function formatRetentionPlan(plan) {
+  const lines = plan.remove.map(r =>
+    `${r.action === 'archive' ? `archive -> ${r.target}` : 'delete'}: ${r.entry.path} (${r.reason})`);
+  lines.push(`${plan.remove.length} to remove, ${plan.kept} kept; ${(plan.totalBytes / GB).toFixed(2)} GB -> ${(plan.bytesAfter / GB).toFixed(2)} GB.`);
+  return lines.concat(plan.warnings);
+}
+
+async function moveFile(from, to) {
+  await fsp.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fsp.rename(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    await fsp.copyFile(from, to);
+    await fsp.unlink(from);
+  }
+}
+
+/**
+ * Carries out a plan: deletes or archives each recording with its sidecar
+ * and drops it from `catalog`. Resolves to the number of recordings removed.
+ */
+export async function applyRetentionPlan(plan, catalog, { log = () => {} } = {}) {
+  let done = 0;
+  for (const r of plan.remove) {
+    const file = r.entry.file;
+    try {
+      if (r.action === 'archive') {
+        await moveFile(file, r.target);
+        await moveFile(icySidecarPath(file), icySidecarPath(r.target)).catch(() => {});
+        await moveFile(cueSheetPath(file), cueSheetPath(r.target)).catch(() => {});
+      } else {
+        await fsp.unlink(file).catch(e => { if (e.code !== 'ENOENT') throw e; });
+        await fsp.unlink(icySidecarPath(file)).catch(() => {});
+        await fsp.unlink(cueSheetPath(file)).catch(() => {});
+      }
+      await catalog.remove(file);
+      log(`[Retention] ${r.action === 'archive' ? 'Archived' : 'Deleted'} ${r.entry.path} (${r.reason}).`);
+      done++;
+    } catch (e) {
+      log(`[Retention] Could not ${r.action} ${r.entry.path}: ${e.message}`);
+    }
+  }
+  return done;
+}
+
+/**
+ * Recordings the player may need soon: the catalog's pick for every slot
+ * from `delaySeconds` ago (where playback is) up to now, widened by
+ * `marginSeconds` on both sides. `loadSchedule(dateStr)` resolves to a
+ * schedule object or null.
+ */
+export async function playerWindowFiles(catalog, loadSchedule, { now = Date.now(), delaySeconds, marginSeconds = 3600, timezone }) {
+  const from = now - (delaySeconds + marginSeconds) * 1000;
+  const to = now + marginSeconds * 1000;
+  const first = addDays(instantToZoned(from, timezone).date, -1);
+  const last = instantToZoned(to, timezone).date;
+  const dates = [];
+  for (let d = first; d <= last; d = addDays(d, 1)) dates.push(d);
+
+  const slots = buildTimeline(await Promise.all(dates.map(loadSchedule)), timezone)
+    .filter(slot => slot.end > from && slot.start < to);
+  const files = new Set();
+  for (const slot of slots) {
+    const found = await catalog.find(slot.date, slot.program_code);
+    if (found) files.add(found.file);
+  }
+  return files;
+}
+
+/**
+ * Free bytes on the disk holding `dir`, or null if unknown.
+ */
+export async function freeBytesAt(dir) {
+  try {
+    const stats = await fsp.statfs(dir);
+    return stats.bavail * stats.bsize;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * The policy file, re-read when it changes. A missing file means the
+ * default policy.
+ */
+export class RetentionPolicyFile {
+  constructor(filePath, { onErrors } = {}) {
+    this.filePath = filePath;
+    this.onErrors = onErrors;
+    this.mtimeMs = null;
+    this.policy = parseRetentionPolicy({}).policy;
+  }
+
+  async load() {
+    let stats;
+    try {
+      stats = await fsp.stat(this.filePath);
+    } catch (e) {
+      this.mtimeMs = null;
+      this.policy = parseRetentionPolicy({}).policy;
+      return this.policy;
+    }
+    if (stats.mtimeMs === this.mtimeMs) return this.policy;
+    this.mtimeMs = stats.mtimeMs;
+
+    let parsed;
+    try {
+      parsed = parseRetentionPolicy(JSON.parse(await fsp.readFile(this.filePath, 'utf-8')));
+    } catch (e) {
+      // An unreadable policy must not turn into the (more aggressive) default.
+      parsed = { policy: { ...parseRetentionPolicy({}).policy, dryRun: true }, errors: [`Cannot read ${this.filePath}: ${e.message}; running dry only`] };
+    }
+    this.policy = parsed.policy;
+    if (parsed.errors.length > 0 && this.onErrors) this.onErrors(parsed.errors);
+    return this.policy;
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Lightweight HTTP client for the JSON backend behind the sched-app SPA.
+ *
+ * Fetches a whole date range in one request and maps each record to a
+ * schedule entry field by field, without a browser.
+ *
+ * No response from the backend has been captured yet. The endpoint, its
+ * `network`/`from`/`to` parameters and the record shape below are modelled
+ * on what the SPA shows for each entry (the fields the puppeteer scraper
+ * reads: start time, series title and image, program title and code), and
+ * the test fixture is a sample written to that shape. Check them against
+ * the SPA's network traffic before relying on this source; the source's
+ * `url` overrides the endpoint, and a response that doesn't fit is rejected
+ * so the chain falls back to the next source.
+ */
+
+import http from 'http';
+import https from 'https';
+import { URL } from 'url';
+import { formatTimeText, parseTimeToSeconds } from './schedule-time.js';
+
+// Endpoint the sched-app calls for its daily listings.
+export const SCHED_APP_API_URL = 'https://r.3abn.org/sched-app/api/schedule';
+
+const MAX_REDIRECTS = 5;
+
+function httpGetJson(url, { timeoutMs = 20000, headers = {}, redirects = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    const lib = url.startsWith('https:') ? https : http;
+    const req = lib.get(url, { headers: { Accept: 'application/json', ...headers } }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) return reject(new Error(`Too many redirects from ${url}`));
+        resolve(httpGetJson(new URL(res.headers.location, url).toString(), { timeoutMs, headers, redirects: redirects + 1 }));
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`HTTP ${res.statusCode} from ${url}`));
+        return;
+      }
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (e) {
+          reject(new Error(`Invalid JSON from ${url}: ${e.message}`));
+        }
+      });
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error(`Timed out after ${timeoutMs}ms: ${url}`)));
+    req.on('error', reject);
+  });
+}
+
+// Program code is the series image file name when no explicit code is given.
+function codeFromImage(src) {
+  if (typeof src !== 'string') return '';
+  const m = src.match(/\/([^\/]+)\.(jpg|png|jpeg|gif)$/i);
+  return m ? m[1] : '';
+}
+
+function str(v) {
+  return typeof v === 'string' ? v.trim() : '';
+}
+
+/**
+ * Maps one API record to `{ date, entry }`, or null if it has no usable start.
+ *
+ * Record fields:
+ *   start          "YYYY-MM-DDTHH:MM[:SS]" station wall-clock time (or date + time)
+ *   series.title   series title
+ *   series.image   series image URL (its file name is the fallback program code)
+ *   program.title  episode title
+ *   program.code   program code
+ */
+export function parseSchedAppRecord(rec) {
+  if (!rec || typeof rec !== 'object') return null;
+
+  let date = '';
+  let seconds = null;
+  const start = str(rec.start);
+  const m = start.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (m) {
+    date = m[1];
+    seconds = parseInt(m[2], 10) * 3600 + parseInt(m[3], 10) * 60 + (m[4] ? parseInt(m[4], 10) : 0);
+  } else if (str(rec.date) && str(rec.time)) {
+    date = str(rec.date);
+    seconds = parseTimeToSeconds(str(rec.time));
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || seconds === null) return null;
+
+  const series = rec.series && typeof rec.series === 'object' ? rec.series : {};
+  const program = rec.program && typeof rec.program === 'object' ? rec.program : {};
+  const seriesTitle = str(series.title);
+  const programTitle = str(program.title) || seriesTitle || 'Program';
+  const programCode = str(program.code) || codeFromImage(series.image);
+
+  return {
+    date,
+    entry: {
+      series_title: seriesTitle,
+      program_title: programTitle,
+      program_code: programCode,
+      timeText: formatTimeText(seconds),
+      secondsSinceMidnight: seconds
+    }
+  };
+}
+
+/**
+ * Groups a range response into `Map<dateStr, { date, schedule }>`.
+ * Accepts `{ days: [{ date, entries: [...] }] }` or a flat `{ entries: [...] }`.
+ */
+export function parseSchedAppResponse(body) {
+  if (!body || typeof body !== 'object') throw new Error('Unexpected sched-app response');
+
+  let records;
+  if (Array.isArray(body.days)) {
+    records = body.days.flatMap(d => (Array.isArray(d.entries) ? d.entries : []));
+  } else if (Array.isArray(body.entries)) {
+    records = body.entries;
+  } else {
+    throw new Error('sched-app response has neither days nor entries');
+  }
+
+  const byDate = new Map();
+  let skipped = 0;
+  for (const rec of records) {
+    const parsed = parseSchedAppRecord(rec);
+    if (!parsed) { skipped++; continue; }
+    if (!byDate.has(parsed.date)) byDate.set(parsed.date, { date: parsed.date, schedule: [] });
+    byDate.get(parsed.date).schedule.push(parsed.entry);
+  }
+  for (const day of byDate.values()) {
+    day.schedule.sort((a, b) => a.secondsSinceMidnight - b.secondsSinceMidnight);
+  }
+  byDate.skipped = skipped;
+  return byDate;
+}
+
+export class SchedAppClient {
+  constructor({ baseUrl = SCHED_APP_API_URL, network = 'radio', timeoutMs = 20000 } = {}) {
+    this.baseUrl = baseUrl;
+    this.network = network;
+    this.timeoutMs = timeoutMs;
+  }
+
+  buildUrl(fromDate, toDate) {
+    const url = new URL(this.baseUrl);
+    url.searchParams.set('network', this.network);
+    url.searchParams.set('from', fromDate);
+    url.searchParams.set('to', toDate);
+    return url.toString();
+  }
+
+  /**
+   * Fetches every day from `fromDate` to `toDate` (inclusive) in one request.
+   * @returns {Promise<Map<string, {date: string, schedule: object[]}>>}
+   */
+  async fetchRange(fromDate, toDate) {
+    const body = await httpGetJson(this.buildUrl(fromDate, toDate), { timeoutMs: this.timeoutMs });
+    return parseSchedAppResponse(body);
+  }
+
+  async fetchDay(dateStr) {
+    const days = await this.fetchRange(dateStr, dateStr);
+    return days.get(dateStr) || null;
+  }
+}
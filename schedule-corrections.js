@@ -0,0 +1,215 @@
+/**
+ * Local corrections laid over fetched schedules.
+ *
+ * The corrections file lives outside the schedule cache, so fixes survive
+ * re-fetches and cache purges. It is a JSON object `{ "corrections": [...] }`
+ * (or a bare array). Each correction picks a day and optionally a slot:
+ *
+ *   date     "YYYY-MM-DD"                      one day, or
+ *   weekday  "sat" | "saturday" | 6 | [...]    every such weekday
+ *   time     "06:00 AM" | "18:00"              start of the slot to change
+ *   code     only match if the slot still has this program code (optional)
+ *   id       label recorded on corrected entries (default "#<index>")
+ *
+ * and applies one action:
+ *
+ *   set      { program_code?, program_title?, series_title? }
+ *   moveTo   new start time
+ *   shift    seconds to move the start by (may be negative)
+ *   delete   true
+ *   insert   { time, program_code, program_title?, series_title? } (no `time` needed above)
+ *
+ * Weekday corrections are applied before date corrections, so a one-off fix
+ * can override a recurring one.
+ */
+
+import fs from 'fs';
+import { formatTimeText, parseTimeToSeconds } from './schedule-time.js';
+
+const fsp = fs.promises;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const PATCHABLE = ['program_code', 'program_title', 'series_title'];
+
+function parseWeekday(value) {
+  if (Number.isInteger(value) && value >= 0 && value < 7) return value;
+  if (typeof value !== 'string') return null;
+  const idx = WEEKDAYS.indexOf(value.trim().toLowerCase().slice(0, 3));
+  return idx === -1 ? null : idx;
+}
+
+// Day of the week of a calendar date, independent of any zone.
+function weekdayOf(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Checks and normalizes the raw corrections list.
+ * @returns {{ corrections: object[], errors: string[] }}
+ */
+export function parseCorrections(data) {
+  const list = Array.isArray(data) ? data : (data && Array.isArray(data.corrections) ? data.corrections : null);
+  if (!list) return { corrections: [], errors: ['Corrections file has no "corrections" list'] };
+
+  const corrections = [];
+  const errors = [];
+  list.forEach((raw, index) => {
+    const id = raw && raw.id ? String(raw.id) : `#${index}`;
+    const fail = msg => errors.push(`Correction ${id}: ${msg}`);
+    if (!raw || typeof raw !== 'object') return fail('not an object');
+
+    const c = { id, code: raw.code };
+    if (raw.date !== undefined) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(raw.date)) return fail(`invalid date "${raw.date}"`);
+      c.date = raw.date;
+    } else if (raw.weekday !== undefined) {
+      const days = (Array.isArray(raw.weekday) ? raw.weekday : [raw.weekday]).map(parseWeekday);
+      if (days.length === 0 || days.includes(null)) return fail(`invalid weekday ${JSON.stringify(raw.weekday)}`);
+      c.weekdays = days;
+    } else {
+      return fail('needs a date or weekday');
+    }
+
+    if (raw.insert) {
+      const seconds = parseTimeToSeconds(String(raw.insert.time || ''));
+      if (seconds === null) return fail(`invalid insert time "${raw.insert.time}"`);
+      if (!raw.insert.program_code) return fail('insert needs a program_code');
+      c.action = 'insert';
+      c.entry = {
+        series_title: raw.insert.series_title || '',
+        program_title: raw.insert.program_title || raw.insert.series_title || 'Program',
+        program_code: String(raw.insert.program_code),
+        timeText: formatTimeText(seconds),
+        secondsSinceMidnight: seconds
+      };
+      corrections.push(c);
+      return;
+    }
+
+    c.time = parseTimeToSeconds(String(raw.time || ''));
+    if (c.time === null) return fail(`invalid slot time "${raw.time}"`);
+
+    if (raw.delete === true) {
+      c.action = 'delete';
+    } else if (raw.moveTo !== undefined) {
+      c.action = 'move';
+      c.to = parseTimeToSeconds(String(raw.moveTo));
+      if (c.to === null) return fail(`invalid moveTo "${raw.moveTo}"`);
+    } else if (raw.shift !== undefined) {
+      if (typeof raw.shift !== 'number' || !isFinite(raw.shift)) return fail(`invalid shift ${raw.shift}`);
+      c.action = 'move';
+      c.to = c.time + Math.round(raw.shift);
+      if (c.to < 0 || c.to >= 86400) return fail('shift moves the slot out of the day');
+    } else if (raw.set && typeof raw.set === 'object') {
+      c.action = 'set';
+      c.set = {};
+      for (const key of PATCHABLE) {
+        if (typeof raw.set[key] === 'string') c.set[key] = raw.set[key];
+      }
+      if (Object.keys(c.set).length === 0) return fail('set has no program_code or titles');
+    } else {
+      return fail('needs one of set, moveTo, shift, delete or insert');
+    }
+    corrections.push(c);
+  });
+  return { corrections, errors };
+}
+
+function appliesTo(correction, dateStr) {
+  return correction.date ? correction.date === dateStr : correction.weekdays.includes(weekdayOf(dateStr));
+}
+
+/**
+ * Returns a copy of `schedObj` with the matching corrections merged in.
+ * Every entry gets an `origin`: the schedule's source for fetched entries or
+ * "correction" for inserted ones. Changed entries also list `correctedBy`
+ * and keep the fields they replaced in `original`. Corrections applied,
+ * including deletions, are listed in `corrections` on the schedule.
+ */
+export function applyCorrections(schedObj, corrections) {
+  if (!schedObj || !Array.isArray(schedObj.schedule)) return schedObj;
+  const origin = schedObj.source || 'schedule';
+  let entries = schedObj.schedule.map(e => ({ ...e, origin: e.origin || origin }));
+  const applied = [];
+
+  const matching = corrections
+    .filter(c => appliesTo(c, schedObj.date))
+    .sort((a, b) => (a.date ? 1 : 0) - (b.date ? 1 : 0));
+
+  const mark = (entry, c, fields) => {
+    entry.original = { ...Object.fromEntries(fields.map(f => [f, entry[f]])), ...entry.original };
+    entry.correctedBy = [...(entry.correctedBy || []), c.id];
+  };
+
+  for (const c of matching) {
+    if (c.action === 'insert') {
+      entries = entries.filter(e => e.secondsSinceMidnight !== c.entry.secondsSinceMidnight);
+      entries.push({ ...c.entry, origin: 'correction', correctedBy: [c.id] });
+      applied.push({ id: c.id, action: 'insert', timeText: c.entry.timeText });
+      continue;
+    }
+
+    const target = entries.find(e => e.secondsSinceMidnight === c.time && (!c.code || e.program_code === c.code));
+    if (!target) continue;
+
+    if (c.action === 'delete') {
+      entries = entries.filter(e => e !== target);
+    } else if (c.action === 'set') {
+      mark(target, c, Object.keys(c.set));
+      Object.assign(target, c.set);
+    } else if (c.action === 'move') {
+      // The moved slot replaces whatever already started at its new time.
+      entries = entries.filter(e => e === target || e.secondsSinceMidnight !== c.to);
+      mark(target, c, ['timeText', 'secondsSinceMidnight']);
+      target.secondsSinceMidnight = c.to;
+      target.timeText = formatTimeText(c.to);
+      delete target.startsAt;
+    }
+    applied.push({ id: c.id, action: c.action, timeText: formatTimeText(c.time) });
+  }
+
+  if (applied.length === 0) return { ...schedObj, schedule: entries };
+  entries.sort((a, b) => a.secondsSinceMidnight - b.secondsSinceMidnight);
+  return { ...schedObj, schedule: entries, corrections: applied };
+}
+
+/**
+ * The corrections file, re-read whenever its modification time changes.
+ * A missing file means no corrections.
+ */
+export class CorrectionsFile {
+  constructor(filePath, { onErrors } = {}) {
+    this.filePath = filePath;
+    this.onErrors = onErrors;
+    this.mtimeMs = null;
+    this.corrections = [];
+  }
+
+  async load() {
+    let stats;
+    try {
+      stats = await fsp.stat(this.filePath);
+    } catch (e) {
+      this.mtimeMs = null;
+      this.corrections = [];
+      return this.corrections;
+    }
+    if (stats.mtimeMs === this.mtimeMs) return this.corrections;
+    this.mtimeMs = stats.mtimeMs;
+
+    let parsed;
+    try {
+      parsed = parseCorrections(JSON.parse(await fsp.readFile(this.filePath, 'utf-8')));
+    } catch (e) {
+      parsed = { corrections: [], errors: [`Cannot read ${this.filePath}: ${e.message}`] };
+    }
+    this.corrections = parsed.corrections;
+    if (parsed.errors.length > 0 && this.onErrors) this.onErrors(parsed.errors);
+    return this.corrections;
+  }
+
+  async apply(schedObj) {
+    if (!schedObj) return schedObj;
+    return applyCorrections(schedObj, await this.load());
+  }
+}
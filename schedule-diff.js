@@ -0,0 +1,97 @@
+/**
+ * Structured comparison of two versions of a day's schedule.
+ */
+
+import { formatTimeText } from './schedule-time.js';
+
+function slotKey(entry) {
+  return `${entry.program_code}@${entry.secondsSinceMidnight}`;
+}
+
+/**
+ * Compares `oldSchedule` and `newSchedule` (arrays of entries) and returns
+ * `{ added, removed, retimed, recoded, retitled }`:
+ *   - retimed: same program code, different start ({ from, to, entry })
+ *   - recoded: same start, different program code ({ from, to, entry })
+ *   - retitled: same code and start, different titles ({ from, to, entry })
+ *   - added / removed: entries with no counterpart on the other side
+ */
+export function diffSchedules(oldSchedule = [], newSchedule = []) {
+  const diff = { added: [], removed: [], retimed: [], recoded: [], retitled: [] };
+  let oldLeft = [...oldSchedule];
+  let newLeft = [];
+
+  // 1. Exact matches (same code, same start)
+  for (const entry of newSchedule) {
+    const idx = oldLeft.findIndex(o => slotKey(o) === slotKey(entry));
+    if (idx === -1) {
+      newLeft.push(entry);
+      continue;
+    }
+    const old = oldLeft[idx];
+    oldLeft.splice(idx, 1);
+    if (old.program_title !== entry.program_title || old.series_title !== entry.series_title) {
+      diff.retitled.push({ from: old, to: entry, entry });
+    }
+  }
+
+  // 2. Same code at a different time
+  const stillNew = [];
+  for (const entry of newLeft) {
+    const idx = entry.program_code
+      ? oldLeft.findIndex(o => o.program_code === entry.program_code)
+      : -1;
+    if (idx === -1) {
+      stillNew.push(entry);
+      continue;
+    }
+    diff.retimed.push({ from: oldLeft[idx], to: entry, entry });
+    oldLeft.splice(idx, 1);
+  }
+  newLeft = stillNew;
+
+  // 3. Same start with a different code
+  for (const entry of newLeft) {
+    const idx = oldLeft.findIndex(o => o.secondsSinceMidnight === entry.secondsSinceMidnight);
+    if (idx === -1) {
+      diff.added.push(entry);
+      continue;
+    }
+    diff.recoded.push({ from: oldLeft[idx], to: entry, entry });
+    oldLeft.splice(idx, 1);
+  }
+
+  diff.removed = oldLeft;
+  return diff;
+}
+
+export function isEmptyDiff(diff) {
+  return Object.values(diff).every(list => list.length === 0);
+}
+
+function describe(entry) {
+  const time = entry.secondsSinceMidnight === null ? entry.timeText : formatTimeText(entry.secondsSinceMidnight);
+  return `${entry.program_code || 'UNK'} ${time}`;
+}
+
+/**
+ * One line per change, suitable for logging.
+ */
+export function formatScheduleDiff(diff) {
+  return [
+    ...diff.added.map(e => `+ added ${describe(e)}`),
+    ...diff.removed.map(e => `- removed ${describe(e)}`),
+    ...diff.retimed.map(c => `~ retimed ${describe(c.from)} -> ${formatTimeText(c.to.secondsSinceMidnight)}`),
+    ...diff.recoded.map(c => `~ recoded ${describe(c.from)} -> ${c.to.program_code || 'UNK'}`),
+    ...diff.retitled.map(c => `~ retitled ${describe(c.from)}: "${c.from.program_title}" -> "${c.to.program_title}"`)
+  ];
+}
+
+/**
+ * Whether any change touches the window [fromSeconds, toSeconds) of the day.
+ */
+export function diffAffectsWindow(diff, fromSeconds, toSeconds) {
+  const inWindow = e => e && e.secondsSinceMidnight !== null && e.secondsSinceMidnight >= fromSeconds && e.secondsSinceMidnight < toSeconds;
+  return diff.added.some(inWindow) || diff.removed.some(inWindow) ||
+    [...diff.retimed, ...diff.recoded].some(c => inWindow(c.from) || inWindow(c.to));
+}
@@ -0,0 +1,64 @@
+/**
+ * Stand-in schedules for days whose fetch failed.
+ *
+ * Both kinds are marked `provisional` so the recorder keeps retrying the real
+ * sources and swaps the stand-in out as soon as one of them answers.
+ */
+
+import { addDays, formatTimeText } from './schedule-time.js';
+
+/**
+ * One `3ABN-Hxx` slot per hour, used when nothing better is known.
+ */
+export function syntheticEntries() {
+  const schedule = [];
+  for (let h = 0; h < 24; h++) {
+    const nameStr = String(h + 1).padStart(2, '0');
+    schedule.push({
+      series_title: `3ABN Hour ${nameStr}`,
+      program_title: `3ABN Hour ${nameStr}`,
+      program_code: `3ABN-H${String(h).padStart(2, '0')}`,
+      timeText: formatTimeText(h * 3600),
+      secondsSinceMidnight: h * 3600
+    });
+  }
+  return schedule;
+}
+
+/**
+ * Builds a provisional schedule for `dateStr`. `previousWeek` is the cached
+ * schedule for the same weekday a week earlier, if any; the network's weekly
+ * grid is mostly stable, so its entries are a better guess than hourly slots.
+ * A previous week that was itself provisional is not copied forward.
+ *
+ * @param {string} dateStr
+ * @param {object|null} previousWeek
+ * @param {object} [opts]
+ * @param {string} [opts.timezone] zone for the synthetic tier
+ * @param {string} [opts.reason] why the real fetch is unavailable
+ */
+export function buildFallbackSchedule(dateStr, previousWeek, { timezone, reason } = {}) {
+  const usable = previousWeek && !previousWeek.provisional &&
+    previousWeek.date === addDays(dateStr, -7) &&
+    Array.isArray(previousWeek.schedule) && previousWeek.schedule.length > 0;
+
+  if (usable) {
+    return {
+      date: dateStr,
+      source: 'previous-week',
+      timezone: previousWeek.timezone || timezone,
+      provisional: true,
+      provisionalReason: reason,
+      basedOn: previousWeek.date,
+      schedule: previousWeek.schedule.map(({ startsAt, ...entry }) => entry)
+    };
+  }
+  return {
+    date: dateStr,
+    source: 'synthetic',
+    timezone,
+    provisional: true,
+    provisionalReason: reason,
+    schedule: syntheticEntries()
+  };
+}
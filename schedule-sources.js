@@ -0,0 +1,567 @@
+/**
+ * Schedule sources for the 3ABN recorder.
+ *
+ * Every source exposes `name` and `fetch(dateStr)`, which resolves to
+ * `{ date, schedule: [{ program_code, series_title, program_title, timeText, secondsSinceMidnight }] }`
+ * or `null` when it has nothing for that date, and throws when it is unusable.
+ * Times are wall clock in the source's `timezone` (defaulting to the chain's).
+ * `ScheduleSourceChain` tries sources in priority order and falls back on failure.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import puppeteer from 'puppeteer';
+import { SchedAppClient } from './sched-app-client.js';
+import { formatTimeText, instantToZoned, parseTimeToSeconds, zonedToInstant } from './schedule-time.js';
+
+const fsp = fs.promises;
+
+const SCHEDULE_PAGE = 'https://r.3abn.org/sched-app/#/radio';
+
+function log(...args) {
+  console.log(new Date().toISOString(), '-', ...args);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ======================== NORMALIZATION ==========================
+
+/**
+ * Maps raw items to schedule entries, computing secondsSinceMidnight and
+ * canonical timeText, and sorts them by start time.
+ */
+export function normalizeEntries(items) {
+  return items.map(item => {
+    const seconds = typeof item.secondsSinceMidnight === 'number'
+      ? item.secondsSinceMidnight
+      : parseTimeToSeconds(item.timeText);
+    return {
+      series_title: item.series_title || '',
+      program_title: item.program_title || item.series_title || 'Program',
+      program_code: item.program_code || '',
+      timeText: seconds === null ? (item.timeText || '') : formatTimeText(seconds),
+      secondsSinceMidnight: seconds
+    };
+  }).sort((a, b) => a.secondsSinceMidnight - b.secondsSinceMidnight);
+}
+
+// ======================== PARSERS ==========================
+
+/**
+ * Accepts `{ date, schedule }`, a bare array of entries (optionally with a
+ * `date` field each) or an object keyed by date. A top-level `timezone` is
+ * passed through.
+ */
+export function parseJsonSchedule(text, dateStr) {
+  const data = JSON.parse(text);
+  let items = null;
+
+  if (Array.isArray(data)) {
+    items = data.filter(e => !e.date || e.date === dateStr);
+  } else if (data && Array.isArray(data.schedule)) {
+    if (data.date && data.date !== dateStr) return null;
+    items = data.schedule;
+  } else if (data && data[dateStr]) {
+    const day = data[dateStr];
+    items = Array.isArray(day) ? day : day.schedule;
+  }
+
+  if (!Array.isArray(items) || items.length === 0) return null;
+  const result = { date: dateStr, schedule: normalizeEntries(items) };
+  if (data && typeof data.timezone === 'string') result.timezone = data.timezone;
+  return result;
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      cells.push(cur);
+      cur = '';
+    } else {
+      cur += c;
+    }
+  }
+  cells.push(cur);
+  return cells.map(c => c.trim());
+}
+
+const CSV_COLUMNS = {
+  date: ['date', 'day'],
+  timeText: ['timetext', 'time', 'start'],
+  program_code: ['program_code', 'programcode', 'code'],
+  series_title: ['series_title', 'seriestitle', 'series'],
+  program_title: ['program_title', 'programtitle', 'title']
+};
+
+/**
+ * Expects a header row. Recognised columns: date, time, program_code,
+ * series_title, program_title (and a few aliases). Rows with a date that
+ * differs from `dateStr` are skipped.
+ */
+export function parseCsvSchedule(text, dateStr) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() && !l.trim().startsWith('#'));
+  if (lines.length < 2) return null;
+
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  const colIndex = {};
+  for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+    const idx = header.findIndex(h => aliases.includes(h));
+    if (idx !== -1) colIndex[field] = idx;
+  }
+  if (colIndex.timeText === undefined) throw new Error('CSV schedule has no time column');
+
+  const items = [];
+  for (const line of lines.slice(1)) {
+    const cells = splitCsvLine(line);
+    if (colIndex.date !== undefined && cells[colIndex.date] && cells[colIndex.date] !== dateStr) continue;
+    const item = {};
+    for (const [field, idx] of Object.entries(colIndex)) {
+      if (field !== 'date') item[field] = cells[idx] || '';
+    }
+    items.push(item);
+  }
+
+  if (items.length === 0) return null;
+  return { date: dateStr, schedule: normalizeEntries(items) };
+}
+
+// Join folded lines and split "NAME;PARAMS:VALUE".
+function parseICalLines(text) {
+  const unfolded = text.replace(/\r?\n[ \t]/g, '');
+  return unfolded.split(/\r?\n/).filter(Boolean).map(line => {
+    const colon = line.indexOf(':');
+    if (colon === -1) return null;
+    const [name, ...params] = line.slice(0, colon).split(';');
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+  }).filter(Boolean);
+}
+
+function unescapeICal(value) {
+  return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+/**
+ * Reads VEVENTs whose DTSTART falls on `dateStr` in `timeZone`. UTC (`Z`) and
+ * TZID times are converted to `timeZone`; floating times are taken as wall
+ * clock there. The program code comes from X-PROGRAM-CODE, falling back to
+ * CATEGORIES.
+ */
+export function parseICalSchedule(text, dateStr, timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone) {
+  const items = [];
+  let event = null;
+
+  for (const { name, params, value } of parseICalLines(text)) {
+    if (name === 'BEGIN' && value === 'VEVENT') {
+      event = {};
+    } else if (name === 'END' && value === 'VEVENT') {
+      if (event) items.push(event);
+      event = null;
+    } else if (event) {
+      if (name === 'DTSTART') {
+        if (params.some(p => p.toUpperCase() === 'VALUE=DATE')) continue;
+        const m = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+        if (!m) continue;
+        const [, y, mo, d, h, mi, s, utc] = m;
+        const wallDate = `${y}-${mo}-${d}`;
+        const wallSeconds = +h * 3600 + +mi * 60 + +s;
+        const tzParam = params.find(p => p.toUpperCase().startsWith('TZID='));
+        const sourceZone = utc ? 'UTC' : (tzParam ? tzParam.slice(5) : timeZone);
+        const zoned = instantToZoned(zonedToInstant(wallDate, wallSeconds, sourceZone), timeZone);
+        event.date = zoned.date;
+        event.secondsSinceMidnight = zoned.secondsSinceMidnight;
+      } else if (name === 'SUMMARY') {
+        event.series_title = unescapeICal(value);
+      } else if (name === 'DESCRIPTION') {
+        event.program_title = unescapeICal(value);
+      } else if (name === 'X-PROGRAM-CODE') {
+        event.program_code = unescapeICal(value);
+      } else if (name === 'CATEGORIES' && !event.program_code) {
+        event.program_code = unescapeICal(value.split(',')[0]);
+      }
+    }
+  }
+
+  const dayItems = items.filter(e => e.date === dateStr);
+  if (dayItems.length === 0) return null;
+  return { date: dateStr, schedule: normalizeEntries(dayItems) };
+}
+
+const PARSERS = {
+  '.json': parseJsonSchedule,
+  '.csv': parseCsvSchedule,
+  '.ics': parseICalSchedule
+};
+
+// ======================== SOURCES ==========================
+
+// Substitutes {date} in a path template.
+function resolveDatePath(template, dateStr) {
+  return template.replace(/\{date\}/g, dateStr);
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await fsp.readFile(filePath, 'utf-8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+class FileScheduleSource {
+  constructor(name, filePath, parser, timezone) {
+    this.name = name;
+    this.path = filePath;
+    this.parser = parser;
+    this.timezone = timezone;
+  }
+
+  async fetch(dateStr) {
+    const text = await readIfExists(resolveDatePath(this.path, dateStr));
+    if (text === null) return null;
+    return this.parser(text, dateStr, this.timezone);
+  }
+}
+
+export class JsonFileSource extends FileScheduleSource {
+  constructor({ path: filePath, name, timezone }) {
+    super(name || `json:${filePath}`, filePath, parseJsonSchedule, timezone);
+  }
+}
+
+export class CsvFileSource extends FileScheduleSource {
+  constructor({ path: filePath, name, timezone }) {
+    super(name || `csv:${filePath}`, filePath, parseCsvSchedule, timezone);
+  }
+}
+
+export class ICalFileSource extends FileScheduleSource {
+  constructor({ path: filePath, name, timezone }) {
+    super(name || `ical:${filePath}`, filePath, parseICalSchedule, timezone);
+  }
+}
+
+/**
+ * Watches a directory for schedule files. `<date>.json|.csv|.ics` is
+ * preferred; otherwise every supported file is searched for the date.
+ */
+export class DropDirectorySource {
+  constructor({ dir, name, timezone }) {
+    this.name = name || `drop-dir:${dir}`;
+    this.dir = dir;
+    this.timezone = timezone;
+  }
+
+  async fetch(dateStr) {
+    let files;
+    try {
+      files = (await fsp.readdir(this.dir)).sort();
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+
+    const supported = files.filter(f => PARSERS[path.extname(f).toLowerCase()]);
+    const exact = supported.filter(f => path.basename(f, path.extname(f)) === dateStr);
+    const others = supported.filter(f => !exact.includes(f));
+
+    for (const f of [...exact, ...others]) {
+      const parser = PARSERS[path.extname(f).toLowerCase()];
+      try {
+        const text = await fsp.readFile(path.join(this.dir, f), 'utf-8');
+        const result = parser(text, dateStr, this.timezone);
+        if (result && result.schedule.length > 0) return result;
+      } catch (e) {
+        log(`[Schedule] ${this.name}: Skipping unreadable ${f}: ${e.message}`);
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Reads the sched-app JSON backend directly (no browser).
+ */
+export class SchedAppApiSource {
+  constructor({ url, network, timeoutMs, name, timezone } = {}) {
+    this.name = name || 'sched-app-api';
+    this.timezone = timezone;
+    this.client = new SchedAppClient({ baseUrl: url, network, timeoutMs });
+  }
+
+  async fetch(dateStr) {
+    return this.client.fetchDay(dateStr);
+  }
+
+  async fetchRange(fromDate, toDate) {
+    return this.client.fetchRange(fromDate, toDate);
+  }
+}
+
+/**
+ * Scrapes the sched-app SPA with a headless Chrome. Slow; kept as a fallback
+ * for when the JSON backend is unavailable.
+ */
+export class PuppeteerScheduleSource {
+  constructor({ url = SCHEDULE_PAGE, name, timezone } = {}) {
+    this.name = name || 'puppeteer';
+    this.url = url;
+    this.timezone = timezone;
+  }
+
+  async fetch(targetDateStr) {
+    log(`Launching Puppeteer for ${targetDateStr}...`);
+    // Note: This logic assumes we mostly scrape "Today".
+    // If targetDateStr is far in future, this might fail without nav logic.
+    // But since we pre-download "Tomorrow" usually when "Today" is active,
+    // "Tomorrow" *might* require button clicks.
+
+    // For now, we use a simple approach: Load page. If date matches, good.
+    // If not, we try to click "Next Day".
+
+    const browser = await puppeteer.launch({
+      headless: 'new',
+      ignoreHTTPSErrors: true,
+      args: ['--no-sandbox', '--ignore-certificate-errors'],
+    });
+
+    try {
+      const page = await browser.newPage();
+      await page.setViewport({ width: 1280, height: 1024 });
+
+      // Attempt to go to specific date if URL param supported (unlikely but harmless to try?)
+      // Actually, let's just go to root.
+      await page.goto(this.url, { waitUntil: 'networkidle0', timeout: 60000 });
+      await sleep(5000);
+
+      // Check current displayed date?
+      // Let's assume we need to scrape whatever is there, AND if we need next day, we click next.
+
+      // Helper to scrape current view
+      const scrapeCurrentView = async () => {
+        // Expand all
+        await page.evaluate(() => {
+          document.querySelectorAll('.material-icons').forEach(i => {
+            if (i.textContent.trim() === 'expand_more') i.click();
+          });
+        });
+        await sleep(1000);
+
+        return page.evaluate(() => {
+          const entries = Array.from(document.querySelectorAll('.sched-app-daily-entry'));
+          return entries.map(entry => {
+            const timeEl = entry.querySelector('.sched-app-daily-entry-time');
+            if (!timeEl) return null;
+            const timeText = timeEl.textContent.trim();
+
+            const imgEl = entry.querySelector('.sched-app-daily-entry-img');
+            const seriesImg = imgEl ? imgEl.src : '';
+            let programCode = '';
+            if (seriesImg) {
+              const m = seriesImg.match(/\/([^\/]+)\.(jpg|png|jpeg|gif)$/i);
+              if (m) programCode = m[1];
+            }
+
+            const titleEl = entry.querySelector('.sched-app-daily-entry-title');
+            const seriesTitle = titleEl ? titleEl.textContent.trim() : '';
+
+            const detailsSpan = entry.querySelector('.schedAppDailyEntryFull');
+            let programTitle = '';
+            if (detailsSpan) {
+              const html = detailsSpan.innerHTML;
+              const pm = html.match(/<strong>Program Title:<\/strong>\s*(.*?)(?=<div|<strong|$)/i);
+              if (pm) programTitle = pm[1].replace(/<\/?[^>]+(>|$)/g, '').trim();
+              const cm = html.match(/<strong>Program Code:<\/strong>\s*([^<\s][^<]*)/i);
+              if (cm) programCode = cm[1].trim();
+            }
+            if (!programTitle) programTitle = seriesTitle || 'Program';
+            return { series_title: seriesTitle, program_title: programTitle, program_code: programCode, timeText };
+          }).filter(Boolean);
+        });
+      };
+
+      // Navigation Logic
+      // Parse YYYY-MM-DD manually to avoid UTC shifts
+      const [y, m, d] = targetDateStr.split('-').map(Number);
+      const targetYear = y;
+      const targetMonth = m - 1; // 0-indexed
+      const targetDay = d;
+
+      log(`Targeting Date: ${targetDateStr} (D:${targetDay} M:${targetMonth} Y:${targetYear})`);
+
+      // 1. Check and Navigate Month
+      // We loop because we might need to go multiple months? (Unlikely but safe)
+      for (let tries = 0; tries < 5; tries++) {
+        const title = await page.evaluate(() => {
+          const el = document.querySelector('.c-title');
+          return el ? el.textContent.trim() : '';
+        });
+
+        if (!title) break; // Error finding title
+
+        // Parse "February 2026"
+        const [mStr, yStr] = title.split(' ');
+        const monthMap = {
+          January: 0, February: 1, March: 2, April: 3, May: 4, June: 5,
+          July: 6, August: 7, September: 8, October: 9, November: 10, December: 11
+        };
+        const displayedMonth = monthMap[mStr];
+        const displayedYear = parseInt(yStr);
+
+        log(`Calendar shows: ${mStr} ${yStr}`);
+
+        if (displayedYear === targetYear && displayedMonth === targetMonth) {
+          break; // Correct month
+        }
+
+        // Decide direction (Assuming always future for now, or next month)
+        // Simple logic: If target > displayed, click NEXT.
+        const displayedVal = displayedYear * 12 + displayedMonth;
+        const targetVal = targetYear * 12 + targetMonth;
+
+        if (targetVal > displayedVal) {
+          log('Navigating to Next Month...');
+          const clicked = await page.evaluate(() => {
+            // Click second arrow-layout (Next)
+            // Structure: arrow, title, arrow
+            const arrows = document.querySelectorAll('.c-arrow-layout');
+            if (arrows.length >= 2) {
+              arrows[arrows.length - 1].click(); // Last one should be next
+              return true;
+            }
+            return false;
+          });
+          if (!clicked) throw new Error('Could not find Next Month arrow');
+          await sleep(1000);
+        } else {
+          // Backward? Allow it just in case
+          log('Navigating to Previous Month...');
+          const clicked = await page.evaluate(() => {
+            const arrows = document.querySelectorAll('.c-arrow-layout');
+            if (arrows.length > 0) {
+              arrows[0].click();
+              return true;
+            }
+            return false;
+          });
+          if (!clicked) throw new Error('Could not find Prev Month arrow');
+          await sleep(1000);
+        }
+      }
+
+      // 2. Click Day
+      log(`Clicking Day ${targetDay}...`);
+      const dayClicked = await page.evaluate((day) => {
+        // Find all .c-day-content with exact text
+        const els = Array.from(document.querySelectorAll('.c-day-content'));
+        const matches = els.filter(el => parseInt(el.textContent.trim()) === day);
+
+        // Filter parent opacity
+        // We want the one that does NOT have opacity style on .c-day (grandparent?)
+        // Structure: .c-day > .c-day-content-wrapper > .c-day-content
+        // Outer: .c-day
+
+        for (const el of matches) {
+          // Traverse up to .c-day
+          let p = el.parentElement;
+          while (p && !p.classList.contains('c-day')) {
+            p = p.parentElement;
+          }
+
+          if (p) {
+            const style = window.getComputedStyle(p);
+            // Check opacity. Usually "0.4" for inactive.
+            if (style.opacity && parseFloat(style.opacity) < 0.9) {
+              continue; // Skip faded
+            }
+            // This is our day
+            // Click the .c-day-content or wrapper?
+            el.click();
+            return true;
+          }
+        }
+        return false;
+      }, targetDay);
+
+      if (!dayClicked) {
+        log('Warning: Could not find clickable day, dumping current view.');
+      } else {
+        await sleep(2000); // Wait for load
+      }
+
+      const scrapedItems = await scrapeCurrentView();
+      return { date: targetDateStr, schedule: normalizeEntries(scrapedItems) };
+
+    } finally {
+      await browser.close();
+    }
+  }
+}
+
+/**
+ * Builds a source from a config entry such as `{ type: 'csv', path: '/x/{date}.csv' }`.
+ */
+export function createSource(config) {
+  switch (config.type) {
+    case 'json': return new JsonFileSource(config);
+    case 'csv': return new CsvFileSource(config);
+    case 'ical':
+    case 'ics': return new ICalFileSource(config);
+    case 'drop-dir': return new DropDirectorySource(config);
+    case 'sched-app-api': return new SchedAppApiSource(config);
+    case 'puppeteer': return new PuppeteerScheduleSource(config);
+    default: throw new Error(`Unknown schedule source type: ${config.type}`);
+  }
+}
+
+// ======================== CHAIN ==========================
+
+/**
+ * Tries each source in order. The first non-empty schedule wins and is
+ * tagged with `source` and `timezone`. Resolves to null if a source answered
+ * with an empty day (or none failed), and throws when the only answers were
+ * failures: a source with no data for the day (null, e.g. a missing local
+ * file) doesn't count as an answer.
+ */
+export class ScheduleSourceChain {
+  constructor(sources, { timezone } = {}) {
+    this.timezone = timezone;
+    this.sources = sources.map(s => (typeof s.fetch === 'function' ? s : createSource({ timezone, ...s })));
+  }
+
+  async fetch(dateStr) {
+    const errors = [];
+    let answered = false;
+    for (const source of this.sources) {
+      try {
+        const result = await source.fetch(dateStr);
+        if (result) answered = true;
+        if (result && Array.isArray(result.schedule) && result.schedule.length > 0) {
+          log(`[Schedule] ${dateStr}: Using source ${source.name} (${result.schedule.length} entries).`);
+          const timezone = result.timezone || source.timezone || this.timezone;
+          return { date: dateStr, source: source.name, timezone, schedule: result.schedule };
+        }
+        log(`[Schedule] ${dateStr}: Source ${source.name} has no entries, trying next.`);
+      } catch (e) {
+        log(`[Schedule] ${dateStr}: Source ${source.name} failed: ${e.message}`);
+        errors.push(`${source.name}: ${e.message}`);
+      }
+    }
+    if (errors.length > 0 && !answered) {
+      throw new Error(`All schedule sources failed for ${dateStr} (${errors.join('; ')})`);
+    }
+    return null;
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Time-of-day helpers shared by schedule sources, the recorder and the player.
+ */
+
+// Convert "06:15 PM" (or 24h "18:15") to seconds since midnight.
+export function parseTimeToSeconds(timeText) {
+  if (typeof timeText !== 'string') return null;
+  const m = timeText.trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])$/);
+  if (!m) {
+    const m24 = timeText.trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (!m24) return null;
+    const h = parseInt(m24[1], 10);
+    const mm = parseInt(m24[2], 10);
+    const ss = m24[3] ? parseInt(m24[3], 10) : 0;
+    if (h > 23 || mm > 59 || ss > 59) return null;
+    return h * 3600 + mm * 60 + ss;
+  }
+  let [, hStr, mStr, ap] = m;
+  let h = parseInt(hStr, 10);
+  const mm = parseInt(mStr, 10);
+  ap = ap.toLowerCase();
+  if (ap === 'am' && h === 12) h = 0;
+  if (ap === 'pm' && h !== 12) h += 12;
+  return h * 3600 + mm * 60;
+}
+
+// Convert seconds since midnight to the "06:15 PM" form the scraper produces.
+export function formatTimeText(seconds) {
+  const h = Math.floor(seconds / 3600) % 24;
+  const mm = Math.floor((seconds % 3600) / 60);
+  const displayHour = h === 0 ? 12 : (h > 12 ? h - 12 : h);
+  const ampm = h < 12 ? 'AM' : 'PM';
+  return `${String(displayHour).padStart(2, '0')}:${String(mm).padStart(2, '0')} ${ampm}`;
+}
+
+// ======================== TIME ZONES ==========================
+
+// Zone the network publishes its schedule in, used when a source does not say.
+export const DEFAULT_SCHEDULE_TIMEZONE = 'America/Chicago';
+
+const DAY_MS = 24 * 3600 * 1000;
+const formatters = new Map();
+
+function zoneFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function wallClockParts(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of zoneFormatter(timeZone).formatToParts(new Date(ms))) {
+    parts[type] = parseInt(value, 10);
+  }
+  return parts;
+}
+
+// Milliseconds to add to UTC to get wall-clock time in `timeZone` at instant `ms`.
+function zoneOffsetMs(ms, timeZone) {
+  const p = wallClockParts(ms, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Wall-clock date and seconds since midnight in `timeZone` at instant `ms`.
+ * @returns {{ date: string, secondsSinceMidnight: number }}
+ */
+export function instantToZoned(ms, timeZone = DEFAULT_SCHEDULE_TIMEZONE) {
+  const p = wallClockParts(ms, timeZone);
+  const date = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  return { date, secondsSinceMidnight: p.hour * 3600 + p.minute * 60 + p.second };
+}
+
+/**
+ * Epoch milliseconds for wall-clock `secondsSinceMidnight` on `dateStr` in
+ * `timeZone`. `secondsSinceMidnight` may be 86400 or more to reach into the
+ * next day. A time skipped by a spring-forward gap lands just after the gap;
+ * a time repeated by a fall-back resolves to its first occurrence.
+ */
+export function zonedToInstant(dateStr, secondsSinceMidnight, timeZone = DEFAULT_SCHEDULE_TIMEZONE) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d) + secondsSinceMidnight * 1000;
+
+  const before = zoneOffsetMs(wall - DAY_MS, timeZone);
+  const after = zoneOffsetMs(wall + DAY_MS, timeZone);
+  const valid = [...new Set([before, after])]
+    .map(offset => wall - offset)
+    .filter(t => zoneOffsetMs(t, timeZone) === wall - t);
+
+  if (valid.length > 0) return Math.min(...valid);
+  return wall - before;
+}
+
+/**
+ * Real length of a calendar day in `timeZone`: 82800 or 90000 on DST days.
+ */
+export function dayLengthSeconds(dateStr, timeZone = DEFAULT_SCHEDULE_TIMEZONE) {
+  return (zonedToInstant(addDays(dateStr, 1), 0, timeZone) - zonedToInstant(dateStr, 0, timeZone)) / 1000;
+}
+
+export function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
@@ -0,0 +1,112 @@
+/**
+ * Schedule slots as absolute instants.
+ *
+ * Entries keep their wall-clock `secondsSinceMidnight` in the schedule's
+ * `timezone`; everything that compares against the clock works on the epoch
+ * milliseconds computed here, so 23- and 25-hour days and stations in other
+ * zones line up with the network.
+ */
+
+import { DEFAULT_SCHEDULE_TIMEZONE, addDays, instantToZoned, zonedToInstant } from './schedule-time.js';
+
+export function scheduleTimezone(schedObj, fallback = DEFAULT_SCHEDULE_TIMEZONE) {
+  return (schedObj && schedObj.timezone) || fallback;
+}
+
+/**
+ * Returns a copy of `schedObj` with an explicit `timezone` and a `startsAt`
+ * ISO instant on every entry, as written to the schedule cache.
+ */
+export function withInstants(schedObj, fallbackTimezone = DEFAULT_SCHEDULE_TIMEZONE) {
+  const timezone = scheduleTimezone(schedObj, fallbackTimezone);
+  return {
+    ...schedObj,
+    timezone,
+    schedule: schedObj.schedule.map(entry => ({
+      ...entry,
+      startsAt: entry.secondsSinceMidnight === null
+        ? null
+        : new Date(zonedToInstant(schedObj.date, entry.secondsSinceMidnight, timezone)).toISOString()
+    }))
+  };
+}
+
+/**
+ * The day's entries with `start` and `end` epoch milliseconds. Each slot ends
+ * where the next begins; the last one ends at the following midnight in the
+ * schedule's zone. `endTime` is the end as wall-clock seconds (86400 for the
+ * last slot), matching `secondsSinceMidnight`. Slots of a provisional
+ * schedule (see schedule-fallback.js) are marked `provisional`, with the day
+ * it was `basedOn`.
+ */
+export function daySlots(schedObj, fallbackTimezone = DEFAULT_SCHEDULE_TIMEZONE) {
+  if (!schedObj || !Array.isArray(schedObj.schedule)) return [];
+  const timezone = scheduleTimezone(schedObj, fallbackTimezone);
+  const entries = schedObj.schedule.filter(e => typeof e.secondsSinceMidnight === 'number');
+  const dayEnd = zonedToInstant(addDays(schedObj.date, 1), 0, timezone);
+  const provisional = schedObj.provisional ? { provisional: true, basedOn: schedObj.basedOn || null } : {};
+
+  return entries.map((entry, i) => {
+    const next = entries[i + 1];
+    return {
+      ...entry,
+      ...provisional,
+      date: schedObj.date,
+      timezone,
+      start: zonedToInstant(schedObj.date, entry.secondsSinceMidnight, timezone),
+      end: next ? zonedToInstant(schedObj.date, next.secondsSinceMidnight, timezone) : dayEnd,
+      endTime: next ? next.secondsSinceMidnight : 86400
+    };
+  });
+}
+
+/**
+ * The slot containing instant `ms`, or null.
+ */
+export function findSlotAt(slots, ms) {
+  return slots.find(slot => ms >= slot.start && ms < slot.end) || null;
+}
+
+/**
+ * Joins consecutive days into one continuous timeline. `schedObjs` may
+ * contain nulls for days that aren't available.
+ *
+ * - Each slot ends where the next one begins, even on the following day, so
+ *   the gap before a day's first entry belongs to the previous day's last
+ *   program. Only the final slot ends at its own day's midnight.
+ * - When a day's last program continues as the next day's 00:00 entry (same
+ *   program code), the two are merged into one slot with `spansMidnight`.
+ *
+ * Slots keep the `date` they start on; `endTime` is the end as wall-clock
+ * seconds from that date's midnight (so above 86400 across midnight).
+ */
+export function buildTimeline(schedObjs, fallbackTimezone = DEFAULT_SCHEDULE_TIMEZONE) {
+  const days = schedObjs.filter(Boolean).sort((a, b) => a.date.localeCompare(b.date));
+  const entries = days.flatMap(d => daySlots(d, fallbackTimezone)).sort((a, b) => a.start - b.start);
+
+  const slots = [];
+  let lastDate = null; // day of the newest entry folded into the previous slot
+  for (const entry of entries) {
+    const prev = slots[slots.length - 1];
+    // Only stretch across midnight into the very next day, never over a missing one.
+    const contiguous = prev && (entry.date === lastDate || entry.date === addDays(lastDate, 1));
+    lastDate = entry.date;
+
+    if (contiguous && prev.date !== entry.date && entry.secondsSinceMidnight === 0 &&
+      entry.program_code && entry.program_code === prev.program_code) {
+      prev.end = entry.end;
+      prev.spansMidnight = true;
+      continue;
+    }
+    if (contiguous) prev.end = entry.start;
+    slots.push({ ...entry, spansMidnight: false });
+  }
+
+  for (const slot of slots) {
+    const endWall = instantToZoned(slot.end, slot.timezone);
+    const dayOffset = Math.round((Date.parse(endWall.date) - Date.parse(slot.date)) / (24 * 3600 * 1000));
+    slot.endTime = dayOffset * 86400 + endWall.secondsSinceMidnight;
+    if (slot.endTime > 86400) slot.spansMidnight = true;
+  }
+  return slots;
+}
@@ -0,0 +1,139 @@
+/**
+ * Validation and normalization of a day's schedule before it is cached or used.
+ *
+ * Problems are repaired where that is safe, otherwise the offending entry is
+ * quarantined (dropped from the schedule but kept for inspection). A schedule
+ * with nothing usable left is rejected.
+ */
+
+import { formatTimeText, parseTimeToSeconds } from './schedule-time.js';
+import { daySlots } from './schedule-timeline.js';
+
+// Reject the whole day when more than this share of its entries is quarantined.
+const MAX_QUARANTINE_RATIO = 0.5;
+
+// Stand-in code for entries without one, matching the synthetic hourly slots.
+function placeholderCode(seconds) {
+  const hh = String(Math.floor(seconds / 3600)).padStart(2, '0');
+  const mm = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+  return mm === '00' ? `3ABN-H${hh}` : `3ABN-H${hh}${mm}`;
+}
+
+/**
+ * @param {object} schedObj `{ date, timezone?, schedule: [...] }`
+ * @param {object} [opts]
+ * @param {string} [opts.timezone] zone for real-length checks when the schedule has none
+ * @returns {{ valid: boolean, schedObj: object|null, problems: object[], quarantined: object[] }}
+ *   `problems` entries are `{ action: 'repaired'|'quarantined'|'rejected', code, message, entry? }`.
+ */
+export function validateSchedule(schedObj, { timezone } = {}) {
+  const problems = [];
+  const quarantined = [];
+  const reject = (code, message) => {
+    problems.push({ action: 'rejected', code, message });
+    return { valid: false, schedObj: null, problems, quarantined };
+  };
+  const repair = (code, message, entry) => problems.push({ action: 'repaired', code, message, entry });
+  const quarantine = (code, message, entry) => {
+    problems.push({ action: 'quarantined', code, message, entry });
+    quarantined.push({ ...entry, reason: code });
+  };
+
+  if (!schedObj || typeof schedObj !== 'object') return reject('not-object', 'Schedule is not an object');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(schedObj.date || '')) return reject('bad-date', `Invalid schedule date: ${schedObj.date}`);
+  if (!Array.isArray(schedObj.schedule)) return reject('no-entries', 'Schedule has no entry list');
+
+  // 1. Per-entry checks
+  let entries = [];
+  for (const raw of schedObj.schedule) {
+    if (!raw || typeof raw !== 'object') {
+      quarantine('bad-entry', 'Entry is not an object', { raw });
+      continue;
+    }
+    const entry = { ...raw };
+
+    if (typeof entry.secondsSinceMidnight !== 'number' || !isFinite(entry.secondsSinceMidnight)) {
+      const parsed = parseTimeToSeconds(entry.timeText);
+      if (parsed === null) {
+        quarantine('bad-time', `Unparseable time "${entry.timeText}"`, entry);
+        continue;
+      }
+      entry.secondsSinceMidnight = parsed;
+      repair('bad-time', `Recomputed start from "${entry.timeText}"`, entry);
+    }
+    if (entry.secondsSinceMidnight < 0 || entry.secondsSinceMidnight >= 86400) {
+      quarantine('out-of-range', `Start ${entry.secondsSinceMidnight}s is outside the day`, entry);
+      continue;
+    }
+
+    const canonical = formatTimeText(entry.secondsSinceMidnight);
+    entry.timeText = canonical;
+
+    const code = typeof entry.program_code === 'string' ? entry.program_code.trim() : '';
+    if (!code || code === 'UNK') {
+      entry.program_code = placeholderCode(entry.secondsSinceMidnight);
+      repair('no-code', `Missing program code at ${canonical}, using ${entry.program_code}`, entry);
+    } else if (code !== entry.program_code) {
+      entry.program_code = code;
+      repair('code-whitespace', `Trimmed program code "${code}"`, entry);
+    }
+
+    if (!entry.program_title) entry.program_title = entry.series_title || 'Program';
+    if (typeof entry.series_title !== 'string') entry.series_title = '';
+    entries.push(entry);
+  }
+
+  // 2. Order
+  if (entries.some((e, i) => i > 0 && entries[i - 1].secondsSinceMidnight > e.secondsSinceMidnight)) {
+    repair('unsorted', 'Entries were out of order');
+    entries.sort((a, b) => a.secondsSinceMidnight - b.secondsSinceMidnight);
+  }
+
+  // 3. Duplicate starts: keep the entry that had a real code, else the first
+  const bySecond = new Map();
+  for (const entry of entries) {
+    const kept = bySecond.get(entry.secondsSinceMidnight);
+    if (!kept) {
+      bySecond.set(entry.secondsSinceMidnight, entry);
+      continue;
+    }
+    const keptIsPlaceholder = kept.program_code.startsWith('3ABN-H');
+    const isPlaceholder = entry.program_code.startsWith('3ABN-H');
+    if (keptIsPlaceholder && !isPlaceholder) {
+      bySecond.set(entry.secondsSinceMidnight, entry);
+      quarantine('duplicate-start', `Duplicate start ${entry.timeText}; kept ${entry.program_code}`, kept);
+    } else {
+      quarantine('duplicate-start', `Duplicate start ${entry.timeText}; kept ${kept.program_code}`, entry);
+    }
+  }
+  entries = entries.filter(e => bySecond.get(e.secondsSinceMidnight) === e);
+
+  // 4. Zero-length slots in real time (wall times skipped by a DST gap)
+  const tz = schedObj.timezone || timezone;
+  if (tz && entries.length > 0) {
+    const slots = daySlots({ ...schedObj, timezone: tz, schedule: entries });
+    const zero = new Set(slots.filter(s => s.end <= s.start).map(s => s.secondsSinceMidnight));
+    for (const entry of entries.filter(e => zero.has(e.secondsSinceMidnight))) {
+      quarantine('zero-length', `Slot at ${entry.timeText} has no airtime`, entry);
+    }
+    entries = entries.filter(e => !zero.has(e.secondsSinceMidnight));
+  }
+
+  // 5. Verdict
+  if (entries.length === 0) return reject('empty', 'No usable entries');
+  const total = schedObj.schedule.length;
+  if (quarantined.length / total > MAX_QUARANTINE_RATIO) {
+    return reject('mostly-invalid', `${quarantined.length} of ${total} entries quarantined`);
+  }
+
+  const result = { ...schedObj, schedule: entries };
+  if (quarantined.length > 0) result.quarantine = quarantined;
+  return { valid: true, schedObj: result, problems, quarantined };
+}
+
+/**
+ * One line per problem, suitable for logging.
+ */
+export function formatProblems(problems) {
+  return problems.map(p => `${p.action} [${p.code}] ${p.message}`);
+}
@@ -0,0 +1,457 @@
+/**
+ * Continuous capture of the stream into fixed-length chunks, from which
+ * program recordings are cut once their slot is over (and cut again when the
+ * stream offset turns out to have been wrong).
+ *
+ * Chunks live in `<archive>/YYYY-MM-DD/HH-MM-SS.mp3` (UTC start of the
+ * chunk), each with the sidecar its RecordingSession wrote. A new chunk
+ * starts at every multiple of `chunkSeconds` of wall-clock time; the one
+ * before it keeps running for `overlapMs` so nothing is lost to the
+ * reconnect. While running, a chunk is `<name>.mp3.tmp` plus segments, as
+ * with slot recordings; `recoverArchive` finishes what a crash left behind.
+ *
+ * Audio is placed in time by the arrival of its segment's last bytes: a
+ * segment's frames are taken to play back to back, ending at `lastDataAt`.
+ * That keeps the connect-time burst of buffered audio where it belongs.
+ *
+ * Events:
+ *   'chunk'     { file, startedAt, stoppedAt, bytes, gaps }   a chunk was finished
+ *   'segment', 'restart', 'connected'                        forwarded from the chunk's session, with `chunk`
+ *   'audio'     { data, at, segment, chunk }                 likewise, but only from the newest chunk (no overlap twice)
+ *   'error'     Error                                        from a session, or a chunk that couldn't be moved into place
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { pipeline } from 'stream/promises';
+import { RecordingSession } from './recording-session.js';
+import { icySidecarPath } from './stream-capture.js';
+import { scanFrames } from './mp3-frames.js';
+
+const fsp = fs.promises;
+
+// Missing audio shorter than this isn't reported as a gap in a cut.
+const GAP_TOLERANCE_MS = 1000;
+
+// A reconnect burst never holds more than this much audio from before the
+// segment's first bytes arrived; segments starting later than the end of a
+// cut by more than this can't contribute to it.
+const MAX_BURST_MS = 60 * 1000;
+
+// Chunks are rotated long before this; older ones needn't be looked at.
+const MAX_CHUNK_MS = 3 * 3600 * 1000;
+
+const DAY_DIR_RE = /^\d{4}-\d{2}-\d{2}$/;
+const CHUNK_NAME_RE = /^(\d{2})-(\d{2})-(\d{2})\.mp3$/;
+
+function isoDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * File of the chunk started at `startMs`.
+ */
+export function chunkPath(archiveDir, startMs) {
+  const iso = new Date(startMs).toISOString();
+  return path.join(archiveDir, iso.slice(0, 10), `${iso.slice(11, 19).replace(/:/g, '-')}.mp3`);
+}
+
+/**
+ * Start time of the chunk in `file` as told by its path, or null.
+ */
+export function chunkStartFromPath(file) {
+  const name = path.basename(file).match(CHUNK_NAME_RE);
+  const day = path.basename(path.dirname(file));
+  if (!name || !DAY_DIR_RE.test(day)) return null;
+  return Date.parse(`${day}T${name[1]}:${name[2]}:${name[3]}Z`);
+}
+
+export class StreamArchive extends EventEmitter {
+  /**
+   * @param {string|import('./stream-sources.js').StreamSourcePool} source stream URL or pool
+   * @param {string} dir archive root
+   * @param {object} [opts]
+   * @param {number} [opts.chunkSeconds] chunk length; chunks start on multiples of it
+   * @param {number} [opts.overlapMs] how long a chunk keeps running into the next
+   * @param {object} [opts.sessionOptions] passed to each chunk's RecordingSession
+   */
+  constructor(source, dir, { chunkSeconds = 600, overlapMs = 2000, sessionOptions = {} } = {}) {
+    super();
+    this.source = source;
+    this.dir = dir;
+    this.chunkMs = chunkSeconds * 1000;
+    this.overlapMs = overlapMs;
+    this.sessionOptions = sessionOptions;
+    this.current = null; // { file, session, startedAt }
+    this.finishing = new Set();
+    this.overlapping = new Map(); // previous chunk -> timer that finishes it
+    this.timer = null;
+    this.running = false;
+    // Everything captured before this instant is in finished chunks.
+    this.completeUntil = null;
+  }
+
+  /**
+   * Starts capturing. Audio from before now is complete: finish what a
+   * previous run left behind (recoverArchive) before starting.
+   */
+  start() {
+    if (this.running) return this;
+    this.running = true;
+    this.completeUntil = Math.max(this.completeUntil || 0, Date.now());
+    this.rotate().catch(err => this.emit('error', err));
+    return this;
+  }
+
+  /**
+   * Starts the next chunk and schedules the one after it; the previous chunk
+   * is finished `overlapMs` later.
+   */
+  async rotate() {
+    this.timer = null;
+    if (!this.running) return;
+    const startedAt = Date.now();
+    const file = chunkPath(this.dir, startedAt);
+    // Scheduled first, so a failure here doesn't end the archive.
+    let next = (Math.floor(startedAt / this.chunkMs) + 1) * this.chunkMs;
+    if (next - startedAt < 1000) next += this.chunkMs;
+    this.timer = setTimeout(() => this.rotate().catch(err => this.emit('error', err)), next - startedAt);
+
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    if (!this.running) return;
+    const name = path.basename(file);
+    const session = new RecordingSession(this.source, `${file}.tmp`, {
+      ...this.sessionOptions,
+      sidecarFile: `${icySidecarPath(file)}.tmp`,
+      info: { archiveChunk: name }
+    });
+    for (const event of ['segment', 'restart', 'connected']) {
+      session.on(event, e => this.emit(event, { ...e, chunk: name }));
+    }
+    session.on('audio', (a) => {
+      if (this.current && this.current.session === session) this.emit('audio', { ...a, chunk: name });
+    });
+    session.on('error', err => this.emit('error', err));
+    session.start();
+
+    const previous = this.current;
+    this.current = { file, session, startedAt };
+    if (previous) {
+      this.overlapping.set(previous, setTimeout(() => {
+        this.overlapping.delete(previous);
+        this.finish(previous).catch(err => this.emit('error', err));
+      }, this.overlapMs));
+    }
+  }
+
+  /**
+   * Stops a chunk's session and moves the chunk and its sidecar into place.
+   */
+  finish(chunk) {
+    const done = (async () => {
+      const result = await chunk.session.stop();
+      const sidecar = icySidecarPath(chunk.file);
+      if (result.bytes > 0) {
+        await fsp.rename(`${chunk.file}.tmp`, chunk.file);
+        await fsp.rename(`${sidecar}.tmp`, sidecar);
+      } else {
+        await fsp.unlink(`${sidecar}.tmp`).catch(() => {});
+      }
+      const stoppedAt = chunk.session.stoppedAt;
+      this.completeUntil = Math.max(this.completeUntil || 0, stoppedAt);
+      this.emit('chunk', { file: chunk.file, startedAt: chunk.startedAt, stoppedAt, bytes: result.bytes, gaps: result.gaps });
+    })();
+    this.finishing.add(done);
+    return done.finally(() => this.finishing.delete(done));
+  }
+
+  /**
+   * Stops capturing; resolves once every chunk is finished, including one
+   * still running into the last.
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    const last = this.current;
+    this.current = null;
+    for (const [chunk, timer] of this.overlapping) {
+      clearTimeout(timer);
+      this.finish(chunk).catch(err => this.emit('error', err));
+    }
+    this.overlapping.clear();
+    if (last) this.finish(last).catch(err => this.emit('error', err));
+    await Promise.allSettled([...this.finishing]);
+  }
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fsp.readFile(file, 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * The finished chunks that may hold audio from [fromMs, toMs), oldest first.
+ * @returns {Promise<Array<{ file: string, startedAt: number, stoppedAt: number, segments: object[] }>>}
+ *   `segments` as in the chunk's sidecar (`byteOffset`, `bytes`, `firstDataAt`, `lastDataAt`)
+ */
+export async function listChunks(archiveDir, fromMs, toMs) {
+  const chunks = [];
+  for (let day = isoDate(fromMs - MAX_CHUNK_MS); day <= isoDate(toMs); day = isoDate(Date.parse(day) + 86400 * 1000)) {
+    let names;
+    try {
+      names = await fsp.readdir(path.join(archiveDir, day));
+    } catch (e) {
+      continue;
+    }
+    for (const name of names.filter(n => CHUNK_NAME_RE.test(n))) {
+      const file = path.join(archiveDir, day, name);
+      const named = chunkStartFromPath(file);
+      if (named - MAX_BURST_MS >= toMs || named < fromMs - MAX_CHUNK_MS) continue;
+      const data = await readJson(icySidecarPath(file));
+      if (!data || !Array.isArray(data.segments)) continue;
+      const startedAt = Date.parse(data.startedAt) || named;
+      const stoppedAt = Date.parse(data.stoppedAt) || Math.max(...data.segments.map(s => Date.parse(s.lastDataAt) || 0));
+      if (startedAt - MAX_BURST_MS >= toMs || stoppedAt <= fromMs) continue;
+      chunks.push({ file, startedAt, stoppedAt, segments: data.segments });
+    }
+  }
+  return chunks.sort((a, b) => a.startedAt - b.startedAt);
+}
+
+/**
+ * When the newest finished chunk stopped (null for an empty archive): the
+ * archive holds every captured moment before it.
+ */
+export async function archiveEnd(archiveDir) {
+  let days;
+  try {
+    days = (await fsp.readdir(archiveDir)).filter(d => DAY_DIR_RE.test(d)).sort();
+  } catch (e) {
+    return null;
+  }
+  for (const day of days.reverse()) {
+    const names = (await fsp.readdir(path.join(archiveDir, day))).filter(n => CHUNK_NAME_RE.test(n)).sort();
+    for (const name of names.reverse()) {
+      const data = await readJson(icySidecarPath(path.join(archiveDir, day, name)));
+      if (data && Date.parse(data.stoppedAt)) return Date.parse(data.stoppedAt);
+    }
+  }
+  return null;
+}
+
+async function readRange(file, offset, length) {
+  const fh = await fsp.open(file, 'r');
+  try {
+    const buf = Buffer.alloc(length);
+    const { bytesRead } = await fh.read(buf, 0, length, offset);
+    return buf.subarray(0, bytesRead);
+  } finally {
+    await fh.close();
+  }
+}
+
+/**
+ * Writes the audio `chunks` (see listChunks) hold for [fromMs, toMs) to
+ * `outFile`, in whole frames. A frame belongs to the cut when its middle
+ * falls inside it; where chunks overlap, the audio is taken once.
+ *
+ * @returns {Promise<{ bytes: number, seconds: number, firstAudioAt: number|null, lastAudioAt: number|null, gaps: object[], chunks: string[] }>}
+ *   `gaps` are stretches without audio (at the start and end too), as
+ *   `{ offsetSeconds, seconds, from, to, reason }` like a session's gaps;
+ *   `chunks` the files audio was taken from
+ */
+export async function cutChunks(chunks, fromMs, toMs, outFile) {
+  const gaps = [];
+  const gap = (from, to) => {
+    if (to - from <= GAP_TOLERANCE_MS) return;
+    gaps.push({
+      offsetSeconds: Math.round((from - fromMs) / 100) / 10,
+      seconds: Math.round((to - from) / 100) / 10,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      reason: 'not in archive'
+    });
+  };
+
+  const used = [];
+  let cursor = null; // end of the audio written so far
+  let firstAudioAt = null;
+  let bytes = 0;
+  let seconds = 0;
+  const out = await fsp.open(outFile, 'w');
+  try {
+    for (const chunk of chunks) {
+      for (const seg of chunk.segments) {
+        const end = Date.parse(seg.lastDataAt);
+        if (!seg.bytes || !end || end <= fromMs) continue;
+        if (seg.firstDataAt && Date.parse(seg.firstDataAt) - MAX_BURST_MS >= toMs) continue;
+
+        const buf = await readRange(chunk.file, seg.byteOffset, seg.bytes);
+        const { frames, duration } = scanFrames(buf);
+        let t = end - duration * 1000;
+        let run = null; // [start, end) of frames to write next
+        for (const frame of frames) {
+          const t0 = t;
+          const t1 = t + frame.duration * 1000;
+          t = t1;
+          const mid = (t0 + t1) / 2;
+          if (mid < fromMs || mid >= toMs || (cursor !== null && mid < cursor)) continue;
+
+          if (cursor === null) firstAudioAt = t0;
+          gap(cursor === null ? fromMs : cursor, t0);
+          cursor = t1;
+          bytes += frame.length;
+          seconds += frame.duration;
+          if (run && run[1] === frame.offset) {
+            run[1] += frame.length;
+          } else {
+            if (run) await out.write(buf, run[0], run[1] - run[0]);
+            run = [frame.offset, frame.offset + frame.length];
+          }
+        }
+        if (run) {
+          await out.write(buf, run[0], run[1] - run[0]);
+          if (!used.includes(chunk.file)) used.push(chunk.file);
+        }
+      }
+    }
+  } finally {
+    await out.close();
+  }
+
+  gap(cursor === null ? fromMs : cursor, toMs);
+  return { bytes, seconds, firstAudioAt, lastAudioAt: cursor, gaps, chunks: used };
+}
+
+/**
+ * Cuts [fromMs, toMs) out of the archive into `outFile` (see cutChunks).
+ */
+export async function cutArchive(archiveDir, fromMs, toMs, outFile) {
+  return cutChunks(await listChunks(archiveDir, fromMs, toMs), fromMs, toMs, outFile);
+}
+
+async function concat(files, outFile) {
+  const out = fs.createWriteStream(outFile);
+  for (const f of files) {
+    await pipeline(fs.createReadStream(f), out, { end: false });
+  }
+  out.end();
+  await new Promise((resolve, reject) => {
+    out.once('close', resolve);
+    out.once('error', reject);
+  });
+}
+
+async function statOrNull(file) {
+  try {
+    return await fsp.stat(file);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Finishes the chunks a crash left unfinished. Segment files are stitched
+ * into the chunk; without a session's own account of them, each segment is
+ * taken to end when its file was last written. Resolves to the chunks
+ * finished, as `{ file, bytes }`.
+ */
+export async function recoverArchive(archiveDir) {
+  const recovered = [];
+  let days;
+  try {
+    days = (await fsp.readdir(archiveDir)).filter(d => DAY_DIR_RE.test(d));
+  } catch (e) {
+    return recovered;
+  }
+  for (const day of days) {
+    const dir = path.join(archiveDir, day);
+    const names = await fsp.readdir(dir);
+    const groups = new Map();
+    for (const name of names) {
+      const m = name.match(/^(\d{2}-\d{2}-\d{2})\.(mp3\.seg(\d+)\.tmp|mp3\.tmp|icy\.json\.tmp(?:\.\d+\.tmp)?)$/);
+      if (!m) continue;
+      if (!groups.has(m[1])) groups.set(m[1], { segments: [], temp: null, sidecars: [] });
+      const group = groups.get(m[1]);
+      if (m[3] !== undefined) group.segments.push({ index: parseInt(m[3], 10), file: path.join(dir, name) });
+      else if (m[2] === 'mp3.tmp') group.temp = path.join(dir, name);
+      else group.sidecars.push(path.join(dir, name));
+    }
+
+    for (const [base, group] of groups) {
+      const file = path.join(dir, `${base}.mp3`);
+      const sidecar = await readJson(`${icySidecarPath(file)}.tmp`);
+      let parts = group.segments.sort((a, b) => a.index - b.index).map(s => s.file);
+      let segments = null;
+      if (parts.length === 0 && group.temp && sidecar && sidecar.stoppedAt) {
+        // Died between stitching and the rename: the sidecar is complete.
+        segments = sidecar.segments;
+        parts = [group.temp];
+      } else if (parts.length === 0 && group.temp) {
+        parts = [group.temp];
+      }
+
+      const stats = [];
+      for (const f of parts) stats.push(await statOrNull(f));
+      const withData = parts.filter((f, i) => stats[i] && stats[i].size > 0);
+      const bytes = withData.reduce((sum, f) => sum + stats[parts.indexOf(f)].size, 0);
+      if (bytes > 0 && !fs.existsSync(file)) {
+        if (!segments) {
+          let offset = 0;
+          segments = withData.map((f, index) => {
+            const { size, mtimeMs } = stats[parts.indexOf(f)];
+            const seg = { index, byteOffset: offset, bytes: size, firstDataAt: null, lastDataAt: new Date(mtimeMs).toISOString(), endReason: 'recovered' };
+            offset += size;
+            return seg;
+          });
+        }
+        if (withData.length === 1 && withData[0] === group.temp) {
+          await fsp.rename(group.temp, file);
+        } else {
+          await concat(withData, `${file}.recover.tmp`);
+          await fsp.rename(`${file}.recover.tmp`, file);
+        }
+        const startedAt = chunkStartFromPath(file);
+        const stoppedAt = Math.max(...segments.map(s => Date.parse(s.lastDataAt) || 0));
+        await fsp.writeFile(icySidecarPath(file), JSON.stringify({
+          ...sidecar,
+          startedAt: new Date(startedAt).toISOString(),
+          stoppedAt: new Date(stoppedAt).toISOString(),
+          bytes,
+          segments,
+          recovered: true
+        }, null, 2));
+        recovered.push({ file, bytes });
+      }
+      for (const f of [...group.segments.map(s => s.file), group.temp, ...group.sidecars]) {
+        if (f) await fsp.unlink(f).catch(() => {});
+      }
+    }
+  }
+  return recovered;
+}
+
+/**
+ * Removes archive days more than `keepDays` before `now` (UTC days).
+ * Resolves to the day directories removed.
+ */
+export async function pruneArchive(archiveDir, keepDays, { now = Date.now() } = {}) {
+  const oldest = isoDate(now - keepDays * 86400 * 1000);
+  const removed = [];
+  let days;
+  try {
+    days = (await fsp.readdir(archiveDir)).filter(d => DAY_DIR_RE.test(d));
+  } catch (e) {
+    return removed;
+  }
+  for (const day of days.filter(d => d < oldest).sort()) {
+    await fsp.rm(path.join(archiveDir, day), { recursive: true, force: true });
+    removed.push(day);
+  }
+  return removed;
+}
@@ -0,0 +1,292 @@
+/**
+ * Native HTTP/Icecast stream capture.
+ *
+ * Requests the stream with `Icy-MetaData: 1`, strips the interleaved ICY
+ * metadata blocks and writes the remaining MP3 bytes to a file. Metadata
+ * changes (`StreamTitle`) are kept with the audio byte offset and time they
+ * arrived at, and written to a JSON sidecar next to the recording.
+ *
+ * Events:
+ *   'connected' { url, statusCode, name, genre, bitrate, contentType, metaint }
+ *   'progress'  { bytes, elapsedMs }            at most every `progressIntervalMs`
+ *   'audio'     { data, at }                    MP3 bytes as they are written, with their arrival (ms)
+ *   'metadata'  { title, url, raw, byteOffset, at, elapsedMs }
+ *   'error'     Error                           connection or write failure (listen for it, as with any emitter)
+ *   'end'       { bytes, reason }               the stream stopped by itself
+ */
+
+import http from 'http';
+import https from 'https';
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { URL } from 'url';
+
+const fsp = fs.promises;
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * The metadata sidecar that belongs to recording `mp3File`.
+ */
+export function icySidecarPath(mp3File) {
+  return mp3File.replace(/\.mp3$/, '') + '.icy.json';
+}
+
+/**
+ * Parses an ICY metadata block such as `StreamTitle='Song';StreamUrl='';`.
+ */
+export function parseIcyMetadata(raw) {
+  const fields = {};
+  const re = /(\w+)='(.*?)';(?=\w+=|\s*$)/gs;
+  let m;
+  while ((m = re.exec(raw)) !== null) fields[m[1]] = m[2];
+  return fields;
+}
+
+/**
+ * Splits a stream with ICY metadata every `metaint` audio bytes into audio
+ * chunks and metadata strings. Feed it response chunks in order.
+ */
+export class IcyDemuxer {
+  constructor(metaint, { onAudio, onMetadata }) {
+    this.metaint = metaint;
+    this.onAudio = onAudio;
+    this.onMetadata = onMetadata;
+    this.audioLeft = metaint;
+    this.metaLength = null; // bytes of the current metadata block, once its length byte is read
+    this.metaParts = [];
+    this.metaRead = 0;
+  }
+
+  push(chunk) {
+    if (!this.metaint) {
+      this.onAudio(chunk);
+      return;
+    }
+    let pos = 0;
+    while (pos < chunk.length) {
+      if (this.audioLeft > 0) {
+        const n = Math.min(this.audioLeft, chunk.length - pos);
+        this.onAudio(chunk.subarray(pos, pos + n));
+        this.audioLeft -= n;
+        pos += n;
+      } else if (this.metaLength === null) {
+        this.metaLength = chunk[pos] * 16;
+        pos += 1;
+        if (this.metaLength === 0) this.endBlock();
+      } else {
+        const n = Math.min(this.metaLength - this.metaRead, chunk.length - pos);
+        this.metaParts.push(chunk.subarray(pos, pos + n));
+        this.metaRead += n;
+        pos += n;
+        if (this.metaRead === this.metaLength) {
+          const raw = Buffer.concat(this.metaParts).toString('utf8').replace(/\0+$/, '');
+          this.endBlock();
+          this.onMetadata(raw);
+        }
+      }
+    }
+  }
+
+  endBlock() {
+    this.audioLeft = this.metaint;
+    this.metaLength = null;
+    this.metaParts = [];
+    this.metaRead = 0;
+  }
+}
+
+export class StreamCapture extends EventEmitter {
+  /**
+   * @param {string} url stream URL (http or https)
+   * @param {string} outFile file the MP3 bytes are written to
+   * @param {object} [opts]
+   * @param {string|null} [opts.sidecarFile] where metadata is written (default: `icySidecarPath(outFile)`; null for none)
+   * @param {number} [opts.connectTimeoutMs] time allowed until the response headers arrive
+   * @param {number} [opts.progressIntervalMs] minimum gap between 'progress' events
+   */
+  constructor(url, outFile, { sidecarFile, connectTimeoutMs = 15000, progressIntervalMs = 1000, userAgent = '3abn-recorder' } = {}) {
+    super();
+    this.url = url;
+    this.outFile = outFile;
+    this.sidecarFile = sidecarFile === undefined ? icySidecarPath(outFile) : sidecarFile;
+    this.connectTimeoutMs = connectTimeoutMs;
+    this.progressIntervalMs = progressIntervalMs;
+    this.userAgent = userAgent;
+
+    this.state = 'idle'; // idle | connecting | streaming | ended | failed | stopped
+    this.bytes = 0;
+    this.firstDataAt = null; // when the first / latest audio bytes arrived
+    this.lastDataAt = null;
+    this.startedAt = null;
+    this.stoppedAt = null;
+    this.station = null;
+    this.metadata = [];
+    this.lastProgressAt = 0;
+    this.request = null;
+    this.file = null;
+    this.finished = null;
+    this.sidecarWrite = null;
+  }
+
+  /**
+   * Opens the output file and connects. Returns immediately; follow the
+   * events (or `state`) for the outcome.
+   */
+  start() {
+    if (this.state !== 'idle') throw new Error(`Capture already ${this.state}`);
+    this.state = 'connecting';
+    this.startedAt = Date.now();
+    this.file = fs.createWriteStream(this.outFile);
+    this.finished = new Promise(resolve => this.file.once('close', resolve));
+    this.file.on('error', err => this.fail(err));
+    this.connect(this.url, 0);
+    return this;
+  }
+
+  connect(url, redirects) {
+    const lib = url.startsWith('https:') ? https : http;
+    const req = lib.get(url, { headers: { 'Icy-MetaData': '1', 'User-Agent': this.userAgent } }, (res) => {
+      clearTimeout(connectTimer);
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) return this.fail(new Error(`Too many redirects from ${this.url}`));
+        return this.connect(new URL(res.headers.location, url).toString(), redirects + 1);
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        return this.fail(new Error(`HTTP ${res.statusCode} from ${url}`));
+      }
+      this.onResponse(url, res);
+    });
+    const connectTimer = setTimeout(() => req.destroy(new Error(`No response within ${this.connectTimeoutMs}ms: ${url}`)), this.connectTimeoutMs);
+    req.on('error', (err) => {
+      clearTimeout(connectTimer);
+      if (this.state !== 'stopped') this.fail(err);
+    });
+    this.request = req;
+  }
+
+  onResponse(url, res) {
+    const metaint = parseInt(res.headers['icy-metaint'], 10) || 0;
+    this.station = {
+      url,
+      statusCode: res.statusCode,
+      name: res.headers['icy-name'] || null,
+      genre: res.headers['icy-genre'] || null,
+      bitrate: parseInt(res.headers['icy-br'], 10) || null,
+      contentType: res.headers['content-type'] || null,
+      metaint
+    };
+    this.state = 'streaming';
+    this.emit('connected', this.station);
+
+    const demuxer = new IcyDemuxer(metaint, {
+      onAudio: (chunk) => {
+        if (this.file.writableEnded) return;
+        this.bytes += chunk.length;
+        this.lastDataAt = Date.now();
+        if (this.firstDataAt === null) this.firstDataAt = this.lastDataAt;
+        if (!this.file.write(chunk) && !res.isPaused()) {
+          res.pause();
+          this.file.once('drain', () => res.resume());
+        }
+        this.emit('audio', { data: chunk, at: this.lastDataAt });
+      },
+      onMetadata: raw => this.onMetadata(raw)
+    });
+
+    res.on('data', (chunk) => {
+      demuxer.push(chunk);
+      const now = Date.now();
+      if (now - this.lastProgressAt >= this.progressIntervalMs) {
+        this.lastProgressAt = now;
+        this.emit('progress', { bytes: this.bytes, elapsedMs: now - this.startedAt });
+      }
+    });
+    res.on('close', () => this.finish('ended', res.complete ? 'stream ended' : 'connection lost'));
+  }
+
+  onMetadata(raw) {
+    if (!raw) return;
+    const last = this.metadata[this.metadata.length - 1];
+    if (last && last.raw === raw) return; // servers repeat the block until it changes
+
+    const fields = parseIcyMetadata(raw);
+    const now = Date.now();
+    const entry = {
+      title: fields.StreamTitle !== undefined ? fields.StreamTitle : null,
+      url: fields.StreamUrl || null,
+      raw,
+      byteOffset: this.bytes,
+      at: new Date(now).toISOString(),
+      elapsedMs: now - this.startedAt
+    };
+    this.metadata.push(entry);
+    this.emit('metadata', entry);
+    this.writeSidecar().catch(err => this.emit('error', err));
+  }
+
+  fail(err) {
+    if (this.state === 'failed' || this.state === 'stopped' || this.state === 'ended') return;
+    this.state = 'failed';
+    this.emit('error', err);
+    this.closeFile();
+  }
+
+  finish(state, reason) {
+    if (this.state !== 'streaming') return;
+    this.state = state;
+    this.closeFile();
+    this.emit('end', { bytes: this.bytes, reason });
+  }
+
+  closeFile() {
+    this.stoppedAt = this.stoppedAt || Date.now();
+    if (this.request) this.request.destroy();
+    if (this.file && !this.file.writableEnded) this.file.end();
+  }
+
+  /**
+   * Writes the sidecar via temp + rename. Writes are queued so a late
+   * metadata update can't race the final one from `stop`.
+   */
+  writeSidecar() {
+    this.sidecarWrite = (this.sidecarWrite || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.writeSidecarNow());
+    return this.sidecarWrite;
+  }
+
+  async writeSidecarNow() {
+    if (!this.sidecarFile) return;
+    const data = {
+      url: this.url,
+      station: this.station,
+      startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      stoppedAt: this.stoppedAt ? new Date(this.stoppedAt).toISOString() : null,
+      bytes: this.bytes,
+      metadata: this.metadata
+    };
+    const tmpName = `${this.sidecarFile}.${process.pid}.tmp`;
+    await fsp.writeFile(tmpName, JSON.stringify(data, null, 2));
+    await fsp.rename(tmpName, this.sidecarFile);
+  }
+
+  /**
+   * Disconnects, flushes the file and writes the final sidecar.
+   * @returns {Promise<{ bytes: number, metadata: object[] }>}
+   */
+  async stop() {
+    if (this.state === 'idle') return { bytes: 0, metadata: [] };
+    if (this.state === 'connecting' || this.state === 'streaming') this.state = 'stopped';
+    this.closeFile();
+    await this.finished;
+    try {
+      await this.writeSidecar();
+    } catch (err) {
+      this.emit('error', err);
+    }
+    return { bytes: this.bytes, metadata: this.metadata };
+  }
+}
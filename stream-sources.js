@@ -0,0 +1,206 @@
+/**
+ * Ordered primary and backup stream URLs with failover.
+ *
+ * Entries may be direct stream URLs or .pls / .m3u playlists, which are
+ * expanded into the streams they list (in order). The pool hands out the
+ * active stream, moves to the next one when the recorder reports a failure,
+ * and can probe whether the primary is back.
+ *
+ * Events:
+ *   'failover' { from, to, reason }
+ *   'restored' { url }                 switched back to the primary after a probe
+ *   'playlist-error' { url, error }
+ */
+
+import http from 'http';
+import https from 'https';
+import { EventEmitter } from 'events';
+import { URL } from 'url';
+
+const MAX_REDIRECTS = 5;
+
+// HLS (.m3u8) lists media segments rather than streams, so it isn't supported.
+function isPlaylistUrl(url) {
+  return /\.(pls|m3u)$/i.test(new URL(url).pathname);
+}
+
+/**
+ * Extracts stream URLs from a .pls or .m3u playlist, relative to `baseUrl`.
+ */
+export function parsePlaylist(text, baseUrl) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  let urls;
+  if (lines.some(l => /^\[playlist\]$/i.test(l))) {
+    urls = lines
+      .map(l => l.match(/^File(\d+)=(.+)$/i))
+      .filter(Boolean)
+      .sort((a, b) => parseInt(a[1], 10) - parseInt(b[1], 10))
+      .map(m => m[2].trim());
+  } else {
+    urls = lines.filter(l => !l.startsWith('#'));
+  }
+  return urls.map(u => new URL(u, baseUrl).toString());
+}
+
+function httpGetText(url, { timeoutMs = 10000, redirects = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    const lib = url.startsWith('https:') ? https : http;
+    const req = lib.get(url, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) return reject(new Error(`Too many redirects from ${url}`));
+        resolve(httpGetText(new URL(res.headers.location, url).toString(), { timeoutMs, redirects: redirects + 1 }));
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`HTTP ${res.statusCode} from ${url}`));
+        return;
+      }
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        body += chunk;
+        if (body.length > 64 * 1024) req.destroy(new Error(`Playlist too large: ${url}`));
+      });
+      res.on('end', () => resolve(body));
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error(`Timed out after ${timeoutMs}ms: ${url}`)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Whether `url` answers with a 200 and at least `minBytes` of data within
+ * `timeoutMs`. Used to check a stream without recording it.
+ */
+export function probeStream(url, { timeoutMs = 10000, minBytes = 4096, redirects = 0 } = {}) {
+  return new Promise((resolve) => {
+    const lib = url.startsWith('https:') ? https : http;
+    let received = 0;
+    let settled = false;
+    const done = (ok) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      req.destroy();
+      resolve(ok);
+    };
+    const req = lib.get(url, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects < MAX_REDIRECTS) {
+        res.resume();
+        settled = true;
+        clearTimeout(timer);
+        resolve(probeStream(new URL(res.headers.location, url).toString(), { timeoutMs, minBytes, redirects: redirects + 1 }));
+        return;
+      }
+      if (res.statusCode !== 200) return done(false);
+      res.on('data', (chunk) => {
+        received += chunk.length;
+        if (received >= minBytes) done(true);
+      });
+      res.on('close', () => done(received >= minBytes));
+    });
+    const timer = setTimeout(() => done(false), timeoutMs);
+    req.on('error', () => done(false));
+  });
+}
+
+export class StreamSourcePool extends EventEmitter {
+  /**
+   * @param {string[]} urls stream or playlist URLs, primary first
+   * @param {object} [opts]
+   * @param {number} [opts.playlistTtlMs] how long an expanded playlist is reused
+   * @param {number} [opts.probeTimeoutMs]
+   * @param {number} [opts.probeBytes] data the primary must deliver to count as back
+   */
+  constructor(urls, { playlistTtlMs = 10 * 60 * 1000, probeTimeoutMs = 10000, probeBytes = 4096 } = {}) {
+    super();
+    if (!Array.isArray(urls) || urls.length === 0) throw new Error('At least one stream URL is required');
+    this.urls = urls;
+    this.playlistTtlMs = playlistTtlMs;
+    this.probeTimeoutMs = probeTimeoutMs;
+    this.probeBytes = probeBytes;
+    this.playlists = new Map(); // playlist url -> { urls, expiresAt }
+    this.lastCandidates = [];
+    this.activeUrl = null;
+  }
+
+  async expand(url) {
+    if (!isPlaylistUrl(url)) return [url];
+    const cached = this.playlists.get(url);
+    if (cached && cached.expiresAt > Date.now()) return cached.urls;
+    try {
+      const urls = parsePlaylist(await httpGetText(url), url);
+      if (urls.length === 0) throw new Error('Playlist lists no streams');
+      this.playlists.set(url, { urls, expiresAt: Date.now() + this.playlistTtlMs });
+      return urls;
+    } catch (error) {
+      this.emit('playlist-error', { url, error });
+      // A stale copy beats nothing while the playlist host is down.
+      return cached ? cached.urls : [];
+    }
+  }
+
+  /**
+   * Every stream in priority order as `{ url, origin }`, where `origin` is the
+   * configured entry (the playlist for expanded streams).
+   */
+  async candidates() {
+    const list = [];
+    for (const origin of this.urls) {
+      for (const url of await this.expand(origin)) {
+        if (!list.some(c => c.url === url)) list.push({ url, origin });
+      }
+    }
+    this.lastCandidates = list;
+    return list;
+  }
+
+  /**
+   * The stream to record from now.
+   * @returns {Promise<{ url: string, origin: string }>}
+   */
+  async acquire() {
+    const list = await this.candidates();
+    if (list.length === 0) throw new Error('No stream URL could be resolved');
+    const active = list.find(c => c.url === this.activeUrl) || list[0];
+    this.activeUrl = active.url;
+    return active;
+  }
+
+  /**
+   * Reports that `url` failed; if it is the active stream, the next one in
+   * the list (wrapping around) becomes active.
+   */
+  fail(url, reason) {
+    if (url !== this.activeUrl) return;
+    const list = this.lastCandidates;
+    const idx = list.findIndex(c => c.url === url);
+    const next = list[(idx + 1) % list.length];
+    if (!next || next.url === url) return;
+    this.activeUrl = next.url;
+    this.emit('failover', { from: url, to: next.url, reason });
+  }
+
+  primaryActive() {
+    const primary = this.lastCandidates[0];
+    return !this.activeUrl || !primary || this.activeUrl === primary.url;
+  }
+
+  /**
+   * When running on a backup, checks the primary and switches back to it if
+   * it delivers data again. Resolves to whether the primary is active.
+   */
+  async probePrimary() {
+    const [primary] = await this.candidates();
+    if (!primary) return false;
+    if (this.activeUrl === null || this.activeUrl === primary.url) return true;
+    const ok = await probeStream(primary.url, { timeoutMs: this.probeTimeoutMs, minBytes: this.probeBytes });
+    if (ok) {
+      this.activeUrl = primary.url;
+      this.emit('restored', { url: primary.url });
+    }
+    return ok;
+  }
+}
@@ -4,25 +4,10 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { analyzeFileForDTMF } from './dtmf-analyzer.js';
+import { RecordingCatalog } from './recording-catalog.js';
 
 const RECORD_BASE = path.join(os.homedir(), '0Radio', '3abn');
 
-async function recursiveList(dir) {
-    let results = [];
-    try {
-        const list = await fs.promises.readdir(dir, { withFileTypes: true });
-        for (const entry of list) {
-            const res = path.resolve(dir, entry.name);
-            if (entry.isDirectory()) {
-                results = results.concat(await recursiveList(res));
-            } else if (entry.name.endsWith('.mp3')) {
-                results.push(res);
-            }
-        }
-    } catch (e) { }
-    return results;
-}
-
 async function main() {
     let fileToAnalyze = process.argv[2];
 
@@ -33,19 +18,20 @@ async function main() {
         }
         fileToAnalyze = path.resolve(fileToAnalyze);
     } else {
-        console.log('No file specified, searching for latest recording in:', RECORD_BASE);
-        const files = await recursiveList(RECORD_BASE);
-
-        if (files.length === 0) {
-            console.log('No mp3 files found.');
+        console.log('No file specified, using the latest recording in the catalog of:', RECORD_BASE);
+        const catalog = new RecordingCatalog(RECORD_BASE);
+        if (!(await catalog.load())) {
+            console.log('No catalog found; run `node recordings.js rebuild` first.');
             return;
         }
+        const recordings = await catalog.list();
 
-        // Sort by mtime
-        const stats = await Promise.all(files.map(async f => ({ path: f, mtime: (await fs.promises.stat(f)).mtimeMs })));
-        stats.sort((a, b) => b.mtime - a.mtime);
+        if (recordings.length === 0) {
+            console.log('No recordings in the catalog.');
+            return;
+        }
 
-        fileToAnalyze = stats[0].path;
+        fileToAnalyze = recordings[recordings.length - 1].file;
         console.log('Found latest file:', path.basename(fileToAnalyze));
     }
 
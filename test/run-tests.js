@@ -3,6 +3,31 @@ import path from 'path';
 import os from 'os';
 import { spawn } from 'child_process';
 import util from 'util';
+import {
+    parseJsonSchedule, parseCsvSchedule, parseICalSchedule,
+    DropDirectorySource, ScheduleSourceChain
+} from '../schedule-sources.js';
+import { diffSchedules, diffAffectsWindow, isEmptyDiff } from '../schedule-diff.js';
+import { dayLengthSeconds, instantToZoned, zonedToInstant } from '../schedule-time.js';
+import { buildTimeline, daySlots, findSlotAt, withInstants } from '../schedule-timeline.js';
+import { validateSchedule } from '../schedule-validator.js';
+import { buildFallbackSchedule } from '../schedule-fallback.js';
+import { applyCorrections, parseCorrections, CorrectionsFile } from '../schedule-corrections.js';
+import { deleteRecordingFiles, findRecording, freeRecordingPath, integrityFromDecode, isPartialRecording, isPlayable, markPartial, pickRecording, readRecordingInfo, recordingFileName, updateRecordingInfo } from '../recording-files.js';
+import { id3TagSize, readId3Tag } from '../id3-tag.js';
+import { RecordingCatalog, entryStart, parseRecordingPath } from '../recording-catalog.js';
+import { RetentionPolicyFile, applyRetentionPlan, parseRetentionPolicy, planEmergencyPrune, planRetention, playerWindowFiles } from '../retention-policy.js';
+import { DiskGuard } from '../disk-guard.js';
+import { ContentAnalyzer, judgeContent } from '../audio-content.js';
+import { findOrphans, recoverOrphans } from '../recording-recovery.js';
+import { parseFrameHeader, scanFrames } from '../mp3-frames.js';
+import { archiveEnd, cutArchive, pruneArchive, recoverArchive } from '../stream-archive.js';
+import { cutSlotRecording } from '../archive-cutter.js';
+import { OffsetCalibrationFile, estimateOffset, normalizeOffset } from '../offset-calibration.js';
+import { alignEnvelopes, levelEnvelope } from '../audio-alignment.js';
+import { FrameClock, LiveDtmfDetector } from '../live-dtmf.js';
+import { cueSheetPath, decodeCues, hourEndTones, pcmWriter, writeCueSheet } from '../dtmf-analyzer.js';
+import { planRelabel, relabelProvisional } from '../provisional-recordings.js';
 
 const fsp = fs.promises;
 const TEST_DIR = path.join(os.tmpdir(), '3abn-test');
@@ -146,6 +171,1040 @@ async function runTests() {
         assert('Fallback: Correctly returns null', notFound === null);
     }
 
+    // --- TEST 6: Schedule Sources ---
+    {
+        const day = '2026-02-16';
+
+        const json = parseJsonSchedule(JSON.stringify({
+            date: day,
+            schedule: [
+                { program_code: 'B', series_title: 'Second', timeText: '06:00 PM' },
+                { program_code: 'A', series_title: 'First', timeText: '12:00 AM' }
+            ]
+        }), day);
+        assert('Sources: JSON sorted by start', json.schedule[0].program_code === 'A' && json.schedule[1].secondsSinceMidnight === 64800);
+        assert('Sources: JSON other date ignored', parseJsonSchedule(JSON.stringify({ date: '2026-02-17', schedule: [{ timeText: '01:00 AM' }] }), day) === null);
+
+        const csv = parseCsvSchedule([
+            'date,time,program_code,series_title,program_title',
+            `${day},18:30,CODE1,"Series, With Comma",Episode`,
+            '2026-02-17,01:00,OTHER,Other,Other'
+        ].join('\n'), day);
+        assert('Sources: CSV filters by date', csv.schedule.length === 1);
+        assert('Sources: CSV quoted field and 24h time', csv.schedule[0].series_title === 'Series, With Comma' && csv.schedule[0].timeText === '06:30 PM');
+
+        const ics = parseICalSchedule([
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            'DTSTART:20260216T063000',
+            'SUMMARY:Morning\\, Show',
+            'X-PROGRAM-CODE:MS001',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'DTSTART:20260217T063000',
+            'SUMMARY:Tomorrow',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n'), day);
+        assert('Sources: iCal event for date', ics.schedule.length === 1 && ics.schedule[0].program_code === 'MS001');
+        assert('Sources: iCal unescape', ics.schedule[0].series_title === 'Morning, Show' && ics.schedule[0].secondsSinceMidnight === 23400);
+
+        const dropDir = path.join(TEST_DIR, 'drop');
+        await fsp.mkdir(dropDir, { recursive: true });
+        await fsp.writeFile(path.join(dropDir, `${day}.csv`), 'time,code\n01:00 AM,DROP1\n');
+        const failing = { name: 'broken', fetch: async () => { throw new Error('site down'); } };
+        const empty = { name: 'empty', fetch: async () => ({ date: day, schedule: [] }) };
+        const chain = new ScheduleSourceChain([failing, empty, new DropDirectorySource({ dir: dropDir, name: 'drop' })]);
+        const chained = await chain.fetch(day);
+        assert('Sources: Chain falls back past failure and empty', chained.source === 'drop' && chained.schedule[0].program_code === 'DROP1');
+
+        let threw = false;
+        try { await new ScheduleSourceChain([failing]).fetch(day); } catch (e) { threw = true; }
+        assert('Sources: Chain throws when all fail', threw);
+        assert('Sources: Chain returns null when all empty', await new ScheduleSourceChain([empty]).fetch(day) === null);
+        const nothing = { name: 'nothing', fetch: async () => null };
+        threw = false;
+        try { await new ScheduleSourceChain([nothing, failing]).fetch(day); } catch (e) { threw = true; }
+        assert('Sources: Chain throws when only failures answered', threw);
+        assert('Sources: Chain returns null when an empty day answered', await new ScheduleSourceChain([nothing, empty, failing]).fetch(day) === null);
+    }
+
+    // --- TEST 7: Schedule Diff ---
+    {
+        const e = (code, secs, title = code) => ({ program_code: code, program_title: title, series_title: title, secondsSinceMidnight: secs });
+        const before = [e('A', 0), e('B', 3600), e('C', 7200), e('D', 10800), e('E', 14400)];
+        const after = [e('A', 0), e('B', 5400), e('X', 7200), e('E', 14400, 'Renamed'), e('F', 18000)];
+        const diff = diffSchedules(before, after);
+
+        assert('Diff: retimed by code', diff.retimed.length === 1 && diff.retimed[0].from.secondsSinceMidnight === 3600 && diff.retimed[0].to.secondsSinceMidnight === 5400);
+        assert('Diff: recoded by start', diff.recoded.length === 1 && diff.recoded[0].from.program_code === 'C' && diff.recoded[0].to.program_code === 'X');
+        assert('Diff: added', diff.added.length === 1 && diff.added[0].program_code === 'F');
+        assert('Diff: removed', diff.removed.length === 1 && diff.removed[0].program_code === 'D');
+        assert('Diff: retitled', diff.retitled.length === 1 && diff.retitled[0].to.program_title === 'Renamed');
+        assert('Diff: identical schedules empty', isEmptyDiff(diffSchedules(before, before.map(x => ({ ...x })))));
+        assert('Diff: window hit on next-slot retime', diffAffectsWindow(diff, 0, 3601));
+        assert('Diff: window miss', !diffAffectsWindow(diffSchedules(before, [...before, e('Z', 80000)]), 0, 3601));
+    }
+
+    // --- TEST 8: DST / Timezone Timeline ---
+    {
+        const tz = 'America/Chicago';
+        const hourly = (date) => ({
+            date,
+            timezone: tz,
+            schedule: Array.from({ length: 24 }, (_, h) => ({ program_code: `H${h}`, secondsSinceMidnight: h * 3600 }))
+        });
+
+        // Spring forward: 2026-03-08, 02:00 CST -> 03:00 CDT
+        const spring = daySlots(hourly('2026-03-08'));
+        assert('DST: Spring day is 23h', dayLengthSeconds('2026-03-08', tz) === 82800);
+        assert('DST: Spring slot spanning the gap is 0s', spring[2].end - spring[2].start === 0);
+        assert('DST: Spring slots sum to 23h', (spring[23].end - spring[0].start) / 1000 === 82800);
+        assert('DST: Spring 02:30 maps past the gap', zonedToInstant('2026-03-08', 9000, tz) === Date.parse('2026-03-08T08:30:00Z'));
+        assert('DST: Spring 03:30 CDT finds H3', findSlotAt(spring, Date.parse('2026-03-08T08:30:00Z')).program_code === 'H3');
+
+        // Fall back: 2026-11-01, 02:00 CDT -> 01:00 CST
+        const fall = daySlots(hourly('2026-11-01'));
+        assert('DST: Fall day is 25h', dayLengthSeconds('2026-11-01', tz) === 90000);
+        assert('DST: Fall 01:00 slot lasts 2h', fall[1].end - fall[1].start === 7200 * 1000);
+        assert('DST: Fall repeated 01:30 stays in H1', findSlotAt(fall, Date.parse('2026-11-01T06:30:00Z')).program_code === 'H1' && findSlotAt(fall, Date.parse('2026-11-01T07:30:00Z')).program_code === 'H1');
+        assert('DST: Fall last slot ends at next midnight', fall[23].end === Date.parse('2026-11-02T06:00:00Z'));
+
+        // Delay shift works on instants: 2h before 03:30 CDT on spring day is 00:30 CST (H0), not H1.
+        const delayed = Date.parse('2026-03-08T08:30:00Z') - 2 * 3600 * 1000;
+        assert('DST: Delay crosses the gap in real time', findSlotAt(spring, delayed).program_code === 'H0');
+
+        // Station in another zone reading a network schedule
+        const utcStation = instantToZoned(Date.parse('2026-06-01T05:00:00Z'), tz);
+        assert('TZ: Zoned date differs from UTC date', utcStation.date === '2026-06-01' && utcStation.secondsSinceMidnight === 0);
+        const stamped = withInstants({ date: '2026-06-01', schedule: [{ program_code: 'A', secondsSinceMidnight: 3600 }] }, tz);
+        assert('TZ: Stored startsAt and timezone', stamped.timezone === tz && stamped.schedule[0].startsAt === '2026-06-01T06:00:00.000Z');
+    }
+
+    // --- TEST 9: Cross-Midnight Timeline ---
+    {
+        const tz = 'America/Chicago';
+        const day = (date, entries) => ({ date, timezone: tz, schedule: entries.map(([code, secs]) => ({ program_code: code, secondsSinceMidnight: secs })) });
+        const d1 = day('2026-06-01', [['A', 0], ['LATE', 23 * 3600]]);
+        const d2 = day('2026-06-02', [['LATE', 0], ['B', 3600], ['C', 7200]]);
+        const d3 = day('2026-06-03', [['D', 1800]]);
+
+        const timeline = buildTimeline([d1, d2, d3]);
+        const late = findSlotAt(timeline, Date.parse('2026-06-02T05:30:00Z')); // 00:30 CDT on 06-02
+        assert('Timeline: program across midnight is one slot', late.program_code === 'LATE' && late.date === '2026-06-01' && late.spansMidnight);
+        assert('Timeline: merged slot is 2h long', late.end - late.start === 7200 * 1000 && late.endTime === 86400 + 3600);
+        const gap = findSlotAt(timeline, Date.parse('2026-06-03T05:10:00Z')); // 00:10 CDT on 06-03, before D at 00:30
+        assert('Timeline: gap before first slot resolves to previous day', gap.program_code === 'C' && gap.date === '2026-06-02');
+        assert('Timeline: last slot ends at its midnight', timeline[timeline.length - 1].end === Date.parse('2026-06-04T05:00:00Z'));
+
+        const missingDay = buildTimeline([d1, null, d3]);
+        assert('Timeline: no stretching over a missing day', missingDay.find(x => x.program_code === 'LATE').end === Date.parse('2026-06-02T05:00:00Z'));
+        assert('Timeline: single day matches daySlots', buildTimeline([d2]).map(x => x.end).join() === daySlots(d2).map(x => x.end).join());
+    }
+
+    // --- TEST 10: Schedule Validation ---
+    {
+        const tz = 'America/Chicago';
+        const checked = validateSchedule({
+            date: '2026-03-08',
+            timezone: tz,
+            schedule: [
+                { program_code: 'LATE', timeText: '06:00 PM', secondsSinceMidnight: 64800 },
+                { program_code: ' A ', timeText: '12:00 AM', secondsSinceMidnight: 0 },
+                { program_code: '', timeText: '01:00 AM', secondsSinceMidnight: 3600 },
+                { program_code: 'GAP', timeText: '02:00 AM', secondsSinceMidnight: 7200 },
+                { program_code: 'B', timeText: '03:00 AM', secondsSinceMidnight: 10800 },
+                { program_code: 'DUP', timeText: '03:00 AM', secondsSinceMidnight: 10800 },
+                { program_code: 'T', timeText: '7:30 am', secondsSinceMidnight: null },
+                { program_code: 'BAD', timeText: 'noonish', secondsSinceMidnight: null }
+            ]
+        });
+        const codes = checked.schedObj.schedule.map(e => e.program_code);
+        const actions = code => checked.problems.filter(p => p.code === code).map(p => p.action);
+
+        assert('Validate: repaired schedule is valid', checked.valid);
+        assert('Validate: sorted and trimmed', codes[0] === 'A' && actions('unsorted')[0] === 'repaired');
+        assert('Validate: empty code gets placeholder', codes.includes('3ABN-H01'));
+        assert('Validate: bad time reparsed', checked.schedObj.schedule.find(e => e.program_code === 'T').secondsSinceMidnight === 27000);
+        assert('Validate: unparseable time quarantined', actions('bad-time').includes('quarantined') && !codes.includes('BAD'));
+        assert('Validate: duplicate start quarantined', actions('duplicate-start').length === 1 && codes.includes('B') && !codes.includes('DUP'));
+        assert('Validate: DST-gap slot is zero-length', actions('zero-length').length === 1 && !codes.includes('GAP'));
+        assert('Validate: quarantine kept on schedule', checked.schedObj.quarantine.length === 3);
+
+        const rejected = validateSchedule({ date: '2026-03-09', schedule: [{ timeText: 'x' }, { timeText: 'y' }, { program_code: 'OK', secondsSinceMidnight: 0 }] });
+        assert('Validate: mostly-invalid schedule rejected', !rejected.valid && rejected.problems.some(p => p.code === 'mostly-invalid'));
+        assert('Validate: empty schedule rejected', !validateSchedule({ date: '2026-03-09', schedule: [] }).valid);
+    }
+
+    // --- TEST 11: Provisional Fallback Schedules ---
+    {
+        const lastWeek = {
+            date: '2026-10-12',
+            timezone: 'America/Chicago',
+            fetchedAt: '2026-10-12T05:00:00.000Z',
+            schedule: [
+                { program_code: 'AAA', timeText: '12:00 AM', secondsSinceMidnight: 0, startsAt: '2026-10-12T05:00:00.000Z' },
+                { program_code: 'BBB', timeText: '06:00 AM', secondsSinceMidnight: 21600, startsAt: '2026-10-12T11:00:00.000Z' }
+            ]
+        };
+        const copied = buildFallbackSchedule('2026-10-19', lastWeek, { timezone: 'UTC', reason: 'site down' });
+        assert('Fallback: copies same weekday last week', copied.source === 'previous-week' && copied.basedOn === '2026-10-12' &&
+            copied.schedule.map(e => e.program_code).join() === 'AAA,BBB');
+        assert('Fallback: copy is provisional for the new date', copied.provisional && copied.date === '2026-10-19' &&
+            copied.provisionalReason === 'site down' && copied.schedule[0].startsAt === undefined && !copied.fetchedAt);
+        assert('Fallback: keeps last week\'s zone', copied.timezone === 'America/Chicago');
+
+        const synthetic = buildFallbackSchedule('2026-10-19', null, { timezone: 'America/Chicago' });
+        assert('Fallback: synthetic hourly slots without history', synthetic.source === 'synthetic' && synthetic.provisional &&
+            synthetic.schedule.length === 24 && synthetic.schedule[13].program_code === '3ABN-H13' && synthetic.schedule[13].timeText === '01:00 PM');
+        assert('Fallback: provisional week not copied forward', buildFallbackSchedule('2026-10-26', { ...copied }).source === 'synthetic');
+        assert('Fallback: wrong weekday not copied', buildFallbackSchedule('2026-10-20', lastWeek).source === 'synthetic');
+        assert('Fallback: synthetic passes validation', validateSchedule(synthetic).valid);
+
+        // What is recorded under the copy is labelled provisional
+        const slots = daySlots(copied);
+        assert('Provisional: slots marked with their basis', slots.every(sl => sl.provisional && sl.basedOn === '2026-10-12') &&
+            daySlots(lastWeek).every(sl => !sl.provisional));
+        const genuine = { file: '/r/12/BBB', date: '2026-10-12', code: 'BBB', partial: false, slotStart: 21600 };
+        const guessed = { file: '/r/19/BBB', date: '2026-10-19', code: 'BBB', partial: false, slotStart: 21600, provisional: true };
+        assert('Provisional: used for its own day only', pickRecording([genuine, guessed], '2026-10-19').file === guessed.file &&
+            pickRecording([genuine, guessed], '2026-10-20').file === genuine.file);
+        const kept = planRetention([genuine, guessed].map(e => ({ ...e, path: e.file, bytes: 1 })), parseRetentionPolicy({ default: { keepLast: 1 } }).policy);
+        assert('Provisional: not counted as the newest airing', kept.remove.length === 0);
+
+        // The real schedule relabels it, or supersedes it when no slot matches
+        const base = path.join(TEST_DIR, 'provisional');
+        const dir = path.join(base, '2026', '10', '19');
+        await fsp.mkdir(dir, { recursive: true });
+        const put = async (name, slotStart, scheduledDuration) => {
+            const file = path.join(dir, name);
+            await fsp.writeFile(file, 'mp3');
+            await fsp.writeFile(file.replace(/\.mp3$/, '.icy.json'), JSON.stringify({ recording: {
+                date: '2026-10-19', slotStart, programCode: name.split('-')[1], scheduledDuration, provisional: true, basedOn: '2026-10-12'
+            } }));
+            await fsp.writeFile(cueSheetPath(file), '{}');
+            return file;
+        };
+        const morning = await put('06-BBB-64800.mp3', 21600, 64800);
+        const night = await put('00-AAA-21600.mp3', 0, 21600);
+        const catalog = new RecordingCatalog(base);
+        await catalog.rebuild();
+        const real = daySlots({ date: '2026-10-19', timezone: 'America/Chicago', schedule: [
+            { program_code: 'AAA1', program_title: 'Night', timeText: '12:00 AM', secondsSinceMidnight: 0 },
+            { program_code: 'CCC7', program_title: 'Morning', timeText: '05:00 AM', secondsSinceMidnight: 18000 },
+            { program_code: 'BBB9', program_title: 'Real', timeText: '06:00 AM', secondsSinceMidnight: 21600 }
+        ] });
+        const plan = planRelabel(await catalog.list(), real);
+        assert('Provisional: matched by start and length', plan.length === 2 &&
+            plan.find(r => r.entry.code === 'BBB').slot.program_code === 'BBB9' && plan.find(r => r.entry.code === 'AAA').slot === null);
+        const counts = await relabelProvisional(catalog, '2026-10-19', real);
+        const relabelled = path.join(dir, '06-BBB9-64800.mp3');
+        const info = await readRecordingInfo(relabelled);
+        const entries = await new RecordingCatalog(base).list();
+        assert('Provisional: relabelled with its files', counts.relabelled === 1 && !fs.existsSync(morning) && fs.existsSync(cueSheetPath(relabelled)) &&
+            info.programCode === 'BBB9' && info.programTitle === 'Real' && !info.provisional && info.relabelledFrom === 'BBB');
+        assert('Provisional: unmatched one superseded', counts.superseded === 1 && fs.existsSync(night) &&
+            entries.map(e => `${e.code}:${e.provisional}:${e.superseded}`).join() === 'AAA:true:true,BBB9:false:false' &&
+            !isPlayable(entries[0]));
+    }
+
+    // --- TEST 12: Schedule Corrections Overlay ---
+    {
+        // 2026-10-17 is a Saturday
+        const e = (code, secs) => ({ program_code: code, program_title: code, series_title: '', timeText: '', secondsSinceMidnight: secs });
+        const sched = { date: '2026-10-17', source: 'sched-app-api', schedule: [e('A', 0), e('B', 3600), e('C', 7200), e('D', 10800)] };
+        const { corrections, errors } = parseCorrections({
+            corrections: [
+                { id: 'fix-b', date: '2026-10-17', time: '01:00 AM', set: { program_code: 'B2', program_title: 'Fixed' } },
+                { id: 'sat-c', weekday: 'saturday', time: '02:00', shift: 900 },
+                { id: 'sat-d', weekday: ['sat', 0], time: '03:00 AM', delete: true },
+                { id: 'ins', date: '2026-10-17', insert: { time: '05:30 AM', program_code: 'NEW' } },
+                { id: 'guarded', date: '2026-10-17', time: '12:00 AM', code: 'ZZZ', delete: true },
+                { id: 'bad', date: '2026-10-17', time: 'later', delete: true },
+                { id: 'nowhen', time: '01:00 AM', delete: true }
+            ]
+        });
+        assert('Corrections: invalid rules reported', corrections.length === 5 && errors.length === 2 && errors[0].includes('bad'));
+
+        const merged = applyCorrections(sched, corrections);
+        const byCode = Object.fromEntries(merged.schedule.map(x => [x.program_code, x]));
+        assert('Corrections: patch code and title', byCode.B2 && byCode.B2.program_title === 'Fixed' &&
+            byCode.B2.original.program_code === 'B' && byCode.B2.correctedBy[0] === 'fix-b');
+        assert('Corrections: weekday shift', byCode.C.secondsSinceMidnight === 8100 && byCode.C.timeText === '02:15 AM' && byCode.C.original.secondsSinceMidnight === 7200);
+        assert('Corrections: delete slot', !byCode.D && merged.corrections.some(c => c.id === 'sat-d' && c.action === 'delete'));
+        assert('Corrections: insert slot', byCode.NEW.secondsSinceMidnight === 19800 && byCode.NEW.origin === 'correction');
+        assert('Corrections: code guard', byCode.A && !byCode.A.correctedBy);
+        assert('Corrections: origin marked on fetched entries', byCode.A.origin === 'sched-app-api' && byCode.B2.origin === 'sched-app-api');
+        assert('Corrections: result sorted', merged.schedule.map(x => x.program_code).join() === 'A,B2,C,NEW');
+        assert('Corrections: input untouched', sched.schedule[1].program_code === 'B' && !sched.schedule[0].origin);
+        assert('Corrections: other weekday unaffected', applyCorrections({ ...sched, date: '2026-10-19' }, corrections).schedule.length === 4);
+
+        const moved = applyCorrections(sched, parseCorrections([{ date: '2026-10-17', time: '12:00 AM', moveTo: '01:00 AM' }]).corrections);
+        assert('Corrections: move replaces slot at target', moved.schedule.map(x => x.program_code).join() === 'A,C,D' && moved.schedule[0].secondsSinceMidnight === 3600);
+
+        const file = path.join(TEST_DIR, 'corrections.json');
+        const reported = [];
+        const cf = new CorrectionsFile(file, { onErrors: errs => reported.push(...errs) });
+        assert('Corrections: missing file is no-op', (await cf.apply(sched)).schedule.length === 4);
+        await fsp.writeFile(file, JSON.stringify({ corrections: [{ date: '2026-10-17', time: '01:00 AM', delete: true }, { time: 'x' }] }));
+        assert('Corrections: file loaded', (await cf.apply(sched)).schedule.length === 3 && reported.length === 1);
+    }
+
+    // --- TEST 13: Partial Recordings ---
+    {
+        const base = path.join(TEST_DIR, 'recordings');
+        const put = async (dateStr, name, sidecar) => {
+            const dir = path.join(base, ...dateStr.split('-'));
+            await fsp.mkdir(dir, { recursive: true });
+            await fsp.writeFile(path.join(dir, name), 'mp3');
+            if (sidecar) await fsp.writeFile(path.join(dir, name.replace(/\.mp3$/, '.icy.json')), JSON.stringify(sidecar));
+            return path.join(dir, name);
+        };
+
+        assert('Partial: file naming', recordingFileName('06', 'ABC', 3600, { partial: true }) === '06-ABC-3600.partial.mp3' &&
+            recordingFileName('06', null, 1800) === '06-UNK-1800.mp3' && isPartialRecording('06-ABC-3600.partial.mp3'));
+
+        const todayPartial = await put('2026-10-19', '06-ABC-3600.partial.mp3', { recording: { partial: true, startOffsetSeconds: 420 } });
+        const older = await put('2026-10-12', '06-ABC-3600.mp3');
+        let found = await findRecording(base, '2026-10-19', 'ABC');
+        assert('Partial: complete older copy preferred', found.file === older && !found.partial && found.date === '2026-10-12');
+
+        found = await findRecording(base, '2026-10-19', 'ABC', { exclude: [older] });
+        assert('Partial: partial used with its start offset', found.file === todayPartial && found.partial && found.startOffsetSeconds === 420);
+
+        const today = await put('2026-10-19', '06-ABC-3600.mp3');
+        assert('Partial: same-day complete wins', (await findRecording(base, '2026-10-19', 'ABC')).file === today);
+        assert('Partial: nothing found', (await findRecording(base, '2026-10-19', 'XYZ')) === null);
+
+        const short = await put('2026-10-18', '07-DEF-1800.mp3', { recording: { programCode: 'DEF' } });
+        const marked = await markPartial(short, { startOffsetSeconds: 0, reason: 'short' });
+        const info = JSON.parse(await fsp.readFile(marked.replace(/\.mp3$/, '.icy.json'), 'utf-8')).recording;
+        assert('Partial: markPartial renames file and sidecar', marked.endsWith('07-DEF-1800.partial.mp3') && !fs.existsSync(short) &&
+            info.partial === true && info.reason === 'short' && info.programCode === 'DEF');
+    }
+
+    // --- TEST 14: Orphaned Recording Recovery ---
+    {
+        const base = path.join(TEST_DIR, 'orphans');
+        const dir = path.join(base, '2026', '10', '19');
+        await fsp.mkdir(dir, { recursive: true });
+        const f = name => path.join(dir, name);
+        // Crash mid-slot: two segments and the sidecar from the last restart
+        await fsp.writeFile(f('06-ABC-3600.mp3.seg0.tmp'), 'aaaa');
+        await fsp.writeFile(f('06-ABC-3600.mp3.seg1.tmp'), '');
+        await fsp.writeFile(f('06-ABC-3600.mp3.seg2.tmp'), 'bbbb');
+        await fsp.writeFile(f('06-ABC-3600.icy.json.tmp'), JSON.stringify({ recording: { programCode: 'ABC', startOffsetSeconds: 30 }, segments: [] }));
+        await fsp.writeFile(f('06-ABC-3600.icy.json.tmp.4242.tmp'), '{');
+        // Too short, undecodable, and empty leftovers
+        await fsp.writeFile(f('07-SHORT-3600.mp3.tmp'), 'cc');
+        await fsp.writeFile(f('08-BAD-3600.mp3.tmp'), 'dd');
+        await fsp.writeFile(f('09-NONE-3600.mp3.seg0.tmp'), '');
+        await fsp.writeFile(f('10-KEEP-3600.mp3'), 'finished');
+
+        const groups = await findOrphans(base);
+        const abc = groups.find(g => g.file === f('06-ABC-3600.mp3'));
+        assert('Recovery: orphans grouped by recording', groups.length === 4 && abc.segments.length === 3 &&
+            abc.segments[2].endsWith('seg2.tmp') && abc.sidecar && abc.strays.length === 1);
+
+        const logged = [];
+        const results = await recoverOrphans(base, {
+            log: msg => logged.push(msg),
+            minSeconds: 60,
+            getDuration: async file => (file.includes('SHORT') ? 10 : 900),
+            checkDecode: async file => (file.includes('BAD')
+                ? { available: true, ok: false, errors: ['Invalid data found when processing input'] }
+                : { available: true, ok: true, errors: [] })
+        });
+        const byName = Object.fromEntries(results.map(r => [path.basename(r.file).split('-')[1], r]));
+        const recovered = f('06-ABC-3600.partial.mp3');
+        const sidecar = JSON.parse(await fsp.readFile(f('06-ABC-3600.partial.icy.json'), 'utf-8'));
+        const recoveredData = await fsp.readFile(recovered);
+        assert('Recovery: segments stitched into a partial', byName.ABC.action === 'finalized' && byName.ABC.file === recovered &&
+            recoveredData.subarray(id3TagSize(recoveredData)).toString() === 'aaaabbbb');
+        assert('Recovery: sidecar kept with recovery info', sidecar.recording.reason === 'recovered' && sidecar.recording.partial &&
+            sidecar.recording.startOffsetSeconds === 30 && sidecar.recording.programCode === 'ABC');
+        assert('Recovery: short, undecodable and empty discarded', byName.SHORT.action === 'discarded' && /too short/.test(byName.SHORT.reason) &&
+            /does not decode/.test(byName.BAD.reason) && byName.NONE.reason === 'no audio');
+        assert('Recovery: no temp files left', (await fsp.readdir(dir)).sort().join() === '06-ABC-3600.partial.icy.json,06-ABC-3600.partial.mp3,10-KEEP-3600.mp3');
+        assert('Recovery: every decision logged', logged.length === 4 && logged.every(m => m.startsWith('[Recovery]')));
+
+        // Restart in the middle of a slot: the recovered start and the late
+        // join of the rest both want HH-CODE-DURATION.partial.mp3
+        const head = f('23-MID-3600.partial.mp3');
+        await fsp.writeFile(f('23-MID-3600.mp3.tmp'), 'head');
+        await recoverOrphans(base, { minSeconds: 60, getDuration: async () => 900, checkDecode: async () => ({ available: false }) });
+        const rest = freeRecordingPath(head);
+        assert('Recovery: late join of the slot gets a free name', fs.existsSync(head) && rest === f('23-MID-3600.2.partial.mp3') &&
+            freeRecordingPath(f('23-MID-3600.mp3')) === f('23-MID-3600.mp3'));
+        // ...and when that one is cut short by another restart, it is kept too
+        await fsp.writeFile(f('23-MID-3600.partial.mp3.tmp'), 'rest');
+        await fsp.writeFile(f('23-MID-3600.partial.icy.json.tmp'), JSON.stringify({ recording: { programCode: 'MID', startOffsetSeconds: 1200 } }));
+        const [again] = await recoverOrphans(base, { minSeconds: 60, getDuration: async () => 900, checkDecode: async () => ({ available: false }) });
+        const headData = await fsp.readFile(head);
+        const restData = await fsp.readFile(rest);
+        assert('Recovery: neither copy of the slot replaced', again.action === 'finalized' && again.file === rest &&
+            headData.subarray(id3TagSize(headData)).toString() === 'head' && restData.subarray(id3TagSize(restData)).toString() === 'rest' &&
+            (await readRecordingInfo(rest)).startOffsetSeconds === 1200 && (await readRecordingInfo(head)).startOffsetSeconds === 0);
+        assert('Recovery: numbered copy parsed like the original', parseRecordingPath(rest).code === 'MID' &&
+            parseRecordingPath(rest).scheduledDuration === 3600 && parseRecordingPath(rest).partial);
+    }
+
+    // --- TEST 15: Recording Metadata (sidecar + ID3) ---
+    {
+        const dir = path.join(TEST_DIR, 'metadata');
+        await fsp.mkdir(dir, { recursive: true });
+        const file = path.join(dir, '06-ABC-3600.mp3');
+        const audio = Buffer.alloc(5000, 0xab);
+        await fsp.writeFile(file, audio);
+        await fsp.writeFile(file.replace(/\.mp3$/, '.icy.json'), JSON.stringify({
+            recording: { date: '2026-10-19', slotStart: 21600, timeText: '06:00 AM', programCode: 'ABC', programTitle: 'Día de reposo', seriesTitle: 'Sabbath School' },
+            station: { name: '3ABN Radio Live' },
+            metadata: []
+        }));
+
+        const merged = await updateRecordingInfo(file, { streamOffsetSeconds: 10.5, startDelaySeconds: 1.2, verification: { result: 'ok', actualDuration: 3599.4 } });
+        const data = await fsp.readFile(file);
+        const tag = await readId3Tag(file);
+        assert('Metadata: sidecar merged', merged.programTitle === 'Día de reposo' && merged.streamOffsetSeconds === 10.5 && merged.verification.result === 'ok');
+        assert('Metadata: ID3 text frames', tag.version === 4 && tag.text.TIT2 === 'Día de reposo' && tag.text.TALB === 'Sabbath School' &&
+            tag.text.TPE1 === '3ABN Radio Live' && tag.text.TDRC === '2026-10-19T06:00' && tag.user['3ABN_PROGRAM_CODE'] === 'ABC');
+        assert('Metadata: audio kept after the tag', data.subarray(id3TagSize(data)).equals(audio));
+
+        const sidecar = JSON.parse(await fsp.readFile(file.replace(/\.mp3$/, '.icy.json'), 'utf-8'));
+        assert('Metadata: sidecar records where audio starts', sidecar.audioOffset === id3TagSize(data) && sidecar.station.name === '3ABN Radio Live');
+
+        await updateRecordingInfo(file, { verification: { result: 'ok', actualDuration: 3600 } });
+        assert('Metadata: retag fits in place', (await fsp.stat(file)).size === data.length && (await readId3Tag(file)).text.TLEN === '3600000');
+
+        await fsp.unlink(file.replace(/\.mp3$/, '.icy.json'));
+        const fromTag = await readRecordingInfo(file);
+        assert('Metadata: read back from ID3 without sidecar', fromTag.programCode === 'ABC' && fromTag.timeText === '06:00 AM' && fromTag.startDelaySeconds === 1.2);
+        assert('Metadata: untagged file reads empty', Object.keys(await readRecordingInfo(path.join(dir, 'missing.mp3'))).length === 0);
+    }
+
+    // --- TEST 16: Recording Catalog ---
+    {
+        const base = path.join(TEST_DIR, 'catalog');
+        const put = async (dateStr, name, recording) => {
+            const dir = path.join(base, ...dateStr.split('-'));
+            await fsp.mkdir(dir, { recursive: true });
+            await fsp.writeFile(path.join(dir, name), 'mp3');
+            if (recording) await fsp.writeFile(path.join(dir, name.replace(/\.mp3$/, '.icy.json')), JSON.stringify({ recording }));
+            return path.join(dir, name);
+        };
+
+        const parsed = parseRecordingPath(path.join(base, '2026', '10', '19', '13-3ABN-H13-3600.partial.mp3'));
+        assert('Catalog: names parsed', parsed.date === '2026-10-19' && parsed.code === '3ABN-H13' && parsed.hour === 13 &&
+            parsed.scheduledDuration === 3600 && parsed.partial && parseRecordingPath(path.join(base, 'notes.txt')) === null);
+
+        const older = await put('2026-10-12', '06-ABC-3600.mp3', { programCode: 'ABC', programTitle: 'Morning', verification: { result: 'ok', actualDuration: 3598 } });
+        const partial = await put('2026-10-19', '06-ABC-3600.partial.mp3', { programCode: 'ABC', partial: true, startOffsetSeconds: 300 });
+        await put('2026-10-19', '07-DEF-1800.mp3');
+
+        const catalog = new RecordingCatalog(base);
+        assert('Catalog: missing file reported', (await catalog.load()) === false);
+        assert('Catalog: rebuilt from disk', (await catalog.rebuild()) === 3);
+
+        const reader = new RecordingCatalog(base);
+        const entries = await reader.byCode('ABC');
+        assert('Catalog: entries carry metadata', entries.length === 2 && entries[0].programTitle === 'Morning' && entries[0].verification === 'ok' &&
+            entries[0].duration === 3598 && entries[1].partial && entries[1].startOffsetSeconds === 300);
+
+        let found = await reader.find('2026-10-19', 'ABC');
+        assert('Catalog: complete older copy preferred', found.file === older && !found.partial && found.info.programTitle === 'Morning');
+        found = await reader.find('2026-10-19', 'ABC', { exclude: [older] });
+        assert('Catalog: partial with its offset', found.file === partial && found.startOffsetSeconds === 300);
+        assert('Catalog: future recordings ignored', (await reader.find('2026-10-11', 'ABC')) === null);
+
+        const today = await put('2026-10-19', '06-ABC-3600.mp3', { programCode: 'ABC' });
+        await catalog.add(today);
+        assert('Catalog: readers see additions', (await reader.find('2026-10-19', 'ABC')).file === today);
+
+        await fsp.unlink(today);
+        assert('Catalog: missing files skipped', (await reader.find('2026-10-19', 'ABC')).file === older);
+        await catalog.remove(today, older);
+        assert('Catalog: removals saved', (await new RecordingCatalog(base).byCode('ABC')).length === 1);
+
+        // A finalize and a prune at the same time both land
+        const later = await put('2026-10-20', '06-ABC-3600.mp3', { programCode: 'ABC' });
+        const latest = await put('2026-10-21', '06-ABC-3600.mp3', { programCode: 'ABC' });
+        await Promise.all([catalog.add(later), catalog.remove(partial), catalog.add(latest)]);
+        const saved = await new RecordingCatalog(base).byCode('ABC');
+        assert('Catalog: overlapping changes all saved', saved.map(e => e.file).join() === [later, latest].join() &&
+            !(await fsp.readdir(base)).some(f => f.endsWith('.tmp')));
+
+        // ...also when they come from two writers (the recorder and the CLI,
+        // say), and past a lock left by a process that died
+        const other = new RecordingCatalog(base);
+        await Promise.all([catalog.remove(later), other.add(partial), catalog.add(later), other.remove(latest)]);
+        const both = (await new RecordingCatalog(base).byCode('ABC')).map(e => e.file);
+        await fsp.writeFile(catalog.lockFile, '999999999');
+        await other.add(latest);
+        assert('Catalog: changes from two writers all saved', both.join() === [partial, later].join() &&
+            (await new RecordingCatalog(base).byCode('ABC')).length === 3 && !fs.existsSync(catalog.lockFile));
+        await catalog.remove(partial);
+
+        // As the player drops a recording too short to air
+        const companions = [latest.replace(/\.mp3$/, '.icy.json'), cueSheetPath(latest)];
+        await fsp.writeFile(companions[1], '{}');
+        await deleteRecordingFiles(latest);
+        await catalog.remove(latest);
+        assert('Catalog: deleted with its companion files', ![latest, ...companions].some(f => fs.existsSync(f)) &&
+            (await new RecordingCatalog(base).byCode('ABC')).length === 1);
+
+        // Without metadata, an 18:15 slot is only known to start in hour 18
+        const bare = await put('2026-10-20', '18-BARE-1800.mp3');
+        const bareEntry = await catalog.add(bare);
+        const day = (await catalog.list()).filter(e => e.date === '2026-10-20');
+        assert('Catalog: slot start unknown without metadata', bareEntry.slotStart === null && entryStart(bareEntry) === 64800 &&
+            day.map(e => e.code).join() === 'ABC,BARE');
+    }
+
+    // --- TEST 17: Retention Policy ---
+    {
+        const GB = 1024 ** 3;
+        const now = Date.parse('2026-10-19T12:00:00Z');
+        const rec = (date, code, extra = {}) => ({
+            path: `${date.split('-').join('/')}/06-${code}-3600${extra.partial ? '.partial' : ''}.mp3`,
+            file: `/r/${date}/${code}${extra.partial ? '.partial' : ''}`,
+            date, slotStart: 21600, code, bytes: GB, partial: false, seriesTitle: null, ...extra
+        });
+        const { policy, errors } = parseRetentionPolicy({
+            quotaGB: 100,
+            default: { keepLast: 1 },
+            rules: [
+                { series: 'sabbath school', keepLast: 2 },
+                { code: 'NEWS*', keepDays: 7 },
+                { code: 'FOREVER', keepForever: true },
+                { code: 'ARC', keepLast: 1, archive: '/mnt/archive' },
+                { code: 'BAD', keepLast: -1 },
+                { keepLast: 1 }
+            ]
+        });
+        assert('Retention: invalid rules reported', errors.length === 2 && policy.rules.length === 4 && policy.quotaBytes === 100 * GB);
+
+        const entries = [
+            rec('2026-10-05', 'ABC'), rec('2026-10-12', 'ABC'), rec('2026-10-19', 'ABC', { partial: true }),
+            rec('2026-10-05', 'SS1', { seriesTitle: 'Sabbath School' }), rec('2026-10-12', 'SS1', { seriesTitle: 'Sabbath School' }),
+            rec('2026-09-28', 'SS1', { seriesTitle: 'Sabbath School' }),
+            rec('2026-10-01', 'NEWS1'), rec('2026-10-15', 'NEWS1'),
+            rec('2025-01-01', 'FOREVER'), rec('2025-01-08', 'FOREVER'),
+            rec('2026-10-05', 'ARC'), rec('2026-10-12', 'ARC'),
+            rec('2026-10-05', 'DEF'), rec('2026-10-12', 'DEF', { partial: true }),
+            rec('2026-10-12', 'GHI'), rec('2026-10-05', 'GHI')
+        ];
+        const plan = planRetention(entries, policy, { now, protectedFiles: ['/r/2026-10-05/GHI'] });
+        const removed = plan.remove.map(r => `${r.entry.code}@${r.entry.date}${r.entry.partial ? 'p' : ''}:${r.action}`).sort();
+        assert('Retention: per-program rules', removed.join() === [
+            'ABC@2026-10-05:delete', 'ARC@2026-10-05:archive', 'NEWS1@2026-10-01:delete', 'SS1@2026-09-28:delete'
+        ].join());
+        assert('Retention: partial kept until a complete airing is as new', !removed.some(r => r.startsWith('ABC@2026-10-19')) &&
+            !removed.some(r => r.startsWith('DEF')));
+        assert('Retention: keepForever and protected files untouched', !removed.some(r => r.startsWith('FOREVER') || r.startsWith('GHI')));
+        assert('Retention: archive target keeps the tree layout', plan.remove.find(r => r.action === 'archive').target === '/mnt/archive/2026/10/05/06-ARC-3600.mp3');
+
+        const superseded = planRetention([rec('2026-10-12', 'ABC', { partial: true }), rec('2026-10-12', 'ABC')], policy, { now });
+        assert('Retention: superseded partial removed', superseded.remove.length === 1 && superseded.remove[0].entry.partial);
+
+        // 16 GB over a 12 GB quota: other copies go first, oldest first; keepForever never.
+        const tight = parseRetentionPolicy({ quotaGB: 12, default: { keepLast: 5 }, rules: [{ code: 'FOREVER', keepForever: true }] }).policy;
+        const quota = planRetention(entries, tight, { now, protectedFiles: ['/r/2026-10-05/GHI'] });
+        assert('Retention: quota evicts oldest non-last copies', quota.remove.length === 4 && quota.bytesAfter === 12 * GB &&
+            quota.remove.every(r => /quota/.test(r.reason) && r.entry.code !== 'FOREVER') &&
+            quota.remove[0].entry.date === '2026-09-28');
+
+        const floor = parseRetentionPolicy({ minFreeGB: 3, default: { keepLast: 5 } }).policy;
+        const low = planRetention(entries, floor, { now, freeBytes: 1 * GB });
+        assert('Retention: free space floor', low.remove.length === 2 && /free/.test(low.remove[0].reason));
+        const stuck = planRetention([rec('2026-10-12', 'ONLY')], parseRetentionPolicy({ quotaGB: 0.5 }).policy, { now, protectedFiles: ['/r/2026-10-12/ONLY'] });
+        assert('Retention: warns when limits cannot be met', stuck.remove.length === 0 && stuck.warnings.length === 1);
+
+        // Applying a plan, with the player's window protected
+        const base = path.join(TEST_DIR, 'retention');
+        const catalog = new RecordingCatalog(base);
+        const put = async (dateStr, name) => {
+            const dir = path.join(base, ...dateStr.split('-'));
+            await fsp.mkdir(dir, { recursive: true });
+            await fsp.writeFile(path.join(dir, name), 'mp3');
+            await fsp.writeFile(path.join(dir, name.replace(/\.mp3$/, '.icy.json')), '{}');
+            return path.join(dir, name);
+        };
+        const old = await put('2026-10-05', '06-ABC-3600.mp3');
+        const recent = await put('2026-10-12', '06-ABC-3600.mp3');
+        const arcOld = await put('2026-10-05', '07-ARC-3600.mp3');
+        await put('2026-10-12', '07-ARC-3600.mp3');
+        await catalog.rebuild();
+
+        const sched = { date: '2026-10-19', timezone: 'UTC', schedule: [{ program_code: 'ABC', secondsSinceMidnight: 21600 }, { program_code: 'XYZ', secondsSinceMidnight: 25200 }] };
+        const needed = await playerWindowFiles(catalog, async d => (d === '2026-10-19' ? sched : null), {
+            now: Date.parse('2026-10-19T08:30:00Z'), delaySeconds: 7200, marginSeconds: 0, timezone: 'UTC'
+        });
+        assert('Retention: player window protects the file it will play', needed.size === 1 && needed.has(recent));
+
+        const archiveDir = path.join(TEST_DIR, 'archive');
+        const applyPolicy = parseRetentionPolicy({ rules: [{ code: 'ARC', keepLast: 1, archive: archiveDir }] }).policy;
+        const applied = await applyRetentionPlan(planRetention(await catalog.list(), applyPolicy, { now, protectedFiles: needed }), catalog);
+        assert('Retention: plan applied', applied === 2 && !fs.existsSync(old) && !fs.existsSync(old.replace(/\.mp3$/, '.icy.json')) && fs.existsSync(recent));
+        assert('Retention: archived with sidecar', !fs.existsSync(arcOld) && fs.existsSync(path.join(archiveDir, '2026', '10', '05', '07-ARC-3600.mp3')) &&
+            fs.existsSync(path.join(archiveDir, '2026', '10', '05', '07-ARC-3600.icy.json')));
+        assert('Retention: catalog updated', (await new RecordingCatalog(base).list()).length === 2);
+
+        const policyFile = path.join(TEST_DIR, 'retention.json');
+        await fsp.writeFile(policyFile, '{ broken');
+        const reported = [];
+        const loaded = await new RetentionPolicyFile(policyFile, { onErrors: e => reported.push(...e) }).load();
+        assert('Retention: unreadable policy runs dry', loaded.dryRun && reported.length === 1);
+        assert('Retention: missing policy keeps last airing', (await new RetentionPolicyFile(path.join(TEST_DIR, 'none.json')).load()).default.keepLast === 1);
+    }
+
+    // --- TEST 18: Disk Space Guard ---
+    {
+        const GB = 1024 ** 3;
+        const now = Date.parse('2026-10-19T12:00:00Z');
+        const rec = (date, code, extra = {}) => ({
+            path: `${date.split('-').join('/')}/06-${code}-3600${extra.partial ? '.partial' : ''}.mp3`,
+            file: `/r/${date}/${code}${extra.partial ? '.partial' : ''}`,
+            date, slotStart: 21600, code, bytes: GB, partial: false, seriesTitle: null, ...extra
+        });
+        const policy = parseRetentionPolicy({ default: { keepLast: 3 }, rules: [{ code: 'FOREVER', keepForever: true }, { code: 'ONE', keepLast: 1 }] }).policy;
+        const entries = [
+            rec('2026-10-01', 'ABC'), rec('2026-10-08', 'ABC'), rec('2026-10-15', 'ABC'),
+            rec('2026-10-02', 'DEF', { partial: true }), rec('2026-10-03', 'DEF'),
+            rec('2026-10-10', 'ONE'), rec('2026-10-17', 'ONE'),
+            rec('2026-10-04', 'GHI', { partial: true }),
+            rec('2026-09-01', 'FOREVER'), rec('2026-10-09', 'PROT')
+        ];
+        const label = r => `${r.entry.code}@${r.entry.date}${r.entry.partial ? 'p' : ''}`;
+        const order = planEmergencyPrune(entries, policy, { now, protectedFiles: ['/r/2026-10-09/PROT'], bytesNeeded: 100 * GB });
+        assert('Disk: emergency prune order', order.remove.map(label).join() === [
+            'DEF@2026-10-02p', 'ONE@2026-10-10', // what the policy removes anyway
+            'GHI@2026-10-04p', // other partials
+            'ABC@2026-10-01', 'ABC@2026-10-08', // older copies
+            'DEF@2026-10-03', 'ABC@2026-10-15', 'ONE@2026-10-17' // last copies
+        ].join());
+        assert('Disk: emergency prune spares keepForever and protected files', order.freedBytes === 8 * GB && order.warnings.length === 1);
+        const some = planEmergencyPrune(entries, policy, { now, bytesNeeded: 2.5 * GB });
+        assert('Disk: emergency prune stops once enough is freed', some.remove.map(label).join() === 'DEF@2026-10-02p,ONE@2026-10-10,GHI@2026-10-04p' &&
+            some.freedBytes === 3 * GB && some.warnings.length === 0);
+
+        // The guard: ok, low (floor kept, slot doesn't fit), full (floor broken even after pruning)
+        let free = 10 * GB;
+        const pruned = [];
+        const states = [];
+        const guard = new DiskGuard('/r', {
+            minFreeBytes: 2 * GB,
+            freeBytes: async () => free,
+            prune: async bytes => { pruned.push(bytes); free += GB; return GB; }
+        });
+        guard.on('state', e => states.push(`${e.previous}>${e.state}`));
+        assert('Disk: room for the slot', (await guard.check(5 * GB)).state === 'ok' && pruned.length === 0);
+        assert('Disk: prunes to make room', (await guard.check(8.5 * GB)).state === 'ok' && pruned[0] === 0.5 * GB && free === 11 * GB);
+        free = 3 * GB;
+        assert('Disk: low when only the floor is kept', (await guard.check(5 * GB)).state === 'low' && free === 4 * GB);
+        free = 0.5 * GB;
+        assert('Disk: full when pruning cannot restore the floor', (await guard.check(GB)).state === 'full' && guard.state === 'full');
+        free = 10 * GB;
+        await guard.check(GB);
+        assert('Disk: state changes reported', states.join() === 'ok>low,low>full,full>ok');
+        const unknown = new DiskGuard('/r', { minFreeBytes: GB, freeBytes: async () => null });
+        assert('Disk: unknown free space does not block recording', (await unknown.check(GB)).state === 'ok');
+        const shared = new DiskGuard('/r', { minFreeBytes: GB, freeBytes: async () => 5 * GB });
+        assert('Disk: concurrent checks share one run', shared.check(GB) === shared.check(GB));
+    }
+
+    // --- TEST 19: Audio Content Verification ---
+    {
+        // Noise in 100ms bursts of random loudness stands in for programme audio.
+        let seed = 7;
+        const rnd = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+        const audio = (seconds, gain = 1) => {
+            const buf = Buffer.alloc(Math.round(seconds * 8000) * 2);
+            let amp = 0;
+            for (let i = 0; i < buf.length / 2; i++) {
+                if (i % 800 === 0) amp = (rnd() < 0.15 ? 300 : 2000 + rnd() * 12000) * gain;
+                buf.writeInt16LE(Math.round((rnd() * 2 - 1) * amp), i * 2);
+            }
+            return buf;
+        };
+        const analyze = (...parts) => {
+            const a = new ContentAnalyzer();
+            // Odd-sized writes exercise the sample split across chunks.
+            const all = Buffer.concat(parts);
+            for (let i = 0; i < all.length; i += 4099) a.write(all.subarray(i, i + 4099));
+            return a.finish();
+        };
+        const loop = (chunk, times) => Buffer.concat(Array(times).fill(chunk));
+
+        const clean = analyze(audio(120));
+        assert('Content: programme audio passes', clean.result === 'ok' && clean.score === 100 && clean.seconds === 120 && clean.issues.length === 0);
+        const gap = analyze(audio(30), Buffer.alloc(40 * 16000), audio(30));
+        assert('Content: long silence is suspect', gap.result === 'suspect' && gap.issues[0].type === 'silence' &&
+            Math.abs(gap.longestSilenceSeconds - 40) < 0.5 && Math.abs(gap.longestSilenceAt - 30) < 0.5);
+        assert('Content: mostly silent is rejected', analyze(audio(20), Buffer.alloc(60 * 16000)).result === 'rejected');
+        const quiet = analyze(audio(60, 0.05));
+        assert('Content: low loudness is suspect', quiet.result === 'suspect' && quiet.issues[0].type === 'low-loudness' && quiet.meanDb < -35);
+        const stuck = analyze(audio(20), loop(audio(2.5), 20), audio(20));
+        assert('Content: repeated buffer is suspect', stuck.result === 'suspect' && stuck.issues[0].type === 'repeat' &&
+            stuck.repeatPeriodSeconds === 2.5 && stuck.longestRepeatSeconds >= 45);
+        // A period that isn't a whole number of 20ms steps
+        const frozen = analyze(audio(10), loop(audio(3).subarray(0, Math.round(2.513 * 8000) * 2), 60));
+        assert('Content: long repeat is rejected', frozen.result === 'rejected' && frozen.longestRepeatSeconds >= 120);
+        assert('Content: nothing decoded is rejected', analyze().result === 'rejected');
+        assert('Content: score drops with each issue', judgeContent({
+            seconds: 600, silentSeconds: 40, longestSilenceSeconds: 40, longestSilenceAt: 5, meanDb: -40,
+            longestRepeatSeconds: 0, repeatPeriodSeconds: 0, repeatEndsAt: 0
+        }).score === 50);
+
+        // Rejected recordings are skipped by lookups and don't count as airings
+        const base = path.join(TEST_DIR, 'content');
+        const older = path.join(base, '2026', '10', '12', '06-ABC-3600.mp3');
+        const newer = path.join(base, '2026', '10', '19', '06-ABC-3600.mp3');
+        for (const f of [older, newer]) {
+            await fsp.mkdir(path.dirname(f), { recursive: true });
+            await fsp.writeFile(f, 'mp3');
+        }
+        await updateRecordingInfo(newer, { verification: { result: 'rejected' } });
+        const found = await findRecording(base, '2026-10-19', 'ABC');
+        assert('Content: player falls back past a rejected recording', found && found.file === older);
+        const catalog = new RecordingCatalog(base);
+        await catalog.rebuild();
+        assert('Content: catalog lookup skips rejected', (await catalog.find('2026-10-19', 'ABC')).file === older);
+        const kept = planRetention(await catalog.list(), parseRetentionPolicy({}).policy, { now: Date.parse('2026-10-19T12:00:00Z') });
+        assert('Content: rejected recording does not push out the last good airing', kept.remove.length === 0);
+        await updateRecordingInfo(newer, { verification: { result: 'ok' } });
+        await catalog.add(newer);
+        const superseded = planRetention(await catalog.list(), parseRetentionPolicy({}).policy, { now: Date.parse('2026-10-19T12:00:00Z') });
+        assert('Content: good airing replaces the older copy again', superseded.remove.length === 1 && superseded.remove[0].entry.file === older);
+    }
+
+    // --- TEST 20: Decode Integrity ---
+    {
+        const check = (ok, frameErrors) => ({ available: true, ok, errors: Array(Math.min(frameErrors, 20)).fill('[mp3float @ 0x1] Header missing'), frameErrors });
+        assert('Integrity: a cut-off last frame is ok', integrityFromDecode(check(true, 1)).status === 'ok');
+        const damaged = integrityFromDecode(check(true, 12));
+        assert('Integrity: scattered bad frames are damaged', damaged.status === 'damaged' && damaged.frameErrors === 12 && damaged.errors.length === 5);
+        assert('Integrity: many bad frames are corrupt', integrityFromDecode(check(true, 500)).status === 'corrupt');
+        assert('Integrity: failed decode is corrupt', integrityFromDecode(check(false, 0)).status === 'corrupt');
+        assert('Integrity: no decoder, no status', integrityFromDecode({ available: false, ok: false, errors: ['spawn ffmpeg ENOENT'] }) === null);
+        assert('Integrity: playability from entries and info', isPlayable({ integrity: 'damaged' }) && !isPlayable({ integrity: 'corrupt' }) &&
+            !isPlayable({ integrity: { status: 'corrupt' } }) && !isPlayable({ verification: { result: 'rejected' } }) && isPlayable({}));
+
+        // The status travels with the file into the catalog, and lookups skip corrupt files
+        const base = path.join(TEST_DIR, 'integrity');
+        const older = path.join(base, '2026', '10', '12', '06-ABC-3600.mp3');
+        const newer = path.join(base, '2026', '10', '19', '06-ABC-3600.mp3');
+        for (const f of [older, newer]) {
+            await fsp.mkdir(path.dirname(f), { recursive: true });
+            await fsp.writeFile(f, 'mp3');
+        }
+        await updateRecordingInfo(newer, { integrity: integrityFromDecode(check(false, 3)) });
+        await updateRecordingInfo(older, { integrity: integrityFromDecode(check(true, 8)) });
+        const catalog = new RecordingCatalog(base);
+        await catalog.rebuild();
+        const entries = await catalog.list();
+        assert('Integrity: status cataloged', entries.map(e => e.integrity).join() === 'damaged,corrupt');
+        assert('Integrity: catalog lookup skips corrupt', (await catalog.find('2026-10-19', 'ABC')).file === older);
+        assert('Integrity: directory lookup skips corrupt', (await findRecording(base, '2026-10-19', 'ABC')).file === older);
+
+        // Recovery keeps the status, and discards files with too many bad frames
+        const dir = path.join(base, '2026', '10', '20');
+        await fsp.mkdir(dir, { recursive: true });
+        await fsp.writeFile(path.join(dir, '06-GOOD-3600.mp3.tmp'), 'aa');
+        await fsp.writeFile(path.join(dir, '07-JUNK-3600.mp3.tmp'), 'bb');
+        const results = await recoverOrphans(base, {
+            minSeconds: 60,
+            getDuration: async () => 900,
+            checkDecode: async file => check(true, file.includes('JUNK') ? 400 : 2)
+        });
+        const good = results.find(r => r.file.includes('GOOD'));
+        assert('Integrity: recovered file records its status', good.action === 'finalized' &&
+            (await readRecordingInfo(good.file)).integrity.status === 'ok');
+        assert('Integrity: recovery discards a corrupt file', results.find(r => r.file.includes('JUNK')).action === 'discarded' &&
+            !fs.existsSync(path.join(dir, '07-JUNK-3600.mp3.tmp')));
+    }
+
+    // --- TEST 21: Stream Archive ---
+    {
+        // MPEG-1 Layer III, 128 kbps, 44.1 kHz: 417-byte frames of 1152 samples.
+        // Every payload byte of frame n is n % 200 + 1, so a cut shows which
+        // frames it took.
+        const FRAME_MS = 1152 / 44100 * 1000;
+        const frames = (from, count) => Buffer.concat(Array.from({ length: count }, (_, i) => {
+            const f = Buffer.alloc(417, (from + i) % 200 + 1);
+            f.set([0xff, 0xfb, 0x90, 0x00]);
+            return f;
+        }));
+        const header = parseFrameHeader(frames(0, 1), 0);
+        assert('Archive: frame header parsed', header.length === 417 && header.bitrate === 128 && header.sampleRate === 44100 && header.samples === 1152);
+        assert('Archive: MPEG-2 Layer III frames are half as long', parseFrameHeader(Buffer.from([0xff, 0xf3, 0x90, 0x00]), 0).samples === 576);
+        const scan = scanFrames(Buffer.concat([Buffer.from('junk'), frames(0, 5), frames(5, 1).subarray(0, 100)]));
+        assert('Archive: scan skips junk and a cut-off frame', scan.frames.length === 5 && scan.frames[0].offset === 4 && scan.skipped === 104);
+        const markers = buf => scanFrames(buf).frames.map(f => buf[f.offset + 4]);
+
+        // Two chunks overlapping by about 2s; each segment ends when its last bytes arrived.
+        const archiveDir = path.join(TEST_DIR, 'archive');
+        const t0 = Date.parse('2026-10-19T06:00:00Z');
+        const writeChunk = async (startedAt, segments) => {
+            const file = path.join(archiveDir, new Date(startedAt).toISOString().slice(0, 10),
+                `${new Date(startedAt).toISOString().slice(11, 19).replace(/:/g, '-')}.mp3`);
+            await fsp.mkdir(path.dirname(file), { recursive: true });
+            let byteOffset = 0;
+            const described = segments.map(([from, count]) => {
+                const seg = { byteOffset, bytes: count * 417, firstDataAt: null, lastDataAt: new Date(t0 + (from + count) * FRAME_MS).toISOString() };
+                byteOffset += seg.bytes;
+                return seg;
+            });
+            await fsp.writeFile(file, Buffer.concat(segments.map(([from, count]) => frames(from, count))));
+            await fsp.writeFile(file.replace(/\.mp3$/, '.icy.json'), JSON.stringify({
+                startedAt: new Date(startedAt).toISOString(),
+                stoppedAt: described[described.length - 1].lastDataAt,
+                segments: described
+            }));
+        };
+        await writeChunk(t0, [[0, 383]]);           // 0s - 10s
+        await writeChunk(t0 + 8000, [[306, 460]]);  // 8s - 20s
+        const out = path.join(TEST_DIR, 'cut.mp3');
+        const cut = await cutArchive(archiveDir, t0 + 2000, t0 + 18000, out);
+        const taken = markers(await fsp.readFile(out));
+        assert('Archive: cut spans the overlapping chunks', cut.chunks.length === 2 && Math.abs(cut.seconds - 16) < 0.05);
+        assert('Archive: overlap taken once, in order', taken.every((m, i) => i === 0 || m === taken[i - 1] % 200 + 1));
+        assert('Archive: cut starts on the right frame', taken[0] === Math.ceil(2000 / FRAME_MS - 0.5) % 200 + 1 &&
+            Math.abs(cut.firstAudioAt - (t0 + 2000)) < FRAME_MS && cut.gaps.length === 0);
+        const tail = await cutArchive(archiveDir, t0 + 15000, t0 + 25000, out);
+        assert('Archive: missing audio reported as a gap', tail.gaps.length === 1 && Math.abs(tail.gaps[0].seconds - 5) < 0.1 &&
+            Math.abs(tail.gaps[0].offsetSeconds - 5) < 0.1);
+        assert('Archive: end of the archive', Math.abs((await archiveEnd(archiveDir)) - (t0 + 766 * FRAME_MS)) < 1);
+
+        // Cutting a slot: earlier recordings are replaced only as asked
+        const base = path.join(TEST_DIR, 'archive-recordings');
+        const catalog = new RecordingCatalog(base);
+        const slot = {
+            date: '2026-10-19', secondsSinceMidnight: 6 * 3600, timeText: '06:00', program_code: 'ABC',
+            program_title: 'Morning', series_title: 'Series', start: t0 + 2000, end: t0 + 18000, endTime: 6 * 3600 + 18
+        };
+        const opts = { archiveDir, recordBase: base, catalog, offsetSeconds: 0, minSeconds: 5 };
+        const slotFile = path.join(base, '2026', '10', '19', '06-ABC-16.mp3');
+        await fsp.mkdir(path.dirname(slotFile), { recursive: true });
+        await fsp.writeFile(slotFile, 'recorded per slot');
+        assert('Archive: slot recording kept by default', (await cutSlotRecording(slot, opts)).action === 'kept' &&
+            (await fsp.readFile(slotFile, 'utf-8')) === 'recorded per slot');
+        const first = await cutSlotRecording(slot, { ...opts, replace: 'all' });
+        const firstInfo = await readRecordingInfo(slotFile);
+        assert('Archive: forced cut replaces it', first.action === 'cut' && first.replaced[0] === slotFile &&
+            firstInfo.source === 'archive' && firstInfo.verification.actualDuration === 16 && firstInfo.streamOffsetSeconds === 0);
+        assert('Archive: cut cataloged', (await catalog.find('2026-10-19', 'ABC')).file === slotFile);
+
+        // 3s earlier: the archive starts 1s into the cut, within the grace period
+        const recut = await cutSlotRecording(slot, { ...opts, offsetSeconds: 3 });
+        const recutInfo = await readRecordingInfo(slotFile);
+        assert('Archive: re-cut with a new offset replaces the earlier cut', recut.action === 'cut' && recut.replaced[0] === slotFile &&
+            recutInfo.streamOffsetSeconds === 3 && recutInfo.startOffsetSeconds === 0 && markers(await fsp.readFile(slotFile))[0] === 1);
+        const late = await cutSlotRecording(slot, { ...opts, offsetSeconds: -8 });
+        const lateInfo = await readRecordingInfo(late.file);
+        assert('Archive: cut running past the archive is partial', late.action === 'cut' && isPartialRecording(late.file) &&
+            !fs.existsSync(slotFile) && lateInfo.reason === 'archive ends early' && lateInfo.partial === true);
+        assert('Archive: catalog follows the rename', (await catalog.list()).map(e => e.file).join() === late.file);
+        assert('Archive: nothing archived, nothing changed', (await cutSlotRecording({ ...slot, start: t0 + 86400000, end: t0 + 86416000 }, opts)).action === 'missing');
+
+        // Chunks a crash left behind are finished from their segment files
+        const day = path.join(archiveDir, '2026-10-18');
+        await fsp.mkdir(day, { recursive: true });
+        const segTimes = [Date.parse('2026-10-18T23:55:00Z'), Date.parse('2026-10-18T23:58:00Z')];
+        for (const [i, at] of segTimes.entries()) {
+            const seg = path.join(day, `23-50-00.mp3.seg${i}.tmp`);
+            await fsp.writeFile(seg, frames(i * 10, 10));
+            await fsp.utimes(seg, at / 1000, at / 1000);
+        }
+        await fsp.writeFile(path.join(day, '23-50-00.icy.json.tmp'), JSON.stringify({ startedAt: '2026-10-18T23:50:00.000Z', segments: [] }));
+        const recovered = await recoverArchive(archiveDir);
+        const chunkSidecar = JSON.parse(await fsp.readFile(path.join(day, '23-50-00.icy.json'), 'utf-8'));
+        assert('Archive: unfinished chunk recovered', recovered.length === 1 && recovered[0].bytes === 20 * 417 &&
+            (await fsp.readdir(day)).sort().join() === '23-50-00.icy.json,23-50-00.mp3');
+        assert('Archive: recovered segments end at their last write', chunkSidecar.segments.length === 2 &&
+            Date.parse(chunkSidecar.segments[1].lastDataAt) === segTimes[1] && chunkSidecar.segments[1].byteOffset === 10 * 417);
+
+        const pruned = await pruneArchive(archiveDir, 1, { now: Date.parse('2026-10-20T12:00:00Z') });
+        assert('Archive: old days pruned', pruned.join() === '2026-10-18' && fs.existsSync(path.join(archiveDir, '2026-10-19')));
+    }
+
+    // --- TEST 22: Offset Calibration ---
+    {
+        const now = Date.parse('2026-10-01T12:00:00Z');
+        const obs = (measured, hoursAgo = 1) => ({ at: new Date(now - hoursAgo * 3600000).toISOString(), measured });
+        assert('Calibration: offsets normalized to within half an hour', normalizeOffset(3612.04) === 12 && normalizeOffset(-3590) === 10 && normalizeOffset(1800) === -1800);
+        assert('Calibration: no observations, no estimate', estimateOffset([], { now }).confidence === 'none');
+        const two = estimateOffset([obs(11), obs(12)], { now });
+        assert('Calibration: too few observations is low confidence', two.confidence === 'low' && two.offset === 11.5);
+        const est = estimateOffset([obs(11, 5), obs(12, 4), obs(45, 3), obs(11.6, 2)], { now });
+        assert('Calibration: median of inliers, outlier set aside', est.confidence === 'high' && est.offset === 11.6 &&
+            est.outliers.length === 1 && est.outliers[0].measured === 45 && est.spread === 0.4);
+        assert('Calibration: old observations age out', estimateOffset([obs(11, 24 * 20), obs(12, 24 * 15), obs(13)], { now }).inliers.length === 1);
+        assert('Calibration: window holds the newest', estimateOffset([obs(30, 9), obs(30, 8), obs(12, 3), obs(12, 2), obs(12, 1)], { now, windowSize: 3 }).offset === 12);
+
+        // The old offset.json had only the offset
+        const file = path.join(TEST_DIR, 'calibration', 'offset.json');
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        await fsp.writeFile(file, JSON.stringify({ offset: 12, lastUpdated: '2026-10-01T00:00:00.000Z' }));
+        const cal = new OffsetCalibrationFile(file, { defaultOffset: 10 });
+        assert('Calibration: old format read', (await cal.load()).offset === 12 && cal.state.history.length === 0);
+        const tone = (drift, hours) => cal.observe({ file: 'x.mp3', toneFromEnd: 20 + drift, drift, offsetUsed: 12, at: new Date(now + hours * 3600000).toISOString() });
+        const first = await tone(1, 1);
+        assert('Calibration: one tone moves nothing', !first.changed && first.offset === 12 && first.observation.measured === 13);
+        const wild = await tone(-40, 2);
+        const second = await tone(1.4, 3);
+        assert('Calibration: false detection is an outlier', !wild.changed && !second.changed && second.estimate.confidence === 'low' &&
+            second.estimate.outliers.map(o => o.measured).join() === '-28');
+        const third = await tone(0.8, 4);
+        assert('Calibration: agreeing tones move the offset', third.changed && third.offset === 13 && third.previous === 12 &&
+            third.estimate.outliers.length === 1 && cal.state.history[0].reason === 'calibration');
+        const reread = new OffsetCalibrationFile(file);
+        assert('Calibration: state saved', (await reread.load()).offset === 13 && reread.state.observations.length === 4);
+
+        await reread.pin(12.5, 'by ear');
+        assert('Calibration: running file sees the pin', (await cal.load()).offset === 12.5 && cal.state.pinned.note === 'by ear');
+        const pinned = await tone(3, 5);
+        assert('Calibration: pinned offset stays', !pinned.changed && pinned.offset === 12.5 && cal.state.observations.length === 5);
+        await cal.unpin();
+        assert('Calibration: revert undoes the pin first', (await cal.revert()).reason === 'pinned' && cal.offset === 13);
+        assert('Calibration: then the calibration', (await cal.revert()).reason === 'calibration' && cal.offset === 12);
+        assert('Calibration: nothing left to revert', (await cal.revert()) === null && cal.offset === 12);
+        assert('Calibration: earlier observations no longer count', cal.estimate({ now: now + 6 * 3600000 }).confidence === 'none');
+    }
+
+    // --- TEST 23: Alignment Calibration ---
+    {
+        const pcm = Buffer.alloc(320 * 2);
+        for (let i = 160; i < 320; i++) pcm.writeInt16LE(16384, i * 2);
+        const levels = levelEnvelope(pcm);
+        assert('Alignment: levels per 20ms step', levels.length === 2 && levels[0] === -60 && Math.abs(levels[1] + 6.02) < 0.01);
+
+        // Level envelopes at 50 steps a second, from a seeded generator
+        let seed = 7;
+        const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+        const noise = seconds => Float32Array.from({ length: seconds * 50 }, () => -40 + 30 * random());
+        const join = (...parts) => Float32Array.from(parts.flatMap(p => [...p]));
+        const program = noise(150);
+        const reference = join(noise(3), program).subarray(0, 120 * 50);
+        const recording = join(noise(5.5), program).subarray(0, 90 * 50);
+        const match = alignEnvelopes(reference, recording);
+        assert('Alignment: opening found 2.5s later', match.lagSeconds === 2.5 && match.confidence === 'high' && match.score > 0.95 && match.margin > 0.5);
+        const early = alignEnvelopes(reference, join(noise(1), program).subarray(0, 90 * 50));
+        assert('Alignment: and earlier', early.lagSeconds === -2 && early.confidence === 'high');
+
+        const beat = Float32Array.from({ length: 150 * 50 }, (_, i) => i % 100 < 10 ? -10 : -40 + random());
+        const periodic = alignEnvelopes(join(noise(3), beat), join(noise(4), beat));
+        assert('Alignment: a steady beat is low confidence', periodic.confidence === 'low' && periodic.margin < 0.15);
+        assert('Alignment: unrelated audio has no match', alignEnvelopes(reference, noise(90)).confidence === 'none');
+        assert('Alignment: silence has no match', alignEnvelopes(reference, new Float32Array(90 * 50).fill(-60)).confidence === 'none');
+        assert('Alignment: too short to compare', alignEnvelopes(reference, noise(60)) === null);
+
+        // Alignments go into the calibration with their confidence
+        const file = path.join(TEST_DIR, 'calibration', 'aligned.json');
+        const cal = new OffsetCalibrationFile(file, { defaultOffset: 10 });
+        const at = hours => new Date(Date.parse('2026-10-01T12:00:00Z') + hours * 3600000).toISOString();
+        await cal.observe({ file: 'a.mp3', toneFromEnd: 21, drift: 1, offsetUsed: 10, at: at(0) });
+        assert('Alignment: reference boundary from its tone', cal.toneMeasurement('a.mp3') === 11 && cal.toneMeasurement('b.mp3') === null);
+        const low = await cal.observe({ method: 'alignment', file: 'b.mp3', reference: 'a.mp3', lagSeconds: 8, score: 0.6, confidence: 'low', drift: -8, offsetUsed: 10, at: at(1) });
+        assert('Alignment: low confidence recorded, not used', low.observation.measured === 2 && low.estimate.inliers.length === 1 &&
+            low.estimate.outliers.length === 0 && cal.state.observations.length === 2);
+        await cal.observe({ method: 'alignment', file: 'c.mp3', reference: 'a.mp3', lagSeconds: -1.2, score: 0.9, confidence: 'high', drift: 1.2, offsetUsed: 10, at: at(2) });
+        const third = await cal.observe({ method: 'alignment', file: 'd.mp3', reference: 'a.mp3', lagSeconds: -0.8, score: 0.85, confidence: 'high', drift: 0.8, offsetUsed: 10, at: at(3) });
+        assert('Alignment: alignments and tones agree on the offset', third.changed && third.offset === 11 && third.estimate.inliers.map(o => o.method).join() === 'tone,alignment,alignment');
+    }
+
+    // --- TEST 24: Live DTMF Detection ---
+    {
+        const frame = () => {
+            const f = Buffer.alloc(417);
+            f.set([0xff, 0xfb, 0x90, 0x00]);
+            return f;
+        };
+        const audio = Buffer.concat(Array.from({ length: 100 }, frame));
+        const clock = new FrameClock();
+        clock.push(audio.subarray(0, 1000));
+        assert('Live DTMF: frames counted once whole', Math.abs(clock.seconds - 2 * 1152 / 44100) < 1e-9);
+        clock.push(audio.subarray(1000));
+        assert('Live DTMF: pieces add up', Math.abs(clock.seconds - 100 * 1152 / 44100) < 1e-9 && clock.carry.length === 0);
+
+        // Stands in for ffmpeg: swallows the MP3 and answers with a #4 one
+        // second into 8 kHz PCM, followed by speech-like noise.
+        const decoder = path.join(TEST_DIR, 'fake-decoder.mjs');
+        await fsp.writeFile(decoder, `
+            const rate = 8000;
+            const tone = (f1, f2, ms) => Array.from({ length: rate * ms / 1000 }, (_, i) => 8000 * (Math.sin(2 * Math.PI * f1 * i / rate) + Math.sin(2 * Math.PI * f2 * i / rate)));
+            const silence = ms => new Array(rate * ms / 1000).fill(0);
+            let seed = 3;
+            const noise = ms => Array.from({ length: rate * ms / 1000 }, () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648 * 8000 - 4000);
+            const samples = [...silence(1000), ...tone(941, 1477, 80), ...silence(40), ...tone(770, 1209, 80), ...silence(100), ...noise(500)];
+            const pcm = Buffer.alloc(samples.length * 2);
+            samples.forEach((v, i) => pcm.writeInt16LE(Math.round(v), i * 2));
+            process.stdin.resume();
+            process.stdin.on('end', () => {
+                // In odd-sized pieces, as a pipe may deliver them
+                for (let i = 0; i < pcm.length; i += 777) process.stdout.write(pcm.subarray(i, i + 777));
+            });
+        `);
+        const detector = new LiveDtmfDetector({ decoder: { command: process.execPath, args: [decoder] } });
+        const cues = [];
+        detector.on('cue', c => cues.push(c));
+        const t0 = Date.parse('2026-10-19T13:59:30Z');
+        detector.write(audio.subarray(0, 20000), t0, 'a.mp3');
+        detector.write(audio.subarray(20000), t0 + 1000, 'a.mp3');
+        // A reconnect replays the same audio; the overlapping old connection is done with
+        detector.write(audio, t0 + 1010, 'a.mp3', 1);
+        detector.write(audio, t0 + 1020, 'a.mp3', 0);
+        await detector.stop();
+        // The '#' is detected 1.127s into the PCM, which covers the fed frames
+        const behind = cues.length === 1 ? t0 + 1000 - cues[0].atMs : null;
+        assert('Live DTMF: #4 cue placed back from the newest audio, once', cues.length === 1 && cues[0].digit === '#4' && cues[0].file === 'a.mp3' &&
+            Math.abs(behind - (100 * 1152 / 44100 - 1.127) * 1000) < 30);
+        assert('Live DTMF: retired connection ignored', !detector.current && detector.retired.length === 2);
+
+        const missing = new LiveDtmfDetector({ decoder: { command: path.join(TEST_DIR, 'no-such-decoder'), args: [] } });
+        const errors = [];
+        missing.on('error', e => errors.push(e));
+        missing.write(audio, t0, 'b.mp3');
+        await missing.stop();
+        missing.write(audio, t0, 'b.mp3', 1);
+        assert('Live DTMF: no decoder, one error and detection stops', errors.length === 1 && missing.failed && !missing.current);
+    }
+
+    // --- TEST 25: Cue Tones ---
+    {
+        const d = (digit, end, confidence = 1) => ({ digit, start: end - 0.08, end, confidence });
+        const digits = [d('#', 10.1), d('4', 10.2), d('1', 30), d('2', 30.15, 0.75), d('3', 30.3), d('#', 50), d('4', 50.1), d('9', 50.2, 0.5), d('#', 70)];
+        const cues = decodeCues(digits);
+        assert('Cues: sequences split on pauses', cues.map(c => c.digits).join() === '#4,123,#4,9,#');
+        assert('Cues: #4 named, the rest unnamed', cues.map(c => c.name).join() === 'hour-end,,hour-end,,');
+        assert('Cues: span, timestamp and confidence', cues[0].start === 10.02 && cues[0].end === 10.2 && cues[0].timestamp === 10.1 &&
+            cues[1].confidence === 0.75 && cues[3].confidence === 0.5);
+        const custom = decodeCues(digits, { patterns: [{ name: 'hour-end', digits: '#4' }, { name: 'break', digits: '#49' }, { name: 'count', digits: '12' }], gapSeconds: 0.25 });
+        assert('Cues: configured patterns, longest first', custom.map(c => `${c.name}:${c.digits}`).join() === 'hour-end:#4,count:12,null:3,break:#49,null:#');
+        assert('Cues: no digits, no cues', decodeCues([]).length === 0);
+        assert('Cues: hour-end tones as before', JSON.stringify(hourEndTones([{ ...cues[0], fromEnd: 19.9 }, cues[1]])) ===
+            JSON.stringify([{ digit: '#4', timestamp: 10.1, fromEnd: 19.9, confidence: 1 }]));
+
+        assert('Cues: sheet next to the recording', cueSheetPath('/r/2026/10/19/13-ABC-3600.partial.mp3') === '/r/2026/10/19/13-ABC-3600.partial.cues.json');
+        const file = path.join(TEST_DIR, 'cues', '13-ABC-3600.mp3');
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        const written = await writeCueSheet(file, { duration: 3600, window: { start: 3540, end: 3600 }, cues, digits });
+        const sheet = JSON.parse(await fsp.readFile(written, 'utf-8'));
+        assert('Cues: sheet written', written === path.join(TEST_DIR, 'cues', '13-ABC-3600.cues.json') && sheet.file === '13-ABC-3600.mp3' &&
+            sheet.window.start === 3540 && sheet.cues.length === 5 && sheet.digits.length === 9 && sheet.patterns[0].name === 'hour-end' &&
+            (await fsp.readdir(path.dirname(file))).length === 1);
+
+        // Decoder output comes in pooled, odd-length pieces
+        const chunks = [];
+        const write = pcmWriter({ writable: true, write: c => chunks.push(c) });
+        const pcm = Buffer.from(Array.from({ length: 11 }, (_, i) => i + 1));
+        const pool = Buffer.concat([Buffer.alloc(8), pcm]);
+        write(pool.subarray(8, 11));
+        write(pool.subarray(11, 12));
+        write(pool.subarray(12, 19));
+        assert('Cues: detector fed fresh whole samples', chunks.every(c => c.byteOffset === 0 && c.buffer.byteLength === c.length && c.length % 2 === 0) &&
+            Buffer.concat(chunks).equals(pcm.subarray(0, 10)));
+    }
+
     console.log('--------------------------------');
     console.log(`Results: ${passed} Passed, ${failed} Failed.`);
     if (failed > 0) process.exit(1);
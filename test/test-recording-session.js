@@ -0,0 +1,231 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import http from 'http';
+import { RecordingSession, computeGaps, segmentPath } from '../recording-session.js';
+import { StreamArchive, cutArchive } from '../stream-archive.js';
+import { scanFrames } from '../mp3-frames.js';
+
+const fsp = fs.promises;
+const TEST_DIR = path.join(os.tmpdir(), '3abn-session-test');
+const METAINT = 500;
+
+let passed = 0;
+let failed = 0;
+
+function assert(desc, condition) {
+    if (condition) {
+        console.log(`PASS: ${desc}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${desc}`);
+        failed++;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function metadataBlock(text) {
+    const body = Buffer.from(text, 'utf8');
+    const blocks = Math.ceil(body.length / 16);
+    const out = Buffer.alloc(1 + blocks * 16);
+    out[0] = blocks;
+    body.copy(out, 1);
+    return out;
+}
+
+/**
+ * Stand-in Icecast server that misbehaves on purpose. Connection 1 sends 3
+ * blocks and drops the socket, connection 2 sends 2 blocks and then goes
+ * silent, later connections stream until the client leaves. Every audio
+ * byte of connection n is the value n, so the stitched file shows which
+ * connection each part came from.
+ */
+async function startServer() {
+    let connections = 0;
+    const server = http.createServer((req, res) => {
+        const n = ++connections;
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'icy-name': 'Flaky', 'icy-metaint': String(METAINT) });
+        let block = 0;
+        const send = () => {
+            if (res.destroyed) return;
+            if (n === 1 && block === 3) {
+                res.socket.destroy();
+                return;
+            }
+            if (n === 2 && block === 2) return; // stall: keep the connection open, send nothing
+            res.write(Buffer.alloc(METAINT, n));
+            res.write(metadataBlock(`StreamTitle='Conn ${n}';`));
+            block++;
+            setTimeout(send, 10);
+        };
+        send();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, base: `http://127.0.0.1:${server.address().port}`, count: () => connections };
+}
+
+/**
+ * Stand-in for a live MP3 stream: 128 kbps frames sent as they fall due,
+ * each frame's payload bytes being its number % 200 + 1.
+ */
+async function startFrameServer() {
+    const t0 = Date.now();
+    const frameMs = 1152 / 44100 * 1000;
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        let next = Math.floor((Date.now() - t0) / frameMs);
+        const timer = setInterval(() => {
+            const due = Math.floor((Date.now() - t0) / frameMs);
+            const out = [];
+            for (; next <= due; next++) {
+                const f = Buffer.alloc(417, next % 200 + 1);
+                f.set([0xff, 0xfb, 0x90, 0x00]);
+                out.push(f);
+            }
+            if (out.length > 0) res.write(Buffer.concat(out));
+        }, 20);
+        res.on('close', () => clearInterval(timer));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, url: `http://127.0.0.1:${server.address().port}/live` };
+}
+
+async function test() {
+    console.log('Testing segmented recording sessions...');
+    await fsp.rm(TEST_DIR, { recursive: true, force: true });
+    await fsp.mkdir(TEST_DIR, { recursive: true });
+
+    // Gap arithmetic
+    {
+        const t0 = 1000000;
+        const gaps = computeGaps([
+            { bytes: 100, firstDataAt: t0 + 500, lastDataAt: t0 + 10000, endReason: 'connection lost' },
+            { bytes: 0, firstDataAt: null, lastDataAt: null, endReason: 'HTTP 503' },
+            { bytes: 50, firstDataAt: t0 + 14000, lastDataAt: t0 + 20000, endReason: 'stalled' }
+        ], t0, t0 + 30000);
+        assert('Gaps: between data segments', gaps[0].byteOffset === 100 && gaps[0].seconds === 4 && gaps[0].offsetSeconds === 10 && gaps[0].reason === 'connection lost');
+        assert('Gaps: trailing gap after last data', gaps.length === 2 && gaps[1].byteOffset === 150 && gaps[1].seconds === 10 && gaps[1].reason === 'stalled');
+
+        const leading = computeGaps([
+            { bytes: 0, endReason: 'ECONNREFUSED' },
+            { bytes: 10, firstDataAt: t0 + 8000, lastDataAt: t0 + 9000, endReason: 'stopped' }
+        ], t0, t0 + 9000);
+        assert('Gaps: leading gap when first attempts fail', leading.length === 1 && leading[0].byteOffset === 0 && leading[0].seconds === 8 && leading[0].reason === 'ECONNREFUSED');
+        assert('Gaps: clean recording has none', computeGaps([{ bytes: 10, firstDataAt: t0, lastDataAt: t0 + 5000, endReason: 'stopped' }], t0, t0 + 5000).length === 0);
+        assert('Gaps: nothing recorded at all', computeGaps([{ bytes: 0, endReason: 'HTTP 404' }], t0, t0 + 5000)[0].seconds === 5);
+    }
+
+    assert('Segment path', segmentPath('/r/06-ABC-3600.mp3.tmp', 2) === '/r/06-ABC-3600.mp3.seg2.tmp');
+
+    const { server, base, count } = await startServer();
+    try {
+        const outFile = path.join(TEST_DIR, '06-ABC-3600.mp3.tmp');
+        const sidecarFile = path.join(TEST_DIR, '06-ABC-3600.icy.json');
+        const session = new RecordingSession(`${base}/live`, outFile, {
+            sidecarFile, stallTimeoutMs: 300, watchIntervalMs: 50, restartDelayMs: 50
+        });
+        const restarts = [];
+        session.on('restart', r => restarts.push(r));
+        session.on('error', () => {});
+        session.start();
+
+        // Wait for the third connection to deliver some data.
+        for (let i = 0; i < 100 && !(count() >= 3 && session.current().capture.bytes >= 2 * METAINT); i++) await sleep(50);
+        const result = await session.stop();
+
+        const data = await fsp.readFile(outFile);
+        const first2 = data.indexOf(2);
+        const first3 = data.indexOf(3);
+        assert('Session: restarted after drop and stall', restarts.length === 2 && /stalled/.test(restarts[1].reason));
+        assert('Session: segments stitched in order', data.subarray(0, 3 * METAINT).every(b => b === 1) &&
+            first2 === 3 * METAINT && first3 === 5 * METAINT && data.subarray(first3).every(b => b === 3));
+        assert('Session: byte count matches file', result.bytes === data.length);
+        assert('Session: gaps recorded at segment joins', result.gaps.length === 2 &&
+            result.gaps[0].byteOffset === 3 * METAINT && result.gaps[1].byteOffset === 5 * METAINT && result.gaps[1].seconds >= 0.3);
+        assert('Session: metadata offsets in stitched file', result.metadata.map(m => `${m.title}@${m.byteOffset}`).join() === `Conn 1@${METAINT},Conn 2@${4 * METAINT},Conn 3@${6 * METAINT}`);
+
+        const leftovers = (await fsp.readdir(TEST_DIR)).filter(f => f.includes('.seg'));
+        assert('Session: segment files removed', leftovers.length === 0);
+
+        const sidecar = JSON.parse(await fsp.readFile(sidecarFile, 'utf-8'));
+        assert('Sidecar: segments and gaps', sidecar.segments.length === 3 && sidecar.gaps.length === 2 && sidecar.segments[2].byteOffset === 5 * METAINT);
+        assert('Sidecar: reasons kept', sidecar.segments[0].endReason === 'connection lost' && /stalled/.test(sidecar.segments[1].endReason));
+
+        // A clean session is one segment, renamed into place.
+        const cleanFile = path.join(TEST_DIR, 'clean.mp3.tmp');
+        const clean = new RecordingSession(`${base}/live`, cleanFile, { watchIntervalMs: 50 });
+        clean.on('error', () => {});
+        clean.start();
+        for (let i = 0; i < 100 && clean.current().capture.bytes < METAINT; i++) await sleep(20);
+        const stopping = clean.stop();
+        assert('Clean: a second stop waits for the first', clean.stop() === stopping);
+        const cleanResult = await stopping;
+        assert('Clean: single segment, no gaps', cleanResult.segments.length === 1 && cleanResult.gaps.length === 0 &&
+            (await fsp.stat(cleanFile)).size === cleanResult.bytes);
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+
+    // The archive rotates into briefly overlapping chunks; a cut across them
+    // takes each frame once.
+    const live = await startFrameServer();
+    try {
+        const archiveDir = path.join(TEST_DIR, 'archive');
+        const archive = new StreamArchive(live.url, archiveDir, { chunkSeconds: 1, overlapMs: 200, sessionOptions: { watchIntervalMs: 50 } });
+        const chunks = [];
+        archive.on('chunk', c => chunks.push(c));
+        archive.on('error', () => {});
+        const startedAt = Date.now();
+        archive.start();
+        for (let i = 0; i < 100 && chunks.length < 2; i++) await sleep(50);
+        await archive.stop();
+
+        assert('Archive: rotated into chunks', chunks.length >= 3 && chunks.every(c => c.bytes > 0 && fs.existsSync(c.file)) &&
+            chunks.slice(1).every((c, i) => c.startedAt < chunks[i].stoppedAt));
+        assert('Archive: complete until the last chunk stopped', archive.completeUntil === Math.max(...chunks.map(c => c.stoppedAt)));
+        const leftovers = (await fsp.readdir(path.dirname(chunks[0].file))).filter(f => f.endsWith('.tmp'));
+        assert('Archive: no temp files left', leftovers.length === 0);
+
+        const outFile = path.join(TEST_DIR, 'archive-cut.mp3');
+        const from = startedAt + 300;
+        const to = archive.completeUntil - 300;
+        const cut = await cutArchive(archiveDir, from, to, outFile);
+        const data = await fsp.readFile(outFile);
+        const steps = scanFrames(data).frames.map(f => data[f.offset + 4]).map((m, i, all) => i === 0 ? 1 : (m - all[i - 1] + 200) % 200);
+        assert('Archive: cut across chunks has no gaps', cut.gaps.length === 0 && Math.abs(cut.seconds - (to - from) / 1000) < 0.3);
+        // Arrival timing may shift a join by a frame or two.
+        assert('Archive: frames in order across joins', steps.filter(d => d !== 1).length <= chunks.length && steps.every(d => d <= 3 || d >= 197));
+
+        // Stopped while the previous chunk is still running into the new one
+        const overlapDir = path.join(TEST_DIR, 'archive-overlap');
+        const overlapping = new StreamArchive(live.url, overlapDir, { chunkSeconds: 1, overlapMs: 60000, sessionOptions: { watchIntervalMs: 50 } });
+        const heard = new Set();
+        overlapping.on('audio', a => heard.add(a.chunk));
+        overlapping.on('error', () => {});
+        overlapping.start();
+        for (let i = 0; i < 100 && heard.size < 2; i++) await sleep(50);
+        const stopStarted = Date.now();
+        await overlapping.stop();
+        const overlapDays = await fsp.readdir(overlapDir);
+        const overlapFiles = (await Promise.all(overlapDays.map(d => fsp.readdir(path.join(overlapDir, d))))).flat();
+        assert('Archive: stop finishes a chunk in its overlap', heard.size >= 2 && Date.now() - stopStarted < 10000 &&
+            overlapFiles.filter(f => f.endsWith('.mp3')).length >= 2 && !overlapFiles.some(f => f.endsWith('.tmp')));
+    } finally {
+        live.server.closeAllConnections();
+        live.server.close();
+        await fsp.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    console.log('--------------------------------');
+    console.log(`Results: ${passed} Passed, ${failed} Failed.`);
+    if (failed > 0) process.exit(1);
+}
+
+test().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { SchedAppClient, parseSchedAppResponse } from '../sched-app-client.js';
+import { ScheduleSourceChain, SchedAppApiSource } from '../schedule-sources.js';
+
+const fsp = fs.promises;
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'sched-app-range.sample.json');
+
+let passed = 0;
+let failed = 0;
+
+function assert(desc, condition) {
+    if (condition) {
+        console.log(`PASS: ${desc}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${desc}`);
+        failed++;
+    }
+}
+
+// Stand-in for the sched-app backend, serving the sample response (written
+// to the shape sched-app-client.js expects, not captured).
+async function startServer() {
+    const fixture = await fsp.readFile(FIXTURE, 'utf-8');
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url);
+        if (url.pathname === '/sched-app/api/schedule') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(fixture);
+        } else if (url.pathname === '/moved') {
+            res.writeHead(302, { Location: '/sched-app/api/schedule' + url.search });
+            res.end();
+        } else if (url.pathname === '/loop') {
+            res.writeHead(302, { Location: '/loop' + url.search });
+            res.end();
+        } else {
+            res.writeHead(500);
+            res.end('oops');
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, requests, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function test() {
+    console.log('Testing sched-app JSON client...');
+    const { server, requests, base } = await startServer();
+
+    try {
+        const client = new SchedAppClient({ baseUrl: `${base}/sched-app/api/schedule` });
+        const days = await client.fetchRange('2026-02-16', '2026-02-17');
+
+        assert('Range: one request for two days', requests.length === 1);
+        assert('Range: query parameters', requests[0].searchParams.get('from') === '2026-02-16' && requests[0].searchParams.get('to') === '2026-02-17' && requests[0].searchParams.get('network') === 'radio');
+        assert('Range: both days parsed', days.size === 2);
+
+        const d1 = days.get('2026-02-16');
+        assert('Parse: sorted by start', d1.schedule[0].program_code === 'TDY250011' && d1.schedule[1].program_code === 'DD260047');
+        assert('Parse: explicit fields', d1.schedule[0].series_title === '3ABN Today' && d1.schedule[0].program_title === 'Through The Valley' && d1.schedule[0].timeText === '12:00 AM');
+        assert('Parse: code from series image', d1.schedule[2].program_code === 'MB' && d1.schedule[2].program_title === 'Music Break');
+        assert('Parse: seconds since midnight', d1.schedule[2].secondsSinceMidnight === 18 * 3600 + 15 * 60);
+        assert('Parse: all records kept', d1.schedule.length === 3 && days.skipped === 0);
+        const partly = parseSchedAppResponse({ entries: [{ series: { title: 'No start' }, program: { code: 'X' } }, { start: '2026-02-16T06:00', program: { code: 'Y' } }] });
+        assert('Parse: record without start skipped', partly.get('2026-02-16').schedule.length === 1 && partly.skipped === 1);
+        assert('Parse: date + time form', days.get('2026-02-17').schedule[0].program_code === 'NH001');
+
+        const redirected = new SchedAppClient({ baseUrl: `${base}/moved` });
+        assert('Redirect followed', (await redirected.fetchDay('2026-02-17')).schedule.length === 1);
+
+        const before = requests.length;
+        let looped = null;
+        try {
+            await new SchedAppClient({ baseUrl: `${base}/loop` }).fetchDay('2026-02-16');
+        } catch (e) {
+            looped = e.message;
+        }
+        assert('Redirects capped', /Too many redirects/.test(looped) && requests.length - before === 6);
+
+        let threw = false;
+        try {
+            await new SchedAppClient({ baseUrl: `${base}/down` }).fetchDay('2026-02-16');
+        } catch (e) {
+            threw = /HTTP 500/.test(e.message);
+        }
+        assert('HTTP error surfaces', threw);
+
+        const fallback = { name: 'fallback', fetch: async (d) => ({ date: d, schedule: [{ program_code: 'FB', timeText: '12:00 AM', secondsSinceMidnight: 0 }] }) };
+        const chain = new ScheduleSourceChain([new SchedAppApiSource({ url: `${base}/down` }), fallback]);
+        assert('Chain falls back when API is down', (await chain.fetch('2026-02-16')).source === 'fallback');
+    } finally {
+        server.close();
+    }
+
+    console.log('--------------------------------');
+    console.log(`Results: ${passed} Passed, ${failed} Failed.`);
+    if (failed > 0) process.exit(1);
+}
+
+test().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
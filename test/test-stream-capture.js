@@ -0,0 +1,191 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import http from 'http';
+import { IcyDemuxer, StreamCapture, icySidecarPath, parseIcyMetadata } from '../stream-capture.js';
+
+const fsp = fs.promises;
+const TEST_DIR = path.join(os.tmpdir(), '3abn-capture-test');
+const METAINT = 1000;
+
+let passed = 0;
+let failed = 0;
+
+function assert(desc, condition) {
+    if (condition) {
+        console.log(`PASS: ${desc}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${desc}`);
+        failed++;
+    }
+}
+
+// Deterministic stand-in for MP3 data: byte i of the stream is i % 251.
+function audioBytes(from, length) {
+    const buf = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) buf[i] = (from + i) % 251;
+    return buf;
+}
+
+function metadataBlock(text) {
+    if (!text) return Buffer.from([0]);
+    const body = Buffer.from(text, 'utf8');
+    const blocks = Math.ceil(body.length / 16);
+    const out = Buffer.alloc(1 + blocks * 16);
+    out[0] = blocks;
+    body.copy(out, 1);
+    return out;
+}
+
+/**
+ * Stand-in Icecast server. Each block is METAINT audio bytes followed by a
+ * metadata block; `titles[i]` is sent after block i (repeats and '' included,
+ * as real servers do). `/live` ends after the titles, `/endless` keeps going
+ * until the client disconnects.
+ */
+async function startServer(titles) {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/moved') {
+            res.writeHead(302, { Location: '/live' });
+            res.end();
+            return;
+        }
+        if (req.url !== '/live' && req.url !== '/endless') {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        const wantsMeta = req.headers['icy-metadata'] === '1';
+        res.writeHead(200, {
+            'Content-Type': 'audio/mpeg',
+            'icy-name': '3ABN Radio Test',
+            'icy-br': '64',
+            ...(wantsMeta ? { 'icy-metaint': String(METAINT) } : {})
+        });
+
+        let block = 0;
+        const send = () => {
+            if (res.destroyed) return;
+            if (req.url === '/live' && block >= titles.length) {
+                res.end();
+                return;
+            }
+            const title = titles[block % titles.length];
+            res.write(audioBytes(block * METAINT, METAINT));
+            if (wantsMeta) res.write(metadataBlock(title ? `StreamTitle='${title}';StreamUrl='';` : ''));
+            block++;
+            setTimeout(send, 5);
+        };
+        send();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+function waitFor(emitter, event, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+        emitter.once(event, (value) => {
+            clearTimeout(timer);
+            resolve(value);
+        });
+    });
+}
+
+async function test() {
+    console.log('Testing native stream capture...');
+    await fsp.rm(TEST_DIR, { recursive: true, force: true });
+    await fsp.mkdir(TEST_DIR, { recursive: true });
+
+    // Demuxer on awkward chunk boundaries
+    {
+        const stream = Buffer.concat([
+            audioBytes(0, 10), metadataBlock("StreamTitle='It''s Here';"),
+            audioBytes(10, 10), metadataBlock(''), audioBytes(20, 4)
+        ]);
+        const audio = [];
+        const meta = [];
+        const demuxer = new IcyDemuxer(10, { onAudio: c => audio.push(Buffer.from(c)), onMetadata: m => meta.push(m) });
+        for (let i = 0; i < stream.length; i++) demuxer.push(stream.subarray(i, i + 1));
+        assert('Demux: audio reassembled across 1-byte chunks', Buffer.concat(audio).equals(audioBytes(0, 24)));
+        assert('Demux: metadata extracted', meta.length === 1 && parseIcyMetadata(meta[0]).StreamTitle === "It''s Here");
+    }
+
+    assert('Parse: title with quote and url', parseIcyMetadata("StreamTitle='Don't Stop';StreamUrl='http://x';").StreamTitle === "Don't Stop" &&
+        parseIcyMetadata("StreamTitle='Don't Stop';StreamUrl='http://x';").StreamUrl === 'http://x');
+    assert('Sidecar path', icySidecarPath('/r/06-ABC-3600.mp3') === '/r/06-ABC-3600.icy.json');
+
+    const titles = ['Morning Show', 'Morning Show', '', 'News Break', 'News Break'];
+    const { server, base } = await startServer(titles);
+
+    try {
+        // Full stream to the end
+        const outFile = path.join(TEST_DIR, 'full.mp3');
+        const capture = new StreamCapture(`${base}/moved`, outFile, { progressIntervalMs: 0 });
+        const events = { connected: null, metadata: [], progress: 0, audio: [] };
+        capture.on('connected', info => { events.connected = info; });
+        capture.on('audio', a => events.audio.push(a));
+        capture.on('metadata', m => events.metadata.push(m));
+        capture.on('progress', () => events.progress++);
+        capture.on('error', err => console.error(err));
+        const ended = waitFor(capture, 'end');
+        capture.start();
+        const end = await ended;
+        await capture.stop();
+
+        const written = await fsp.readFile(outFile);
+        assert('Capture: redirect followed and headers read', events.connected && events.connected.name === '3ABN Radio Test' &&
+            events.connected.metaint === METAINT && events.connected.bitrate === 64);
+        assert('Capture: file holds only the audio bytes', written.equals(audioBytes(0, titles.length * METAINT)));
+        assert('Capture: end reported with byte count', end.bytes === titles.length * METAINT && capture.state === 'ended');
+        assert('Capture: metadata changes only', events.metadata.map(m => m.title).join('|') === 'Morning Show|News Break');
+        assert('Capture: metadata byte positions', events.metadata[0].byteOffset === METAINT && events.metadata[1].byteOffset === 4 * METAINT);
+        assert('Capture: progress events', events.progress > 0);
+        assert('Capture: audio events carry the written bytes', Buffer.concat(events.audio.map(a => a.data)).equals(written) &&
+            events.audio.every(a => a.at >= capture.startedAt));
+
+        const sidecar = JSON.parse(await fsp.readFile(icySidecarPath(outFile), 'utf-8'));
+        assert('Sidecar: metadata with positions and times', sidecar.metadata.length === 2 && sidecar.metadata[1].byteOffset === 4 * METAINT &&
+            typeof sidecar.metadata[1].elapsedMs === 'number' && !isNaN(Date.parse(sidecar.metadata[1].at)));
+        assert('Sidecar: station and totals', sidecar.station.name === '3ABN Radio Test' && sidecar.bytes === written.length && sidecar.stoppedAt);
+
+        // Stopping an endless stream
+        const liveFile = path.join(TEST_DIR, 'endless.mp3');
+        const live = new StreamCapture(`${base}/endless`, liveFile);
+        live.on('error', err => console.error(err));
+        const firstMeta = waitFor(live, 'metadata');
+        live.start();
+        await firstMeta;
+        const result = await live.stop();
+        const liveBytes = await fsp.readFile(liveFile);
+        assert('Stop: state and file flushed', live.state === 'stopped' && liveBytes.length === result.bytes && result.bytes >= METAINT);
+        assert('Stop: bytes are a clean prefix of the stream', liveBytes.equals(audioBytes(0, liveBytes.length)));
+
+        // Errors
+        const missing = new StreamCapture(`${base}/nothing`, path.join(TEST_DIR, 'missing.mp3'), { sidecarFile: null });
+        const err = waitFor(missing, 'error');
+        missing.start();
+        assert('Error: HTTP status surfaces', /HTTP 404/.test((await err).message) && missing.state === 'failed');
+        await missing.stop();
+
+        const refused = new StreamCapture('http://127.0.0.1:1/live', path.join(TEST_DIR, 'refused.mp3'), { sidecarFile: null });
+        const refusedErr = waitFor(refused, 'error');
+        refused.start();
+        assert('Error: connection refused surfaces', /ECONNREFUSED/.test((await refusedErr).message));
+        await refused.stop();
+    } finally {
+        server.closeAllConnections();
+        server.close();
+        await fsp.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    console.log('--------------------------------');
+    console.log(`Results: ${passed} Passed, ${failed} Failed.`);
+    if (failed > 0) process.exit(1);
+}
+
+test().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import http from 'http';
+import { StreamSourcePool, parsePlaylist, probeStream } from '../stream-sources.js';
+import { RecordingSession } from '../recording-session.js';
+
+const fsp = fs.promises;
+const TEST_DIR = path.join(os.tmpdir(), '3abn-sources-test');
+
+let passed = 0;
+let failed = 0;
+
+function assert(desc, condition) {
+    if (condition) {
+        console.log(`PASS: ${desc}`);
+        passed++;
+    } else {
+        console.error(`FAIL: ${desc}`);
+        failed++;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Stand-in stream server whose audio bytes all have value `fill`. In 'drop'
+ * mode each connection sends 2000 bytes and is then cut; in 'ok' mode it
+ * streams until the client leaves. `playlists` maps paths to bodies.
+ */
+async function startStreamServer(fill, playlists = {}) {
+    const state = { mode: 'ok', connections: 0 };
+    const server = http.createServer((req, res) => {
+        if (playlists[req.url]) {
+            res.writeHead(200, { 'Content-Type': 'audio/x-scpls' });
+            res.end(playlists[req.url]());
+            return;
+        }
+        if (req.url !== '/stream') {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        state.connections++;
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        let sent = 0;
+        const send = () => {
+            if (res.destroyed) return;
+            if (state.mode === 'drop' && sent >= 2000) {
+                res.socket.destroy();
+                return;
+            }
+            res.write(Buffer.alloc(1000, fill));
+            sent += 1000;
+            setTimeout(send, 10);
+        };
+        send();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    state.base = `http://127.0.0.1:${server.address().port}`;
+    return { server, state };
+}
+
+async function test() {
+    console.log('Testing stream URL failover...');
+    await fsp.rm(TEST_DIR, { recursive: true, force: true });
+    await fsp.mkdir(TEST_DIR, { recursive: true });
+
+    const pls = parsePlaylist('[playlist]\nNumberOfEntries=2\nFile2=http://b.example/live\nFile1=http://a.example/live\nTitle1=A\n', 'http://x/list.pls');
+    assert('Playlist: .pls entries in order', pls.join() === 'http://a.example/live,http://b.example/live');
+    const m3u = parsePlaylist('#EXTM3U\n#EXTINF:-1,Radio\nhttp://a.example/live\n\nrelative/stream\n', 'http://x/dir/list.m3u');
+    assert('Playlist: .m3u entries, comments skipped, relative resolved', m3u.join() === 'http://a.example/live,http://x/dir/relative/stream');
+
+    const primary = await startStreamServer(1);
+    const backup = await startStreamServer(2, {
+        '/backup.pls': () => `[playlist]\nFile1=${backup.state.base}/stream\n`
+    });
+    const servers = [primary.server, backup.server];
+
+    try {
+        const primaryUrl = `${primary.state.base}/stream`;
+        const backupUrl = `${backup.state.base}/stream`;
+        const plsUrl = `${backup.state.base}/backup.pls`;
+
+        const pool = new StreamSourcePool([primaryUrl, `${backup.state.base}/missing.m3u`, plsUrl], { probeBytes: 3000, probeTimeoutMs: 2000 });
+        const events = { failover: [], restored: [], playlistErrors: [] };
+        pool.on('failover', e => events.failover.push(e));
+        pool.on('restored', e => events.restored.push(e));
+        pool.on('playlist-error', e => events.playlistErrors.push(e));
+
+        const candidates = await pool.candidates();
+        assert('Pool: playlists expanded, broken playlist skipped', candidates.map(c => c.url).join() === `${primaryUrl},${backupUrl}` &&
+            candidates[1].origin === plsUrl && events.playlistErrors.length === 1);
+
+        // Primary keeps dropping: the session should move to the backup.
+        primary.state.mode = 'drop';
+        const outFile = path.join(TEST_DIR, 'failover.mp3.tmp');
+        const session = new RecordingSession(pool, outFile, { stallTimeoutMs: 500, watchIntervalMs: 50, restartDelayMs: 50 });
+        session.on('error', () => {});
+        session.start();
+        for (let i = 0; i < 100 && !(session.current() && session.current().url === backupUrl && session.current().capture.bytes >= 3000); i++) await sleep(50);
+        const result = await session.stop();
+
+        const data = await fsp.readFile(outFile);
+        assert('Failover: moved to backup after the primary dropped', events.failover.length === 1 &&
+            events.failover[0].from === primaryUrl && events.failover[0].to === backupUrl);
+        assert('Failover: recording lists both sources', result.sources.join() === `${primaryUrl},${backupUrl}`);
+        assert('Failover: segments name their stream and origin', result.segments[0].url === primaryUrl && result.segments[1].origin === plsUrl);
+        assert('Failover: audio from both streams stitched', data.subarray(0, 2000).every(b => b === 1) && data.subarray(2000).every(b => b === 2) && data.length > 2000);
+        assert('Pool: backup stays active', pool.activeUrl === backupUrl && !pool.primaryActive());
+
+        // Probing while the primary is still flaky keeps the backup.
+        assert('Probe: dropping primary not restored', (await pool.probePrimary()) === false && events.restored.length === 0);
+        primary.state.mode = 'ok';
+        assert('Probe: healthy primary answers', await probeStream(primaryUrl, { minBytes: 3000, timeoutMs: 2000 }));
+        assert('Probe: switches back to the primary', await pool.probePrimary() && events.restored.length === 1 && (await pool.acquire()).url === primaryUrl);
+
+        assert('Probe: unreachable stream fails', !(await probeStream('http://127.0.0.1:1/stream', { timeoutMs: 1000 })));
+
+        // With every stream down, the pool wraps around instead of getting stuck.
+        pool.fail(primaryUrl, 'test');
+        pool.fail(backupUrl, 'test');
+        assert('Pool: failover wraps around', pool.activeUrl === primaryUrl);
+    } finally {
+        for (const server of servers) {
+            server.closeAllConnections();
+            server.close();
+        }
+        await fsp.rm(TEST_DIR, { recursive: true, force: true });
+    }
+
+    console.log('--------------------------------');
+    console.log(`Results: ${passed} Passed, ${failed} Failed.`);
+    if (failed > 0) process.exit(1);
+}
+
+test().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -5,7 +5,7 @@
  *
  * - Manages crossfading between recordings and filler music.
  * - Enforces slot boundaries from schedule.
- * - Handles missing recordings by searching past days.
+ * - Handles missing recordings by searching past days, then partial recordings.
  * - Provides Station ID overrides with ducking.
  */
 
@@ -17,6 +17,12 @@ import fsp from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import net from 'net';
+import { DEFAULT_SCHEDULE_TIMEZONE, addDays, instantToZoned } from './schedule-time.js';
+import { buildTimeline, findSlotAt } from './schedule-timeline.js';
+import { formatProblems, validateSchedule } from './schedule-validator.js';
+import { CorrectionsFile } from './schedule-corrections.js';
+import { deleteRecordingFiles, findRecording } from './recording-files.js';
+import { RecordingCatalog } from './recording-catalog.js';
 
 const execPromise = promisify(exec);
 
@@ -24,8 +30,10 @@ const execPromise = promisify(exec);
 
 const CROSSFADE_DURATION = 5; // seconds for the volume ramp
 const MPV_START_LAG = 8;      // estimated seconds for mpv to start and IPC to connect
-const SLOT_DELAY_SECONDS = 2 * 3600;  // 2 hours behind current time
+const SLOT_DELAY_SECONDS = 2 * 3600;  // 2 hours behind current time (real seconds, DST-safe)
 const SCHED_TMP_DIR = '/tmp/3abn-sched';
+const SCHEDULE_TIMEZONE = DEFAULT_SCHEDULE_TIMEZONE; // for schedule files that don't name their zone
+const SCHEDULE_CORRECTIONS_FILE = path.join(os.homedir(), '0Radio', 'schedule-corrections.json'); // same file as the recorder
 const RECORD_BASE = path.join(os.homedir(), '0Radio', '3abn');
 const MUSIC_BASE = path.join(os.homedir(), '0Radio', 'RadioMusic');
 const SONG_CACHE_FILE = path.join(MUSIC_BASE, 'song_cache.json');
@@ -318,6 +326,10 @@ class OverrideManager {
 
 const overrideManager = new OverrideManager();
 const library = new SongLibrary();
+const scheduleCorrections = new CorrectionsFile(SCHEDULE_CORRECTIONS_FILE, {
+  onErrors: errors => errors.forEach(e => log(`[Corrections] Ignoring ${e}`))
+});
+const catalog = new RecordingCatalog(RECORD_BASE);
 
 // ===================== MAIN LOOP =======================
 
@@ -424,94 +436,95 @@ async function mainLoop() {
   while (true) {
     try {
       // 1. Determine Time
+      // The delay is applied to the absolute instant; the schedule's own zone
+      // then decides which day and slot that instant falls in.
       const now = new Date();
-      const playbackTime = new Date(now.getTime() - SLOT_DELAY_SECONDS * 1000);
-
-      // 2. Load Schedule
-      const dateStr = formatDate(playbackTime);
-      const schedFile = path.join(SCHED_TMP_DIR, `${dateStr}.json`);
-      let schedule = [];
-      try {
-        const d = JSON.parse(await fsp.readFile(schedFile, 'utf-8'));
-        schedule = d.schedule;
-      } catch (e) {
-        // log('Schedule not found...');
-      }
+      const playbackMs = now.getTime() - SLOT_DELAY_SECONDS * 1000;
+
+      // 2. Load Schedule (with the neighbouring days, so programs crossing
+      // midnight play as one item and early-morning gaps resolve to the
+      // previous day's last program)
+      const dateStr = instantToZoned(playbackMs, SCHEDULE_TIMEZONE).date;
+      // A schedule that fails validation is treated as missing, so its slots play filler.
+      const readSchedule = async (dStr) => {
+        let raw;
+        try {
+          raw = JSON.parse(await fsp.readFile(path.join(SCHED_TMP_DIR, `${dStr}.json`), 'utf-8'));
+        } catch (e) {
+          // log('Schedule not found...');
+          return null;
+        }
+        const { valid, schedObj, problems } = validateSchedule(raw, { timezone: SCHEDULE_TIMEZONE });
+        if (!valid) {
+          log(`Schedule for ${dStr} is invalid, ignoring it: ${formatProblems(problems).join('; ')}`);
+          return null;
+        }
+        return scheduleCorrections.apply(schedObj);
+      };
+      const schedules = await Promise.all([-1, 0, 1].map(n => readSchedule(addDays(dateStr, n))));
 
       // 3. Find Slot
-      const pbSeconds = playbackTime.getHours() * 3600 + playbackTime.getMinutes() * 60 + playbackTime.getSeconds();
-
-      let currentSlot = null;
-      if (schedule && schedule.length) {
-        currentSlot = schedule.find((item, i) => {
-          const next = schedule[i + 1];
-          const end = next ? next.secondsSinceMidnight : 86400;
-          return pbSeconds >= item.secondsSinceMidnight && pbSeconds < end;
-        });
-      }
+      const currentSlot = findSlotAt(buildTimeline(schedules, SCHEDULE_TIMEZONE), playbackMs);
 
       // 4. Determine Content Source
       let fileToPlay = null;
       let offset = 0;
       let duration = 0;
       let isFiller = false;
+      let fillerLimit = Infinity; // filler must stop in time for a partial recording
 
       if (currentSlot) {
-        const slotEnd = schedule.find((_, i) => schedule[i - 1] === currentSlot)?.secondsSinceMidnight || 86400;
-        const remainingInSlot = slotEnd - pbSeconds;
-
-        // Fallback Finding Logic
-        const findFile = async (dStr, code) => {
-          let targetDir = path.join(RECORD_BASE, dStr.split('-').join(path.sep));
-          try {
-            const files = await fsp.readdir(targetDir);
-            const match = files.find(f => f.includes(`-${code}-`) || f.includes(`${code}.mp3`));
-            if (match) return path.join(targetDir, match);
-          } catch (e) { }
-
-          let curr = new Date(dStr);
-          for (let i = 0; i < 30; i++) {
-            curr.setDate(curr.getDate() - 1);
-            const pastStr = formatDate(curr);
-            targetDir = path.join(RECORD_BASE, pastStr.split('-').join(path.sep));
-            try {
-              const files = await fsp.readdir(targetDir);
-              const match = files.find(f => f.includes(`-${code}-`));
-              if (match) {
-                log(`Found fallback recording in ${pastStr}`);
-                return path.join(targetDir, match);
-              }
-            } catch (e) { }
-          }
-          return null;
-        };
-
-        let recFile = await findFile(dateStr, currentSlot.program_code);
-
-        // Check if this file previously failed
-        if (recFile && recFile === failedFile) {
-          log(`Skipping previously failed file: ${path.basename(recFile)}`);
-          recFile = null;
+        const remainingInSlot = (currentSlot.end - playbackMs) / 1000;
+
+        // Recordings live under the day the slot started on. A complete copy
+        // from an earlier day is preferred over a partial one; recordings the
+        // recorder rejected (silence, a stuck stream) or found corrupt are
+        // passed over. The directories are searched when the catalog has no
+        // recording for the slot (or hasn't been written yet): one missing
+        // from it still plays.
+        const findOpts = { exclude: failedFile ? [failedFile] : [] };
+        const found = (await catalog.load() && await catalog.find(currentSlot.date, currentSlot.program_code, findOpts)) ||
+          await findRecording(RECORD_BASE, currentSlot.date, currentSlot.program_code, findOpts);
+        let recFile = found ? found.file : null;
+        if (found && found.date !== currentSlot.date) {
+          log(`Found fallback recording in ${found.date}`);
         }
+        const startOffset = found ? found.startOffsetSeconds : 0;
 
         if (recFile) {
           // Validate Duration
-          // 1. Calculate Expected Duration
-          const idx = schedule.indexOf(currentSlot);
-          const nextStart = schedule[idx + 1] ? schedule[idx + 1].secondsSinceMidnight : 86400;
-          const slotDuration = nextStart - currentSlot.secondsSinceMidnight;
+          // 1. Calculate Expected Duration (a partial starts startOffset into the slot)
+          const slotDuration = Math.round((currentSlot.end - currentSlot.start) / 1000);
+          const expectedDuration = slotDuration - startOffset;
 
           // 2. Probe Actual Duration
-          log(`Validating recording: ${path.basename(recFile)} (Slot: ${slotDuration}s)`);
+          const title = [found.info.seriesTitle, found.info.programTitle].filter(Boolean).join(': ');
+          log(`Validating recording: ${path.basename(recFile)}${title ? ` "${title}"` : ''} (Slot: ${slotDuration}s${found.partial ? `, partial from ${startOffset}s` : ''})`);
+          // Rejected and corrupt recordings are never picked; suspect and
+          // damaged ones play, with a note.
+          const verification = found.info.verification || {};
+          if (verification.result === 'suspect' && verification.content) {
+            log(`Recording flagged as suspect (score ${verification.content.score}): ${verification.content.issues.map(i => i.detail).join('; ')}`);
+          }
+          const integrity = found.info.integrity;
+          if (!integrity) {
+            log('Recording\'s decode integrity was never checked (see "node recordings.js verify").');
+          } else if (integrity.status === 'damaged') {
+            log(`Recording has ${integrity.frameErrors} bad frame(s); playing it anyway.`);
+          }
           const actualDuration = await library.getDuration(recFile);
 
-          const diff = actualDuration - slotDuration;
+          const diff = actualDuration - expectedDuration;
 
-          if (diff < -5) {
+          if (found.partial) {
+            // Known to be incomplete; play whatever it has.
+            log(`Playing partial recording (${actualDuration}s of ${expectedDuration}s).`);
+          } else if (diff < -5) {
             // Too short (>5s under)
             log(`Recording too short! Expected ~${slotDuration}s, got ${actualDuration}s (Diff: ${diff}s). Deleting and using filler.`);
             try {
-              await fsp.unlink(recFile);
+              await deleteRecordingFiles(recFile);
+              await catalog.remove(recFile);
               log(`Deleted short recording: ${recFile}`);
             } catch (e) {
               log(`Failed to delete short recording: ${e.message}`);
@@ -525,9 +538,15 @@ async function mainLoop() {
             log(`Recording duration good (${actualDuration}s).`);
           }
 
-          if (recFile) {
+          const slotOffset = Math.floor((playbackMs - currentSlot.start) / 1000);
+          if (recFile && slotOffset + MPV_START_LAG + CROSSFADE_DURATION < startOffset) {
+            // Before the partial begins: filler until it does.
+            log(`Partial recording starts at ${startOffset}s; filler until then.`);
+            isFiller = true;
+            fillerLimit = startOffset - slotOffset;
+          } else if (recFile) {
             fileToPlay = recFile;
-            offset = pbSeconds - currentSlot.secondsSinceMidnight;
+            offset = Math.max(0, slotOffset - startOffset);
             duration = remainingInSlot;
           }
         } else {
@@ -543,7 +562,7 @@ async function mainLoop() {
         if (song && song.path) {
           fileToPlay = song.path;
           offset = 0;
-          duration = song.duration;
+          duration = Math.min(song.duration, fillerLimit);
         }
       }
 
@@ -563,9 +582,7 @@ async function mainLoop() {
         let sleepSec = duration - transitionTotal;
 
         if (currentSlot) {
-          const idx = schedule.indexOf(currentSlot);
-          const nextStart = schedule[idx + 1] ? schedule[idx + 1].secondsSinceMidnight : 86400;
-          const remainingInSlot = (nextStart - pbSeconds) - transitionTotal;
+          const remainingInSlot = (currentSlot.end - playbackMs) / 1000 - transitionTotal;
           if (remainingInSlot < sleepSec) {
             sleepSec = remainingInSlot;
           }
@@ -708,10 +725,3 @@ function sleep(ms) {
 function log(...args) {
   console.log(new Date().toISOString(), '-', ...args);
 }
-
-function formatDate(d) {
-  const year = d.getFullYear();
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
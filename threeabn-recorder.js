@@ -1,41 +1,161 @@
 #!/usr/bin/env node
 
 /**
- * 3ABN Radio recorder daemon using Puppeteer + mpv.
+ * 3ABN Radio recorder daemon.
  *
- * - Fetches daily schedule via SPA at https://r.3abn.org/sched-app/#/radio
- * - Records each upcoming program from the live stream.
+ * - Fetches daily schedule from pluggable sources (local files, drop directory,
+ *   or the SPA at https://r.3abn.org/sched-app/#/radio).
+ * - Records each upcoming program from the live stream, or captures the stream
+ *   continuously and cuts the programs out afterwards (CAPTURE_MODE).
  * - Manages Day Boundaries seamlessly by refetching schedules.
- * - Uses mpv --stream-dump with overlap handoff.
+ * - Captures the Icecast stream natively (with ICY metadata) with overlap handoff.
  */
 
-import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import puppeteer from 'puppeteer';
-import { analyzeFileForDTMF, getFileDuration } from './dtmf-analyzer.js';
+import { analyzeFileForCues, analyzeFileForDTMF, checkDecodeIntegrity, getFileDuration, hourEndTones, writeCueSheet } from './dtmf-analyzer.js';
+import { ScheduleSourceChain } from './schedule-sources.js';
+import { CorrectionsFile } from './schedule-corrections.js';
+import { icySidecarPath } from './stream-capture.js';
+import { RecordingSession } from './recording-session.js';
+import { StreamSourcePool } from './stream-sources.js';
+import { deleteRecordingFiles, findRecording, freeRecordingPath, recordingFileName } from './recording-files.js';
+import { recordVerification, verifyRecording } from './recording-verify.js';
+import { recoverOrphans } from './recording-recovery.js';
+import { relabelProvisional } from './provisional-recordings.js';
+import { RecordingCatalog } from './recording-catalog.js';
+import { RetentionPolicyFile, applyRetentionPlan, formatRetentionPlan, freeBytesAt, planEmergencyPrune, planRetention, playerWindowFiles } from './retention-policy.js';
+import { DiskGuard } from './disk-guard.js';
+import { OffsetCalibrationFile } from './offset-calibration.js';
+import { alignOpenings } from './audio-alignment.js';
+import { LiveDtmfDetector } from './live-dtmf.js';
+import { StreamArchive, pruneArchive, recoverArchive } from './stream-archive.js';
+import { cutSlotRecording, slotRecordingPaths } from './archive-cutter.js';
+import { buildFallbackSchedule } from './schedule-fallback.js';
+import { diffSchedules, diffAffectsWindow, formatScheduleDiff, isEmptyDiff } from './schedule-diff.js';
+import { DEFAULT_SCHEDULE_TIMEZONE, addDays, instantToZoned } from './schedule-time.js';
+import { buildTimeline, findSlotAt, withInstants } from './schedule-timeline.js';
+import { formatProblems, validateSchedule } from './schedule-validator.js';
 
 const fsp = fs.promises;
 
 // ======================== CONFIGURATION ==========================
 
-const SCHEDULE_PAGE = 'https://r.3abn.org/sched-app/#/radio';
-
 // Base directory for recordings.
 const RECORD_BASE = path.join(os.homedir(), '0Radio', '3abn');
 
 // Seconds offset to adjust between stream time and system clock.
 // Positive means: start recording this many seconds *earlier* than scheduled.
+// OFFSET_FILE holds the calibrated value with its history (see
+// offset-calibration.js); this is only the value until it has one.
 let STREAM_OFFSET_SECONDS = 10;
 const OFFSET_FILE = path.join(RECORD_BASE, 'offset.json');
 
-// Streaming URL to record from.
-const STREAM_URL = 'https://war.streamguys1.com:7185/live';
+// Besides the #4 tone at hour ends, calibrate by lining up the opening of
+// each complete recording with an earlier airing of the same program.
+const ALIGNMENT_CALIBRATION = true;
+
+// Listen for the #4 tone in the stream while it is captured, so a drift is
+// corrected before the next slot starts. Finished hour-end recordings are
+// still checked when the tone wasn't heard live.
+const LIVE_DTMF = true;
+
+// Every finished recording gets a cue sheet (<name>.cues.json) listing the
+// DTMF cues in it, named by these patterns; other sequences are listed
+// unnamed. 'hour-end' is the calibration tone.
+const CUE_SHEETS = true;
+const CUE_PATTERNS = [
+  { name: 'hour-end', digits: '#4' }
+];
+
+// Streams to record from, primary first. Entries may be direct stream URLs or
+// .pls/.m3u playlists. A recording that errors or stalls fails over to the
+// next entry; the primary is probed every PRIMARY_PROBE_INTERVAL_SECONDS and
+// used again for the next segment or recording once it delivers data.
+const STREAM_URLS = [
+  'https://war.streamguys1.com:7185/live',
+];
+const PRIMARY_PROBE_INTERVAL_SECONDS = 5 * 60;
+
+// A recording whose file hasn't grown for this long is restarted into a new
+// segment; segments are stitched together when the slot ends.
+const STALL_TIMEOUT_SECONDS = 20;
+
+// A slot joined late is still recorded, as a partial recording, if at least
+// this much of it is left; finished recordings shorter than this are deleted.
+const MIN_PARTIAL_SECONDS = 60;
 
 // Where to store schedule JSON files.
 const SCHED_TMP_DIR = '/tmp/3abn-sched';
 
+// IANA zone the schedule's wall-clock times are in, unless a source sets its own
+// `timezone`. Slot lookups, recording dates and hours all follow this zone.
+const SCHEDULE_TIMEZONE = DEFAULT_SCHEDULE_TIMEZONE;
+
+// Schedule sources in priority order; later ones are only used when earlier
+// ones fail or have no entries for the day. Types: json, csv, ical (path may
+// contain {date}), drop-dir (<date>.json/.csv/.ics or multi-day files),
+// sched-app-api (the SPA's JSON backend), puppeteer (DOM scraper fallback).
+// sched-app-api is left out until its endpoint and response format have been
+// checked against the SPA's real traffic (see sched-app-client.js).
+const SCHEDULE_SOURCES = [
+  { type: 'drop-dir', dir: path.join(os.homedir(), '0Radio', 'schedules') },
+  { type: 'puppeteer' },
+];
+
+// Local fixes merged into every schedule (see schedule-corrections.js for the format).
+// Kept outside SCHED_TMP_DIR so re-fetches and the cache purge leave it alone.
+const SCHEDULE_CORRECTIONS_FILE = path.join(os.homedir(), '0Radio', 'schedule-corrections.json');
+
+// Which recordings to keep (see retention-policy.js); without the file only
+// the newest complete airing of each program is kept.
+const RETENTION_POLICY_FILE = path.join(os.homedir(), '0Radio', 'retention.json');
+
+// The player's delay (its SLOT_DELAY_SECONDS). Recordings it will play within
+// this window are never removed by retention.
+const PLAYER_DELAY_SECONDS = 2 * 3600;
+
+// Free space always kept on the recordings disk. Before each slot, and every
+// DISK_CHECK_INTERVAL_SECONDS while recording, the rest of the slot (at about
+// RECORDING_BYTES_PER_SECOND) must fit on top of it; if not, recordings are
+// pruned in emergency order (see planEmergencyPrune). When even that leaves
+// less than the floor free, recording stops until space is freed.
+const MIN_FREE_DISK_MB = 1024;
+const DISK_CHECK_INTERVAL_SECONDS = 60;
+const RECORDING_BYTES_PER_SECOND = 128 * 1000 / 8;
+
+// How the stream is captured. 'slots' starts a recording per slot, cut at
+// record time with the offset known then. 'archive' records continuously into
+// ARCHIVE_CHUNK_SECONDS chunks under ARCHIVE_DIR and cuts each program out of
+// them once its slot is over (checking every ARCHIVE_POLL_SECONDS), so a day
+// can be cut again after a calibration corrects the offset by at least
+// RECUT_MIN_DRIFT_SECONDS (or by hand: `node recordings.js recut DATE`).
+// Archive days older than ARCHIVE_KEEP_DAYS go in the daily cleanup.
+const CAPTURE_MODE = 'slots';
+const ARCHIVE_DIR = path.join(os.homedir(), '0Radio', '3abn-archive');
+const ARCHIVE_CHUNK_SECONDS = 10 * 60;
+const ARCHIVE_POLL_SECONDS = 30;
+const ARCHIVE_KEEP_DAYS = 3;
+const RECUT_MIN_DRIFT_SECONDS = 2;
+
+// How often today's and tomorrow's schedules are re-fetched to catch late changes.
+const RESYNC_INTERVAL_SECONDS = 30 * 60;
+
+// Number of days (starting today) whose schedules are kept fetched.
+const LOOKAHEAD_DAYS = 7;
+
+// Schedules beyond tomorrow are re-fetched once older than this.
+const SCHEDULE_MAX_AGE_HOURS = 12;
+
+// Failed fetches are retried after BASE, 2*BASE, 4*BASE... seconds, capped at MAX.
+const FETCH_RETRY_BASE_SECONDS = 60;
+const FETCH_RETRY_MAX_SECONDS = 3600;
+
+// Fetch attempts kept in each schedule file's history.
+const MAX_ATTEMPT_HISTORY = 20;
+
 // ======================== UTILS ==========================
 
 function log(...args) {
@@ -53,411 +173,720 @@ function formatDate(d) {
   return `${year}-${month}-${day}`;
 }
 
-// Convert "06:15 PM" to seconds since midnight.
-function parseTimeToSeconds(timeText) {
-  const m = timeText.trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])$/);
-  if (!m) return null;
-  let [, hStr, mStr, ap] = m;
-  let h = parseInt(hStr, 10);
-  const mm = parseInt(mStr, 10);
-  ap = ap.toLowerCase();
-  if (ap === 'am' && h === 12) h = 0;
-  if (ap === 'pm' && h !== 12) h += 12;
-  return h * 3600 + mm * 60;
-}
+const offsetCalibration = new OffsetCalibrationFile(OFFSET_FILE, { defaultOffset: STREAM_OFFSET_SECONDS });
 
+/**
+ * Takes up the offset from OFFSET_FILE when it changed there (calibration,
+ * or an operator with `node recordings.js offset`).
+ */
 async function loadOffset() {
-  try {
-    if (fs.existsSync(OFFSET_FILE)) {
-      const data = JSON.parse(fs.readFileSync(OFFSET_FILE, 'utf8'));
-      if (typeof data.offset === 'number') {
-        STREAM_OFFSET_SECONDS = data.offset;
-        log(`Loaded STREAM_OFFSET_SECONDS from disk: ${STREAM_OFFSET_SECONDS}`);
-      }
-    }
-  } catch (e) {
-    log('Error loading offset.json:', e.message);
-  }
-}
-
-async function saveOffset(val) {
-  try {
-    STREAM_OFFSET_SECONDS = val;
-    await fsp.writeFile(OFFSET_FILE, JSON.stringify({ offset: val, lastUpdated: new Date().toISOString() }, null, 2));
-    log(`Saved new STREAM_OFFSET_SECONDS: ${val}`);
-  } catch (e) {
-    log('Error saving offset.json:', e.message);
+  await offsetCalibration.load();
+  if (offsetCalibration.offset !== STREAM_OFFSET_SECONDS) {
+    log(`Loaded STREAM_OFFSET_SECONDS from disk: ${offsetCalibration.offset} (was ${STREAM_OFFSET_SECONDS})`);
+    STREAM_OFFSET_SECONDS = offsetCalibration.offset;
   }
 }
 
 // ======================== SCHEDULE MANAGER ==========================
 
-class ScheduleManager {
-  constructor() {
+class ScheduleManager extends EventEmitter {
+  constructor(sources, correctionsFile) {
+    super();
+    this.sources = new ScheduleSourceChain(sources, { timezone: SCHEDULE_TIMEZONE });
+    this.corrections = new CorrectionsFile(correctionsFile, {
+      onErrors: errors => errors.forEach(e => log(`[Corrections] Ignoring ${e}`))
+    });
     this.cache = new Map(); // dateStr -> scheduleObject
     this.fetchPromises = new Map(); // dateStr -> Promise
+    this.pendingAttempts = new Map(); // dateStr -> attempts not yet written to disk
+    this.queue = new Map(); // dateStr -> { failures, nextAttemptAt }
+    this.queueRunning = false;
+    this.lastLookahead = 0;
   }
 
   /**
-   * Ensures schedule for `dateStr` is available.
-   * If valid file exists, loads it.
-   * If not, fetches it (blocking if not background).
+   * Loads `dateStr` from the disk cache into memory, if a usable file exists.
    */
-  async getSchedule(dateStr) {
-    if (this.cache.has(dateStr)) return this.cache.get(dateStr);
-
-    // Disk Cache
+  async loadFromDisk(dateStr) {
     const filePath = path.join(SCHED_TMP_DIR, `${dateStr}.json`);
     try {
       const stats = await fsp.stat(filePath);
       if (stats.size > 0) {
         const content = await fsp.readFile(filePath, 'utf-8');
-        const sched = JSON.parse(content);
-        if (sched && Array.isArray(sched.schedule) && sched.schedule.length > 0) {
-          // Verify date inside?
+        const sched = this.checkSchedule(JSON.parse(content), `${dateStr} (disk)`);
+        if (sched && sched.date === dateStr) {
           this.cache.set(dateStr, sched);
           return sched;
         }
       }
     } catch (e) { /* ignore */ }
+    return null;
+  }
+
+  /**
+   * Returns `dateStr` from memory or disk without fetching, or null.
+   * Corrections are merged in, as with `getSchedule`.
+   */
+  async peekSchedule(dateStr) {
+    const sched = this.cache.get(dateStr) || await this.loadFromDisk(dateStr);
+    return this.corrections.apply(sched);
+  }
+
+  /**
+   * The schedule for `dateStr` with the local corrections merged in; see
+   * `ensureSchedule` for how it is obtained. The caches themselves always
+   * hold the schedule as fetched.
+   */
+  async getSchedule(dateStr) {
+    return this.corrections.apply(await this.ensureSchedule(dateStr));
+  }
+
+  /**
+   * Ensures schedule for `dateStr` is available.
+   * If valid file exists, loads it.
+   * If not, fetches it (blocking if not background). When the fetch fails a
+   * provisional schedule is stored instead, so this only throws if that
+   * cannot be written.
+   */
+  async ensureSchedule(dateStr) {
+    if (this.cache.has(dateStr)) return this.cache.get(dateStr);
+
+    // Disk Cache
+    const sched = await this.loadFromDisk(dateStr);
+    if (sched) return sched;
 
     // Fetch
     if (this.fetchPromises.has(dateStr)) return this.fetchPromises.get(dateStr);
 
     log(`Schedule for ${dateStr} missing locally. Fetching...`);
-    const p = this.scrapeAndSave(dateStr).finally(() => this.fetchPromises.delete(dateStr));
+    const p = this.fetchAndSave(dateStr)
+      .catch(err => this.storeFallback(dateStr, err))
+      .finally(() => this.fetchPromises.delete(dateStr));
     this.fetchPromises.set(dateStr, p);
     return p;
   }
 
   /**
-   * Triggers a background fetch for `dateStr` if not already cached/fetching.
+   * Keeps `LOOKAHEAD_DAYS` days starting at `fromDateStr` fetched and fresh.
+   * Today and tomorrow are re-synced every `RESYNC_INTERVAL_SECONDS`, later
+   * days once they are older than `SCHEDULE_MAX_AGE_HOURS`. Runs at most once
+   * a minute; the fetches themselves happen in the background queue.
    */
-  ensureInBackground(dateStr) {
-    if (this.cache.has(dateStr)) return;
+  async maintainLookahead(fromDateStr) {
+    if (Date.now() - this.lastLookahead < 60000) return;
+    this.lastLookahead = Date.now();
+
+    const [y, m, d] = fromDateStr.split('-').map(Number);
+    for (let i = 0; i < LOOKAHEAD_DAYS; i++) {
+      const dateStr = formatDate(new Date(y, m - 1, d + i));
+      if (this.queue.has(dateStr) || this.fetchPromises.has(dateStr)) continue;
+
+      const sched = this.cache.get(dateStr) || await this.loadFromDisk(dateStr);
+      const maxAgeSeconds = i < 2 ? RESYNC_INTERVAL_SECONDS : SCHEDULE_MAX_AGE_HOURS * 3600;
+      if (!sched || sched.provisional || this.isStale(sched, maxAgeSeconds)) {
+        this.queue.set(dateStr, { failures: 0, nextAttemptAt: 0 });
+      }
+    }
 
-    const filePath = path.join(SCHED_TMP_DIR, `${dateStr}.json`);
-    fsp.stat(filePath).then(stats => {
-      if (stats.size > 0) {
-        return fsp.readFile(filePath, 'utf-8').then(c => JSON.parse(c)).then(s => {
-          if (Array.isArray(s.schedule) && s.schedule.length > 0) {
-            this.cache.set(dateStr, s);
+    // Forget queued days that have fallen behind the window.
+    for (const dateStr of this.queue.keys()) {
+      if (dateStr < fromDateStr) this.queue.delete(dateStr);
+    }
+
+    this.drainQueue();
+  }
+
+  isStale(schedObj, maxAgeSeconds) {
+    const fetchedAt = Date.parse(schedObj.fetchedAt || '');
+    if (isNaN(fetchedAt)) return true;
+    return Date.now() - fetchedAt > maxAgeSeconds * 1000;
+  }
+
+  /**
+   * Works through due queue entries one at a time, nearest date first.
+   * Failed fetches are retried with exponential backoff.
+   */
+  async drainQueue() {
+    if (this.queueRunning) return;
+    this.queueRunning = true;
+    try {
+      while (true) {
+        const now = Date.now();
+        const due = [...this.queue.entries()]
+          .filter(([, entry]) => entry.nextAttemptAt <= now)
+          .sort(([a], [b]) => a.localeCompare(b));
+        if (due.length === 0) break;
+
+        const [dateStr, entry] = due[0];
+        try {
+          if (this.cache.has(dateStr)) {
+            await this.resync(dateStr);
           } else {
-            throw new Error('Empty schedule');
+            log(`[Lookahead] Fetching ${dateStr}...`);
+            await this.ensureSchedule(dateStr);
           }
-        });
-      }
-      throw new Error('Not found');
-    }).catch(() => {
-      if (!this.fetchPromises.has(dateStr)) {
-        log(`[Background] Triggering fetch for ${dateStr}...`);
-        const p = this.scrapeAndSave(dateStr).catch(err => {
-          log(`[Background] Failed to fetch ${dateStr}:`, err.message);
-        }).finally(() => this.fetchPromises.delete(dateStr));
-        this.fetchPromises.set(dateStr, p);
+          // A fetch that fell back (or found nothing to replace the fallback
+          // with) hasn't really succeeded; keep retrying with backoff.
+          const sched = this.cache.get(dateStr);
+          if (sched && sched.provisional) throw new Error(`Only a provisional ${sched.source} schedule is available`);
+          this.queue.delete(dateStr);
+        } catch (err) {
+          entry.failures++;
+          const delay = Math.min(FETCH_RETRY_BASE_SECONDS * 2 ** (entry.failures - 1), FETCH_RETRY_MAX_SECONDS);
+          entry.nextAttemptAt = Date.now() + delay * 1000;
+          log(`[Lookahead] Failed to fetch ${dateStr} (attempt ${entry.failures}): ${err.message}. Retrying in ${delay}s.`);
+        }
       }
-    });
-  }
-
-  async scrapeAndSave(targetDateStr) {
-    log(`Launching Puppeteer for ${targetDateStr}...`);
-    // Note: This logic assumes we mostly scrape "Today".
-    // If targetDateStr is far in future, this might fail without nav logic.
-    // But since we pre-download "Tomorrow" usually when "Today" is active,
-    // "Tomorrow" *might* require button clicks.
+    } finally {
+      this.queueRunning = false;
+    }
 
-    // For now, we use a simple approach: Load page. If date matches, good.
-    // If not, we try to click "Next Day".
+    // Wake up again for the next retry that comes due.
+    const next = Math.min(...[...this.queue.values()].map(e => e.nextAttemptAt));
+    if (isFinite(next)) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = setTimeout(() => this.drainQueue(), Math.max(0, next - Date.now()));
+    }
+  }
 
-    const browser = await puppeteer.launch({
-      headless: 'new',
-      ignoreHTTPSErrors: true,
-      args: ['--no-sandbox', '--ignore-certificate-errors'],
-    });
+  /**
+   * Runs the validator, logging every problem. Returns the repaired schedule
+   * with its `problems` noted, or null if it was rejected.
+   */
+  checkSchedule(schedObj, label) {
+    const { valid, schedObj: repaired, problems } = validateSchedule(schedObj, { timezone: SCHEDULE_TIMEZONE });
+    const lines = formatProblems(problems);
+    if (lines.length > 0) {
+      log(`[Validate] ${label}: ${valid ? `${lines.length} problem(s) handled` : 'Schedule rejected'}:`);
+      lines.forEach(line => log(`[Validate]   ${line}`));
+    }
+    if (!valid) return null;
+    const { problems: _old, ...rest } = repaired;
+    return lines.length > 0 ? { ...rest, problems: lines } : rest;
+  }
 
+  /**
+   * Fetches from the sources, validates the result and records the attempt
+   * for the file's history. A rejected schedule resolves to null.
+   */
+  async fetchFromSources(dateStr) {
+    const attempt = { at: new Date().toISOString() };
     try {
-      const page = await browser.newPage();
-      await page.setViewport({ width: 1280, height: 1024 });
+      const result = await this.sources.fetch(dateStr);
+      attempt.ok = true;
+      attempt.source = result ? result.source : null;
+      if (!result) return null;
+
+      const checked = this.checkSchedule(result, `${dateStr} from ${result.source}`);
+      if (!checked) attempt.rejected = true;
+      return checked;
+    } catch (e) {
+      attempt.ok = false;
+      attempt.error = e.message;
+      throw e;
+    } finally {
+      const pending = this.pendingAttempts.get(dateStr) || [];
+      pending.push(attempt);
+      this.pendingAttempts.set(dateStr, pending);
+    }
+  }
 
-      // Attempt to go to specific date if URL param supported (unlikely but harmless to try?)
-      // Actually, let's just go to root.
-      await page.goto(SCHEDULE_PAGE, { waitUntil: 'networkidle0', timeout: 60000 });
-      await sleep(5000);
+  async fetchAndSave(targetDateStr) {
+    const result = await this.fetchFromSources(targetDateStr);
 
-      // Check current displayed date?
-      // Let's assume we need to scrape whatever is there, AND if we need next day, we click next.
+    // A schedule that is empty (or failed validation, or had every entry
+    // quarantined) is no better than a failed fetch: stand in for it the same
+    // way, so it is retried and its recordings are relabelled.
+    if (!result || result.schedule.length === 0) {
+      const reason = result ? `no valid entries from ${result.source}` : 'the schedule was empty or rejected';
+      return this.storeFallback(targetDateStr, new Error(reason), result);
+    }
 
-      // Helper to scrape current view
-      const scrapeCurrentView = async () => {
-        // Expand all
-        await page.evaluate(() => {
-          document.querySelectorAll('.material-icons').forEach(i => {
-            if (i.textContent.trim() === 'expand_more') i.click();
-          });
-        });
-        await sleep(1000);
-
-        return page.evaluate(() => {
-          const entries = Array.from(document.querySelectorAll('.sched-app-daily-entry'));
-          return entries.map(entry => {
-            const timeEl = entry.querySelector('.sched-app-daily-entry-time');
-            if (!timeEl) return null;
-            const timeText = timeEl.textContent.trim();
-
-            const imgEl = entry.querySelector('.sched-app-daily-entry-img');
-            const seriesImg = imgEl ? imgEl.src : '';
-            let programCode = '';
-            if (seriesImg) {
-              const m = seriesImg.match(/\/([^\/]+)\.(jpg|png|jpeg|gif)$/i);
-              if (m) programCode = m[1];
-            }
-
-            const titleEl = entry.querySelector('.sched-app-daily-entry-title');
-            const seriesTitle = titleEl ? titleEl.textContent.trim() : '';
-
-            const detailsSpan = entry.querySelector('.schedAppDailyEntryFull');
-            let programTitle = '';
-            if (detailsSpan) {
-              const html = detailsSpan.innerHTML;
-              const pm = html.match(/<strong>Program Title:<\/strong>\s*(.*?)(?=<div|<strong|$)/i);
-              if (pm) programTitle = pm[1].replace(/<\/?[^>]+(>|$)/g, '').trim();
-              const cm = html.match(/<strong>Program Code:<\/strong>\s*([^<\s][^<]*)/i);
-              if (cm) programCode = cm[1].trim();
-            }
-            if (!programTitle) programTitle = seriesTitle || 'Program';
-            return { series_title: seriesTitle, program_title: programTitle, program_code: programCode, timeText };
-          }).filter(Boolean);
-        });
-      };
-
-      // Navigation Logic
-      // Parse YYYY-MM-DD manually to avoid UTC shifts
-      const [y, m, d] = targetDateStr.split('-').map(Number);
-      const targetYear = y;
-      const targetMonth = m - 1; // 0-indexed
-      const targetDay = d;
-
-      log(`Targeting Date: ${targetDateStr} (D:${targetDay} M:${targetMonth} Y:${targetYear})`);
-
-      // 1. Check and Navigate Month
-      // We loop because we might need to go multiple months? (Unlikely but safe)
-      for (let tries = 0; tries < 5; tries++) {
-        const title = await page.evaluate(() => {
-          const el = document.querySelector('.c-title');
-          return el ? el.textContent.trim() : '';
-        });
+    const schedObj = {
+      date: targetDateStr,
+      source: result.source,
+      timezone: result.timezone,
+      schedule: result.schedule
+    };
+    if (result.problems) schedObj.problems = result.problems;
+    if (result.quarantine) schedObj.quarantine = result.quarantine;
+    await this.store(schedObj);
+    return schedObj;
+  }
 
-        if (!title) break; // Error finding title
+  /**
+   * Stores a provisional schedule after the fetch for `dateStr` failed (or
+   * brought no usable entries; `fetched` is what it brought, whose problems
+   * and quarantined entries are kept): the same weekday from last week if it
+   * is cached, otherwise hourly slots. The lookahead keeps retrying the
+   * sources and `resync` replaces it.
+   */
+  async storeFallback(dateStr, err, fetched = null) {
+    const lastWeekStr = addDays(dateStr, -7);
+    const previousWeek = this.cache.get(lastWeekStr) || await this.loadFromDisk(lastWeekStr);
+    const fallback = buildFallbackSchedule(dateStr, previousWeek, { timezone: SCHEDULE_TIMEZONE, reason: err.message });
+    if (fetched && fetched.problems) fallback.problems = fetched.problems;
+    if (fetched && fetched.quarantine) fallback.quarantine = fetched.quarantine;
+    const basis = fallback.basedOn ? `the schedule of ${fallback.basedOn}` : 'artificial hourly slots';
+    log(`Warning: Fetching ${dateStr} failed (${err.message}). Using ${basis} provisionally.`);
+
+    const stored = await this.store(fallback);
+    if (!this.queue.has(dateStr)) {
+      this.queue.set(dateStr, { failures: 1, nextAttemptAt: Date.now() + FETCH_RETRY_BASE_SECONDS * 1000 });
+      this.drainQueue();
+    }
+    return stored;
+  }
 
-        // Parse "February 2026"
-        const [mStr, yStr] = title.split(' ');
-        const monthMap = {
-          January: 0, February: 1, March: 2, April: 3, May: 4, June: 5,
-          July: 6, August: 7, September: 8, October: 9, November: 10, December: 11
-        };
-        const displayedMonth = monthMap[mStr];
-        const displayedYear = parseInt(yStr);
+  /**
+   * Stamps `fetchedAt`, the attempt history, the timezone and each entry's
+   * `startsAt` instant, writes the schedule file via
+   * temp + rename (the player may be reading it) and then swaps the in-memory
+   * copy, so both caches change together.
+   */
+  async store(schedObj) {
+    const previous = this.cache.get(schedObj.date);
+    const attempts = [
+      ...((previous && previous.attempts) || []),
+      ...(this.pendingAttempts.get(schedObj.date) || [])
+    ].slice(-MAX_ATTEMPT_HISTORY);
+    this.pendingAttempts.delete(schedObj.date);
+
+    const { schedule, ...meta } = withInstants(schedObj, SCHEDULE_TIMEZONE);
+    const stamped = { ...meta, fetchedAt: new Date().toISOString(), attempts, schedule };
+
+    await fsp.mkdir(SCHED_TMP_DIR, { recursive: true });
+    const fname = path.join(SCHED_TMP_DIR, `${schedObj.date}.json`);
+    const tmpName = `${fname}.${process.pid}.tmp`;
+    await fsp.writeFile(tmpName, JSON.stringify(stamped, null, 2));
+    await fsp.rename(tmpName, fname);
+    log('Saved schedule to', fname);
+    this.cache.set(schedObj.date, stamped);
+    return stamped;
+  }
 
-        log(`Calendar shows: ${mStr} ${yStr}`);
+  /**
+   * Re-fetches `dateStr` from the sources and replaces the cached copy,
+   * emitting 'change' with `{ date, diff }` if it differs. An empty result
+   * keeps the old entries but still counts as a fresh check. Throws if the
+   * fetch fails.
+   */
+  async resync(dateStr) {
+    if (this.fetchPromises.has(dateStr)) return null;
 
-        if (displayedYear === targetYear && displayedMonth === targetMonth) {
-          break; // Correct month
-        }
+    const current = this.cache.get(dateStr);
+    if (!current) {
+      await this.ensureSchedule(dateStr);
+      return null;
+    }
 
-        // Decide direction (Assuming always future for now, or next month)
-        // Simple logic: If target > displayed, click NEXT.
-        const displayedVal = displayedYear * 12 + displayedMonth;
-        const targetVal = targetYear * 12 + targetMonth;
-
-        if (targetVal > displayedVal) {
-          log('Navigating to Next Month...');
-          const clicked = await page.evaluate(() => {
-            // Click second arrow-layout (Next)
-            // Structure: arrow, title, arrow
-            const arrows = document.querySelectorAll('.c-arrow-layout');
-            if (arrows.length >= 2) {
-              arrows[arrows.length - 1].click(); // Last one should be next
-              return true;
-            }
-            return false;
-          });
-          if (!clicked) throw new Error('Could not find Next Month arrow');
-          await sleep(1000);
-        } else {
-          // Backward? Allow it just in case
-          log('Navigating to Previous Month...');
-          const clicked = await page.evaluate(() => {
-            const arrows = document.querySelectorAll('.c-arrow-layout');
-            if (arrows.length > 0) {
-              arrows[0].click();
-              return true;
-            }
-            return false;
-          });
-          if (!clicked) throw new Error('Could not find Prev Month arrow');
-          await sleep(1000);
-        }
+    const p = (async () => {
+      const result = await this.fetchFromSources(dateStr);
+      if (!result || result.schedule.length === 0) {
+        log(`[Resync] ${dateStr}: Sources returned nothing usable, keeping cached schedule.`);
+        await this.store(current);
+        return null;
       }
 
-      // 2. Click Day
-      log(`Clicking Day ${targetDay}...`);
-      const dayClicked = await page.evaluate((day) => {
-        // Find all .c-day-content with exact text
-        const els = Array.from(document.querySelectorAll('.c-day-content'));
-        const matches = els.filter(el => parseInt(el.textContent.trim()) === day);
-
-        // Filter parent opacity
-        // We want the one that does NOT have opacity style on .c-day (grandparent?)
-        // Structure: .c-day > .c-day-content-wrapper > .c-day-content
-        // Outer: .c-day
-
-        for (const el of matches) {
-          // Traverse up to .c-day
-          let p = el.parentElement;
-          while (p && !p.classList.contains('c-day')) {
-            p = p.parentElement;
-          }
+      // Compare what the recorder actually follows, corrections included.
+      const [before, after] = await Promise.all([this.corrections.apply(current), this.corrections.apply(result)]);
+      const diff = diffSchedules(before.schedule, after.schedule);
+      if (current.provisional) log(`[Resync] ${dateStr}: Replacing provisional ${current.source} schedule with one from ${result.source}.`);
+      await this.store(result);
+      if (current.provisional) this.emit('confirmed', { date: dateStr });
+      if (isEmptyDiff(diff)) return null;
 
-          if (p) {
-            const style = window.getComputedStyle(p);
-            // Check opacity. Usually "0.4" for inactive.
-            if (style.opacity && parseFloat(style.opacity) < 0.9) {
-              continue; // Skip faded
-            }
-            // This is our day
-            // Click the .c-day-content or wrapper?
-            el.click();
-            return true;
-          }
-        }
-        return false;
-      }, targetDay);
-
-      if (!dayClicked) {
-        log('Warning: Could not find clickable day, dumping current view.');
-      } else {
-        await sleep(2000); // Wait for load
-      }
+      log(`[Resync] ${dateStr}: Schedule changed:`);
+      formatScheduleDiff(diff).forEach(line => log(`[Resync]   ${line}`));
+      this.emit('change', { date: dateStr, diff });
+      return diff;
+    })().finally(() => this.fetchPromises.delete(dateStr));
 
-      const scrapedItems = await scrapeCurrentView();
-
-      const schedule = scrapedItems.map(item => ({
-        ...item,
-        secondsSinceMidnight: parseTimeToSeconds(item.timeText)
-      })).sort((a, b) => a.secondsSinceMidnight - b.secondsSinceMidnight);
-
-      // If the schedule is empty, we must generate an artificial one to avoid gaps.
-      if (schedule.length === 0) {
-        log(`Warning: Scraped schedule for ${targetDateStr} is empty. Generating artificial hourly slots.`);
-        for (let h = 0; h < 24; h++) {
-          const hourStr = String(h).padStart(2, '0');
-          const displayHour = h === 0 ? 12 : (h > 12 ? h - 12 : h);
-          const ampm = h < 12 ? 'AM' : 'PM';
-          const nameStr = String(h + 1).padStart(2, '0');
-          const timeText = `${String(displayHour).padStart(2, '0')}:00 ${ampm}`;
-
-          schedule.push({
-            series_title: `3ABN Hour ${nameStr}`,
-            program_title: `3ABN Hour ${nameStr}`,
-            program_code: `3ABN-H${hourStr}`,
-            timeText: timeText,
-            secondsSinceMidnight: h * 3600
-          });
-        }
-      }
+    this.fetchPromises.set(dateStr, p);
+    return p;
+  }
+}
 
-      const schedObj = { date: targetDateStr, schedule };
+const scheduler = new ScheduleManager(SCHEDULE_SOURCES, SCHEDULE_CORRECTIONS_FILE);
 
-      await fsp.mkdir(SCHED_TMP_DIR, { recursive: true });
-      const fname = path.join(SCHED_TMP_DIR, `${targetDateStr}.json`);
-      await fsp.writeFile(fname, JSON.stringify(schedObj, null, 2));
-      log('Saved schedule to', fname);
+// ======================== RECORDING ==========================
 
-      this.cache.set(targetDateStr, schedObj);
-      return schedObj;
+/**
+ * Starts recording the stream into `outFile`, with ICY metadata, segments and
+ * gaps going to `sidecarFile` (along with `info` about the program). Returns the running RecordingSession, which
+ * restarts the capture itself if the stream drops or stalls.
+ */
+const streamSources = new StreamSourcePool(STREAM_URLS);
+const catalog = new RecordingCatalog(RECORD_BASE);
+streamSources.on('failover', e => log(`[Stream] Failing over from ${e.from} to ${e.to} (${e.reason}).`));
+streamSources.on('restored', e => log(`[Stream] Primary ${e.url} is back; using it for new segments.`));
+streamSources.on('playlist-error', e => log(`[Stream] Could not resolve playlist ${e.url}: ${e.error.message}`));
+
+function startRecording(outFile, sidecarFile, info) {
+  log('Starting stream capture to', outFile);
+  const name = path.basename(outFile);
+  const session = new RecordingSession(streamSources, outFile, { sidecarFile, info, stallTimeoutMs: STALL_TIMEOUT_SECONDS * 1000 });
+  if (LIVE_DTMF) session.on('audio', a => liveDtmf.write(a.data, a.at, path.relative(RECORD_BASE, outFile), a.segment));
+  session.on('connected', info => log(`[Capture] ${name}: Connected to ${info.name || info.url} (${info.bitrate || '?'} kbps, metaint ${info.metaint || 'none'}).`));
+  session.on('metadata', m => log(`[Capture] ${name}: StreamTitle "${m.title}" at byte ${m.byteOffset} of segment ${m.segment}.`));
+  session.on('error', err => log(`[Capture] ${name}: Error: ${err.message}`));
+  session.on('restart', r => log(`[Capture] ${name}: Segment ${r.index} failed (${r.reason}). Starting a new segment in ${r.delayMs}ms.`));
+  return session.start();
+}
 
-    } finally {
-      await browser.close();
-    }
+/**
+ * Stops the session and stitches its segments into the temp file. Resolves
+ * to the session's result.
+ */
+async function stopRecording(session) {
+  if (session) {
+    const result = await session.stop();
+    const { bytes, segments, gaps, sources } = result;
+    log(`[Capture] ${path.basename(session.outFile)}: Stopped after ${bytes} bytes in ${segments.length} segment(s) from ${sources.join(', ') || 'no source'}.`);
+    gaps.forEach(g => log(`[Capture]   Gap of ${g.seconds}s at ${g.offsetSeconds}s (${g.reason}).`));
+    return result;
   }
+  return null;
 }
 
-const scheduler = new ScheduleManager();
 
-// ======================== RECORDING ==========================
+/**
+ * Finishes a recording once its slot is over (or it had to be cut short):
+ * stops the capture, moves the temp files into place, verifies it, records
+ * the metadata and catalogs it. Hour-end recordings are then checked for the
+ * calibration tone, and retention runs.
+ */
+async function finalizeRecording(toFinalize) {
+  const result = await stopRecording(toFinalize.session);
+  // Rename temp to final
+  let finalFile = toFinalize.outFile;
+  let verified;
+  try {
+    if (!fs.existsSync(toFinalize.tempFile)) {
+      // Nothing was captured: the sidecar only describes the failed attempts.
+      await fsp.unlink(toFinalize.tempSidecar).catch(() => {});
+      return;
+    }
+    // The slot may already have a recording, e.g. its start recovered after a
+    // restart in the middle of it (recording-recovery.js): keep both.
+    finalFile = freeRecordingPath(finalFile);
+    if (finalFile !== toFinalize.outFile) {
+      log(`[Atomic] ${path.basename(toFinalize.outFile)} already exists; keeping this recording as ${path.basename(finalFile)}.`);
+    }
+    fs.renameSync(toFinalize.tempFile, finalFile);
+    if (fs.existsSync(toFinalize.tempSidecar)) fs.renameSync(toFinalize.tempSidecar, icySidecarPath(finalFile));
+    log(`[Atomic] Finalized recording: ${path.basename(finalFile)}`);
+
+    // A short recording is kept as a partial unless there is too little of
+    // it to be useful.
+    verified = await verifyRecording(finalFile, {
+      expectedSeconds: toFinalize.scheduledDuration - toFinalize.startOffsetSeconds,
+      minSeconds: MIN_PARTIAL_SECONDS,
+      gaps: result ? result.gaps.length : null,
+      programCode: toFinalize.programCode,
+      log
+    });
+    if (verified.tooShort) {
+      log(`[Verification] Recording TOO SHORT (${verified.actualDuration.toFixed(1)}s < ${MIN_PARTIAL_SECONDS}s). Deleting.`);
+      try { await deleteRecording(finalFile); } catch (e) { /* ignore */ }
+      return; // Don't analyze or cleanup duplicates if we just deleted the file
+    }
 
-function startRecording(outFile) {
-  log('Starting mpv recording to', outFile);
-  const mpv = spawn('mpv', [
-    `--stream-dump=${outFile}`,
-    '--vo=null',
-    '--no-audio',
-    STREAM_URL,
-  ], {
-    stdio: ['ignore', 'ignore', 'ignore'],
-    detached: false,
+    // The start delay is how long after the slot's (offset) start the audio began.
+    const firstData = result && result.segments.find(seg => seg.firstDataAt);
+    const startDelaySeconds = firstData
+      ? Math.round((Date.parse(firstData.firstDataAt) + toFinalize.streamOffsetSeconds * 1000 - toFinalize.slotStartMs) / 100) / 10
+      : null;
+    finalFile = await recordVerification(finalFile, verified, {
+      info: { startDelaySeconds },
+      startOffsetSeconds: toFinalize.startOffsetSeconds,
+      reason: toFinalize.stopReason || 'short',
+      log
+    });
+    await catalog.add(finalFile).catch(e => log(`[Catalog] Could not add ${path.basename(finalFile)}: ${e.message}`));
+    // The real schedule may have come in while it was recording
+    if (toFinalize.provisional) relabelDay(toFinalize.date).catch(e => log('[Provisional] Relabel error:', e));
+  } catch (e) {
+    log(`[Atomic] Error finalizing ${finalFile}: ${e.message}`);
+    return;
+  }
+  // Only hour-end recordings with an intact end (a late start is fine, a
+  // short or unplayable recording isn't) can carry the calibration tone.
+  analyzeFinished(finalFile, {
+    date: toFinalize.date,
+    offsetUsed: toFinalize.streamOffsetSeconds,
+    endMs: toFinalize.slotEndMs,
+    hourEnd: toFinalize.endTime % 3600 === 0 && !verified.short && verified.playable
   });
-  return mpv;
+  // Any recording with its opening intact can be lined up with another airing.
+  if (ALIGNMENT_CALIBRATION && toFinalize.startOffsetSeconds === 0 && verified.playable) {
+    alignFrom(finalFile, toFinalize.date, toFinalize.programCode, toFinalize.streamOffsetSeconds);
+  }
+  // Apply retention now that there is a new airing (and less disk space)
+  runRetention(`finalized ${path.basename(finalFile)}`).catch(e => log('Retention error:', e));
 }
 
-async function stopRecording(child) {
-  if (child) {
-    return new Promise((resolve) => {
-      child.once('close', resolve);
-      child.kill('SIGINT'); // Graceful stop to finalize MP3
-      // Safety timeout
-      setTimeout(resolve, 5000);
-    });
+/**
+ * Adds a measurement of how far a recording of the `date` schedule was off
+ * to the calibration, and takes up the offset when that moves it. Resolves
+ * to whether it did.
+ */
+async function observeOffset(measurement, date) {
+  const { observation, estimate, changed, previous, offset } = await offsetCalibration.observe(measurement);
+  const flag = observation.outlier ? ' (outlier)' : observation.confidence === 'low' ? ' (low confidence, not used)' : '';
+  log(`[Calibration] ${observation.method}: drift ${observation.drift.toFixed(2)}s, implying an offset of ${observation.measured}s${flag}.`);
+  log(`[Calibration] Estimate ${estimate.offset}s from ${estimate.inliers.length} of ${estimate.inliers.length + estimate.outliers.length} recent observation(s) (${estimate.confidence} confidence, spread ${estimate.spread}s).`);
+  if (!changed) {
+    if (offsetCalibration.state.pinned) log(`[Calibration] Offset pinned at ${offset}s; not adjusting.`);
+    return false;
+  }
+  STREAM_OFFSET_SECONDS = offset;
+  log(`[Calibration] Adjusting offset: ${previous} -> ${offset}`);
+  // Cuts from the archive can be redone with the corrected offset.
+  if (archive && Math.abs(offset - previous) >= RECUT_MIN_DRIFT_SECONDS) {
+    log(`[Archive] Offset moved ${(offset - previous).toFixed(1)}s; re-cutting ${date}.`);
+    recutDay(date).catch(e => log('[Archive] Re-cut error:', e));
   }
+  return true;
 }
 
+const liveDtmf = new LiveDtmfDetector();
+liveDtmf.on('error', e => log(`[DTMF] Live detection unavailable (${e.message}); checking finished recordings instead.`));
 
-// ======================== CLEANUP ==========================
+// Hour ends (ms) whose #4 tone was heard live, so the recording that ends
+// there isn't searched for it again.
+const liveToneHours = new Set();
+
+/**
+ * Measures the offset from a #4 `cue` heard live: the tone goes out 20s
+ * before the hour, and that hour begins about STREAM_OFFSET_SECONDS after
+ * the audio reaches us. (Hours are whole hours in the schedule's zone too.)
+ * Resolves to whether the offset changed.
+ */
+async function calibrateFromCue(cue) {
+  if (cue.digit !== '#4') return false;
+  const offsetUsed = STREAM_OFFSET_SECONDS;
+  const hourMs = Math.round((cue.atMs + (20 + offsetUsed) * 1000) / 3600000) * 3600000;
+  const toneFromEnd = (hourMs - offsetUsed * 1000 - cue.atMs) / 1000;
+  const drift = toneFromEnd - 20;
+  if (Math.abs(drift) > 60) {
+    log(`[Calibration] Ignoring #4 heard at ${cue.at}: ${drift.toFixed(2)}s from where it belongs.`);
+    return false;
+  }
+  for (const h of liveToneHours) {
+    if (h < hourMs - 86400 * 1000) liveToneHours.delete(h);
+  }
+  liveToneHours.add(hourMs);
+  log(`[Calibration] Heard #4 live at ${cue.at}, ${toneFromEnd.toFixed(2)}s before the end of the hour (with offset ${offsetUsed}s).`);
+  return observeOffset({ method: 'tone', live: true, file: cue.file, toneFromEnd, drift, offsetUsed },
+    instantToZoned(hourMs - 1000, SCHEDULE_TIMEZONE).date);
+}
+
+/**
+ * Writes the cue sheet of a finished recording. Resolves to its hour-end
+ * tones, or null when it couldn't be decoded.
+ */
+async function writeCues(finalFile) {
+  const result = await analyzeFileForCues(finalFile, { patterns: CUE_PATTERNS });
+  if (!result.available) return null;
+  await writeCueSheet(finalFile, result, { patterns: CUE_PATTERNS });
+  const names = result.cues.map(c => c.name || `unknown ${c.digits}`);
+  log(`[Cues] ${path.basename(finalFile)}: ${names.length ? names.join(', ') : 'no cues'}.`);
+  return hourEndTones(result.cues);
+}
 
 /**
- * Removes older files with the same program code, keeping only the most recent one.
+ * Writes the cue sheet of a finished recording (of the slot on `date`
+ * ending at `endMs`, made with `offsetUsed`) and, for an `hourEnd` one,
+ * calibrates from its tone; one decode serves both.
  */
-async function cleanupProgramDuplicates(code, keepFile) {
-  if (!code || code === 'UNK') return;
-  log(`[Cleanup] Searching for duplicates of code: ${code}`);
-
-  const files = await recursiveList(RECORD_BASE);
-  for (const f of files) {
-    if (f !== keepFile && f.includes(`-${code}-`)) {
-      try {
-        await fsp.unlink(f);
-        log(`[Cleanup] Deleted duplicate: ${path.basename(f)}`);
-      } catch (e) {
-        log(`[Cleanup] Failed to delete ${f}: ${e.message}`);
+function analyzeFinished(finalFile, { date, offsetUsed, endMs, hourEnd }) {
+  const cues = CUE_SHEETS
+    ? writeCues(finalFile).catch((e) => {
+      log(`[Cues] ${path.basename(finalFile)}: ${e.message}`);
+      return null;
+    })
+    : Promise.resolve(null);
+  cues.then((tones) => {
+    if (hourEnd) calibrateFrom(finalFile, date, offsetUsed, endMs, tones);
+  });
+}
+
+/**
+ * Looks for the #4 tone at the end of an hour-end recording of the `date`
+ * schedule, made with offset `offsetUsed` for the slot ending at `endMs`,
+ * and adds it to the calibration (which moves STREAM_OFFSET_SECONDS once
+ * enough measurements agree). Skipped when the tone was heard live; `tones`
+ * are the file's hour-end tones when they are already known.
+ */
+function calibrateFrom(finalFile, date, offsetUsed, endMs, tones = null) {
+  if (liveToneHours.has(endMs)) return;
+  // The tone is in the last minute
+  const found = tones ? Promise.resolve(tones) : analyzeFileForDTMF(finalFile, 0, { tailSeconds: 60 });
+  found.then(async tones => {
+    if (tones && tones.length > 0) {
+      // Guardrails: Only count the LAST #4 tone, and only if it's in the last minute
+      const relevantTones = tones.filter(t => t.digit === '#4' && t.fromEnd < 60);
+      const tone = relevantTones[relevantTones.length - 1];
+
+      if (tone) {
+        const drift = tone.fromEnd - 20;
+
+        // Guardrail: Never adjust the offset by more than 60 seconds
+        if (Math.abs(drift) > 60) {
+          log(`[Calibration] Ignoring large drift: ${drift.toFixed(2)}s. No adjustment made.`);
+          return;
+        }
+
+        log(`[Calibration] Detected #4 at ${tone.fromEnd}s from end.`);
+        await observeOffset({ method: 'tone', file: path.relative(RECORD_BASE, finalFile), toneFromEnd: tone.fromEnd, drift, offsetUsed }, date);
       }
     }
-  }
-  await removeEmptyDirs(RECORD_BASE);
+  }).catch(e => log('Calibration Error:', e));
+}
+
+/**
+ * Lines up the opening of a complete recording of `programCode` (slot on
+ * `date`, made with offset `offsetUsed`) with the newest earlier airing and
+ * adds the result to the calibration. The earlier airing's boundary is
+ * taken to be where its own #4 tone put it, else where its offset put it.
+ */
+function alignFrom(finalFile, date, programCode, offsetUsed) {
+  (async () => {
+    const reference = await findRecording(RECORD_BASE, date, programCode, { exclude: [finalFile] });
+    if (!reference || reference.partial || typeof reference.info.streamOffsetSeconds !== 'number') return;
+    const alignment = await alignOpenings(reference.file, finalFile);
+    if (!alignment.available) return;
+    if (alignment.confidence === 'none') {
+      log(`[Calibration] ${path.basename(finalFile)} doesn't line up with ${path.relative(RECORD_BASE, reference.file)} (score ${alignment.score}).`);
+      return;
+    }
+    const referenceFile = path.relative(RECORD_BASE, reference.file);
+    const referenceOffset = offsetCalibration.toneMeasurement(referenceFile) ?? reference.info.streamOffsetSeconds;
+    log(`[Calibration] ${path.basename(finalFile)} lines up with ${referenceFile} at ${alignment.lagSeconds}s (score ${alignment.score}, margin ${alignment.margin}).`);
+    await observeOffset({
+      method: 'alignment',
+      file: path.relative(RECORD_BASE, finalFile),
+      reference: referenceFile,
+      lagSeconds: alignment.lagSeconds,
+      score: alignment.score,
+      confidence: alignment.confidence,
+      drift: referenceOffset - reference.info.streamOffsetSeconds - alignment.lagSeconds,
+      offsetUsed
+    }, date);
+  })().catch(e => log('Calibration Error:', e));
+}
+
+// ======================== CLEANUP ==========================
+
+/**
+ * Deletes a recording with its sidecar and drops it from the catalog.
+ */
+async function deleteRecording(file) {
+  await deleteRecordingFiles(file);
+  await catalog.remove(file);
+}
+
+const retentionPolicy = new RetentionPolicyFile(RETENTION_POLICY_FILE, {
+  onErrors: errors => errors.forEach(e => log(`[Retention] Ignoring ${e}`))
+});
+let retentionRun = Promise.resolve();
+
+/**
+ * Applies the retention policy to the catalog: logs the plan first, then
+ * carries it out unless the policy is a dry run. Runs are queued so two
+ * never overlap.
+ */
+function runRetention(why) {
+  retentionRun = retentionRun.catch(() => {}).then(async () => {
+    const policy = await retentionPolicy.load();
+    const protectedFiles = await playerWindowFiles(catalog, d => scheduler.peekSchedule(d), {
+      delaySeconds: PLAYER_DELAY_SECONDS,
+      timezone: SCHEDULE_TIMEZONE
+    });
+    const plan = planRetention(await catalog.list(), policy, {
+      protectedFiles,
+      freeBytes: await freeBytesAt(RECORD_BASE)
+    });
+    if (plan.remove.length === 0 && plan.warnings.length === 0) return;
+
+    log(`[Retention] Plan (${why}${policy.dryRun ? ', dry run' : ''}; ${protectedFiles.size} file(s) protected for the player):`);
+    formatRetentionPlan(plan).forEach(line => log(`[Retention]   ${line}`));
+    if (policy.dryRun) return;
+    await applyRetentionPlan(plan, catalog, { log });
+    await removeEmptyDirs(RECORD_BASE);
+  });
+  return retentionRun;
+}
+
+/**
+ * Frees about `bytesNeeded` on the recordings disk ahead of the policy (see
+ * planEmergencyPrune), queued with the retention runs. A dry-run policy only
+ * logs what it would remove. Resolves to the bytes freed.
+ */
+function emergencyPrune(bytesNeeded) {
+  retentionRun = retentionRun.catch(() => {}).then(async () => {
+    const policy = await retentionPolicy.load();
+    const protectedFiles = await playerWindowFiles(catalog, d => scheduler.peekSchedule(d), {
+      delaySeconds: PLAYER_DELAY_SECONDS,
+      timezone: SCHEDULE_TIMEZONE
+    });
+    const plan = planEmergencyPrune(await catalog.list(), policy, { protectedFiles, bytesNeeded });
+    log(`[Disk] Emergency pruning to free ${Math.ceil(bytesNeeded / 1024 ** 2)} MB (${policy.dryRun ? 'dry run; ' : ''}${protectedFiles.size} file(s) protected for the player):`);
+    formatRetentionPlan(plan).forEach(line => log(`[Disk]   ${line}`));
+    if (policy.dryRun || plan.remove.length === 0) return 0;
+    await applyRetentionPlan(plan, catalog, { log });
+    await removeEmptyDirs(RECORD_BASE);
+    return plan.freedBytes;
+  });
+  return retentionRun;
 }
 
 /**
- * Daily cleanup: Remove files > 1 year old and all empty directories.
+ * Relabels what was recorded under a provisional schedule for `date` (see
+ * provisional-recordings.js), once the real one is in. Queued with the
+ * retention runs, so nothing is pruned while it is renamed.
+ */
+function relabelDay(date) {
+  retentionRun = retentionRun.catch(() => {}).then(async () => {
+    const slots = (await timelineAround(date)).filter(s => s.date === date);
+    if (slots.length === 0 || slots.some(s => s.provisional)) return;
+    const { relabelled, superseded } = await relabelProvisional(catalog, date, slots, { log });
+    if (relabelled || superseded) log(`[Provisional] ${date}: ${relabelled} recording(s) relabelled, ${superseded} superseded.`);
+  });
+  return retentionRun;
+}
+
+scheduler.on('confirmed', ({ date }) => {
+  relabelDay(date).catch(e => log('[Provisional] Relabel error:', e));
+});
+
+const diskGuard = new DiskGuard(RECORD_BASE, { minFreeBytes: MIN_FREE_DISK_MB * 1024 ** 2, prune: emergencyPrune });
+diskGuard.on('state', ({ state, previous, freeBytes, requiredBytes }) => {
+  const mb = n => `${Math.round(n / 1024 ** 2)} MB`;
+  if (state === 'full') log(`[Disk] ERROR: Recordings disk is full (${mb(freeBytes)} free, floor ${MIN_FREE_DISK_MB} MB). Not recording until space is freed.`);
+  else if (state === 'low') log(`[Disk] WARNING: Low on space (${mb(freeBytes)} free, ${mb(requiredBytes)} wanted); the current slot may not fit.`);
+  else log(`[Disk] Space OK again (${mb(freeBytes)} free; was ${previous}).`);
+});
+
+/**
+ * Daily cleanup: Apply the retention policy and remove old schedule files.
  */
 async function dailyLegacyCleanup() {
   log('[Cleanup] Starting legacy 3AM purge...');
   const now = Date.now();
-  const oneYearAgo = now - 365 * 24 * 3600 * 1000;
   const thirtyDaysAgo = now - 30 * 24 * 3600 * 1000;
 
-  // Cleanup recordings (> 1yr)
-  const files = await recursiveList(RECORD_BASE);
-  for (const f of files) {
-    try {
-      const stats = await fsp.stat(f);
-      if (stats.mtimeMs < oneYearAgo) {
-        await fsp.unlink(f);
-        log(`[Cleanup] Deleted legacy file (>1yr): ${path.basename(f)}`);
-      }
-    } catch (e) {
-      log(`[Cleanup] Error checking ${f}: ${e.message}`);
+  await runRetention('daily');
+
+  // Archive days past ARCHIVE_KEEP_DAYS (kept even after leaving archive mode)
+  try {
+    for (const day of await pruneArchive(ARCHIVE_DIR, ARCHIVE_KEEP_DAYS)) {
+      log(`[Cleanup] Deleted archive day ${day}`);
     }
+  } catch (e) {
+    log(`[Cleanup] Error pruning the archive: ${e.message}`);
   }
-  await removeEmptyDirs(RECORD_BASE);
 
   // Cleanup schedule cache (> 30 days)
   try {
@@ -479,22 +908,6 @@ async function dailyLegacyCleanup() {
   log('[Cleanup] Legacy purge complete.');
 }
 
-async function recursiveList(dir) {
-  let results = [];
-  try {
-    const list = await fsp.readdir(dir, { withFileTypes: true });
-    for (const entry of list) {
-      const res = path.resolve(dir, entry.name);
-      if (entry.isDirectory()) {
-        results = results.concat(await recursiveList(res));
-      } else {
-        results.push(res);
-      }
-    }
-  } catch (e) { /* ignore */ }
-  return results;
-}
-
 async function removeEmptyDirs(dir) {
   try {
     const list = await fsp.readdir(dir, { withFileTypes: true });
@@ -514,55 +927,284 @@ async function removeEmptyDirs(dir) {
   } catch (e) { /* ignore */ }
 }
 
+// ======================== ARCHIVE ==========================
+
+// The continuous capture in archive mode (null in slot mode).
+let archive = null;
+
+// Slots already cut (or found missing from the archive), by recording path,
+// with the end of their audio so old ones can be forgotten.
+const archiveCutSlots = new Map();
+
+let archiveWork = Promise.resolve();
+
+/**
+ * Runs `fn` once the archive work queued before it is done, so cuts never
+ * overlap.
+ */
+function queueArchiveWork(fn) {
+  archiveWork = archiveWork.catch(() => {}).then(fn);
+  return archiveWork;
+}
+
+function startArchive() {
+  archive = new StreamArchive(streamSources, ARCHIVE_DIR, {
+    chunkSeconds: ARCHIVE_CHUNK_SECONDS,
+    sessionOptions: { stallTimeoutMs: STALL_TIMEOUT_SECONDS * 1000 }
+  });
+  archive.on('connected', info => log(`[Archive] ${info.chunk}: Connected to ${info.name || info.url} (${info.bitrate || '?'} kbps).`));
+  archive.on('restart', r => log(`[Archive] ${r.chunk}: Segment ${r.index} failed (${r.reason}). Starting a new segment in ${r.delayMs}ms.`));
+  archive.on('error', err => log(`[Archive] Error: ${err.message}`));
+  if (LIVE_DTMF) archive.on('audio', a => liveDtmf.write(a.data, a.at, a.chunk, a.segment));
+  archive.on('chunk', c => log(`[Archive] Finished chunk ${path.relative(ARCHIVE_DIR, c.file)} (${c.bytes} bytes${c.gaps.length ? `, ${c.gaps.length} gap(s)` : ''}).`));
+  return archive.start();
+}
+
+// The cached timeline around `dateStr`'s schedule.
+async function timelineAround(dateStr) {
+  const days = await Promise.all([-1, 0, 1].map(d => scheduler.peekSchedule(addDays(dateStr, d))));
+  return buildTimeline(days, SCHEDULE_TIMEZONE);
+}
+
+/**
+ * Cuts `slot` from the archive with the current offset (see
+ * cutSlotRecording), writes the cut's cue sheet and, when `calibrate`,
+ * checks an hour-end cut for the calibration tone.
+ */
+async function cutFromArchive(slot, { replace, calibrate }) {
+  const offsetSeconds = STREAM_OFFSET_SECONDS;
+  const result = await cutSlotRecording(slot, {
+    archiveDir: ARCHIVE_DIR,
+    recordBase: RECORD_BASE,
+    offsetSeconds,
+    catalog,
+    replace,
+    minSeconds: MIN_PARTIAL_SECONDS,
+    log
+  });
+  if (result.action === 'missing') log(`[Archive] No audio in the archive for ${slot.program_code} (${slot.date} ${slot.timeText}).`);
+  if (result.action === 'cut') {
+    analyzeFinished(result.file, {
+      date: slot.date,
+      offsetUsed: offsetSeconds,
+      endMs: slot.end,
+      hourEnd: calibrate && slot.endTime % 3600 === 0 && !result.verified.short && result.verified.playable
+    });
+  }
+  if (calibrate && ALIGNMENT_CALIBRATION && result.action === 'cut' && result.startOffsetSeconds === 0 && result.verified.playable) {
+    alignFrom(result.file, slot.date, slot.program_code, offsetSeconds);
+  }
+  return result;
+}
+
+/**
+ * Cuts the slots whose audio the archive now holds in full: those that
+ * ended since the last check and, after a restart, any from the past day
+ * that have no recording yet.
+ */
+function cutFinishedSlots() {
+  return queueArchiveWork(async () => {
+    const until = archive.completeUntil;
+    if (!until) return;
+    const offsetMs = STREAM_OFFSET_SECONDS * 1000;
+    for (const [file, end] of archiveCutSlots) {
+      if (end < until - 2 * 86400 * 1000) archiveCutSlots.delete(file);
+    }
+    let cut = 0;
+    for (const slot of await timelineAround(instantToZoned(until + offsetMs, SCHEDULE_TIMEZONE).date)) {
+      const audioEnd = slot.end - offsetMs;
+      const { file } = slotRecordingPaths(RECORD_BASE, slot);
+      if (audioEnd > until || audioEnd < until - 86400 * 1000 || archiveCutSlots.has(file)) continue;
+      archiveCutSlots.set(file, audioEnd);
+      if ((await cutFromArchive(slot, { replace: 'none', calibrate: true })).action === 'cut') cut++;
+    }
+    if (cut > 0) runRetention(`cut ${cut} recording(s) from the archive`).catch(e => log('Retention error:', e));
+  });
+}
+
+/**
+ * Cuts the finished programs of the `date` schedule again with the current
+ * offset, replacing the earlier cuts. Recordings captured per slot are kept.
+ */
+function recutDay(date) {
+  return queueArchiveWork(async () => {
+    const offsetMs = STREAM_OFFSET_SECONDS * 1000;
+    const slots = (await timelineAround(date)).filter(s => s.date === date && s.end - offsetMs <= (archive.completeUntil || 0));
+    const counts = {};
+    for (const slot of slots) {
+      const { action } = await cutFromArchive(slot, { replace: 'archive', calibrate: false });
+      counts[action] = (counts[action] || 0) + 1;
+    }
+    log(`[Archive] Re-cut ${date}: ${Object.entries(counts).map(([action, n]) => `${n} ${action}`).join(', ') || 'no finished slots'}.`);
+    await runRetention(`re-cut ${date}`);
+  });
+}
+
 // ======================== MAIN LOOP ==========================
 
 async function runLoop() {
   log('Starting 3ABN Recorder Service...');
 
-  let currentRecording = null; // { signature, process, outFile, endTime }
+  let currentRecording = null; // { signature, session, outFile, endTime }
   let lastCleanupDay = '';
 
   // Load persistent offset
   await loadOffset();
 
-  // Initial fetch of Today and background fetch of Tomorrow
+  // Recordings a previous run left unfinished
+  const recovered = await recoverOrphans(RECORD_BASE, {
+    log,
+    minSeconds: MIN_PARTIAL_SECONDS,
+    getDuration: getFileDuration,
+    checkDecode: checkDecodeIntegrity
+  });
+
+  // The catalog is rebuilt from disk the first time (or if it got damaged)
+  if (await catalog.load()) {
+    for (const r of recovered) {
+      if (r.action === 'finalized' || r.action === 'completed') await catalog.add(r.file);
+    }
+  } else {
+    log(`[Catalog] No usable ${catalog.file}; rebuilding from disk...`);
+    log(`[Catalog] Indexed ${await catalog.rebuild()} recordings.`);
+  }
+
+  // Initial fetch of Today (provisional if the sources are down) and background fetch of the lookahead
   const nowStart = new Date();
-  const todayStrStart = formatDate(nowStart);
+  const todayStrStart = instantToZoned(nowStart.getTime() + STREAM_OFFSET_SECONDS * 1000, SCHEDULE_TIMEZONE).date;
   await scheduler.getSchedule(todayStrStart);
 
-  const tmrStart = new Date(nowStart);
-  tmrStart.setDate(tmrStart.getDate() + 1);
-  scheduler.ensureInBackground(formatDate(tmrStart));
+  scheduler.maintainLookahead(todayStrStart);
+
+  // In archive mode the stream is captured all the time; chunks a previous
+  // run left unfinished are finished first so their audio can be cut.
+  if (CAPTURE_MODE === 'archive') {
+    for (const c of await recoverArchive(ARCHIVE_DIR)) {
+      log(`[Archive] Recovered unfinished chunk ${path.relative(ARCHIVE_DIR, c.file)} (${c.bytes} bytes).`);
+    }
+    startArchive();
+  }
+
+  // While on a backup stream, keep checking whether the primary is back.
+  setInterval(() => {
+    if (streamSources.primaryActive()) return;
+    streamSources.probePrimary().catch(e => log('[Stream] Probe error:', e.message));
+  }, PRIMARY_PROBE_INTERVAL_SECONDS * 1000);
+
+  // Re-syncs run on their own clock rather than between slots, so a change
+  // to the slot being recorded is seen while it is being recorded.
+  setInterval(() => {
+    const todayStr = instantToZoned(Date.now() + STREAM_OFFSET_SECONDS * 1000, SCHEDULE_TIMEZONE).date;
+    scheduler.maintainLookahead(todayStr).catch(e => log('Lookahead error:', e));
+  }, 60 * 1000);
+
+  // The in-slot sleep below is cut short when a re-sync touches the slot being
+  // recorded, so the loop can move the boundary to the new schedule.
+  let wakeRecordingSleep = null;
+  const recordingSleep = (ms) => new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      wakeRecordingSleep = null;
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    wakeRecordingSleep = done;
+  });
+
+  // Stops the current recording before its slot ends, keeping what it has.
+  const cutShort = (reason) => {
+    currentRecording.stopReason = reason;
+    finalizeRecording(currentRecording).catch(e => log('[Atomic] Finalize error:', e));
+    currentRecording = null;
+  };
+
+  // While recording, keep checking that the rest of the slot fits on the disk;
+  // when it's full, wake the loop so it stops writing.
+  setInterval(() => {
+    if (!currentRecording) return;
+    const secondsLeft = Math.max(0, (currentRecording.slotEndMs - Date.now()) / 1000 - STREAM_OFFSET_SECONDS);
+    diskGuard.check(secondsLeft * RECORDING_BYTES_PER_SECOND).then(({ state }) => {
+      if (state === 'full' && wakeRecordingSleep) wakeRecordingSleep();
+    }).catch(e => log('[Disk] Check error:', e.message));
+  }, DISK_CHECK_INTERVAL_SECONDS * 1000);
+
+  // Runs the daily cleanup at 3 AM.
+  const housekeeping = (effectiveMs) => {
+    const effectiveTime = new Date(effectiveMs);
+    const currentDay = formatDate(effectiveTime);
+    if (effectiveTime.getHours() === 3 && currentDay !== lastCleanupDay) {
+      lastCleanupDay = currentDay;
+      dailyLegacyCleanup().catch(e => log('Legacy cleanup error:', e));
+    }
+  };
+
+  // A tone heard live can move the offset before the slot ends; the sleep
+  // is cut short so the loop works out the boundary again.
+  liveDtmf.on('cue', (cue) => {
+    calibrateFromCue(cue).then((changed) => {
+      if (changed && wakeRecordingSleep) wakeRecordingSleep();
+    }).catch(e => log('Calibration Error:', e));
+  });
+
+  scheduler.on('change', ({ date, diff }) => {
+    if (!currentRecording || !wakeRecordingSleep) return;
+    // The recording may run past midnight into the next day's schedule.
+    let affected = false;
+    if (date === currentRecording.date) {
+      affected = diffAffectsWindow(diff, currentRecording.slotStart, currentRecording.endTime + 1);
+    } else if (date === addDays(currentRecording.date, 1) && currentRecording.endTime >= 86400) {
+      affected = diffAffectsWindow(diff, 0, currentRecording.endTime - 86400 + 1);
+    }
+    if (affected) {
+      log(`[Resync] Change affects current recording ${currentRecording.programCode}. Re-evaluating slot boundaries.`);
+      wakeRecordingSleep();
+    }
+  });
 
   while (true) {
     try {
+      // A pin or revert from the CLI applies from the next slot on
+      await loadOffset();
       const now = new Date();
-      // Use effective time (shifted by STREAM_OFFSET_SECONDS) for all scheduling logic
-      const effectiveTime = new Date(now.getTime() + STREAM_OFFSET_SECONDS * 1000);
-      const todayStr = formatDate(effectiveTime);
+      // Use effective time (shifted by STREAM_OFFSET_SECONDS) for all scheduling logic.
+      // Slots are absolute instants, so DST days and the host's own zone don't matter.
+      const effectiveMs = now.getTime() + STREAM_OFFSET_SECONDS * 1000;
+      const todayStr = instantToZoned(effectiveMs, SCHEDULE_TIMEZONE).date;
 
       // Get Today's schedule (fast from cache usually)
       const schedObj = await scheduler.getSchedule(todayStr); // should be cached
 
-      const nowSeconds = effectiveTime.getHours() * 3600 + effectiveTime.getMinutes() * 60 + effectiveTime.getSeconds();
-
-      // Find active slot
-      let activeItem = null;
-      for (let i = 0; i < schedObj.schedule.length; i++) {
-        const item = schedObj.schedule[i];
-        const next = schedObj.schedule[i + 1];
-        // End is next start or 86400 (midnight)
-        // Note: If schedule has gaps, this assumes continuous.
-        // Most radio schedules are.
-        const start = item.secondsSinceMidnight;
-        const end = next ? next.secondsSinceMidnight : 86400;
-
-        if (nowSeconds >= start && nowSeconds < end) {
-          activeItem = { ...item, endTime: end };
-          break;
+      // Archive mode: keep the capture running while there is disk space
+      // for another chunk, and cut the programs it has finished.
+      if (archive) {
+        const disk = await diskGuard.check(ARCHIVE_CHUNK_SECONDS * RECORDING_BYTES_PER_SECOND);
+        if (disk.state === 'full' && archive.running) {
+          log('[Disk] Pausing the archive until space is freed.');
+          await archive.stop();
+        } else if (disk.state !== 'full' && !archive.running) {
+          log('[Disk] Resuming the archive.');
+          archive.start();
         }
+        await cutFinishedSlots();
+        housekeeping(effectiveMs);
+        await sleep(ARCHIVE_POLL_SECONDS * 1000);
+        continue;
       }
 
+      // Neighbouring days, if we have them, make the timeline continuous:
+      // yesterday's last program covers any gap before today's first entry,
+      // and a program running past midnight stays one slot.
+      const [prevSched, nextSched] = await Promise.all([
+        scheduler.peekSchedule(addDays(todayStr, -1)),
+        scheduler.peekSchedule(addDays(todayStr, 1))
+      ]);
+
+      // Find active slot
+      // Note: If schedule has gaps, this assumes continuous.
+      // Most radio schedules are.
+      const timeline = buildTimeline([prevSched, schedObj, nextSched], SCHEDULE_TIMEZONE);
+      const activeItem = findSlotAt(timeline, effectiveMs);
+
       if (!activeItem) {
         // Could be 23:59:59 -> just wait
         log('No active slot found. Waiting...');
@@ -571,19 +1213,82 @@ async function runLoop() {
       }
 
       // Check if we need to start/switch
-      const signature = `${todayStr}/${activeItem.program_code}-${activeItem.timeText}`;
+      // Slots are keyed by the day they start on, which is yesterday for a
+      // program still running after midnight.
+      const slotDate = activeItem.date;
+      const signature = `${slotDate}/${activeItem.program_code}-${activeItem.timeText}`;
 
       // CONFIG values
       const GRACE_PERIOD_SECONDS = 5;
       const STARTUP_OVERHEAD_SECONDS = 2; // Configurable factor
 
+      // A re-sync may have moved the start of the slot being recorded: the
+      // same program is on, and the slot it was started for is gone.
+      const retimed = currentRecording && currentRecording.date === slotDate &&
+        currentRecording.programCode === activeItem.program_code &&
+        currentRecording.slotStart !== activeItem.secondsSinceMidnight &&
+        !timeline.some(s => s.date === currentRecording.date && s.secondsSinceMidnight === currentRecording.slotStart);
+
+      // A re-sync may have recoded the slot being recorded or moved its start
+      // or end. Keep recording and update its name and boundaries instead of
+      // starting over.
+      const provisional = Boolean(activeItem.provisional);
+      if (currentRecording && currentRecording.date === slotDate &&
+        (currentRecording.slotStart === activeItem.secondsSinceMidnight || retimed) &&
+        (currentRecording.signature !== signature || currentRecording.endTime !== activeItem.endTime ||
+          currentRecording.provisional !== provisional)) {
+        const newDuration = Math.round((activeItem.end - activeItem.start) / 1000);
+        const hour = String(Math.floor(activeItem.secondsSinceMidnight / 3600)).padStart(2, '0');
+        log(`[Resync] Current slot now ${activeItem.program_code} at ${activeItem.secondsSinceMidnight}s-${activeItem.endTime}s (was ${currentRecording.programCode} at ${currentRecording.slotStart}s-${currentRecording.endTime}s).`);
+        if (retimed) {
+          // Where the audio began, now measured from the new start. Starting
+          // earlier than the recording means its beginning is missing.
+          const audioStartMs = currentRecording.slotStartMs + currentRecording.startOffsetSeconds * 1000;
+          const startOffsetSeconds = Math.max(0, Math.round((audioStartMs - activeItem.start) / 1000));
+          if (audioStartMs < activeItem.start) {
+            log(`[Resync] Recording includes ${Math.round((activeItem.start - audioStartMs) / 1000)}s from before the program's new start.`);
+          }
+          currentRecording.partial = startOffsetSeconds > GRACE_PERIOD_SECONDS;
+          currentRecording.startOffsetSeconds = currentRecording.partial ? startOffsetSeconds : 0;
+          currentRecording.slotStart = activeItem.secondsSinceMidnight;
+          currentRecording.slotStartMs = activeItem.start;
+          Object.assign(currentRecording.session.info, {
+            slotStart: activeItem.secondsSinceMidnight,
+            partial: currentRecording.partial,
+            startOffsetSeconds: currentRecording.startOffsetSeconds
+          });
+        }
+        currentRecording.signature = signature;
+        currentRecording.provisional = provisional;
+        currentRecording.programCode = activeItem.program_code;
+        currentRecording.endTime = activeItem.endTime;
+        currentRecording.slotEndMs = activeItem.end;
+        currentRecording.scheduledDuration = newDuration;
+        currentRecording.outFile = path.join(path.dirname(currentRecording.outFile),
+          recordingFileName(hour, activeItem.program_code, newDuration, { partial: currentRecording.partial }));
+        Object.assign(currentRecording.session.info, {
+          programCode: activeItem.program_code,
+          programTitle: activeItem.program_title,
+          seriesTitle: activeItem.series_title,
+          timeText: activeItem.timeText,
+          scheduledDuration: newDuration,
+          provisional,
+          basedOn: provisional ? activeItem.basedOn : null
+        });
+      }
+
+      if (currentRecording && diskGuard.state === 'full') {
+        log(`[Disk] Stopping ${currentRecording.programCode} early; keeping what was recorded as a partial.`);
+        cutShort('disk-full');
+      }
+
       if (!currentRecording || currentRecording.signature !== signature) {
 
         // Calculate timing relative to slot start
-        // activeItem.secondsSinceMidnight is the ideal start time.
-        // nowSeconds is current time.
+        // activeItem.start is the ideal start instant.
+        // effectiveMs is current time.
 
-        const secondsPastStart = nowSeconds - activeItem.secondsSinceMidnight;
+        const secondsPastStart = Math.floor((effectiveMs - activeItem.start) / 1000);
 
         if (secondsPastStart < 0) {
           // EARLY: We are ahead of schedule (e.g. previous ended early or just booted)
@@ -595,25 +1300,29 @@ async function runLoop() {
           // Better to fall through and let loop re-evaluate? 
           // If we continue, loop re-evals. 
           // But we want to start NOW. 
-          // Let's just update nowSeconds and proceed? 
+          // Let's just update effectiveMs and proceed? 
           // Actually, safer to Continue and let loop catch it at 0s offset.
           continue;
         }
 
-        if (secondsPastStart > GRACE_PERIOD_SECONDS) {
-          // TOO LATE
-          const remaining = activeItem.endTime - nowSeconds;
-          log(`Too late to start ${activeItem.program_code} (${secondsPastStart}s > ${GRACE_PERIOD_SECONDS}s grace). Skipping.`);
-          log(`Sleeping ${remaining}s until next slot.`);
-
-          if (remaining > 0) await sleep(remaining * 1000);
-          continue;
+        // LATE (e.g. after a restart): record what is left as a partial
+        // recording, unless too little remains to be worth keeping.
+        const partial = secondsPastStart > GRACE_PERIOD_SECONDS;
+        if (partial) {
+          const remaining = Math.ceil((activeItem.end - effectiveMs) / 1000);
+          if (remaining < MIN_PARTIAL_SECONDS) {
+            log(`Too late to start ${activeItem.program_code} (${remaining}s left < ${MIN_PARTIAL_SECONDS}s). Skipping.`);
+            log(`Sleeping ${remaining}s until next slot.`);
+            if (remaining > 0) await sleep(remaining * 1000);
+            continue;
+          }
+          log(`Late for ${activeItem.program_code} by ${secondsPastStart}s (> ${GRACE_PERIOD_SECONDS}s grace). Recording the remaining ${remaining}s as a partial.`);
         }
 
-        // ON TIME / GRACE (0 <= secondsPastStart <= 5)
+        // ON TIME / GRACE (0 <= secondsPastStart <= 5), or a partial
         // Adjust duration
         // We want to stop exactly at endTime.
-        // Total Time = endTime - nowSeconds.
+        // Total Time = end - effectiveMs.
         // Startup Overhead? 
         // If mpv takes 2s to start, we should stop 2s early? No.
         // We want to record content.
@@ -622,8 +1331,9 @@ async function runLoop() {
         // Filename should reflect *content* duration? Or *slot* duration?
         // User said: "subtract the seconds past slot start from the recording time so we don't record past the end".
 
-        const idealDuration = activeItem.endTime - activeItem.secondsSinceMidnight;
-        const remainingDuration = activeItem.endTime - nowSeconds;
+        // Real seconds between the slot's instants (differs from wall clock across DST changes)
+        const idealDuration = Math.round((activeItem.end - activeItem.start) / 1000);
+        const remainingDuration = Math.ceil((activeItem.end - effectiveMs) / 1000);
 
         // Apply startup overhead correction?
         // "Include a configurable 1-2 second factor for the time it takes to start mpv."
@@ -636,91 +1346,70 @@ async function runLoop() {
         let adjustDuration = remainingDuration - STARTUP_OVERHEAD_SECONDS;
         if (adjustDuration < 0) adjustDuration = 0;
 
+        // Make room for the slot (pruning if needed) rather than record into a
+        // full disk. Until there is room, check again every interval; what is
+        // left of the slot then is recorded as a partial.
+        const disk = await diskGuard.check(remainingDuration * RECORDING_BYTES_PER_SECOND);
+        if (disk.state === 'full') {
+          if (currentRecording) cutShort('disk-full');
+          log(`[Disk] Not starting ${activeItem.program_code}: the recordings disk is full. Checking again in ${DISK_CHECK_INTERVAL_SECONDS}s.`);
+          await sleep(DISK_CHECK_INTERVAL_SECONDS * 1000);
+          continue;
+        }
+
         log(`Starting ${activeItem.program_code} (Delay: ${secondsPastStart}s). Duration adjusted: ${adjustDuration}s (Ideal: ${idealDuration}s)`);
 
         // Make directory
-        const dParts = todayStr.split('-');
+        const dParts = slotDate.split('-');
         const recDir = path.join(RECORD_BASE, dParts[0], dParts[1], dParts[2]);
         await fsp.mkdir(recDir, { recursive: true });
 
         // Filename: using ideal slot duration for consistency in naming
         const hour = String(Math.floor(activeItem.secondsSinceMidnight / 3600)).padStart(2, '0');
-        const outFile = path.join(recDir, `${hour}-${activeItem.program_code || 'UNK'}-${idealDuration}.mp3`);
+        const outFile = path.join(recDir, recordingFileName(hour, activeItem.program_code, idealDuration, { partial }));
         const tempFile = outFile + '.tmp';
+        const tempSidecar = icySidecarPath(outFile) + '.tmp';
+        const startOffsetSeconds = partial ? secondsPastStart : 0;
 
         // Start
-        const p = startRecording(tempFile);
+        const p = startRecording(tempFile, tempSidecar, {
+          date: slotDate,
+          slotStart: activeItem.secondsSinceMidnight,
+          timeText: activeItem.timeText,
+          programCode: activeItem.program_code,
+          programTitle: activeItem.program_title,
+          seriesTitle: activeItem.series_title,
+          scheduledDuration: idealDuration,
+          streamOffsetSeconds: STREAM_OFFSET_SECONDS,
+          partial,
+          startOffsetSeconds,
+          // Labelled from a stand-in schedule; see provisional-recordings.js
+          ...(provisional ? { provisional, basedOn: activeItem.basedOn } : {})
+        });
 
         // Overlap Handoff
         await sleep(2000); // 2s overlap?
         if (currentRecording) {
-          const toFinalize = currentRecording;
-          stopRecording(toFinalize.process).then(async () => {
-            // Rename temp to final
-            try {
-              if (fs.existsSync(toFinalize.tempFile)) {
-                fs.renameSync(toFinalize.tempFile, toFinalize.outFile);
-                log(`[Atomic] Finalized recording: ${path.basename(toFinalize.outFile)}`);
-
-                // Verify duration
-                const actualDuration = await getFileDuration(toFinalize.outFile);
-                const minAllowed = toFinalize.scheduledDuration - 5;
-                if (actualDuration < minAllowed) {
-                  log(`[Verification] Recording TOO SHORT (${actualDuration.toFixed(1)}s < ${minAllowed}s). Deleting.`);
-                  try { await fsp.unlink(toFinalize.outFile); } catch (e) { /* ignore */ }
-                  return; // Don't analyze or cleanup duplicates if we just deleted the file
-                }
-                log(`[Verification] Recording duration OK (${actualDuration.toFixed(1)}s / ${toFinalize.scheduledDuration}s).`);
-              }
-            } catch (e) {
-              log(`[Atomic] Error finalizing ${toFinalize.outFile}: ${e.message}`);
-              return;
-            }
-            // Async analysis of the file we just finished
-            // Only analyze if it finishes at the end of the hour
-            if (toFinalize.endTime % 3600 === 0) {
-              analyzeFileForDTMF(toFinalize.outFile, 60000).then(tones => {
-                if (tones && tones.length > 0) {
-                  // Guardrails: Only count the LAST #4 tone, and only if it's in the last minute
-                  const relevantTones = tones.filter(t => t.digit === '#4' && t.fromEnd < 60);
-                  const tone = relevantTones[relevantTones.length - 1];
-
-                  if (tone) {
-                    const drift = tone.fromEnd - 20;
-
-                    // Guardrail: Never adjust the offset by more than 60 seconds
-                    if (Math.abs(drift) > 60) {
-                      log(`[Calibration] Ignoring large drift: ${drift.toFixed(2)}s. No adjustment made.`);
-                      return;
-                    }
-
-                    let newOffset = STREAM_OFFSET_SECONDS + drift;
-
-                    // Normalization: Ensure offset stays within [-1800, 1800] range.
-                    // This "snaps" any hour-long jumps back to the correct hour.
-                    newOffset = ((newOffset + 1800) % 3600);
-                    if (newOffset < 0) newOffset += 3600;
-                    newOffset = Math.round((newOffset - 1800) * 10) / 10;
-
-                    log(`[Calibration] Detected #4 at ${tone.fromEnd}s from end. Drift: ${drift.toFixed(2)}s. Adjusting offset: ${STREAM_OFFSET_SECONDS} -> ${newOffset}`);
-                    saveOffset(newOffset).catch(e => log('Calibration Save Error:', e));
-                  }
-                }
-              }).catch(e => log('DTMF Error:', e));
-            }
-            // Async cleanup of duplicates
-            cleanupProgramDuplicates(toFinalize.programCode, toFinalize.outFile).catch(e => log('Cleanup error:', e));
-          });
+          finalizeRecording(currentRecording).catch(e => log('[Atomic] Finalize error:', e));
         }
 
         currentRecording = {
           signature,
+          date: slotDate,
+          slotStart: activeItem.secondsSinceMidnight,
           programCode: activeItem.program_code,
-          process: p,
+          session: p,
           outFile,
           tempFile,
+          tempSidecar,
           endTime: activeItem.endTime,
-          scheduledDuration: idealDuration
+          scheduledDuration: idealDuration,
+          slotStartMs: activeItem.start,
+          slotEndMs: activeItem.end,
+          streamOffsetSeconds: STREAM_OFFSET_SECONDS,
+          partial,
+          startOffsetSeconds,
+          provisional
         };
 
         // Self-tuning sleep
@@ -729,7 +1418,7 @@ async function runLoop() {
         // We handle duration by SLEEPING here.
 
         // We are currently running `p`.
-        // We need to sleep until `activeItem.endTime`.
+        // We need to sleep until `activeItem.end`.
         // But we subtract STARTUP_OVERHEAD_SECONDS?
         // If we want to be ready for NEXT slot exactly at 0s delay.
         // We should wake up slightly before?
@@ -743,7 +1432,7 @@ async function runLoop() {
         // Then loop runs, sees we are still in current slot?
         // Wait.
         // If we wake up 2s before end.
-        // nowSeconds < endTime.
+        // effectiveMs < end.
         // We find activeItem is CURRENT item.
         // signature matches.
         // We do nothing.
@@ -776,7 +1465,7 @@ async function runLoop() {
         // We just need to make sure we don't sleep PAST the start of B.
 
         log(`Recording running. Sleeping ${adjustDuration}s until near end of slot.`);
-        await sleep(adjustDuration * 1000);
+        await recordingSleep(adjustDuration * 1000);
 
         // Now we are 2s before end.
         // We go back to top of loop.
@@ -785,24 +1474,14 @@ async function runLoop() {
         // "If we happen to be ready to record before slot start by a couple seconds, sleep until the exact starting time."
         // This is handled by the `secondsPastStart < 0` block.
 
+      } else {
+        // Woken while the slot goes on (a re-sync, the offset moved): sleep
+        // again until near its end, as worked out from the schedule now.
+        const remainingDuration = Math.ceil((activeItem.end - effectiveMs) / 1000) - STARTUP_OVERHEAD_SECONDS;
+        if (remainingDuration > 0) await recordingSleep(remainingDuration * 1000);
       }
 
-      // Background fetch logic
-      // Every loop, check if we need to fetch tomorrow?
-      // Only do it once. `ensureInBackground` handles dedup.
-      // Do it if we are past noon.
-      if (effectiveTime.getHours() >= 12) {
-        const tmr = new Date(effectiveTime);
-        tmr.setDate(tmr.getDate() + 1);
-        scheduler.ensureInBackground(formatDate(tmr));
-      }
-
-      // Cleanup logic: Daily at 3 AM
-      const currentDay = formatDate(effectiveTime);
-      if (effectiveTime.getHours() === 3 && currentDay !== lastCleanupDay) {
-        lastCleanupDay = currentDay;
-        dailyLegacyCleanup().catch(e => log('Legacy cleanup error:', e));
-      }
+      housekeeping(effectiveMs);
 
       // Sleep slightly
       await sleep(1000);